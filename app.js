@@ -24,6 +24,9 @@ const apiRoutes = require('./routes');
 
 // Import models to initialize tables
 const CustomerModel = require('./models/CustomerModel');
+const NotificationService = require('./services/NotificationService');
+const DepositService = require('./services/DepositService');
+const RealtimeService = require('./services/RealtimeService');
 
 // Handle uncaught exceptions and unhandled rejections
 handleUncaughtException();
@@ -46,8 +49,11 @@ class App {
       crossOriginResourcePolicy: { policy: "cross-origin" }
     }));
 
-    // Compression middleware
-    this.app.use(compression());
+    // Compression middleware (not for event streams, which must reach the boards unbuffered)
+    this.app.use(compression({
+      filter: (req, res) => !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') &&
+        compression.filter(req, res)
+    }));
 
     // Rate limiting
     const limiter = rateLimit({
@@ -214,6 +220,8 @@ class App {
         await initDatabase();
         await CustomerModel.createTable();
         logger.info('✅ Database connected successfully');
+        NotificationService.startReminderScheduler();
+        DepositService.startExpiryScheduler();
       } catch (dbError) {
         logger.warn('⚠️ Database connection failed, continuing without database for AI testing:', dbError.message);
       }
@@ -232,6 +240,7 @@ class App {
       // Graceful shutdown
       process.on('SIGTERM', () => {
         logger.info('SIGTERM received. Shutting down gracefully...');
+        RealtimeService.closeAll();
         server.close(() => {
           logger.info('Process terminated');
           process.exit(0);
@@ -240,6 +249,7 @@ class App {
 
       process.on('SIGINT', () => {
         logger.info('SIGINT received. Shutting down gracefully...');
+        RealtimeService.closeAll();
         server.close(() => {
           logger.info('Process terminated');
           process.exit(0);
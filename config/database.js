@@ -1,6 +1,10 @@
 // Database Configuration
 require('dotenv').config();
 const mysql = require('mysql2/promise');
+const { normalizePhone } = require('../utils/phone');
+const { logDatabaseQuery } = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const kitchenConfig = require('./kitchen');
 
 const dbConfig = {
   host: process.env.DB_HOST || '127.0.0.1',
@@ -52,29 +56,708 @@ const initializeTables = async () => {
         id_datban INT AUTO_INCREMENT PRIMARY KEY,
         ten_khach VARCHAR(100) NOT NULL,
         sdt VARCHAR(20) NOT NULL,
+        sdt_chuan VARCHAR(15) NULL,
         email VARCHAR(100),
         ngay DATE NOT NULL,
         gio TIME NOT NULL,
+        thoi_luong INT NULL,
         so_luong_khach INT NOT NULL,
         ghi_chu TEXT,
-        trang_thai ENUM('cho_xac_nhan','da_xac_nhan','da_huy')
+        trang_thai ENUM('cho_thanh_toan','cho_xac_nhan','da_xac_nhan','da_den','hoan_thanh','khong_den','da_huy')
           NOT NULL DEFAULT 'cho_xac_nhan',
+        id_ban INT NULL,
+        can_duyet BOOLEAN NOT NULL DEFAULT FALSE,
+        ly_do_duyet VARCHAR(255) NULL,
+        loai ENUM('le','nhom') NOT NULL DEFAULT 'le',
+        ten_su_kien VARCHAR(150) NULL,
+        id_thuc_don INT NULL,
+        so_suat INT NULL,
+        id_chuoi INT NULL,
         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
           ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_ngay_gio (ngay, gio),
         INDEX idx_sdt (sdt),
+        INDEX idx_sdt_chuan (sdt_chuan),
         INDEX idx_trang_thai (trang_thai),
-        INDEX idx_created_at (created_at)
+        INDEX idx_created_at (created_at),
+        INDEX idx_id_ban (id_ban),
+        INDEX idx_id_chuoi (id_chuoi)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `;
 
     await connection.execute(createTableQuery);
+    await ensureColumn(connection, 'dat_ban', 'id_ban', 'INT NULL AFTER trang_thai');
+    await ensureColumn(connection, 'dat_ban', 'thoi_luong', 'INT NULL AFTER gio');
+    await ensureColumn(connection, 'dat_ban', 'sdt_chuan', 'VARCHAR(15) NULL AFTER sdt, ADD INDEX idx_sdt_chuan (sdt_chuan)');
+    await ensureColumn(connection, 'dat_ban', 'can_duyet', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER id_ban');
+    await ensureColumn(connection, 'dat_ban', 'ly_do_duyet', 'VARCHAR(255) NULL AFTER can_duyet');
+    await ensureColumn(connection, 'dat_ban', 'loai', "ENUM('le','nhom') NOT NULL DEFAULT 'le' AFTER ly_do_duyet");
+    await ensureColumn(connection, 'dat_ban', 'ten_su_kien', 'VARCHAR(150) NULL AFTER loai');
+    await ensureColumn(connection, 'dat_ban', 'id_thuc_don', 'INT NULL AFTER ten_su_kien');
+    await ensureColumn(connection, 'dat_ban', 'so_suat', 'INT NULL AFTER id_thuc_don');
+    await ensureColumn(connection, 'dat_ban', 'id_chuoi', 'INT NULL AFTER so_suat, ADD INDEX idx_id_chuoi (id_chuoi)');
+
+    // Backfill normalized phone numbers of bookings made before guest profiles
+    const [unnormalized] = await connection.execute('SELECT id_datban, sdt FROM dat_ban WHERE sdt_chuan IS NULL');
+    for (const row of unnormalized) {
+      await connection.execute('UPDATE dat_ban SET sdt_chuan = ? WHERE id_datban = ?', [normalizePhone(row.sdt), row.id_datban]);
+    }
+    await connection.execute(`
+      ALTER TABLE dat_ban MODIFY COLUMN trang_thai
+        ENUM('cho_thanh_toan','cho_xac_nhan','da_xac_nhan','da_den','hoan_thanh','khong_den','da_huy')
+        NOT NULL DEFAULT 'cho_xac_nhan'
+    `);
     console.log('✅ Table dat_ban initialized successfully');
 
-    // Bảng hóa đơn và chi tiết hóa đơn đã được loại bỏ
-    // Sử dụng dữ liệu ảo trong frontend thay thế
-    console.log('ℹ️ Skipping hoa_don and chi_tiet_hoa_don tables - using mock data in frontend');
+    // Create dat_ban_trang_thai table (nhật ký chuyển trạng thái đặt bàn)
+    const createDatBanTrangThaiQuery = `
+      CREATE TABLE IF NOT EXISTS dat_ban_trang_thai (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_datban INT NOT NULL,
+        tu_trang_thai VARCHAR(20) NULL,
+        den_trang_thai VARCHAR(20) NOT NULL,
+        nguoi_thuc_hien VARCHAR(100) NOT NULL,
+        ly_do VARCHAR(255) NULL,
+        thoi_gian TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_id_datban (id_datban),
+        FOREIGN KEY (id_datban) REFERENCES dat_ban(id_datban) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createDatBanTrangThaiQuery);
+    console.log('✅ Table dat_ban_trang_thai initialized successfully');
+
+    // Create dat_ban_lich_su table (lịch sử thay đổi đặt bàn, chỉ ghi thêm,
+    // không có khóa ngoại để vẫn giữ lịch sử sau khi đặt bàn bị xóa)
+    const createDatBanLichSuQuery = `
+      CREATE TABLE IF NOT EXISTS dat_ban_lich_su (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_datban INT NOT NULL,
+        hanh_dong ENUM('tao','cap_nhat','doi_trang_thai','xoa') NOT NULL,
+        thay_doi JSON NOT NULL,
+        nguoi_thuc_hien VARCHAR(100) NOT NULL,
+        nguon ENUM('nhan_vien','khach_hang','chatbot','he_thong') NOT NULL,
+        nguoi_khai_bao VARCHAR(100) NULL,
+        thoi_gian TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_id_datban (id_datban),
+        INDEX idx_thoi_gian (thoi_gian)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createDatBanLichSuQuery);
+    // Tên do client tự khai (nguoi_thuc_hien, X-Actor), chưa được xác thực
+    await ensureColumn(connection, 'dat_ban_lich_su', 'nguoi_khai_bao', 'VARCHAR(100) NULL AFTER nguon');
+    console.log('✅ Table dat_ban_lich_su initialized successfully');
+
+    // Create danh_sach_cho table (danh sách chờ khi khung giờ đã kín bàn)
+    const createDanhSachChoQuery = `
+      CREATE TABLE IF NOT EXISTS danh_sach_cho (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ma_tra_cuu CHAR(32) NOT NULL UNIQUE,
+        ten_khach VARCHAR(100) NOT NULL,
+        sdt VARCHAR(20) NOT NULL,
+        email VARCHAR(100),
+        ngay DATE NOT NULL,
+        gio_tu TIME NOT NULL,
+        gio_den TIME NOT NULL,
+        so_luong_khach INT NOT NULL,
+        ghi_chu TEXT,
+        trang_thai ENUM('dang_cho','da_moi','da_nhan','het_han','da_huy')
+          NOT NULL DEFAULT 'dang_cho',
+        gio_de_xuat TIME NULL,
+        thoi_luong INT NULL,
+        han_giu DATETIME NULL,
+        id_datban INT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_ngay_trang_thai (ngay, trang_thai),
+        INDEX idx_sdt (sdt)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createDanhSachChoQuery);
+    console.log('✅ Table danh_sach_cho initialized successfully');
+
+    // Create thong_bao table (nhật ký thông báo gửi cho khách)
+    const createThongBaoQuery = `
+      CREATE TABLE IF NOT EXISTS thong_bao (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_datban INT NULL,
+        loai VARCHAR(30) NOT NULL,
+        kenh VARCHAR(20) NOT NULL,
+        nguoi_nhan VARCHAR(100) NOT NULL,
+        tieu_de VARCHAR(255) NULL,
+        noi_dung TEXT NOT NULL,
+        trang_thai ENUM('da_gui','loi') NOT NULL,
+        loi TEXT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_id_datban_loai (id_datban, loai),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createThongBaoQuery);
+    console.log('✅ Table thong_bao initialized successfully');
+
+    // Create dat_coc table (tiền đặt cọc của đặt bàn, giữ lại khi đặt bàn bị xóa)
+    const createDatCocQuery = `
+      CREATE TABLE IF NOT EXISTS dat_coc (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_datban INT NOT NULL,
+        ma_giao_dich CHAR(32) NOT NULL UNIQUE,
+        so_tien DECIMAL(12,0) NOT NULL,
+        quy_tac VARCHAR(255) NULL,
+        nha_cung_cap VARCHAR(30) NOT NULL,
+        ma_nha_cung_cap VARCHAR(100) NULL,
+        payment_url VARCHAR(500) NULL,
+        trang_thai ENUM('cho_thanh_toan','da_thanh_toan','that_bai','het_han','da_huy','da_hoan','khong_hoan')
+          NOT NULL DEFAULT 'cho_thanh_toan',
+        han_thanh_toan DATETIME NOT NULL,
+        thanh_toan_luc DATETIME NULL,
+        ty_le_hoan TINYINT NULL,
+        so_tien_hoan DECIMAL(12,0) NULL,
+        ma_hoan_tien VARCHAR(100) NULL,
+        hoan_luc DATETIME NULL,
+        loi VARCHAR(255) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_id_datban (id_datban),
+        INDEX idx_trang_thai_han (trang_thai, han_thanh_toan)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createDatCocQuery);
+    console.log('✅ Table dat_coc initialized successfully');
+
+    // Create ho_so_khach table (ghi chú của nhà hàng về khách, theo số điện thoại chuẩn hóa)
+    const createHoSoKhachQuery = `
+      CREATE TABLE IF NOT EXISTS ho_so_khach (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sdt VARCHAR(15) NOT NULL UNIQUE,
+        ten_khach VARCHAR(100) NULL,
+        vip BOOLEAN NOT NULL DEFAULT FALSE,
+        di_ung VARCHAR(255) NULL,
+        ghi_chu TEXT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createHoSoKhachQuery);
+    console.log('✅ Table ho_so_khach initialized successfully');
+
+    // Create ban table (danh sách bàn thực tế của nhà hàng)
+    const createBanQuery = `
+      CREATE TABLE IF NOT EXISTS ban (
+        id_ban INT AUTO_INCREMENT PRIMARY KEY,
+        so_ban VARCHAR(20) NOT NULL UNIQUE,
+        suc_chua INT NOT NULL,
+        khu_vuc VARCHAR(50) NOT NULL DEFAULT 'trong_nha',
+        co_the_ghep BOOLEAN NOT NULL DEFAULT FALSE,
+        trang_thai ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_khu_vuc (khu_vuc),
+        INDEX idx_trang_thai (trang_thai)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createBanQuery);
+    await ensureColumn(connection, 'ban', 'qr_phien', 'INT NOT NULL DEFAULT 1 AFTER trang_thai');
+    console.log('✅ Table ban initialized successfully');
+
+    // Create dat_ban_ban table (bàn được xếp cho từng đặt bàn, hỗ trợ ghép bàn)
+    const createDatBanBanQuery = `
+      CREATE TABLE IF NOT EXISTS dat_ban_ban (
+        id_datban INT NOT NULL,
+        id_ban INT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id_datban, id_ban),
+        FOREIGN KEY (id_datban) REFERENCES dat_ban(id_datban) ON DELETE CASCADE,
+        FOREIGN KEY (id_ban) REFERENCES ban(id_ban) ON DELETE CASCADE,
+        INDEX idx_id_ban (id_ban)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createDatBanBanQuery);
+    console.log('✅ Table dat_ban_ban initialized successfully');
+
+    // Create dat_ban_mon table (món đặt trước kèm đặt bàn; tên và giá chốt tại lúc đặt)
+    const createDatBanMonQuery = `
+      CREATE TABLE IF NOT EXISTS dat_ban_mon (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_datban INT NOT NULL,
+        id_mon INT NOT NULL,
+        ten_mon VARCHAR(255) NOT NULL,
+        don_gia DECIMAL(12,0) NOT NULL DEFAULT 0,
+        so_luong INT NOT NULL DEFAULT 1,
+        ghi_chu VARCHAR(255),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_datban) REFERENCES dat_ban(id_datban) ON DELETE CASCADE,
+        INDEX idx_id_datban (id_datban),
+        INDEX idx_id_mon (id_mon)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createDatBanMonQuery);
+    console.log('✅ Table dat_ban_mon initialized successfully');
+
+    // Create gio_mo_cua table (giờ mở cửa theo thứ, mỗi ca trưa/tối một dòng)
+    const createGioMoCuaQuery = `
+      CREATE TABLE IF NOT EXISTS gio_mo_cua (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        thu TINYINT NOT NULL COMMENT '0 = Chủ nhật, 1 = Thứ hai, ..., 6 = Thứ bảy',
+        ten_ca VARCHAR(50) NOT NULL,
+        gio_mo TIME NOT NULL,
+        gio_dong TIME NOT NULL,
+        gio_nhan_khach_cuoi TIME NULL,
+        trang_thai ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_thu (thu)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createGioMoCuaQuery);
+    console.log('✅ Table gio_mo_cua initialized successfully');
+
+    // Create ngay_dac_biet table (nghỉ lễ, sự kiện, bao trọn)
+    const createNgayDacBietQuery = `
+      CREATE TABLE IF NOT EXISTS ngay_dac_biet (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ngay DATE NOT NULL,
+        loai ENUM('nghi_le','su_kien','bao_tron') NOT NULL,
+        ten VARCHAR(100) NOT NULL,
+        gio_bat_dau TIME NULL,
+        gio_ket_thuc TIME NULL,
+        ghi_chu TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_ngay (ngay),
+        INDEX idx_loai (loai)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createNgayDacBietQuery);
+    console.log('✅ Table ngay_dac_biet initialized successfully');
+
+    // Create don_hang table (đơn gọi món tại bàn hoặc mang đi, mở cho tới khi lập hóa đơn)
+    const createDonHangQuery = `
+      CREATE TABLE IF NOT EXISTS don_hang (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        loai ENUM('tai_ban','mang_di') NOT NULL DEFAULT 'tai_ban',
+        id_ban INT NULL,
+        id_datban INT NULL,
+        ten_khach VARCHAR(100),
+        sdt VARCHAR(20),
+        so_khach INT NULL,
+        ghi_chu TEXT,
+        trang_thai ENUM('mo','da_dong','da_huy') NOT NULL DEFAULT 'mo',
+        nguoi_tao VARCHAR(100),
+        dong_luc TIMESTAMP NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_ban) REFERENCES ban(id_ban) ON DELETE SET NULL,
+        FOREIGN KEY (id_datban) REFERENCES dat_ban(id_datban) ON DELETE SET NULL,
+        INDEX idx_trang_thai (trang_thai),
+        INDEX idx_id_ban_trang_thai (id_ban, trang_thai),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createDonHangQuery);
+    await ensureColumn(connection, 'don_hang', 'id_don_gop', 'INT NULL AFTER trang_thai');
+    await connection.execute(`
+      ALTER TABLE don_hang MODIFY COLUMN trang_thai
+        ENUM('mo','da_dong','da_gop','da_huy') NOT NULL DEFAULT 'mo'
+    `);
+    await connection.execute(`
+      ALTER TABLE don_hang MODIFY COLUMN loai
+        ENUM('tai_ban','mang_di','giao_hang') NOT NULL DEFAULT 'tai_ban'
+    `);
+    // Địa chỉ, phí và trạng thái giao của đơn mang đi / giao hàng
+    await ensureColumn(connection, 'don_hang', 'dia_chi_giao', 'VARCHAR(255) NULL AFTER ghi_chu');
+    await ensureColumn(connection, 'don_hang', 'quan_huyen', 'VARCHAR(100) NULL AFTER dia_chi_giao');
+    await ensureColumn(connection, 'don_hang', 'vi_do', 'DECIMAL(10,7) NULL AFTER quan_huyen');
+    await ensureColumn(connection, 'don_hang', 'kinh_do', 'DECIMAL(10,7) NULL AFTER vi_do');
+    await ensureColumn(connection, 'don_hang', 'id_khu_vuc', 'INT NULL AFTER kinh_do');
+    await ensureColumn(connection, 'don_hang', 'phi_giao_hang', 'DECIMAL(12,0) NOT NULL DEFAULT 0 AFTER id_khu_vuc');
+    await ensureColumn(connection, 'don_hang', 'hen_giao_luc', 'DATETIME NULL AFTER phi_giao_hang');
+    await ensureColumn(
+      connection,
+      'don_hang',
+      'trang_thai_giao',
+      "ENUM('dang_chuan_bi','dang_giao','da_giao','giao_that_bai') NULL AFTER hen_giao_luc, " +
+      'ADD INDEX idx_trang_thai_giao (trang_thai_giao)'
+    );
+    await ensureColumn(connection, 'don_hang', 'nguoi_giao', 'VARCHAR(100) NULL AFTER trang_thai_giao');
+    await ensureColumn(connection, 'don_hang', 'ly_do_giao_that_bai', 'VARCHAR(255) NULL AFTER nguoi_giao');
+    await ensureColumn(connection, 'don_hang', 'giao_luc', 'TIMESTAMP NULL AFTER ly_do_giao_that_bai');
+    console.log('✅ Table don_hang initialized successfully');
+
+    // Create don_hang_mon table (món của đơn; tên và giá chốt tại lúc gọi, món hủy được giữ lại)
+    const createDonHangMonQuery = `
+      CREATE TABLE IF NOT EXISTS don_hang_mon (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_don INT NOT NULL,
+        id_mon INT NOT NULL,
+        ten_mon VARCHAR(255) NOT NULL,
+        don_gia DECIMAL(12,0) NOT NULL,
+        so_luong INT NOT NULL DEFAULT 1,
+        ghi_chu VARCHAR(255),
+        trang_thai ENUM('hoat_dong','da_huy') NOT NULL DEFAULT 'hoat_dong',
+        ly_do_huy VARCHAR(255),
+        nguoi_huy VARCHAR(100),
+        huy_luc TIMESTAMP NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_don) REFERENCES don_hang(id) ON DELETE CASCADE,
+        INDEX idx_id_don (id_don),
+        INDEX idx_id_mon (id_mon)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createDonHangMonQuery);
+    await ensureColumn(connection, 'don_hang_mon', 'id_don_goc', 'INT NULL AFTER id_don');
+    console.log('✅ Table don_hang_mon initialized successfully');
+
+    // Create hoa_don table (hóa đơn lập khi đóng đơn, số tiền đã chốt)
+    const createHoaDonQuery = `
+      CREATE TABLE IF NOT EXISTS hoa_don (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        so_hoa_don VARCHAR(30) NULL UNIQUE,
+        id_don INT NOT NULL,
+        tam_tinh DECIMAL(14,0) NOT NULL DEFAULT 0,
+        giam_gia DECIMAL(14,0) NOT NULL DEFAULT 0,
+        ly_do_giam_gia VARCHAR(255),
+        ty_le_phi_dich_vu DECIMAL(5,2) NOT NULL DEFAULT 0,
+        phi_dich_vu DECIMAL(14,0) NOT NULL DEFAULT 0,
+        ty_le_vat DECIMAL(5,2) NOT NULL DEFAULT 0,
+        thue_vat DECIMAL(14,0) NOT NULL DEFAULT 0,
+        tong_cong DECIMAL(14,0) NOT NULL DEFAULT 0,
+        trang_thai ENUM('chua_thanh_toan','da_thanh_toan','da_huy') NOT NULL DEFAULT 'chua_thanh_toan',
+        nguoi_lap VARCHAR(100),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_don) REFERENCES don_hang(id),
+        INDEX idx_id_don (id_don),
+        INDEX idx_trang_thai (trang_thai),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createHoaDonQuery);
+    await ensureColumn(connection, 'hoa_don', 'id_hoa_don_goc', 'INT NULL AFTER id_don, ADD INDEX idx_id_hoa_don_goc (id_hoa_don_goc)');
+    await ensureColumn(connection, 'hoa_don', 'kieu_tach', "ENUM('theo_mon','chia_deu','tuy_chinh') NULL AFTER id_hoa_don_goc");
+    await ensureColumn(connection, 'hoa_don', 'phi_giao_hang', 'DECIMAL(14,0) NOT NULL DEFAULT 0 AFTER thue_vat');
+    await ensureColumn(connection, 'hoa_don', 'giam_gia_khuyen_mai', 'DECIMAL(14,0) NOT NULL DEFAULT 0 AFTER giam_gia');
+    // Tổng hợp theo từng thuế suất: [{ thue_suat, tien_hang, giam_gia, phi_dich_vu, thanh_tien, tien_thue }]
+    await ensureColumn(connection, 'hoa_don', 'tong_hop_thue', 'JSON NULL AFTER thue_vat');
+    // Người mua; đơn vị mua có mã số thuế thì phải có tên đơn vị và địa chỉ
+    await ensureColumn(connection, 'hoa_don', 'ten_nguoi_mua', 'VARCHAR(100) NULL AFTER tong_cong');
+    await ensureColumn(connection, 'hoa_don', 'ten_don_vi_mua', 'VARCHAR(255) NULL AFTER ten_nguoi_mua');
+    await ensureColumn(connection, 'hoa_don', 'mst_nguoi_mua', 'VARCHAR(14) NULL AFTER ten_don_vi_mua');
+    await ensureColumn(connection, 'hoa_don', 'dia_chi_nguoi_mua', 'VARCHAR(255) NULL AFTER mst_nguoi_mua');
+    await ensureColumn(connection, 'hoa_don', 'email_nguoi_mua', 'VARCHAR(100) NULL AFTER dia_chi_nguoi_mua');
+    // Hóa đơn thay thế / điều chỉnh trỏ về hóa đơn bị thay thế / bị điều chỉnh
+    await ensureColumn(connection, 'hoa_don', 'loai_hoa_don', "ENUM('goc','thay_the','dieu_chinh') NOT NULL DEFAULT 'goc' AFTER kieu_tach");
+    await ensureColumn(
+      connection,
+      'hoa_don',
+      'id_hoa_don_lien_quan',
+      'INT NULL AFTER loai_hoa_don, ADD INDEX idx_id_hoa_don_lien_quan (id_hoa_don_lien_quan)'
+    );
+    await ensureColumn(connection, 'hoa_don', 'ly_do_lien_quan', 'VARCHAR(255) NULL AFTER id_hoa_don_lien_quan');
+    // Hóa đơn điện tử: ký hiệu và số cấp khi phát hành, số tăng dần trong một ký hiệu
+    await ensureColumn(connection, 'hoa_don', 'ky_hieu', 'VARCHAR(6) NULL AFTER so_hoa_don');
+    await ensureColumn(
+      connection,
+      'hoa_don',
+      'so_hddt',
+      'INT NULL AFTER ky_hieu, ADD UNIQUE KEY uniq_ky_hieu_so_hddt (ky_hieu, so_hddt)'
+    );
+    await ensureColumn(connection, 'hoa_don', 'phat_hanh_luc', 'DATETIME NULL AFTER so_hddt');
+    await connection.execute(`
+      ALTER TABLE hoa_don MODIFY COLUMN trang_thai
+        ENUM('chua_thanh_toan','thanh_toan_mot_phan','da_thanh_toan','da_tach','da_huy','bi_thay_the')
+        NOT NULL DEFAULT 'chua_thanh_toan'
+    `);
+    console.log('✅ Table hoa_don initialized successfully');
+
+    // Create chi_tiet_hoa_don table (các dòng món của hóa đơn, chép từ đơn lúc lập)
+    const createChiTietHoaDonQuery = `
+      CREATE TABLE IF NOT EXISTS chi_tiet_hoa_don (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_hoa_don INT NOT NULL,
+        id_mon INT NOT NULL,
+        ten_mon VARCHAR(255) NOT NULL,
+        don_gia DECIMAL(12,0) NOT NULL,
+        so_luong INT NOT NULL,
+        thanh_tien DECIMAL(14,0) NOT NULL,
+        FOREIGN KEY (id_hoa_don) REFERENCES hoa_don(id) ON DELETE CASCADE,
+        INDEX idx_id_hoa_don (id_hoa_don)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createChiTietHoaDonQuery);
+    await ensureColumn(connection, 'chi_tiet_hoa_don', 'thue_suat', 'DECIMAL(5,2) NULL AFTER thanh_tien');
+    // Dòng của hóa đơn điều chỉnh trỏ về dòng được điều chỉnh, so_luong là phần tăng (dương) hoặc giảm (âm)
+    await ensureColumn(connection, 'chi_tiet_hoa_don', 'id_chi_tiet_goc', 'INT NULL AFTER id_hoa_don');
+    console.log('✅ Table chi_tiet_hoa_don initialized successfully');
+
+    // Create thanh_toan_hoa_don table (các lần thanh toán, một hóa đơn có thể trả nhiều lần bằng nhiều hình thức)
+    const createThanhToanHoaDonQuery = `
+      CREATE TABLE IF NOT EXISTS thanh_toan_hoa_don (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_hoa_don INT NOT NULL,
+        so_tien DECIMAL(14,0) NOT NULL,
+        phuong_thuc ENUM('tien_mat','the','chuyen_khoan','vi_dien_tu') NOT NULL,
+        ma_giao_dich VARCHAR(100),
+        ghi_chu VARCHAR(255),
+        nguoi_thu VARCHAR(100),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_hoa_don) REFERENCES hoa_don(id),
+        INDEX idx_id_hoa_don (id_hoa_don),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createThanhToanHoaDonQuery);
+    console.log('✅ Table thanh_toan_hoa_don initialized successfully');
+
+    // Create nhat_ky_don_hang table (nhật ký gộp đơn, chuyển bàn và tách hóa đơn, không sửa/xóa)
+    const createNhatKyDonHangQuery = `
+      CREATE TABLE IF NOT EXISTS nhat_ky_don_hang (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_don INT NOT NULL,
+        id_hoa_don INT NULL,
+        hanh_dong ENUM('gop_don','chuyen_ban','tach_hoa_don') NOT NULL,
+        chi_tiet JSON NOT NULL,
+        nguoi_thuc_hien VARCHAR(100),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_don) REFERENCES don_hang(id) ON DELETE CASCADE,
+        INDEX idx_id_don (id_don),
+        INDEX idx_id_hoa_don (id_hoa_don)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createNhatKyDonHangQuery);
+    await connection.execute(`
+      ALTER TABLE nhat_ky_don_hang MODIFY COLUMN hanh_dong
+        ENUM('gop_don','chuyen_ban','tach_hoa_don','giao_hang','thay_the_hoa_don','dieu_chinh_hoa_don') NOT NULL
+    `);
+    console.log('✅ Table nhat_ky_don_hang initialized successfully');
+
+    // Create giao_dich_thanh_toan table (giao dịch thanh toán online của hóa đơn và tiền cọc, mỗi kết quả chỉ áp dụng một lần)
+    const createGiaoDichThanhToanQuery = `
+      CREATE TABLE IF NOT EXISTS giao_dich_thanh_toan (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ma_giao_dich CHAR(32) NOT NULL UNIQUE,
+        loai ENUM('hoa_don','dat_coc') NOT NULL,
+        id_doi_tuong INT NOT NULL,
+        nha_cung_cap VARCHAR(30) NOT NULL,
+        so_tien DECIMAL(14,0) NOT NULL,
+        trang_thai ENUM('cho_thanh_toan','thanh_cong','that_bai','het_han') NOT NULL DEFAULT 'cho_thanh_toan',
+        ma_nha_cung_cap VARCHAR(100) NULL,
+        payment_url VARCHAR(1000) NULL,
+        url_tra_ve VARCHAR(500) NULL,
+        khoa_idempotency VARCHAR(64) NULL UNIQUE,
+        han_thanh_toan DATETIME NOT NULL,
+        thanh_toan_luc DATETIME NULL,
+        so_lan_callback INT NOT NULL DEFAULT 0,
+        du_lieu_callback JSON NULL,
+        loi VARCHAR(255) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_loai_doi_tuong (loai, id_doi_tuong),
+        INDEX idx_trang_thai (trang_thai)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createGiaoDichThanhToanQuery);
+    console.log('✅ Table giao_dich_thanh_toan initialized successfully');
+
+    // Create tram_bep table (trạm bếp hiển thị phiếu: bếp nướng, lẩu, đồ uống, tráng miệng...)
+    const createTramBepQuery = `
+      CREATE TABLE IF NOT EXISTS tram_bep (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ma VARCHAR(30) NOT NULL UNIQUE,
+        ten VARCHAR(100) NOT NULL,
+        thu_tu INT NOT NULL DEFAULT 0,
+        trang_thai ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createTramBepQuery);
+    await connection.query(
+      'INSERT IGNORE INTO tram_bep (ma, ten, thu_tu) VALUES ?',
+      [kitchenConfig.stations.map(station => [station.ma, station.ten, station.thu_tu])]
+    );
+    console.log('✅ Table tram_bep initialized successfully');
+
+    // Create tram_bep_phan_cong table (gán loại món hoặc món vào trạm; gán theo món được ưu tiên,
+    // không có khóa ngoại tới mon_an / loai_mon vì khóa chính khác nhau giữa các bản cài đặt)
+    const createTramBepPhanCongQuery = `
+      CREATE TABLE IF NOT EXISTS tram_bep_phan_cong (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_tram INT NOT NULL,
+        id_loai INT NULL UNIQUE,
+        id_mon INT NULL UNIQUE,
+        FOREIGN KEY (id_tram) REFERENCES tram_bep(id) ON DELETE CASCADE,
+        INDEX idx_id_tram (id_tram)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createTramBepPhanCongQuery);
+    console.log('✅ Table tram_bep_phan_cong initialized successfully');
+
+    // Create phieu_bep table (một phiếu cho mỗi món của đơn, đi qua các trạng thái bếp kèm thời điểm)
+    const createPhieuBepQuery = `
+      CREATE TABLE IF NOT EXISTS phieu_bep (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_don_mon INT NOT NULL UNIQUE,
+        id_tram INT NOT NULL,
+        id_mon INT NOT NULL,
+        ten_mon VARCHAR(255) NOT NULL,
+        so_luong INT NOT NULL,
+        ghi_chu VARCHAR(255),
+        trang_thai ENUM('cho_che_bien','dang_nau','san_sang','da_phuc_vu','da_huy') NOT NULL DEFAULT 'cho_che_bien',
+        bat_dau_luc TIMESTAMP NULL,
+        san_sang_luc TIMESTAMP NULL,
+        phuc_vu_luc TIMESTAMP NULL,
+        huy_luc TIMESTAMP NULL,
+        nguoi_cap_nhat VARCHAR(100),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_don_mon) REFERENCES don_hang_mon(id) ON DELETE CASCADE,
+        FOREIGN KEY (id_tram) REFERENCES tram_bep(id),
+        INDEX idx_id_tram_trang_thai (id_tram, trang_thai),
+        INDEX idx_id_mon (id_mon),
+        INDEX idx_san_sang_luc (san_sang_luc)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createPhieuBepQuery);
+    console.log('✅ Table phieu_bep initialized successfully');
+
+    // Create yeu_cau_ban table (khách quét QR gọi nhân viên hoặc yêu cầu thanh toán)
+    const createYeuCauBanQuery = `
+      CREATE TABLE IF NOT EXISTS yeu_cau_ban (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_ban INT NOT NULL,
+        id_don INT NULL,
+        loai ENUM('goi_nhan_vien','yeu_cau_thanh_toan') NOT NULL,
+        ghi_chu VARCHAR(255),
+        trang_thai ENUM('cho_xu_ly','da_xu_ly') NOT NULL DEFAULT 'cho_xu_ly',
+        nguoi_xu_ly VARCHAR(100),
+        xu_ly_luc TIMESTAMP NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_ban) REFERENCES ban(id_ban) ON DELETE CASCADE,
+        FOREIGN KEY (id_don) REFERENCES don_hang(id) ON DELETE SET NULL,
+        INDEX idx_trang_thai (trang_thai),
+        INDEX idx_id_ban_loai_trang_thai (id_ban, loai, trang_thai)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createYeuCauBanQuery);
+    console.log('✅ Table yeu_cau_ban initialized successfully');
+
+    // Create khu_vuc_giao_hang table (khu vực giao theo quận/huyện, bán kính từ nhà hàng hoặc đa giác)
+    const createKhuVucGiaoHangQuery = `
+      CREATE TABLE IF NOT EXISTS khu_vuc_giao_hang (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ten VARCHAR(100) NOT NULL,
+        kieu ENUM('quan_huyen','ban_kinh','da_giac') NOT NULL,
+        quan_huyen JSON NULL,
+        ban_kinh_km DECIMAL(6,2) NULL,
+        da_giac JSON NULL,
+        phi_giao DECIMAL(12,0) NOT NULL DEFAULT 0,
+        don_toi_thieu DECIMAL(12,0) NOT NULL DEFAULT 0,
+        thoi_gian_giao_phut INT NOT NULL DEFAULT 30,
+        uu_tien INT NOT NULL DEFAULT 0,
+        trang_thai ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_trang_thai_uu_tien (trang_thai, uu_tien)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createKhuVucGiaoHangQuery);
+    console.log('✅ Table khu_vuc_giao_hang initialized successfully');
+
+    // Create khuyen_mai table (chương trình khuyến mãi tự động, hoặc voucher khi có mã)
+    const createKhuyenMaiQuery = `
+      CREATE TABLE IF NOT EXISTS khuyen_mai (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ma VARCHAR(30) NULL COMMENT 'NULL = tự áp dụng, có mã = khách phải nhập mã',
+        ten VARCHAR(150) NOT NULL,
+        mo_ta TEXT NULL,
+        kieu ENUM('phan_tram','so_tien','mua_x_tang_y') NOT NULL,
+        gia_tri DECIMAL(12,2) NOT NULL COMMENT 'phan_tram / mua_x_tang_y: % giảm, so_tien: số tiền giảm',
+        giam_toi_da DECIMAL(12,0) NULL,
+        pham_vi ENUM('don_hang','loai_mon','mon') NOT NULL DEFAULT 'don_hang',
+        id_loai JSON NULL,
+        id_mon JSON NULL,
+        so_luong_mua INT NULL,
+        so_luong_tang INT NULL,
+        don_toi_thieu DECIMAL(12,0) NOT NULL DEFAULT 0,
+        bat_dau DATETIME NULL,
+        ket_thuc DATETIME NULL,
+        ngay_trong_tuan JSON NULL COMMENT '0 = Chủ nhật, 1 = Thứ hai, ..., 6 = Thứ bảy',
+        gio_bat_dau TIME NULL,
+        gio_ket_thuc TIME NULL,
+        gioi_han_luot INT NULL,
+        gioi_han_moi_khach INT NULL,
+        da_dung INT NOT NULL DEFAULT 0,
+        cong_don BOOLEAN NOT NULL DEFAULT FALSE,
+        uu_tien INT NOT NULL DEFAULT 0,
+        trang_thai ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_ma (ma),
+        INDEX idx_trang_thai_uu_tien (trang_thai, uu_tien)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createKhuyenMaiQuery);
+    console.log('✅ Table khuyen_mai initialized successfully');
+
+    // Create khuyen_mai_su_dung table (mỗi lần một khuyến mãi được dùng trên hóa đơn)
+    const createKhuyenMaiSuDungQuery = `
+      CREATE TABLE IF NOT EXISTS khuyen_mai_su_dung (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_khuyen_mai INT NOT NULL,
+        id_hoa_don INT NOT NULL,
+        id_don INT NOT NULL,
+        sdt_chuan VARCHAR(20) NULL,
+        so_tien_giam DECIMAL(12,0) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_khuyen_mai_khach (id_khuyen_mai, sdt_chuan),
+        INDEX idx_id_hoa_don (id_hoa_don),
+        FOREIGN KEY (id_khuyen_mai) REFERENCES khuyen_mai(id) ON DELETE CASCADE,
+        FOREIGN KEY (id_hoa_don) REFERENCES hoa_don(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createKhuyenMaiSuDungQuery);
+    console.log('✅ Table khuyen_mai_su_dung initialized successfully');
 
     // Create khach_hang table if not exists
     const createKhachHangQuery = `
@@ -85,6 +768,7 @@ const initializeTables = async () => {
         phone VARCHAR(20) NOT NULL,
         password VARCHAR(255) NOT NULL,
         address TEXT,
+        trang_thai ENUM('active','inactive') NOT NULL DEFAULT 'active',
         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
           ON UPDATE CURRENT_TIMESTAMP,
@@ -96,6 +780,36 @@ const initializeTables = async () => {
     await connection.execute(createKhachHangQuery);
     console.log('✅ Table khach_hang initialized successfully');
 
+    // Deactivated accounts can no longer sign in
+    await ensureColumn(connection, 'khach_hang', 'trang_thai', "ENUM('active','inactive') NOT NULL DEFAULT 'active' AFTER address");
+    // Thời điểm khách xác thực số điện thoại bằng mã OTP
+    await ensureColumn(connection, 'khach_hang', 'sdt_xac_thuc_luc', 'TIMESTAMP NULL AFTER phone');
+
+    // Create xac_thuc_sdt table (mã OTP đang chờ xác thực số điện thoại, mỗi tài khoản một mã)
+    const createXacThucSdtQuery = `
+      CREATE TABLE IF NOT EXISTS xac_thuc_sdt (
+        id_khachhang INT PRIMARY KEY,
+        sdt_chuan VARCHAR(15) NOT NULL,
+        ma_hash CHAR(64) NOT NULL,
+        het_han DATETIME NOT NULL,
+        so_lan_sai INT NOT NULL DEFAULT 0,
+        gui_luc TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (id_khachhang) REFERENCES khach_hang(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createXacThucSdtQuery);
+    console.log('✅ Table xac_thuc_sdt initialized successfully');
+
+    // Link reservations to customer accounts (added here because dat_ban is created before khach_hang)
+    await ensureColumn(
+      connection,
+      'dat_ban',
+      'id_khachhang',
+      'INT NULL AFTER id_ban, ADD INDEX idx_id_khachhang (id_khachhang), ' +
+      'ADD CONSTRAINT fk_dat_ban_khach_hang FOREIGN KEY (id_khachhang) REFERENCES khach_hang(id) ON DELETE SET NULL'
+    );
+
     // Create loai_mon table if not exists
     const createLoaiMonQuery = `
       CREATE TABLE IF NOT EXISTS loai_mon (
@@ -112,6 +826,8 @@ const initializeTables = async () => {
     `;
 
     await connection.execute(createLoaiMonQuery);
+    // Thuế suất GTGT riêng của loại món (%), NULL là theo thuế suất mặc định
+    await ensureColumn(connection, 'loai_mon', 'thue_vat', 'DECIMAL(5,2) NULL');
     console.log('✅ Table loai_mon initialized successfully');
 
     // Create mon_an table if not exists
@@ -136,9 +852,72 @@ const initializeTables = async () => {
     `;
 
     await connection.execute(createMonAnQuery);
+    // Thuế suất GTGT riêng của món (%), NULL là theo loại món
+    await ensureColumn(connection, 'mon_an', 'thue_vat', 'DECIMAL(5,2) NULL');
     console.log('✅ Table mon_an initialized successfully');
 
-    // Foreign key constraints for hoa_don table removed - using mock data
+    // Create thuc_don table (set menu đặt trước cho đặt bàn nhóm, giá tính theo suất)
+    const createThucDonQuery = `
+      CREATE TABLE IF NOT EXISTS thuc_don (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ten VARCHAR(150) NOT NULL,
+        mo_ta TEXT,
+        gia DECIMAL(12,0) NOT NULL,
+        so_suat_toi_thieu INT NOT NULL DEFAULT 1,
+        trang_thai ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_trang_thai (trang_thai)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createThucDonQuery);
+    console.log('✅ Table thuc_don initialized successfully');
+
+    // Create thuc_don_mon table (món trong một suất set menu; id_mon theo FoodModel,
+    // không có khóa ngoại vì khóa chính mon_an khác nhau giữa các bản cài đặt)
+    const createThucDonMonQuery = `
+      CREATE TABLE IF NOT EXISTS thuc_don_mon (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        id_thuc_don INT NOT NULL,
+        id_mon INT NOT NULL,
+        so_luong INT NOT NULL DEFAULT 1,
+        INDEX idx_id_thuc_don (id_thuc_don),
+        INDEX idx_id_mon (id_mon),
+        FOREIGN KEY (id_thuc_don) REFERENCES thuc_don(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createThucDonMonQuery);
+    console.log('✅ Table thuc_don_mon initialized successfully');
+
+    // Create chuoi_dat_ban table (đặt bàn định kỳ, mỗi lần là một dòng dat_ban có id_chuoi)
+    const createChuoiDatBanQuery = `
+      CREATE TABLE IF NOT EXISTS chuoi_dat_ban (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ten_khach VARCHAR(100) NOT NULL,
+        sdt VARCHAR(20) NOT NULL,
+        email VARCHAR(100),
+        id_khachhang INT NULL,
+        gio TIME NOT NULL,
+        thoi_luong INT NULL,
+        so_luong_khach INT NOT NULL,
+        ghi_chu TEXT,
+        tan_suat ENUM('hang_tuan','hai_tuan','hang_thang') NOT NULL,
+        ngay_bat_dau DATE NOT NULL,
+        ngay_ket_thuc DATE NOT NULL,
+        trang_thai ENUM('hoat_dong','da_huy') NOT NULL DEFAULT 'hoat_dong',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+          ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_sdt (sdt),
+        INDEX idx_trang_thai (trang_thai)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await connection.execute(createChuoiDatBanQuery);
+    console.log('✅ Table chuoi_dat_ban initialized successfully');
 
     // Insert sample data if tables are empty
     await insertSampleData(connection);
@@ -162,6 +941,20 @@ const initDatabase = async () => {
   await initializeTables();
 };
 
+// Add a column to an existing table when it is missing (schema upgrade)
+const ensureColumn = async (connection, table, column, definition) => {
+  const [rows] = await connection.execute(
+    `SELECT COUNT(*) as count FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (rows[0].count === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Column ${table}.${column} added`);
+  }
+};
+
 // Execute query with error handling
 const executeQuery = async (query, params = []) => {
   try {
@@ -173,12 +966,63 @@ const executeQuery = async (query, params = []) => {
   }
 };
 
+// Run one query on a pooled connection with logging (used by the models).
+// Unlike executeQuery it throws: driver errors become "Lỗi khi <label>: ..." (500).
+const runQuery = async (query, params, label) => {
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const startTime = Date.now();
+    const [result] = await connection.query(query, params);
+    const duration = Date.now() - startTime;
+
+    logDatabaseQuery(query, params, duration);
+
+    return result;
+
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(`Lỗi khi ${label}: ${error.message}`, 500);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// Run work(connection) in one transaction on a pooled connection, rolled back on any error
+const runTransaction = async (label, work) => {
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const startTime = Date.now();
+    const result = await work(connection);
+    await connection.commit();
+
+    logDatabaseQuery(`TRANSACTION ${label}`, [], Date.now() - startTime);
+
+    return result;
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error instanceof AppError) throw error;
+    throw new AppError(`Lỗi khi ${label}: ${error.message}`, 500);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
 // Insert sample data
 const insertSampleData = async (connection) => {
   try {
     // Check if data already exists
     const [khachHangCount] = await connection.execute('SELECT COUNT(*) as count FROM khach_hang');
     const [loaiMonCount] = await connection.execute('SELECT COUNT(*) as count FROM loai_mon');
+    const [banCount] = await connection.execute('SELECT COUNT(*) as count FROM ban');
+    const [gioMoCuaCount] = await connection.execute('SELECT COUNT(*) as count FROM gio_mo_cua');
 
     if (khachHangCount[0].count === 0) {
       // Insert sample customers
@@ -223,6 +1067,39 @@ const insertSampleData = async (connection) => {
       console.log('✅ Sample dishes inserted');
     }
 
+    if (banCount[0].count === 0) {
+      // Insert sample tables (20 bàn như số bàn giả lập trước đây)
+      const insertTables = `
+        INSERT INTO ban (so_ban, suc_chua, khu_vuc, co_the_ghep) VALUES
+        ('T01', 2, 'trong_nha', TRUE), ('T02', 2, 'trong_nha', TRUE),
+        ('T03', 2, 'trong_nha', TRUE), ('T04', 2, 'trong_nha', TRUE),
+        ('T05', 4, 'trong_nha', TRUE), ('T06', 4, 'trong_nha', TRUE),
+        ('T07', 4, 'trong_nha', TRUE), ('T08', 4, 'trong_nha', TRUE),
+        ('T09', 4, 'trong_nha', TRUE), ('T10', 4, 'trong_nha', TRUE),
+        ('T11', 6, 'trong_nha', FALSE), ('T12', 6, 'trong_nha', FALSE),
+        ('S01', 4, 'san_vuon', TRUE), ('S02', 4, 'san_vuon', TRUE),
+        ('S03', 4, 'san_vuon', TRUE), ('S04', 6, 'san_vuon', TRUE),
+        ('S05', 8, 'san_vuon', FALSE), ('V01', 10, 'phong_vip', FALSE),
+        ('V02', 12, 'phong_vip', FALSE), ('V03', 20, 'phong_vip', FALSE)
+      `;
+      await connection.execute(insertTables);
+      console.log('✅ Sample tables inserted');
+    }
+
+    if (gioMoCuaCount[0].count === 0) {
+      // Insert default opening hours: ca trưa và ca tối mỗi ngày trong tuần
+      const values = [];
+      for (let thu = 0; thu <= 6; thu++) {
+        values.push(`(${thu}, 'Ca trưa', '10:00:00', '14:00:00', '13:30:00')`);
+        values.push(`(${thu}, 'Ca tối', '17:00:00', '22:00:00', '21:30:00')`);
+      }
+      await connection.execute(`
+        INSERT INTO gio_mo_cua (thu, ten_ca, gio_mo, gio_dong, gio_nhan_khach_cuoi) VALUES
+        ${values.join(',\n        ')}
+      `);
+      console.log('✅ Default opening hours inserted');
+    }
+
   } catch (error) {
     console.log('ℹ️ Sample data insertion skipped or failed:', error.message);
   }
@@ -234,5 +1111,8 @@ module.exports = {
   initDatabase,
   initializeTables,
   executeQuery,
+  runQuery,
+  runTransaction,
+  ensureColumn,
   insertSampleData
 };
@@ -0,0 +1,35 @@
+// Delivery Configuration - Takeaway and delivery orders, zones and promised times
+require('dotenv').config();
+
+const parseCoordinate = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+const deliveryConfig = {
+  // Vị trí nhà hàng, tâm của các khu vực giao hàng theo bán kính; để trống thì chỉ dùng quận/huyện và đa giác
+  origin: {
+    vi_do: parseCoordinate(process.env.RESTAURANT_LAT),
+    kinh_do: parseCoordinate(process.env.RESTAURANT_LNG)
+  },
+
+  // Thời gian chế biến một món khi chưa có số liệu từ màn hình bếp (phút)
+  defaultPrepMinutes: parseInt(process.env.DELIVERY_DEFAULT_PREP_MINUTES) || 15,
+
+  // Thời gian chờ thêm cho mỗi phiếu bếp đang chờ hoặc đang nấu (phút)
+  queueMinutesPerTicket: parseFloat(process.env.DELIVERY_QUEUE_MINUTES_PER_TICKET) || 0.5,
+
+  // Thời gian đóng gói đơn mang đi và giao hàng (phút)
+  packingMinutes: 5,
+
+  // Giờ hẹn được làm tròn lên theo bước này (phút)
+  roundMinutes: 5,
+
+  // Khoảng thời gian lấy thời gian chế biến trung bình (ngày)
+  prepTimeDays: 30,
+
+  // Số đỉnh tối đa của một khu vực đa giác
+  maxPolygonPoints: 100
+};
+
+module.exports = deliveryConfig;
@@ -0,0 +1,70 @@
+// Deposit Configuration - When a reservation needs a deposit and how much is refunded
+require('dotenv').config();
+const paymentConfig = require('./payment');
+
+/**
+ * Parse deposit rules from env (JSON array with the same shape as the defaults)
+ * Example: DEPOSIT_RULES=[{"ten":"nhom_lon","minGuests":10,"amount":500000}]
+ * @param {string} value - Raw env value
+ * @returns {Array|null} Rules or null if not set/invalid
+ */
+const parseRules = (value) => {
+  if (!value) return null;
+
+  try {
+    const rules = JSON.parse(value);
+    return Array.isArray(rules) && rules.length > 0 ? rules : null;
+  } catch (error) {
+    console.warn('⚠️ DEPOSIT_RULES không phải JSON hợp lệ, dùng quy tắc mặc định');
+    return null;
+  }
+};
+
+/**
+ * Parse the refund policy from env, format "hoursBefore:percent,..."
+ * Example: DEPOSIT_REFUND_POLICY=48:100,24:50
+ * @param {string} value - Raw env value
+ * @returns {Array|null} Tiers sorted by hoursBefore (largest first) or null if not set/invalid
+ */
+const parseRefundPolicy = (value) => {
+  if (!value) return null;
+
+  const tiers = value.split(',')
+    .map(tier => tier.split(':').map(part => parseInt(part)))
+    .filter(([hoursBefore, percent]) => !isNaN(hoursBefore) && !isNaN(percent))
+    .map(([hoursBefore, percent]) => ({ hoursBefore, percent: Math.min(Math.max(percent, 0), 100) }))
+    .sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+  return tiers.length > 0 ? tiers : null;
+};
+
+const depositConfig = {
+  // Không thu được tiền cọc khi chưa có cổng thanh toán
+  enabled: process.env.DEPOSIT_ENABLED !== 'false' && paymentConfig.provider !== 'none',
+
+  // Mỗi quy tắc áp dụng khi mọi điều kiện có khai báo đều thỏa:
+  //   minGuests - số khách tối thiểu
+  //   days      - thứ trong tuần (0 = Chủ nhật ... 6 = Thứ bảy)
+  //   fromTime / toTime - khung giờ đặt bàn (HH:MM)
+  // Số tiền: amount (cố định) hoặc amountPerGuest (theo đầu khách).
+  // Khi nhiều quy tắc cùng áp dụng, lấy số tiền cọc lớn nhất.
+  rules: parseRules(process.env.DEPOSIT_RULES) || [
+    { ten: 'nhom_lon', mo_ta: 'Nhóm từ 8 khách', minGuests: 8, amountPerGuest: 100000 },
+    { ten: 'toi_cuoi_tuan', mo_ta: 'Tối thứ Sáu, thứ Bảy', days: [5, 6], fromTime: '17:00', amountPerGuest: 50000 }
+  ],
+
+  // Thời gian khách phải thanh toán cọc trước khi đặt bàn tự hủy (phút)
+  paymentMinutes: parseInt(process.env.DEPOSIT_PAYMENT_MINUTES) || 30,
+
+  // Tỷ lệ hoàn cọc khi hủy: áp dụng mức đầu tiên mà số giờ còn lại trước giờ đặt >= hoursBefore,
+  // hủy sát giờ hơn mọi mức thì không hoàn
+  refundPolicy: parseRefundPolicy(process.env.DEPOSIT_REFUND_POLICY) || [
+    { hoursBefore: 48, percent: 100 },
+    { hoursBefore: 24, percent: 50 }
+  ],
+
+  // Chu kỳ quét tiền cọc quá hạn thanh toán (phút)
+  expiryIntervalMinutes: parseInt(process.env.DEPOSIT_EXPIRY_INTERVAL_MINUTES) || 1
+};
+
+module.exports = depositConfig;
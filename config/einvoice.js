@@ -0,0 +1,34 @@
+// E-invoice Configuration - Seller details and numbering of hóa đơn điện tử (Nghị định 123/2020, Thông tư 78/2021)
+require('dotenv').config();
+
+const einvoiceConfig = {
+  // Thông tin người bán in trên hóa đơn
+  seller: {
+    ten: process.env.EINVOICE_SELLER_NAME || 'Nhà hàng',
+    ma_so_thue: process.env.EINVOICE_SELLER_TAX_CODE || '0000000000',
+    dia_chi: process.env.EINVOICE_SELLER_ADDRESS || '',
+    dien_thoai: process.env.EINVOICE_SELLER_PHONE || '',
+    email: process.env.EINVOICE_SELLER_EMAIL || '',
+    so_tai_khoan: process.env.EINVOICE_SELLER_BANK_ACCOUNT || '',
+    ngan_hang: process.env.EINVOICE_SELLER_BANK_NAME || ''
+  },
+
+  // Ký hiệu mẫu số: 1 = hóa đơn giá trị gia tăng
+  templateCode: '1',
+
+  // Ký hiệu hóa đơn = chữ đầu + 2 số cuối của năm + 3 chữ cuối, vd C25TNH
+  // C = có mã của cơ quan thuế, K = không có mã; T = doanh nghiệp đăng ký với cơ quan thuế
+  seriesPrefix: process.env.EINVOICE_SERIES_PREFIX || 'C',
+  seriesSuffix: process.env.EINVOICE_SERIES_SUFFIX || 'TNH',
+
+  // Phiên bản định dạng XML của cơ quan thuế
+  version: '2.0.1',
+
+  // Hình thức thanh toán in trên hóa đơn
+  paymentMethod: 'TM/CK',
+
+  // Đơn vị tính của món ăn
+  unit: 'Phần'
+};
+
+module.exports = einvoiceConfig;
@@ -0,0 +1,38 @@
+// Guest Profile Configuration - Rules applied to new bookings from the guest's track record
+require('dotenv').config();
+
+/**
+ * Parse guest rules from env (JSON array with the same shape as the defaults)
+ * Example: GUEST_RULES=[{"ten":"khong_den","minNoShows":1,"action":"duyet_thu_cong"}]
+ * @param {string} value - Raw env value
+ * @returns {Array|null} Rules or null if not set/invalid
+ */
+const parseRules = (value) => {
+  if (!value) return null;
+
+  try {
+    const rules = JSON.parse(value);
+    return Array.isArray(rules) && rules.length > 0 ? rules : null;
+  } catch (error) {
+    console.warn('⚠️ GUEST_RULES không phải JSON hợp lệ, dùng quy tắc mặc định');
+    return null;
+  }
+};
+
+const guestProfileConfig = {
+  // Mỗi quy tắc áp dụng khi mọi điều kiện có khai báo đều thỏa:
+  //   minNoShows        - số lần không đến tối thiểu
+  //   minCancellations  - số lần hủy tối thiểu
+  // action:
+  //   dat_coc        - bắt buộc đặt cọc (amount hoặc amountPerGuest, như config/deposit.js)
+  //   duyet_thu_cong - đặt bàn được đánh dấu cần nhà hàng duyệt
+  rules: parseRules(process.env.GUEST_RULES) || [
+    { ten: 'khong_den_2_lan', mo_ta: 'Đã không đến từ 2 lần', minNoShows: 2, action: 'dat_coc', amountPerGuest: 100000 },
+    { ten: 'khong_den_3_lan', mo_ta: 'Đã không đến từ 3 lần', minNoShows: 3, action: 'duyet_thu_cong' }
+  ],
+
+  // Khách VIP không bị áp dụng các quy tắc trên
+  vipExempt: process.env.GUEST_RULES_VIP_EXEMPT !== 'false'
+};
+
+module.exports = guestProfileConfig;
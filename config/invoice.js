@@ -0,0 +1,47 @@
+// Invoice Configuration - Orders, VAT and service charge
+require('dotenv').config();
+
+const parseRate = (value, fallback) => {
+  const rate = parseFloat(value);
+  return isNaN(rate) ? fallback : rate;
+};
+
+const invoiceConfig = {
+  // Thuế GTGT mặc định cho dịch vụ ăn uống (%), dùng khi món và loại món không đặt thuế suất riêng
+  vatRate: parseRate(process.env.INVOICE_VAT_RATE, 10),
+
+  // Các thuế suất GTGT được phép đặt cho món hoặc loại món (%)
+  vatRates: [0, 5, 8, 10],
+
+  // Thuế suất GTGT của phí giao hàng (phí giao hàng đã gồm thuế)
+  deliveryVatRate: parseRate(process.env.INVOICE_DELIVERY_VAT_RATE, 10),
+
+  // Phí phục vụ (%), 0 là không thu
+  serviceChargeRate: parseRate(process.env.INVOICE_SERVICE_CHARGE_RATE, 0),
+
+  // Loại đơn có thu phí phục vụ, mặc định chỉ đơn ăn tại bàn
+  serviceChargeOrderTypes: (process.env.INVOICE_SERVICE_CHARGE_ORDER_TYPES || 'tai_ban')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean),
+
+  // Mức giảm giá tối đa nhân viên được áp dụng khi lập hóa đơn (% tạm tính)
+  maxDiscountPercent: parseRate(process.env.INVOICE_MAX_DISCOUNT_PERCENT, 100),
+
+  // Tiền tố số hóa đơn, số hóa đơn = tiền tố + năm + số thứ tự
+  numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'HD',
+
+  // Số lượng tối đa của một dòng món
+  maxLineQuantity: 99,
+
+  // Số hóa đơn con tối đa khi tách một hóa đơn
+  splitMaxParts: 20,
+
+  // Số đơn tối đa gộp vào một đơn trong một lần
+  mergeMaxOrders: 10,
+
+  // Hình thức thanh toán tại quầy
+  paymentMethods: ['tien_mat', 'the', 'chuyen_khoan', 'vi_dien_tu']
+};
+
+module.exports = invoiceConfig;
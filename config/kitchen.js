@@ -0,0 +1,27 @@
+// Kitchen Configuration - Kitchen display stations and ticket routing
+require('dotenv').config();
+
+const kitchenConfig = {
+  // Trạm bếp mặc định, luôn được tạo khi khởi động (mã không đổi, tên có thể sửa)
+  stations: [
+    { ma: 'bep_nuong', ten: 'Bếp nướng', thu_tu: 1 },
+    { ma: 'bep_lau', ten: 'Bếp lẩu', thu_tu: 2 },
+    { ma: 'quay_do_uong', ten: 'Quầy đồ uống', thu_tu: 3 },
+    { ma: 'trang_mieng', ten: 'Tráng miệng', thu_tu: 4 },
+    { ma: 'bep_chung', ten: 'Bếp chung', thu_tu: 5 }
+  ],
+
+  // Trạm nhận các món chưa được gán trạm (theo món hoặc theo loại món)
+  defaultStation: 'bep_chung',
+
+  // Khóa truy cập của màn hình bếp (?token= hoặc Bearer); để trống để tắt luồng thời gian thực
+  displayToken: process.env.KITCHEN_DISPLAY_TOKEN || null,
+
+  // Phiếu chờ quá số phút này được đánh dấu trễ trên màn hình bếp
+  lateMinutes: parseInt(process.env.KITCHEN_LATE_MINUTES) || 15,
+
+  // Khoảng thời gian mặc định của thống kê thời gian chế biến (ngày)
+  prepTimeDays: 30
+};
+
+module.exports = kitchenConfig;
@@ -44,13 +44,33 @@ const upload = multer({
   }
 });
 
+// CSV uploads (bulk reservation import) are parsed in memory, never written to disk
+const csvFileFilter = (req, file, cb) => {
+  const allowedTypes = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+
+  if (allowedTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+    cb(null, true);
+  } else {
+    cb(new Error('Chỉ chấp nhận file CSV'), false);
+  }
+};
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1
+  }
+});
+
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         error: 'File quá lớn',
-        message: 'Kích thước file không được vượt quá 5MB'
+        message: `Kích thước file không được vượt quá ${err.field === 'file' ? '2MB' : '5MB'}`
       });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
@@ -61,7 +81,7 @@ const handleMulterError = (err, req, res, next) => {
     }
   }
   
-  if (err.message.includes('Chỉ chấp nhận file hình ảnh')) {
+  if (err.message.includes('Chỉ chấp nhận file hình ảnh') || err.message.includes('Chỉ chấp nhận file CSV')) {
     return res.status(400).json({
       error: 'Định dạng file không hợp lệ',
       message: err.message
@@ -73,6 +93,7 @@ const handleMulterError = (err, req, res, next) => {
 
 module.exports = {
   upload,
+  csvUpload,
   handleMulterError,
   uploadDir
 };
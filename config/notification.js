@@ -0,0 +1,39 @@
+// Notification Configuration - Channels, templates and reminder schedule
+require('dotenv').config();
+
+const notificationConfig = {
+  // Kênh gửi thông báo đang bật, ví dụ NOTIFICATION_CHANNELS=email,sms
+  channels: (process.env.NOTIFICATION_CHANNELS || 'email,sms')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(Boolean),
+
+  restaurantName: process.env.RESTAURANT_NAME || 'Nhà hàng',
+
+  // Trang quản lý đặt bàn của khách, token được nối vào ?token=
+  manageUrl: process.env.RESERVATION_MANAGE_URL || null,
+
+  email: {
+    // Mặc định gửi tới SMTP catch-all cục bộ (MailHog / Mailpit)
+    host: process.env.SMTP_HOST || '127.0.0.1',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.SMTP_FROM || 'Nhà hàng <no-reply@nhahang.local>'
+  },
+
+  sms: {
+    // console = in ra log, file = ghi vào file (mỗi tin một dòng JSON)
+    provider: process.env.SMS_PROVIDER || 'console',
+    filePath: process.env.SMS_FILE_PATH || 'logs/sms.log'
+  },
+
+  // Gửi nhắc lịch trước giờ đặt bàn bao nhiêu giờ
+  reminderHoursBefore: parseInt(process.env.NOTIFICATION_REMINDER_HOURS) || 3,
+
+  // Chu kỳ quét đặt bàn cần nhắc lịch (phút)
+  reminderIntervalMinutes: parseInt(process.env.NOTIFICATION_REMINDER_INTERVAL_MINUTES) || 5
+};
+
+module.exports = notificationConfig;
@@ -0,0 +1,57 @@
+// Payment Configuration - Online payment gateway for invoices and reservation deposits
+require('dotenv').config();
+
+const baseUrl = `http://localhost:${process.env.PORT || 3000}/api`;
+
+// Cổng giả lập cho phép bất kỳ ai đánh dấu đã thanh toán, nên chỉ dùng khi
+// được chọn rõ ràng và không chạy ở production
+const TEST_PROVIDERS = ['simulator', 'mock'];
+const provider = process.env.PAYMENT_PROVIDER || 'none';
+const testProvider = TEST_PROVIDERS.includes(provider) && process.env.NODE_ENV !== 'production';
+
+const returnUrl = process.env.PAYMENT_RETURN_URL || `${baseUrl}/payments/return`;
+
+const paymentConfig = {
+  // none      = chưa có cổng thanh toán: không tạo được link thanh toán, không thu tiền cọc
+  // simulator = cổng giả lập kiểu VNPay/MoMo (chuyển hướng + IPN có chữ ký)
+  // mock      = cổng giả lập đơn giản của tiền cọc (/api/deposits/mock)
+  provider: TEST_PROVIDERS.includes(provider) && !testProvider ? 'none' : provider,
+
+  // Cổng giả lập đang bật (simulator hoặc mock), null khi không có; các trang thanh toán
+  // giả lập chỉ được mount khi có giá trị này
+  testProvider: testProvider ? provider : null,
+
+  // Thời hạn của một link thanh toán hóa đơn (phút)
+  expiryMinutes: parseInt(process.env.PAYMENT_EXPIRY_MINUTES) || 15,
+
+  // Trang khách được chuyển về sau khi thanh toán, khi yêu cầu không gửi url_tra_ve
+  returnUrl,
+
+  // Origin của các trang front-end được phép làm url_tra_ve (cách nhau bởi dấu phẩy),
+  // luôn gồm origin của returnUrl; url_tra_ve ngoài danh sách bị từ chối
+  returnOrigins: [
+    new URL(returnUrl).origin,
+    ...(process.env.PAYMENT_RETURN_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean)
+      .map(origin => new URL(origin).origin)
+  ],
+
+  mock: {
+    // Khóa ký callback của cổng giả lập
+    secret: process.env.PAYMENT_MOCK_SECRET || 'mock-payment-secret-change-in-production',
+    // Trang thanh toán giả lập, mã giao dịch được nối vào cuối
+    payUrl: process.env.PAYMENT_MOCK_PAY_URL || `${baseUrl}/deposits/mock`
+  },
+
+  simulator: {
+    // Mã merchant và khóa bí mật dùng chung với cổng, như vnp_TmnCode / vnp_HashSecret
+    merchantCode: process.env.PAYMENT_SIMULATOR_MERCHANT || 'NHAHANG01',
+    secret: process.env.PAYMENT_SIMULATOR_SECRET || 'simulator-payment-secret-change-in-production',
+    // Trang thanh toán của cổng giả lập
+    payUrl: process.env.PAYMENT_SIMULATOR_PAY_URL || `${baseUrl}/payments/simulator/pay`
+  }
+};
+
+module.exports = paymentConfig;
@@ -0,0 +1,21 @@
+// Promotion Configuration - Campaigns, vouchers and their limits
+require('dotenv').config();
+
+const promotionConfig = {
+  // Độ dài tối đa của mã khuyến mãi
+  codeMaxLength: 30,
+
+  // Số mã khuyến mãi tối đa khách nhập cho một đơn
+  maxCodesPerOrder: parseInt(process.env.PROMOTION_MAX_CODES_PER_ORDER) || 3,
+
+  // Số món hoặc loại món tối đa trong phạm vi một khuyến mãi
+  maxScopeItems: 100,
+
+  // Kiểu khuyến mãi: giảm theo %, giảm số tiền cố định, mua X tặng/giảm Y
+  kinds: ['phan_tram', 'so_tien', 'mua_x_tang_y'],
+
+  // Phạm vi áp dụng: cả đơn, theo loại món, theo món
+  scopes: ['don_hang', 'loai_mon', 'mon']
+};
+
+module.exports = promotionConfig;
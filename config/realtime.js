@@ -0,0 +1,24 @@
+// Realtime Configuration - Live reservation board over Server-Sent Events
+require('dotenv').config();
+
+const realtimeConfig = {
+  // Khóa truy cập của máy tính bảng / màn hình quầy lễ tân (?token= hoặc Bearer); để trống để tắt
+  boardToken: process.env.REALTIME_BOARD_TOKEN || null,
+
+  // Chu kỳ gửi tín hiệu giữ kết nối, tránh proxy đóng kết nối rảnh (giây)
+  heartbeatSeconds: parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25,
+
+  // Thời gian trình duyệt chờ trước khi tự kết nối lại (ms)
+  retryMs: 5000,
+
+  // Số kết nối đồng thời tối đa
+  maxClients: parseInt(process.env.REALTIME_MAX_CLIENTS) || 100,
+
+  // Số sự kiện gần nhất được giữ lại để gửi bù khi kết nối lại (Last-Event-ID)
+  replayEvents: 200,
+
+  // Số ngày tối đa của một lần đăng ký
+  maxDates: 7
+};
+
+module.exports = realtimeConfig;
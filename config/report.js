@@ -0,0 +1,41 @@
+// Report Configuration - Reservation reports and the daily host sheet
+require('dotenv').config();
+
+const reportConfig = {
+  // Khoảng ngày tối đa của một báo cáo
+  maxRangeDays: parseInt(process.env.REPORT_MAX_RANGE_DAYS) || 366,
+
+  // Khoảng ngày mặc định khi không truyền from/to (tính lùi từ hôm nay)
+  defaultRangeDays: 30,
+
+  // Số ngày lịch sử dùng để ước tính tỷ lệ không đến khi dự báo số khách
+  forecastHistoryDays: parseInt(process.env.REPORT_FORECAST_HISTORY_DAYS) || 90,
+
+  // Trạng thái được tính là khách sẽ đến / đã đến
+  coverStatuses: ['cho_thanh_toan', 'cho_xac_nhan', 'da_xac_nhan', 'da_den', 'hoan_thanh'],
+
+  // Trạng thái đã kết thúc, dùng để tính tỷ lệ không đến và hủy
+  closedStatuses: ['hoan_thanh', 'khong_den', 'da_huy'],
+
+  // Nhóm thời gian đặt trước (số ngày giữa lúc đặt và ngày đến), max = null là không giới hạn
+  leadTimeBuckets: [
+    { ten: 'Trong ngày', max: 0 },
+    { ten: '1 ngày', max: 1 },
+    { ten: '2-3 ngày', max: 3 },
+    { ten: '4-7 ngày', max: 7 },
+    { ten: '8-14 ngày', max: 14 },
+    { ten: '15-30 ngày', max: 30 },
+    { ten: 'Trên 30 ngày', max: null }
+  ],
+
+  // Nhóm số khách mỗi đặt bàn
+  partySizeBuckets: [
+    { ten: '1-2 khách', max: 2 },
+    { ten: '3-4 khách', max: 4 },
+    { ten: '5-6 khách', max: 6 },
+    { ten: '7-8 khách', max: 8 },
+    { ten: 'Từ 9 khách', max: null }
+  ]
+};
+
+module.exports = reportConfig;
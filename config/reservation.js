@@ -0,0 +1,97 @@
+// Reservation Configuration - Table allocation & seating rules
+require('dotenv').config();
+
+/**
+ * Parse seating duration rules from env, format "maxGuests:minutes,..."
+ * Example: RESERVATION_DURATION_RULES=2:90,4:120,8:150,20:180
+ * @param {string} value - Raw env value
+ * @returns {Array|null} Rules sorted by maxGuests or null if not set/invalid
+ */
+const parseDurationRules = (value) => {
+  if (!value) return null;
+
+  const rules = value.split(',')
+    .map(rule => rule.split(':').map(part => parseInt(part)))
+    .filter(([maxGuests, minutes]) => !isNaN(maxGuests) && !isNaN(minutes))
+    .map(([maxGuests, minutes]) => ({ maxGuests, minutes }))
+    .sort((a, b) => a.maxGuests - b.maxGuests);
+
+  return rules.length > 0 ? rules : null;
+};
+
+const reservationConfig = {
+  // Thời gian mặc định một lượt khách ngồi bàn (phút)
+  defaultDurationMinutes: parseInt(process.env.RESERVATION_DURATION_MINUTES) || 120,
+
+  // Thời gian ngồi theo số khách: áp dụng quy tắc đầu tiên có so_luong_khach <= maxGuests
+  durationRules: parseDurationRules(process.env.RESERVATION_DURATION_RULES) || [
+    { maxGuests: 2, minutes: 90 },
+    { maxGuests: 4, minutes: 105 },
+    { maxGuests: 8, minutes: 120 },
+    { maxGuests: 20, minutes: 150 }
+  ],
+
+  // Giới hạn thời gian ngồi khi nhân viên nhập tay (phút)
+  minDurationMinutes: 30,
+  maxDurationMinutes: 360,
+
+  // Số ngày tối đa được đặt trước
+  bookingHorizonDays: parseInt(process.env.RESERVATION_HORIZON_DAYS) || 30,
+
+  // Khoảng cách giữa các khung giờ gợi ý (phút)
+  slotIntervalMinutes: parseInt(process.env.RESERVATION_SLOT_INTERVAL_MINUTES) || 30,
+
+  // Số khung giờ gợi ý tối đa khi khung giờ được chọn đã kín
+  maxRecommendedTimes: 5,
+
+  // Số bàn tối đa được ghép cho một đặt bàn
+  maxCombinedTables: parseInt(process.env.RESERVATION_MAX_COMBINED_TABLES) || 3,
+
+  // Trạng thái đặt bàn đang giữ bàn
+  activeStatuses: ['cho_thanh_toan', 'cho_xac_nhan', 'da_xac_nhan', 'da_den'],
+
+  // Trạng thái đặt bàn phải được xếp bàn cụ thể
+  assignedStatuses: ['da_xac_nhan', 'da_den'],
+
+  // Trạng thái khách còn được tự đổi lịch qua liên kết quản lý
+  guestEditableStatuses: ['cho_xac_nhan', 'da_xac_nhan'],
+
+  // Thời gian giữ chỗ cho khách trong danh sách chờ khi có bàn trống (phút)
+  waitlistHoldMinutes: parseInt(process.env.WAITLIST_HOLD_MINUTES) || 15,
+
+  // Khóa truy cập lịch iCal cho nhân viên (?token= hoặc Bearer); để trống để tắt
+  calendarFeedToken: process.env.CALENDAR_FEED_TOKEN || null,
+
+  // Trạng thái đặt bàn hiển thị trên lịch iCal (đặt bàn đã xác nhận)
+  calendarFeedStatuses: ['da_xac_nhan', 'da_den', 'hoan_thanh'],
+
+  // Số ngày tối đa của một lần lấy lịch iCal
+  calendarFeedMaxDays: 92,
+
+  // Số khách tối đa của một đặt bàn thường / đặt bàn nhóm (sự kiện, tiệc công ty)
+  maxGuests: 20,
+  groupMaxGuests: parseInt(process.env.RESERVATION_GROUP_MAX_GUESTS) || 200,
+
+  // Đặt bàn định kỳ: tần suất hỗ trợ, số lần tối đa của một chuỗi và số ngày đặt trước tối đa
+  seriesFrequencies: ['hang_tuan', 'hai_tuan', 'hang_thang'],
+  seriesMaxOccurrences: parseInt(process.env.RESERVATION_SERIES_MAX_OCCURRENCES) || 52,
+  seriesHorizonDays: parseInt(process.env.RESERVATION_SERIES_HORIZON_DAYS) || 365,
+
+  // Món đặt trước kèm đặt bàn: số dòng món và số lượng tối đa mỗi dòng
+  preOrderMaxLines: 20,
+  preOrderMaxQuantity: 50,
+
+  // Trạng thái đặt bàn mà bếp cần chuẩn bị món đặt trước
+  preOrderKitchenStatuses: ['cho_thanh_toan', 'cho_xac_nhan', 'da_xac_nhan', 'da_den'],
+
+  // Nhập đặt bàn từ CSV: số dòng tối đa mỗi file, số ngày đặt trước tối đa
+  // và trạng thái được phép nhập (đặt bàn từ trang khác thường đã xác nhận)
+  importMaxRows: parseInt(process.env.RESERVATION_IMPORT_MAX_ROWS) || 1000,
+  importHorizonDays: 365,
+  importStatuses: ['cho_xac_nhan', 'da_xac_nhan'],
+
+  // Số dòng tối đa của một lần xuất CSV
+  exportMaxRows: parseInt(process.env.RESERVATION_EXPORT_MAX_ROWS) || 10000
+};
+
+module.exports = reservationConfig;
@@ -0,0 +1,25 @@
+// Staff Configuration - API keys of staff members and back-office tools
+require('dotenv').config();
+
+/**
+ * Parse STAFF_API_KEYS ("ten:khoa,ten:khoa"). Entries without a name or a key are skipped.
+ * @param {string} value - Raw environment value
+ * @returns {Array<Object>} [{ ten, khoa }]
+ */
+const parseApiKeys = (value) => (value || '')
+  .split(',')
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator === -1) return null;
+    const ten = entry.slice(0, separator).trim();
+    const khoa = entry.slice(separator + 1).trim();
+    return ten && khoa ? { ten, khoa } : null;
+  })
+  .filter(Boolean);
+
+const staffConfig = {
+  // Khóa của từng nhân viên (Bearer), tên được ghi vào lịch sử thao tác; để trống để khóa các API nhân viên
+  apiKeys: parseApiKeys(process.env.STAFF_API_KEYS)
+};
+
+module.exports = staffConfig;
@@ -49,6 +49,11 @@ const swaggerDefinition = {
         scheme: 'bearer',
         bearerFormat: 'JWT',
         description: 'JWT Authorization header using the Bearer scheme'
+      },
+      staffAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Staff API key (STAFF_API_KEYS) using the Bearer scheme'
       }
     },
     schemas: {
@@ -457,10 +462,54 @@ const swaggerDefinition = {
           },
           trang_thai: {
             type: 'string',
-            enum: ['cho_xac_nhan', 'da_xac_nhan', 'da_huy'],
+            enum: ['cho_thanh_toan', 'cho_xac_nhan', 'da_xac_nhan', 'da_den', 'hoan_thanh', 'khong_den', 'da_huy'],
             description: 'Trạng thái đặt bàn',
             example: 'cho_xac_nhan'
           },
+          id_khachhang: {
+            type: 'integer',
+            nullable: true,
+            description: 'Tài khoản khách hàng sở hữu đặt bàn (gắn khi đặt bằng bearer token hoặc khi đăng ký bằng cùng số điện thoại)',
+            example: 12
+          },
+          loai: {
+            type: 'string',
+            enum: ['le', 'nhom'],
+            description: 'Đặt bàn lẻ hoặc đặt bàn nhóm (quản lý qua /datban/groups)',
+            example: 'le'
+          },
+          ten_su_kien: {
+            type: 'string',
+            nullable: true,
+            description: 'Tên sự kiện của đặt bàn nhóm'
+          },
+          id_thuc_don: {
+            type: 'integer',
+            nullable: true,
+            description: 'Set menu đã chọn'
+          },
+          so_suat: {
+            type: 'integer',
+            nullable: true,
+            description: 'Số suất set menu'
+          },
+          id_chuoi: {
+            type: 'integer',
+            nullable: true,
+            description: 'Chuỗi đặt bàn định kỳ mà lần đặt này thuộc về'
+          },
+          mon_dat_truoc: {
+            type: 'array',
+            description: 'Món đặt trước khi tạo đặt bàn (kiểm tra tồn kho, giá lấy theo thực đơn); xem /pre-orders',
+            items: {
+              type: 'object',
+              properties: {
+                id_mon: { type: 'integer', example: 5 },
+                so_luong: { type: 'integer', example: 2 },
+                ghi_chu: { type: 'string', example: 'Ít cay' }
+              }
+            }
+          },
           created_at: {
             type: 'string',
             format: 'date-time',
@@ -0,0 +1,24 @@
+// Table Order Configuration - QR-code ordering from the guest's phone
+require('dotenv').config();
+
+const tableOrderConfig = {
+  // Trang gọi món trên điện thoại, mã QR trỏ tới `${publicUrl}/${token}`
+  publicUrl: process.env.TABLE_ORDER_URL || `http://localhost:${process.env.PORT || 3000}/goi-mon`,
+
+  // Số món tối đa trong một lần gửi giỏ hàng
+  maxCartLines: 30,
+
+  // Giới hạn gửi giỏ hàng cho mỗi bàn từ mỗi điện thoại
+  cartLimit: {
+    windowMinutes: 5,
+    max: parseInt(process.env.TABLE_ORDER_CART_LIMIT) || 10
+  },
+
+  // Giới hạn gọi nhân viên / yêu cầu thanh toán cho mỗi bàn từ mỗi điện thoại
+  requestLimit: {
+    windowMinutes: 5,
+    max: parseInt(process.env.TABLE_ORDER_REQUEST_LIMIT) || 5
+  }
+};
+
+module.exports = tableOrderConfig;
@@ -1,6 +1,6 @@
 // Category Controller - Business Logic Layer
 const CategoryModel = require('../models/CategoryModel');
-const { formatFoodItem, buildPagination } = require('../utils/helpers');
+const { formatFoodItem, buildPagination, parseVatRate } = require('../utils/helpers');
 const { catchAsync } = require('../middleware/errorHandler');
 const { logApiResponse } = require('../utils/logger');
 
@@ -81,11 +81,12 @@ class CategoryController {
    * Create new category
    */
   static createCategory = catchAsync(async (req, res) => {
-    const { ten_loai, mo_ta } = req.body;
+    const { ten_loai, mo_ta, thue_vat } = req.body;
     
     const categoryData = {
       ten_loai: ten_loai.trim(),
-      mo_ta: mo_ta ? mo_ta.trim() : null
+      mo_ta: mo_ta ? mo_ta.trim() : null,
+      thue_vat: parseVatRate(thue_vat)
     };
 
     const createdCategory = await CategoryModel.create(categoryData);
@@ -105,12 +106,13 @@ class CategoryController {
    */
   static updateCategory = catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { ten_loai, mo_ta } = req.body;
+    const { ten_loai, mo_ta, thue_vat } = req.body;
 
     const updateData = {};
     
     if (ten_loai !== undefined) updateData.ten_loai = ten_loai.trim();
     if (mo_ta !== undefined) updateData.mo_ta = mo_ta ? mo_ta.trim() : null;
+    if (thue_vat !== undefined) updateData.thue_vat = parseVatRate(thue_vat);
 
     const updatedCategory = await CategoryModel.update(parseInt(id), updateData);
 
@@ -0,0 +1,65 @@
+// Delivery Zone Controller - Zones, fees and minimum orders of delivery
+const DeliveryService = require('../services/DeliveryService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+
+class DeliveryZoneController {
+  /**
+   * List zones in matching order (?trang_thai=active)
+   */
+  static getAll = catchAsync(async (req, res) => {
+    const zones = await DeliveryService.getZones({ trang_thai: req.query.trang_thai });
+
+    const response = {
+      success: true,
+      data: zones,
+      count: zones.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Get a zone
+   */
+  static getById = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await DeliveryService.getZone(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Add a zone
+   */
+  static create = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Tạo khu vực giao hàng thành công',
+      data: await DeliveryService.createZone(req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Change a zone, or switch it off
+   */
+  static update = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Cập nhật khu vực giao hàng thành công',
+      data: await DeliveryService.updateZone(parseInt(req.params.id), req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = DeliveryZoneController;
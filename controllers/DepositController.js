@@ -0,0 +1,148 @@
+// Deposit Controller - Deposit quotes, payment callbacks and refunds
+const DepositService = require('../services/DepositService');
+const ReservationService = require('../services/ReservationService');
+const DepositModel = require('../models/DepositModel');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+
+// Escape text placed in the mock payment page
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class DepositController {
+  /**
+   * Deposit and refund policy for a prospective booking
+   */
+  static quote = catchAsync(async (req, res) => {
+    const { ngay, gio, so_luong_khach, sdt } = req.query;
+
+    const response = {
+      success: true,
+      data: await DepositService.quote({ ngay, gio, so_luong_khach, sdt })
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Deposit of a reservation with the refund due if it were cancelled now
+   */
+  static getByReservation = catchAsync(async (req, res) => {
+    const reservation = await ReservationService.loadSnapshot(parseInt(req.params.id));
+    if (!reservation) {
+      throw new AppError('Không tìm thấy đặt bàn', 404, 'RESERVATION_NOT_FOUND');
+    }
+
+    const response = {
+      success: true,
+      data: await DepositService.getForReservation(reservation)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Signed payment result sent by the payment provider
+   */
+  static callback = catchAsync(async (req, res) => {
+    const { deposit, reservation } = await DepositService.handleCallback(req.body);
+
+    const response = {
+      success: true,
+      data: {
+        dat_coc: deposit,
+        trang_thai_dat_ban: reservation ? reservation.trang_thai : null
+      }
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Payment page of the local mock gateway
+   */
+  static mockPage = catchAsync(async (req, res) => {
+    const deposit = await DepositModel.getByReference(req.params.reference);
+    if (!deposit) {
+      throw new AppError('Không tìm thấy giao dịch đặt cọc', 404, 'DEPOSIT_NOT_FOUND');
+    }
+
+    const action = `${req.baseUrl}/mock/${escapeHtml(deposit.ma_giao_dich)}`;
+    const amount = `${Number(deposit.so_tien).toLocaleString('vi-VN')}đ`;
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="vi">
+<head><meta charset="utf-8"><title>Cổng thanh toán giả lập</title></head>
+<body>
+  <h1>Cổng thanh toán giả lập</h1>
+  <p>Đặt cọc đặt bàn #${deposit.id_datban}: <strong>${amount}</strong></p>
+  <p>Trạng thái: ${escapeHtml(deposit.trang_thai)}</p>
+  <form method="post" action="${action}"><input type="hidden" name="thanh_cong" value="true"><button type="submit">Thanh toán</button></form>
+  <form method="post" action="${action}"><input type="hidden" name="thanh_cong" value="false"><button type="submit">Hủy thanh toán</button></form>
+</body>
+</html>`);
+  });
+
+  /**
+   * Complete or fail a payment on the local mock gateway
+   */
+  static mockPay = catchAsync(async (req, res) => {
+    const success = req.body.thanh_cong !== false && req.body.thanh_cong !== 'false';
+    const { deposit, reservation } = await DepositService.simulatePayment(req.params.reference, success);
+
+    const response = {
+      success: true,
+      message: deposit.trang_thai === 'da_thanh_toan' ? 'Thanh toán tiền cọc thành công' : 'Thanh toán tiền cọc không thành công',
+      data: {
+        dat_coc: deposit,
+        trang_thai_dat_ban: reservation ? reservation.trang_thai : null
+      }
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Refund a deposit on staff request (retry or goodwill refund)
+   */
+  static refund = catchAsync(async (req, res) => {
+    const percent = req.body.ty_le_hoan !== undefined ? parseInt(req.body.ty_le_hoan) : undefined;
+    const deposit = await DepositService.refundById(parseInt(req.params.id), percent);
+
+    const response = {
+      success: true,
+      message: deposit.trang_thai === 'da_hoan'
+        ? `Đã hoàn ${Number(deposit.so_tien_hoan).toLocaleString('vi-VN')}đ tiền cọc`
+        : 'Tiền cọc không được hoàn',
+      data: deposit
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Cancel reservations whose deposit is overdue (for an external cron on serverless deployments)
+   */
+  static runExpiry = catchAsync(async (req, res) => {
+    const result = await DepositService.expireUnpaid();
+
+    const response = {
+      success: true,
+      message: `Đã hủy ${result.expired} đặt bàn quá hạn thanh toán cọc`,
+      data: result
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = DepositController;
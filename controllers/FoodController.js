@@ -1,6 +1,6 @@
 // Food Controller - Business Logic Layer
 const FoodModel = require('../models/FoodModel');
-const { formatFoodItem, buildPagination, formatPrice } = require('../utils/helpers');
+const { formatFoodItem, buildPagination, formatPrice, parseVatRate } = require('../utils/helpers');
 const { catchAsync } = require('../middleware/errorHandler');
 const { logApiResponse } = require('../utils/logger');
 
@@ -97,7 +97,7 @@ class FoodController {
    * Create new food item
    */
   static createFood = catchAsync(async (req, res) => {
-    const { id_loai, ten_mon, mo_ta, gia, so_luong } = req.body;
+    const { id_loai, ten_mon, mo_ta, gia, so_luong, thue_vat } = req.body;
     
     const foodData = {
       id_loai: parseInt(id_loai),
@@ -105,6 +105,7 @@ class FoodController {
       mo_ta: mo_ta ? mo_ta.trim() : null,
       gia: parseFloat(gia),
       so_luong: so_luong ? parseInt(so_luong) : 0,
+      thue_vat: parseVatRate(thue_vat),
       hinh_anh: req.file ? req.file.filename : null
     };
 
@@ -126,7 +127,7 @@ class FoodController {
    */
   static updateFood = catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { id_loai, ten_mon, mo_ta, gia, so_luong } = req.body;
+    const { id_loai, ten_mon, mo_ta, gia, so_luong, thue_vat } = req.body;
 
     const updateData = {};
     
@@ -135,6 +136,7 @@ class FoodController {
     if (mo_ta !== undefined) updateData.mo_ta = mo_ta ? mo_ta.trim() : null;
     if (gia !== undefined) updateData.gia = parseFloat(gia);
     if (so_luong !== undefined) updateData.so_luong = parseInt(so_luong);
+    if (thue_vat !== undefined) updateData.thue_vat = parseVatRate(thue_vat);
     if (req.file) updateData.hinh_anh = req.file.filename;
 
     const updatedFood = await FoodModel.update(parseInt(id), updateData);
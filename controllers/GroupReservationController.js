@@ -0,0 +1,75 @@
+// Group Reservation Controller - Event bookings over several tables with a set menu
+const GroupReservationService = require('../services/GroupReservationService');
+const DepositService = require('../services/DepositService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { requestOrigin } = require('../utils/requestActor');
+
+class GroupReservationController {
+  /**
+   * Create a group booking; its tables are reserved as one unit
+   */
+  static create = catchAsync(async (req, res) => {
+    const group = await GroupReservationService.create(req.body, requestOrigin(req));
+    const deposit = await DepositService.requestPayment(group);
+
+    const response = {
+      success: true,
+      message: deposit
+        ? `Đặt bàn nhóm cần đặt cọc ${Number(deposit.so_tien).toLocaleString('vi-VN')}đ để giữ bàn`
+        : `Đã giữ ${group.ban.length} bàn cho đặt bàn nhóm`,
+      data: group,
+      dat_coc: deposit
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Get a group booking with its tables and set menu
+   */
+  static getById = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await GroupReservationService.get(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Change details, tables or set menu of a group booking together
+   */
+  static update = catchAsync(async (req, res) => {
+    const group = await GroupReservationService.update(parseInt(req.params.id), req.body, requestOrigin(req));
+
+    const response = {
+      success: true,
+      message: 'Cập nhật đặt bàn nhóm thành công',
+      data: group
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Cancel a group booking and release all its tables
+   */
+  static cancel = catchAsync(async (req, res) => {
+    const group = await GroupReservationService.cancel(parseInt(req.params.id), requestOrigin(req), req.body.ly_do || null);
+
+    const response = {
+      success: true,
+      message: 'Đã hủy đặt bàn nhóm',
+      data: group
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = GroupReservationController;
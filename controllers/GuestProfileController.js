@@ -0,0 +1,67 @@
+// Guest Profile Controller - Guest track record and staff notes
+const GuestProfileService = require('../services/GuestProfileService');
+const GuestProfileModel = require('../models/GuestProfileModel');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+
+class GuestProfileController {
+  /**
+   * List guests with their booking statistics
+   */
+  static getAll = catchAsync(async (req, res) => {
+    const { search, vip, min_khong_den, limit } = req.query;
+
+    const profiles = await GuestProfileService.getAll({
+      search,
+      vip: vip !== undefined ? (vip === 'true' ? 1 : 0) : undefined,
+      min_khong_den: min_khong_den ? parseInt(min_khong_den) : undefined,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    const response = {
+      success: true,
+      data: profiles,
+      total: profiles.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Profile of one guest with their recent bookings
+   */
+  static getByPhone = catchAsync(async (req, res) => {
+    const profile = await GuestProfileService.getProfile(req.params.phone);
+
+    const response = {
+      success: true,
+      data: {
+        ...profile,
+        dat_ban_gan_day: await GuestProfileModel.getRecentReservations(profile.sdt)
+      }
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Update staff notes (allergies, VIP, free text)
+   */
+  static update = catchAsync(async (req, res) => {
+    const { ten_khach, vip, di_ung, ghi_chu } = req.body;
+    const profile = await GuestProfileService.update(req.params.phone, { ten_khach, vip, di_ung, ghi_chu });
+
+    const response = {
+      success: true,
+      message: 'Cập nhật hồ sơ khách thành công',
+      data: profile
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = GuestProfileController;
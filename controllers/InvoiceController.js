@@ -0,0 +1,156 @@
+// Invoice Controller - Invoices issued when orders are closed
+const InvoiceModel = require('../models/InvoiceModel');
+const InvoiceService = require('../services/InvoiceService');
+const { buildPagination } = require('../utils/helpers');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { requestOrigin } = require('../utils/requestActor');
+
+class InvoiceController {
+  /**
+   * List invoices with filtering and pagination
+   */
+  static getAll = catchAsync(async (req, res) => {
+    const { trang_thai, from, to, limit = 50, offset = 0 } = req.query;
+
+    const pagination = {
+      limit: Math.min(parseInt(limit), 100),
+      offset: parseInt(offset)
+    };
+    const { data, total } = await InvoiceModel.getAll({ trang_thai, from, to }, pagination);
+
+    const response = {
+      success: true,
+      data,
+      pagination: buildPagination(total, pagination.limit, pagination.offset)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Get an invoice with its lines
+   */
+  static getById = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await InvoiceService.get(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Split an unpaid invoice into child invoices
+   */
+  static split = catchAsync(async (req, res) => {
+    const children = await InvoiceService.split(parseInt(req.params.id), req.body, requestOrigin(req));
+
+    const response = {
+      success: true,
+      message: `Đã tách thành ${children.length} hóa đơn`,
+      data: children,
+      count: children.length
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Record a (partial) payment
+   */
+  static addPayment = catchAsync(async (req, res) => {
+    const invoice = await InvoiceService.addPayment(parseInt(req.params.id), req.body, requestOrigin(req));
+
+    const response = {
+      success: true,
+      message: invoice.con_lai > 0
+        ? `Đã thu, còn lại ${invoice.con_lai.toLocaleString('vi-VN')}đ`
+        : 'Hóa đơn đã thanh toán đủ',
+      data: invoice
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Set the buyer before the e-invoice is issued
+   */
+  static updateBuyer = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Đã cập nhật người mua',
+      data: await InvoiceService.updateBuyer(parseInt(req.params.id), req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Issue the e-invoice of a paid invoice
+   */
+  static issue = catchAsync(async (req, res) => {
+    const invoice = await InvoiceService.issue(parseInt(req.params.id));
+
+    const response = {
+      success: true,
+      message: `Đã phát hành hóa đơn điện tử ${invoice.ky_hieu} số ${invoice.so_hddt}`,
+      data: invoice
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Download the e-invoice XML
+   */
+  static exportXml = catchAsync(async (req, res) => {
+    const { ten_file, xml } = await InvoiceService.exportXml(parseInt(req.params.id));
+
+    res.set('Content-Disposition', `attachment; filename="${ten_file}"`);
+    res.type('application/xml; charset=utf-8').send(xml);
+  });
+
+  /**
+   * Replace an issued e-invoice
+   */
+  static replace = catchAsync(async (req, res) => {
+    const invoice = await InvoiceService.replace(parseInt(req.params.id), req.body, requestOrigin(req));
+
+    const response = {
+      success: true,
+      message: `Đã lập hóa đơn thay thế ${invoice.ky_hieu} số ${invoice.so_hddt}`,
+      data: invoice
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Adjust an issued e-invoice
+   */
+  static adjust = catchAsync(async (req, res) => {
+    const invoice = await InvoiceService.adjust(parseInt(req.params.id), req.body, requestOrigin(req));
+    const total = Number(invoice.tong_cong);
+
+    const response = {
+      success: true,
+      message: total > 0
+        ? `Đã lập hóa đơn điều chỉnh tăng, cần thu thêm ${total.toLocaleString('vi-VN')}đ`
+        : `Đã lập hóa đơn điều chỉnh giảm, hoàn lại khách ${(-total).toLocaleString('vi-VN')}đ`,
+      data: invoice
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+}
+
+module.exports = InvoiceController;
@@ -0,0 +1,154 @@
+// Kitchen Controller - Kitchen display stations, tickets and preparation times
+const KitchenService = require('../services/KitchenService');
+const RealtimeService = require('../services/RealtimeService');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { requestOrigin } = require('../utils/requestActor');
+const { hasValidAccessToken } = require('../utils/accessToken');
+const kitchenConfig = require('../config/kitchen');
+
+class KitchenController {
+  /**
+   * List stations with their open ticket counts
+   */
+  static getStations = catchAsync(async (req, res) => {
+    const stations = await KitchenService.getStations();
+
+    const response = {
+      success: true,
+      data: stations,
+      count: stations.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Add a station
+   */
+  static createStation = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Tạo trạm bếp thành công',
+      data: await KitchenService.createStation(req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Rename, reorder or switch off a station
+   */
+  static updateStation = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Cập nhật trạm bếp thành công',
+      data: await KitchenService.updateStation(parseInt(req.params.id), req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Category and dish routing of all stations
+   */
+  static getRouting = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await KitchenService.getRouting()
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Replace the categories and dishes routed to a station
+   */
+  static setRouting = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Cập nhật phân công trạm bếp thành công',
+      data: await KitchenService.setRouting(parseInt(req.params.id), req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Tickets by station, order or status (?trang_thai=cho_che_bien,dang_nau)
+   */
+  static getTickets = catchAsync(async (req, res) => {
+    const { id_tram, id_don, trang_thai } = req.query;
+    const tickets = await KitchenService.getTickets({
+      id_tram: id_tram ? parseInt(id_tram) : undefined,
+      id_don: id_don ? parseInt(id_don) : undefined,
+      trang_thai: trang_thai ? String(trang_thai).split(',').map(value => value.trim()) : undefined
+    });
+
+    const response = {
+      success: true,
+      data: tickets,
+      count: tickets.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Move a ticket to its next status
+   */
+  static updateTicketStatus = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Cập nhật phiếu bếp thành công',
+      data: await KitchenService.advance(parseInt(req.params.id), req.body.trang_thai, requestOrigin(req))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Server-Sent Events stream of the tickets of one station. The ready event
+   * carries the tickets currently on the display.
+   */
+  static stream = catchAsync(async (req, res) => {
+    if (!hasValidAccessToken(req, kitchenConfig.displayToken)) {
+      throw new AppError('Khóa truy cập màn hình bếp không hợp lệ', 401, 'INVALID_KITCHEN_TOKEN');
+    }
+
+    const station = await KitchenService.getStation(parseInt(req.params.id));
+    const tickets = await KitchenService.getTickets({ id_tram: station.id });
+
+    if (!RealtimeService.subscribeKitchen(req, res, station.id, tickets)) {
+      throw new AppError('Quá nhiều kết nối, vui lòng thử lại sau', 503, 'REALTIME_BUSY');
+    }
+  });
+
+  /**
+   * Average preparation time per dish and per station
+   */
+  static prepTimes = catchAsync(async (req, res) => {
+    const { tu_ngay, den_ngay, id_tram } = req.query;
+
+    const response = {
+      success: true,
+      data: await KitchenService.getPrepTimes({
+        tu_ngay,
+        den_ngay,
+        id_tram: id_tram ? parseInt(id_tram) : undefined
+      })
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = KitchenController;
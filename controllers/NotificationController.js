@@ -0,0 +1,48 @@
+// Notification Controller - Delivery log and reminder runs
+const NotificationModel = require('../models/NotificationModel');
+const NotificationService = require('../services/NotificationService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+
+class NotificationController {
+  /**
+   * Get the notification delivery log
+   */
+  static getAll = catchAsync(async (req, res) => {
+    const { id_datban, loai, trang_thai, limit } = req.query;
+
+    const notifications = await NotificationModel.getAll({
+      id_datban: id_datban ? parseInt(id_datban) : undefined,
+      loai,
+      trang_thai,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    const response = {
+      success: true,
+      data: notifications,
+      total: notifications.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Send due reminders now (for an external cron on serverless deployments)
+   */
+  static runReminders = catchAsync(async (req, res) => {
+    const result = await NotificationService.sendDueReminders();
+
+    const response = {
+      success: true,
+      message: `Đã gửi nhắc lịch cho ${result.sent}/${result.checked} đặt bàn`,
+      data: result
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = NotificationController;
@@ -0,0 +1,196 @@
+// Opening Hours Controller - Reservation calendar administration
+const OpeningHoursModel = require('../models/OpeningHoursModel');
+const OpeningHoursService = require('../services/OpeningHoursService');
+const TableAllocationService = require('../services/TableAllocationService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { fromMinutes } = require('../utils/reservationTime');
+
+// Pick only the given keys that are present in the request body
+const pickFields = (body, fields) => {
+  const data = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field] === '' ? null : body[field];
+  });
+  return data;
+};
+
+const WEEKLY_FIELDS = ['thu', 'ten_ca', 'gio_mo', 'gio_dong', 'gio_nhan_khach_cuoi', 'trang_thai'];
+const SPECIAL_DATE_FIELDS = ['ngay', 'loai', 'ten', 'gio_bat_dau', 'gio_ket_thuc', 'ghi_chu'];
+
+class OpeningHoursController {
+  /**
+   * Get weekly opening hours
+   */
+  static getWeeklyHours = catchAsync(async (req, res) => {
+    const thu = req.query.thu !== undefined ? parseInt(req.query.thu) : undefined;
+    const hours = await OpeningHoursModel.getWeeklyHours(thu);
+
+    const response = {
+      success: true,
+      data: hours,
+      total: hours.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Create weekly service period
+   */
+  static createWeeklyHour = catchAsync(async (req, res) => {
+    const created = await OpeningHoursModel.createWeeklyHour(pickFields(req.body, WEEKLY_FIELDS));
+
+    const response = {
+      success: true,
+      message: 'Tạo ca mở cửa thành công',
+      data: created
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Update weekly service period
+   */
+  static updateWeeklyHour = catchAsync(async (req, res) => {
+    const updated = await OpeningHoursModel.updateWeeklyHour(
+      parseInt(req.params.id),
+      pickFields(req.body, WEEKLY_FIELDS)
+    );
+
+    const response = {
+      success: true,
+      message: 'Cập nhật ca mở cửa thành công',
+      data: updated
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Delete weekly service period
+   */
+  static deleteWeeklyHour = catchAsync(async (req, res) => {
+    const deleted = await OpeningHoursModel.deleteWeeklyHour(parseInt(req.params.id));
+
+    const response = {
+      success: true,
+      message: `Đã xóa ca "${deleted.ten_ca}" thành công`,
+      data: deleted
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Get special dates (holidays, events, private hire)
+   */
+  static getSpecialDates = catchAsync(async (req, res) => {
+    const { from, to } = req.query;
+    const specialDates = await OpeningHoursModel.getSpecialDates({ from, to });
+
+    const response = {
+      success: true,
+      data: specialDates,
+      total: specialDates.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Create special date
+   */
+  static createSpecialDate = catchAsync(async (req, res) => {
+    const created = await OpeningHoursModel.createSpecialDate(pickFields(req.body, SPECIAL_DATE_FIELDS));
+
+    const response = {
+      success: true,
+      message: 'Tạo ngày đặc biệt thành công',
+      data: created
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Update special date
+   */
+  static updateSpecialDate = catchAsync(async (req, res) => {
+    const updated = await OpeningHoursModel.updateSpecialDate(
+      parseInt(req.params.id),
+      pickFields(req.body, SPECIAL_DATE_FIELDS)
+    );
+
+    const response = {
+      success: true,
+      message: 'Cập nhật ngày đặc biệt thành công',
+      data: updated
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Delete special date
+   */
+  static deleteSpecialDate = catchAsync(async (req, res) => {
+    const deleted = await OpeningHoursModel.deleteSpecialDate(parseInt(req.params.id));
+
+    const response = {
+      success: true,
+      message: `Đã xóa ngày đặc biệt "${deleted.ten}" thành công`,
+      data: deleted
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Get the resolved schedule of a date with its bookable slots
+   */
+  static getSchedule = catchAsync(async (req, res) => {
+    const { date, guests } = req.query;
+    const duration = TableAllocationService.getDuration(guests ? parseInt(guests) : 1);
+    const schedule = await OpeningHoursService.getDaySchedule(date);
+
+    const response = {
+      success: true,
+      data: {
+        ngay: schedule.ngay,
+        thu: schedule.thu,
+        ten_thu: schedule.ten_thu,
+        closed: schedule.closed,
+        reason: schedule.reason,
+        services: schedule.services.map(service => ({
+          ten_ca: service.ten_ca,
+          gio_mo: fromMinutes(service.start),
+          gio_dong: fromMinutes(service.end),
+          gio_nhan_khach_cuoi: service.lastSeating !== null ? fromMinutes(service.lastSeating) : null
+        })),
+        blackouts: schedule.blackouts.map(blackout => ({
+          loai: blackout.loai,
+          ten: blackout.ten,
+          gio_bat_dau: fromMinutes(blackout.start),
+          gio_ket_thuc: fromMinutes(blackout.end)
+        })),
+        specialDates: schedule.specialDates,
+        slots: OpeningHoursService.getSlotTimes(schedule, duration)
+      }
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = OpeningHoursController;
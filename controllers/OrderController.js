@@ -0,0 +1,230 @@
+// Order Controller - Dine-in, takeaway and delivery orders and closing them into invoices
+const OrderModel = require('../models/OrderModel');
+const OrderService = require('../services/OrderService');
+const InvoiceService = require('../services/InvoiceService');
+const { buildPagination } = require('../utils/helpers');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { requestOrigin } = require('../utils/requestActor');
+
+class OrderController {
+  /**
+   * List orders with filtering and pagination
+   */
+  static getAll = catchAsync(async (req, res) => {
+    const { trang_thai, loai, id_ban, ngay, trang_thai_giao, limit = 50, offset = 0 } = req.query;
+
+    const pagination = {
+      limit: Math.min(parseInt(limit), 100),
+      offset: parseInt(offset)
+    };
+    const { data, total } = await OrderModel.getAll(
+      { trang_thai, loai, id_ban: id_ban ? parseInt(id_ban) : undefined, ngay, trang_thai_giao },
+      pagination
+    );
+
+    const response = {
+      success: true,
+      data,
+      pagination: buildPagination(total, pagination.limit, pagination.offset)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Get an order with all its lines, voided ones included
+   */
+  static getById = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await OrderService.get(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Open a dine-in, takeaway or delivery order
+   */
+  static create = catchAsync(async (req, res) => {
+    const order = await OrderService.create(req.body, requestOrigin(req));
+
+    const messages = {
+      mang_di: 'Đã tạo đơn mang đi',
+      giao_hang: 'Đã tạo đơn giao hàng'
+    };
+    const response = {
+      success: true,
+      message: order.so_ban ? `Đã mở đơn cho bàn ${order.so_ban}` : messages[order.loai],
+      data: order
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Add dishes to an open order
+   */
+  static addItems = catchAsync(async (req, res) => {
+    const order = await OrderService.addItems(parseInt(req.params.id), req.body.mon);
+
+    const response = {
+      success: true,
+      message: `Đã thêm ${req.body.mon.length} món vào đơn`,
+      data: order
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Change quantity or note of an order line
+   */
+  static updateItem = catchAsync(async (req, res) => {
+    const order = await OrderService.updateItem(parseInt(req.params.id), parseInt(req.params.lineId), req.body);
+
+    const response = {
+      success: true,
+      message: 'Cập nhật món thành công',
+      data: order
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Void an order line
+   */
+  static voidItem = catchAsync(async (req, res) => {
+    const order = await OrderService.voidItem(
+      parseInt(req.params.id),
+      parseInt(req.params.lineId),
+      requestOrigin(req),
+      req.body.ly_do
+    );
+
+    const response = {
+      success: true,
+      message: 'Đã hủy món',
+      data: order
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Cancel an open order without an invoice
+   */
+  static cancel = catchAsync(async (req, res) => {
+    const order = await OrderService.cancel(parseInt(req.params.id), requestOrigin(req), req.body.ly_do);
+
+    const response = {
+      success: true,
+      message: 'Đã hủy đơn hàng',
+      data: order
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Merge other open orders into this one
+   */
+  static merge = catchAsync(async (req, res) => {
+    const order = await OrderService.merge(parseInt(req.params.id), req.body.don_ids, requestOrigin(req));
+
+    const response = {
+      success: true,
+      message: `Đã gộp ${req.body.don_ids.length} đơn vào đơn #${order.id}`,
+      data: order
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Move an order to another table
+   */
+  static move = catchAsync(async (req, res) => {
+    const order = await OrderService.moveTable(parseInt(req.params.id), parseInt(req.body.id_ban), requestOrigin(req));
+
+    const response = {
+      success: true,
+      message: `Đã chuyển đơn sang bàn ${order.so_ban}`,
+      data: order
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Fee, minimum order and promised time of a takeaway or delivery order before placing it
+   */
+  static quote = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await OrderService.quote(req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Move a takeaway or delivery order to its next delivery status
+   */
+  static updateDeliveryStatus = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Cập nhật trạng thái giao hàng thành công',
+      data: await OrderService.updateDeliveryStatus(parseInt(req.params.id), req.body, requestOrigin(req))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Merge, move, split and delivery log of an order
+   */
+  static getHistory = catchAsync(async (req, res) => {
+    const history = await OrderService.getHistory(parseInt(req.params.id));
+
+    const response = {
+      success: true,
+      data: history,
+      count: history.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Close an order into an invoice
+   */
+  static close = catchAsync(async (req, res) => {
+    const invoice = await InvoiceService.closeOrder(parseInt(req.params.id), req.body, requestOrigin(req));
+
+    const response = {
+      success: true,
+      message: `Đã lập hóa đơn ${invoice.so_hoa_don}`,
+      data: invoice
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+}
+
+module.exports = OrderController;
@@ -0,0 +1,142 @@
+// Payment Controller - Online payment links, gateway IPN and the local payment simulator
+const PaymentService = require('../services/PaymentService');
+const PaymentTransactionModel = require('../models/PaymentTransactionModel');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+
+// Escape text placed in the simulator page
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class PaymentController {
+  /**
+   * Open an online payment for what is left on an invoice
+   */
+  static createForInvoice = catchAsync(async (req, res) => {
+    const transaction = await PaymentService.createForInvoice(parseInt(req.params.id), {
+      idempotencyKey: req.get('Idempotency-Key') || req.body.khoa_idempotency,
+      returnUrl: req.body.url_tra_ve
+    });
+
+    const response = {
+      success: true,
+      message: 'Đã tạo link thanh toán',
+      data: transaction
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Online payment transactions of an invoice
+   */
+  static getByInvoice = catchAsync(async (req, res) => {
+    const transactions = await PaymentTransactionModel.getByTarget('hoa_don', parseInt(req.params.id));
+
+    const response = {
+      success: true,
+      data: transactions,
+      count: transactions.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * A transaction; with refresh=true an unsettled one is checked with the provider
+   */
+  static getByReference = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await PaymentService.getStatus(req.params.reference, { refresh: req.query.refresh === 'true' })
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Signed IPN from the payment provider (GET query or POST body)
+   */
+  static ipn = catchAsync(async (req, res) => {
+    const payload = req.method === 'GET' ? req.query : req.body;
+    const { giao_dich, lap_lai } = await PaymentService.handleIpn(payload);
+
+    const response = {
+      success: true,
+      message: lap_lai ? 'Giao dịch đã được xác nhận trước đó' : 'Đã xác nhận kết quả thanh toán',
+      data: giao_dich
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Where the customer lands after the gateway
+   */
+  static returnPage = catchAsync(async (req, res) => {
+    const { giao_dich, thanh_cong } = await PaymentService.verifyReturn(req.query);
+
+    const response = {
+      success: true,
+      message: thanh_cong ? 'Thanh toán thành công' : 'Thanh toán không thành công',
+      data: giao_dich
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Pay page of the local simulator
+   */
+  static simulatorPage = catchAsync(async (req, res) => {
+    const { giao_dich, yeu_cau } = await PaymentService.openSimulator(req.query);
+    const amount = `${yeu_cau.amount.toLocaleString('vi-VN')}đ`;
+    const form = (success, label) => `<form method="post" action="${req.baseUrl}/simulator/pay">` +
+      `<input type="hidden" name="txnRef" value="${escapeHtml(giao_dich.ma_giao_dich)}">` +
+      `<input type="hidden" name="thanh_cong" value="${success}"><button type="submit">${label}</button></form>`;
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="vi">
+<head><meta charset="utf-8"><title>Cổng thanh toán giả lập</title></head>
+<body>
+  <h1>Cổng thanh toán giả lập</h1>
+  <p>${escapeHtml(yeu_cau.description)}: <strong>${amount}</strong></p>
+  <p>Trạng thái: ${escapeHtml(giao_dich.trang_thai)}${yeu_cau.expired ? ' (link đã hết hạn)' : ''}</p>
+  ${form(true, 'Thanh toán')}
+  ${form(false, 'Hủy thanh toán')}
+</body>
+</html>`);
+  });
+
+  /**
+   * The customer pays or cancels on the simulator
+   */
+  static simulatorPay = catchAsync(async (req, res) => {
+    const success = req.body.thanh_cong !== false && req.body.thanh_cong !== 'false';
+    const { giao_dich, redirectUrl } = await PaymentService.simulate(req.body.txnRef, success);
+
+    if (redirectUrl && req.accepts(['html', 'json']) === 'html') {
+      return res.redirect(303, redirectUrl);
+    }
+
+    const response = {
+      success: true,
+      message: giao_dich.trang_thai === 'thanh_cong' ? 'Thanh toán thành công' : 'Thanh toán không thành công',
+      data: giao_dich,
+      redirect_url: redirectUrl
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = PaymentController;
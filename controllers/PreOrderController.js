@@ -0,0 +1,64 @@
+// Pre-order Controller - Dishes ordered with a reservation and the kitchen prep list
+const PreOrderService = require('../services/PreOrderService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { requestOrigin } = require('../utils/requestActor');
+
+class PreOrderController {
+  /**
+   * Price a pre-order before booking
+   */
+  static estimate = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await PreOrderService.prepare(req.body.mon_dat_truoc)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Pre-order of a reservation
+   */
+  static getByReservation = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await PreOrderService.get(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Replace the pre-order of a reservation
+   */
+  static update = catchAsync(async (req, res) => {
+    const preOrder = await PreOrderService.update(parseInt(req.params.id), req.body.mon_dat_truoc, requestOrigin(req));
+
+    const response = {
+      success: true,
+      message: preOrder.mon.length > 0 ? 'Cập nhật món đặt trước thành công' : 'Đã xóa món đặt trước',
+      data: preOrder
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Dishes to prepare for one day's bookings (default tomorrow)
+   */
+  static kitchen = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await PreOrderService.getKitchenSummary(req.query.ngay)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = PreOrderController;
@@ -0,0 +1,81 @@
+// Promotion Controller - Campaigns, vouchers and cart evaluation
+const PromotionService = require('../services/PromotionService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+
+class PromotionController {
+  /**
+   * List promotions in the order they are tried (?trang_thai=active&co_ma=true)
+   */
+  static getAll = catchAsync(async (req, res) => {
+    const promotions = await PromotionService.getAll({
+      trang_thai: req.query.trang_thai,
+      co_ma: req.query.co_ma !== undefined ? req.query.co_ma === 'true' : undefined
+    });
+
+    const response = {
+      success: true,
+      data: promotions,
+      count: promotions.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Get a promotion with its usage totals
+   */
+  static getById = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await PromotionService.get(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Add a promotion
+   */
+  static create = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Tạo khuyến mãi thành công',
+      data: await PromotionService.create(req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Change a promotion, or switch it off
+   */
+  static update = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Cập nhật khuyến mãi thành công',
+      data: await PromotionService.update(parseInt(req.params.id), req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Which promotions a cart gets, and why the others do not apply
+   */
+  static evaluate = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await PromotionService.evaluate(req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = PromotionController;
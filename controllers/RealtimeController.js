@@ -0,0 +1,53 @@
+// Realtime Controller - Live streams for the host stand and floor staff
+const RealtimeService = require('../services/RealtimeService');
+const TableOrderService = require('../services/TableOrderService');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const realtimeConfig = require('../config/realtime');
+const { hasValidAccessToken } = require('../utils/accessToken');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class RealtimeController {
+  /**
+   * Server-Sent Events stream of reservation changes for the followed dates
+   * (?date=2024-12-25, repeated or comma-separated; today by default)
+   */
+  static reservations = catchAsync(async (req, res) => {
+    if (!hasValidAccessToken(req, realtimeConfig.boardToken)) {
+      throw new AppError('Khóa truy cập bảng đặt bàn không hợp lệ', 401, 'INVALID_REALTIME_TOKEN');
+    }
+
+    const dates = [].concat(req.query.date || [])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    if (dates.some(date => !DATE_PATTERN.test(date) || isNaN(Date.parse(date)))) {
+      throw new AppError('Ngày không hợp lệ (định dạng YYYY-MM-DD)', 400, 'INVALID_DATE');
+    }
+    if (dates.length > realtimeConfig.maxDates) {
+      throw new AppError(`Chỉ theo dõi tối đa ${realtimeConfig.maxDates} ngày`, 400, 'INVALID_DATE');
+    }
+
+    if (!RealtimeService.subscribe(req, res, [...new Set(dates)])) {
+      throw new AppError('Quá nhiều kết nối, vui lòng thử lại sau', 503, 'REALTIME_BUSY');
+    }
+  });
+
+  /**
+   * Server-Sent Events stream of guest requests from the tables (call staff,
+   * request the bill). The ready event carries the requests still pending.
+   */
+  static tableRequests = catchAsync(async (req, res) => {
+    if (!hasValidAccessToken(req, realtimeConfig.boardToken)) {
+      throw new AppError('Khóa truy cập bảng đặt bàn không hợp lệ', 401, 'INVALID_REALTIME_TOKEN');
+    }
+
+    const requests = await TableOrderService.getRequests({ trang_thai: 'cho_xu_ly' });
+
+    if (!RealtimeService.subscribeFloor(req, res, requests)) {
+      throw new AppError('Quá nhiều kết nối, vui lòng thử lại sau', 503, 'REALTIME_BUSY');
+    }
+  });
+}
+
+module.exports = RealtimeController;
@@ -0,0 +1,76 @@
+// Recurring Reservation Controller - Weekly, biweekly and monthly booking series
+const RecurringReservationService = require('../services/RecurringReservationService');
+const DepositService = require('../services/DepositService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { requestOrigin } = require('../utils/requestActor');
+
+class RecurringReservationController {
+  /**
+   * Create a series; every occurrence is checked like a single booking
+   */
+  static create = catchAsync(async (req, res) => {
+    const skipConflicts = req.body.bo_qua_ngay_trung === true || req.body.bo_qua_ngay_trung === 'true';
+    const { bo_qua_ngay_trung, ...data } = req.body;
+
+    const result = await RecurringReservationService.create(data, requestOrigin(req), { skipConflicts });
+
+    // Occurrences that need a deposit each get their own payment; one whose
+    // payment cannot be opened is cancelled and the others go on
+    const deposits = [];
+    const failedDeposits = [];
+    for (const reservation of result.dat_ban) {
+      try {
+        const deposit = await DepositService.requestPayment(reservation);
+        if (deposit) deposits.push(deposit);
+      } catch (error) {
+        failedDeposits.push({ id_datban: reservation.id_datban, ngay: reservation.ngay, loi: error.message });
+      }
+    }
+
+    const response = {
+      success: true,
+      message: result.bo_qua.length > 0
+        ? `Đã đặt ${result.dat_ban.length} lần, bỏ qua ${result.bo_qua.length} ngày không còn chỗ`
+        : `Đã đặt ${result.dat_ban.length} lần của chuỗi đặt bàn`,
+      data: { ...result, dat_coc: deposits, dat_coc_loi: failedDeposits }
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Get a series with all its bookings
+   */
+  static getById = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await RecurringReservationService.get(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Cancel the remaining bookings of a series from a date on
+   */
+  static cancel = catchAsync(async (req, res) => {
+    const result = await RecurringReservationService.cancel(parseInt(req.params.id), requestOrigin(req), {
+      fromDate: req.body.tu_ngay,
+      reason: req.body.ly_do
+    });
+
+    const response = {
+      success: true,
+      message: `Đã hủy ${result.da_huy.length} lần đặt bàn của chuỗi`,
+      data: result
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = RecurringReservationController;
@@ -0,0 +1,70 @@
+// Report Controller - Reservation reports and the daily host sheet
+const ReportService = require('../services/ReportService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { buildCsv, buildHtml } = require('../utils/hostSheet');
+
+// JSON handler for a date-range report
+const rangeReport = (build) => catchAsync(async (req, res) => {
+  const response = {
+    success: true,
+    data: await build(req.query)
+  };
+
+  logApiResponse(req, res, response);
+  res.json(response);
+});
+
+class ReportController {
+  /**
+   * Expected guests per date and service
+   */
+  static covers = rangeReport(query => ReportService.getCoversForecast(query));
+
+  /**
+   * Average booked seats per weekday and hour
+   */
+  static heatmap = rangeReport(query => ReportService.getHourlyHeatmap(query));
+
+  /**
+   * No-show and cancellation rates by weekday
+   */
+  static outcomes = rangeReport(query => ReportService.getOutcomeRates(query));
+
+  /**
+   * Lead-time distribution
+   */
+  static leadTime = rangeReport(query => ReportService.getLeadTimeDistribution(query));
+
+  /**
+   * Party-size mix
+   */
+  static partySize = rangeReport(query => ReportService.getPartySizeMix(query));
+
+  /**
+   * Daily host sheet as JSON, CSV download or printable HTML
+   */
+  static hostSheet = catchAsync(async (req, res) => {
+    const sheet = await ReportService.getHostSheet(req.query.ngay);
+    const format = req.query.format || 'json';
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="don-khach-${sheet.ngay}.csv"`);
+      return res.type('text/csv; charset=utf-8').send(buildCsv(sheet));
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(buildHtml(sheet));
+    }
+
+    const response = {
+      success: true,
+      data: sheet
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = ReportController;
@@ -0,0 +1,96 @@
+// Set Menu Controller - Set menus offered to group bookings
+const SetMenuModel = require('../models/SetMenuModel');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+
+class SetMenuController {
+  /**
+   * List set menus with their dishes
+   */
+  static getAll = catchAsync(async (req, res) => {
+    const menus = await SetMenuModel.getAll({ trang_thai: req.query.trang_thai });
+
+    const response = {
+      success: true,
+      data: menus,
+      count: menus.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Get one set menu
+   */
+  static getById = catchAsync(async (req, res) => {
+    const menu = await SetMenuModel.getById(parseInt(req.params.id));
+    if (!menu) {
+      throw new AppError('Không tìm thấy set menu', 404, 'SET_MENU_NOT_FOUND');
+    }
+
+    const response = {
+      success: true,
+      data: menu
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Create a set menu
+   */
+  static create = catchAsync(async (req, res) => {
+    const menu = await SetMenuModel.create(req.body);
+
+    const response = {
+      success: true,
+      message: 'Tạo set menu thành công',
+      data: menu
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Update a set menu; bookings already made keep their servings
+   */
+  static update = catchAsync(async (req, res) => {
+    const menu = await SetMenuModel.update(parseInt(req.params.id), req.body);
+    if (!menu) {
+      throw new AppError('Không tìm thấy set menu', 404, 'SET_MENU_NOT_FOUND');
+    }
+
+    const response = {
+      success: true,
+      message: 'Cập nhật set menu thành công',
+      data: menu
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Stop offering a set menu. It is kept for the bookings that reference it.
+   */
+  static delete = catchAsync(async (req, res) => {
+    const menu = await SetMenuModel.update(parseInt(req.params.id), { trang_thai: 'inactive' });
+    if (!menu) {
+      throw new AppError('Không tìm thấy set menu', 404, 'SET_MENU_NOT_FOUND');
+    }
+
+    const response = {
+      success: true,
+      message: 'Đã ngừng phục vụ set menu',
+      data: menu
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = SetMenuController;
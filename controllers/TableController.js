@@ -0,0 +1,132 @@
+// Table Controller - Business Logic Layer
+const TableModel = require('../models/TableModel');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+
+class TableController {
+  /**
+   * Get all tables
+   */
+  static getAllTables = catchAsync(async (req, res) => {
+    const { khu_vuc, trang_thai, minCapacity } = req.query;
+
+    const filters = {
+      khu_vuc,
+      trang_thai,
+      minCapacity: minCapacity ? parseInt(minCapacity) : undefined
+    };
+
+    const tables = await TableModel.getAll(filters);
+
+    const response = {
+      success: true,
+      data: tables,
+      total: tables.length,
+      totalSeats: tables.reduce((sum, table) => sum + table.suc_chua, 0)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Get table by ID
+   */
+  static getTableById = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const table = await TableModel.getById(parseInt(id));
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bàn không tồn tại',
+        code: 'TABLE_NOT_FOUND'
+      });
+    }
+
+    const response = {
+      success: true,
+      data: table
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Create new table
+   */
+  static createTable = catchAsync(async (req, res) => {
+    const { so_ban, suc_chua, khu_vuc, co_the_ghep, trang_thai } = req.body;
+
+    const tableData = {
+      so_ban: so_ban.trim(),
+      suc_chua: parseInt(suc_chua),
+      khu_vuc: khu_vuc ? khu_vuc.trim() : undefined,
+      co_the_ghep: co_the_ghep === true || co_the_ghep === 'true',
+      trang_thai
+    };
+
+    const createdTable = await TableModel.create(tableData);
+
+    const response = {
+      success: true,
+      message: 'Tạo bàn thành công',
+      data: createdTable
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Update table
+   */
+  static updateTable = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { so_ban, suc_chua, khu_vuc, co_the_ghep, trang_thai } = req.body;
+
+    const updateData = {};
+
+    if (so_ban !== undefined) updateData.so_ban = so_ban.trim();
+    if (suc_chua !== undefined) updateData.suc_chua = parseInt(suc_chua);
+    if (khu_vuc !== undefined) updateData.khu_vuc = khu_vuc.trim();
+    if (co_the_ghep !== undefined) updateData.co_the_ghep = co_the_ghep === true || co_the_ghep === 'true';
+    if (trang_thai !== undefined) updateData.trang_thai = trang_thai;
+
+    const updatedTable = await TableModel.update(parseInt(id), updateData);
+
+    const response = {
+      success: true,
+      message: 'Cập nhật bàn thành công',
+      data: updatedTable
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Delete table
+   */
+  static deleteTable = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const deletedTable = await TableModel.delete(parseInt(id));
+
+    const response = {
+      success: true,
+      message: `Đã xóa bàn "${deletedTable.so_ban}" thành công`,
+      data: {
+        id_ban: deletedTable.id_ban,
+        so_ban: deletedTable.so_ban
+      }
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = TableController;
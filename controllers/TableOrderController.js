@@ -0,0 +1,170 @@
+// Table Order Controller - QR-code ordering at the table and the requests guests send to staff
+const TableOrderService = require('../services/TableOrderService');
+const { formatFoodItem, buildPagination } = require('../utils/helpers');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { requestOrigin } = require('../utils/requestActor');
+
+// What a guest sees of the table
+const toGuestTable = (table) => ({
+  id_ban: table.id_ban,
+  so_ban: table.so_ban,
+  khu_vuc: table.khu_vuc
+});
+
+class TableOrderController {
+  /**
+   * Menu of the table: dishes in stock, with the food listing filters
+   */
+  static getMenu = catchAsync(async (req, res) => {
+    const table = await TableOrderService.resolveTable(req.params.token);
+    const { search = '', category, limit = 50, offset = 0 } = req.query;
+
+    const pagination = {
+      limit: Math.min(parseInt(limit), 100),
+      offset: parseInt(offset)
+    };
+    const { data, total } = await TableOrderService.getMenu(
+      { search: search.trim(), category: category ? parseInt(category) : undefined },
+      pagination
+    );
+
+    const response = {
+      success: true,
+      ban: toGuestTable(table),
+      data: data.map(item => formatFoodItem(item, req)),
+      pagination: buildPagination(total, pagination.limit, pagination.offset)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * What the table has ordered so far
+   */
+  static getOrder = catchAsync(async (req, res) => {
+    const table = await TableOrderService.resolveTable(req.params.token);
+
+    const response = {
+      success: true,
+      ban: toGuestTable(table),
+      data: await TableOrderService.getOrder(table)
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Send the cart: opens the table's order or adds to it
+   */
+  static submitCart = catchAsync(async (req, res) => {
+    const table = await TableOrderService.resolveTable(req.params.token);
+
+    const response = {
+      success: true,
+      message: 'Đã gửi món tới bếp',
+      ban: toGuestTable(table),
+      data: await TableOrderService.submitCart(table, req.body)
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Call a member of staff to the table
+   */
+  static callStaff = catchAsync(async (req, res) => {
+    const table = await TableOrderService.resolveTable(req.params.token);
+
+    const response = {
+      success: true,
+      message: 'Nhân viên sẽ tới bàn của bạn ngay',
+      data: await TableOrderService.callStaff(table, req.body.ghi_chu)
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Ask for the bill
+   */
+  static requestBill = catchAsync(async (req, res) => {
+    const table = await TableOrderService.resolveTable(req.params.token);
+
+    const response = {
+      success: true,
+      message: 'Nhân viên sẽ mang hóa đơn tới bàn của bạn',
+      data: await TableOrderService.requestBill(table, req.body.ghi_chu)
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * QR code content of a table, for printing
+   */
+  static getQrCode = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      data: await TableOrderService.getQrCode(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Issue a new QR code for a table, revoking the printed one
+   */
+  static rotateQrCode = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Đã tạo mã QR mới, mã cũ không còn dùng được',
+      data: await TableOrderService.rotateQr(parseInt(req.params.id))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Requests from tables for floor staff
+   */
+  static getRequests = catchAsync(async (req, res) => {
+    const { trang_thai, id_ban } = req.query;
+    const requests = await TableOrderService.getRequests({
+      trang_thai,
+      id_ban: id_ban ? parseInt(id_ban) : undefined
+    });
+
+    const response = {
+      success: true,
+      data: requests,
+      count: requests.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Mark a request as handled
+   */
+  static resolveRequest = catchAsync(async (req, res) => {
+    const response = {
+      success: true,
+      message: 'Đã xử lý yêu cầu',
+      data: await TableOrderService.resolveRequest(parseInt(req.params.id), requestOrigin(req))
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = TableOrderController;
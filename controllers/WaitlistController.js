@@ -0,0 +1,107 @@
+// Waitlist Controller - Guests waiting for a fully booked time slot
+const WaitlistModel = require('../models/WaitlistModel');
+const WaitlistService = require('../services/WaitlistService');
+const DepositService = require('../services/DepositService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { logApiResponse } = require('../utils/logger');
+const { signManageToken } = require('../utils/reservationToken');
+
+class WaitlistController {
+  /**
+   * Join the waitlist
+   */
+  static join = catchAsync(async (req, res) => {
+    const { ten_khach, sdt, email, ngay, gio_tu, gio_den, so_luong_khach, ghi_chu } = req.body;
+    const entry = await WaitlistService.join({ ten_khach, sdt, email, ngay, gio_tu, gio_den, so_luong_khach, ghi_chu });
+
+    const response = {
+      success: true,
+      message: entry.trang_thai === 'da_moi'
+        ? `Đã có bàn trống lúc ${entry.gio_de_xuat}, chỗ được giữ cho bạn đến ${new Date(entry.han_giu).toLocaleTimeString('vi-VN')}`
+        : `Đã thêm vào danh sách chờ, bạn đang ở vị trí số ${entry.vi_tri}`,
+      data: entry
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * List waitlist entries (staff)
+   */
+  static getAll = catchAsync(async (req, res) => {
+    const { ngay, trang_thai } = req.query;
+
+    await WaitlistService.expireHolds(ngay || null);
+    const entries = await WaitlistModel.getAll({ ngay, trang_thai });
+
+    const response = {
+      success: true,
+      data: entries,
+      total: entries.length
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Poll the position and status of an entry
+   */
+  static getStatus = catchAsync(async (req, res) => {
+    const entry = await WaitlistService.getStatus(req.params.code);
+
+    const response = {
+      success: true,
+      data: entry
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+
+  /**
+   * Accept the offered slot
+   */
+  static accept = catchAsync(async (req, res) => {
+    const { entry, reservation } = await WaitlistService.accept(req.params.code);
+    const { ban, ...data } = reservation;
+    const manage = signManageToken(data);
+    const deposit = await DepositService.requestPayment(data);
+
+    const response = {
+      success: true,
+      message: deposit
+        ? `Đặt bàn cần đặt cọc ${Number(deposit.so_tien).toLocaleString('vi-VN')}đ, vui lòng thanh toán để giữ bàn`
+        : 'Đặt bàn thành công! Chúng tôi sẽ liên hệ xác nhận trong vòng 15 phút.',
+      data: {
+        waitlist: entry,
+        reservation: data,
+        dat_coc: deposit
+      },
+      manage_token: manage.token,
+      manage_token_expires_at: manage.expiresAt
+    };
+
+    logApiResponse(req, res, response);
+    res.status(201).json(response);
+  });
+
+  /**
+   * Leave the waitlist or decline the offered slot
+   */
+  static cancel = catchAsync(async (req, res) => {
+    const entry = await WaitlistService.cancel(req.params.code);
+
+    const response = {
+      success: true,
+      message: 'Đã hủy đăng ký chờ',
+      data: entry
+    };
+
+    logApiResponse(req, res, response);
+    res.json(response);
+  });
+}
+
+module.exports = WaitlistController;
@@ -1,9 +1,11 @@
 // Authentication Middleware - Unified Auth System
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const mysql = require('mysql2/promise');
 const { logger } = require('../utils/logger');
+const staffConfig = require('../config/staff');
 
 const dbConfig = {
   host: process.env.DB_HOST || '127.0.0.1',
@@ -53,11 +55,19 @@ const authenticateToken = async (req, res, next) => {
 
         // Verify token
         const decoded = jwt.verify(token, JWT_SECRET);
-        
+
+        // Only login access tokens: refresh tokens and signed links (tokenType) are not logins
+        if (decoded.tokenType) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid token'
+            });
+        }
+
         // Get user from database to ensure user still exists
         const connection = await getConnection();
         const [users] = await connection.execute(
-            'SELECT id, email, ho_ten, so_dien_thoai, dia_chi FROM khach_hang WHERE id = ? AND trang_thai = "active"',
+            'SELECT id, email, full_name AS ho_ten, phone AS so_dien_thoai, address AS dia_chi FROM khach_hang WHERE id = ? AND trang_thai = "active"',
             [decoded.id]
         );
         await connection.end();
@@ -93,6 +103,37 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+// Authenticate only when a bearer token is sent (guests may call the route anonymously)
+const optionalAuthenticateToken = (req, res, next) => {
+    if (!req.headers['authorization']) {
+        return next();
+    }
+
+    return authenticateToken(req, res, next);
+};
+
+// Staff routes: the Bearer key must match one of STAFF_API_KEYS, the key's name becomes req.staff
+const authenticateStaff = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const provided = authHeader && authHeader.startsWith('Bearer ') ? Buffer.from(authHeader.slice(7)) : null;
+
+    const staff = provided && staffConfig.apiKeys.find(({ khoa }) => {
+        const expected = Buffer.from(khoa);
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    });
+
+    if (!staff) {
+        return res.status(401).json({
+            success: false,
+            message: 'Cần khóa truy cập của nhân viên',
+            code: 'STAFF_AUTH_REQUIRED'
+        });
+    }
+
+    req.staff = { ten: staff.ten };
+    next();
+};
+
 // Auth endpoints
 const authEndpoints = {
     // Health check
@@ -227,7 +268,7 @@ const authEndpoints = {
 
             // Find user by email
             const [users] = await connection.execute(
-                'SELECT id, full_name, email, password, phone, created_at FROM khach_hang WHERE email = ?',
+                'SELECT id, full_name, email, password, phone, created_at FROM khach_hang WHERE email = ? AND trang_thai = "active"',
                 [email]
             );
 
@@ -377,5 +418,7 @@ const authEndpoints = {
 
 module.exports = {
     authenticateToken,
+    optionalAuthenticateToken,
+    authenticateStaff,
     authEndpoints
 };
@@ -1,5 +1,9 @@
 // Validation Middleware
 const { body, param, query, validationResult } = require('express-validator');
+const invoiceConfig = require('../config/invoice');
+const tableOrderConfig = require('../config/tableOrder');
+const deliveryConfig = require('../config/delivery');
+const promotionConfig = require('../config/promotion');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -51,6 +55,11 @@ const validateFoodItem = [
     .isInt({ min: 0 })
     .withMessage('Số lượng phải là số nguyên không âm'),
   
+  body('thue_vat')
+    .optional({ values: 'falsy' })
+    .isIn(invoiceConfig.vatRates)
+    .withMessage(`Thuế suất GTGT phải là một trong: ${invoiceConfig.vatRates.join(', ')} (để trống là theo loại món)`),
+  
   handleValidationErrors
 ];
 
@@ -91,6 +100,11 @@ const validateFoodItemUpdate = [
     .isInt({ min: 0 })
     .withMessage('Số lượng phải là số nguyên không âm'),
   
+  body('thue_vat')
+    .optional({ values: 'falsy' })
+    .isIn(invoiceConfig.vatRates)
+    .withMessage(`Thuế suất GTGT phải là một trong: ${invoiceConfig.vatRates.join(', ')} (để trống là theo loại món)`),
+  
   handleValidationErrors
 ];
 
@@ -159,50 +173,1623 @@ const validateFoodQuery = [
   handleValidationErrors
 ];
 
-// User registration validation
-const validateUserRegistration = [
-  body('ten_kh')
+// Table validation rules
+const validateTable = [
+  body('so_ban')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Số bàn phải từ 1-20 ký tự'),
+
+  body('suc_chua')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Sức chứa phải từ 1-50 người'),
+
+  body('khu_vuc')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Khu vực phải từ 1-50 ký tự'),
+
+  body('co_the_ghep')
+    .optional()
+    .isBoolean()
+    .withMessage('co_the_ghep phải là true hoặc false'),
+
+  body('trang_thai')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Trạng thái phải là active hoặc inactive'),
+
+  handleValidationErrors
+];
+
+// Update table validation (all fields optional)
+const validateTableUpdate = [
+  body('so_ban')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Số bàn phải từ 1-20 ký tự'),
+
+  body('suc_chua')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Sức chứa phải từ 1-50 người'),
+
+  body('khu_vuc')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Khu vực phải từ 1-50 ký tự'),
+
+  body('co_the_ghep')
+    .optional()
+    .isBoolean()
+    .withMessage('co_the_ghep phải là true hoặc false'),
+
+  body('trang_thai')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Trạng thái phải là active hoặc inactive'),
+
+  handleValidationErrors
+];
+
+// Time of day (HH:MM or HH:MM:SS) used by the opening-hours calendar
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Phone number with optional +84 prefix, spaces, dots or dashes
+const PHONE_PATTERN = /^\+?[0-9][0-9\s.-]{8,16}$/;
+
+// Weekly opening hours validation (all fields optional for updates)
+const buildWeeklyHoursRules = (optional) => {
+  const field = (rule) => (optional ? rule.optional() : rule);
+
+  return [
+    field(body('thu'))
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Thứ phải từ 0 (Chủ nhật) đến 6 (Thứ bảy)'),
+
+    field(body('ten_ca'))
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Tên ca phải từ 1-50 ký tự'),
+
+    field(body('gio_mo'))
+      .matches(TIME_PATTERN)
+      .withMessage('Giờ mở cửa phải có định dạng HH:MM'),
+
+    field(body('gio_dong'))
+      .matches(TIME_PATTERN)
+      .withMessage('Giờ đóng cửa phải có định dạng HH:MM')
+      .custom((value, { req }) => {
+        if (req.body.gio_mo && value <= req.body.gio_mo) {
+          throw new Error('Giờ đóng cửa phải sau giờ mở cửa');
+        }
+        return true;
+      }),
+
+    body('gio_nhan_khach_cuoi')
+      .optional({ values: 'falsy' })
+      .matches(TIME_PATTERN)
+      .withMessage('Giờ nhận khách cuối phải có định dạng HH:MM'),
+
+    body('trang_thai')
+      .optional()
+      .isIn(['active', 'inactive'])
+      .withMessage('Trạng thái phải là active hoặc inactive'),
+
+    handleValidationErrors
+  ];
+};
+
+const validateWeeklyHours = buildWeeklyHoursRules(false);
+const validateWeeklyHoursUpdate = buildWeeklyHoursRules(true);
+
+// Special date (holiday, event, private hire) validation
+const buildSpecialDateRules = (optional) => {
+  const field = (rule) => (optional ? rule.optional() : rule);
+
+  return [
+    field(body('ngay'))
+      .isDate({ format: 'YYYY-MM-DD' })
+      .withMessage('Ngày phải có định dạng YYYY-MM-DD'),
+
+    field(body('loai'))
+      .isIn(['nghi_le', 'su_kien', 'bao_tron'])
+      .withMessage('Loại phải là nghi_le, su_kien hoặc bao_tron'),
+
+    field(body('ten'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Tên phải từ 1-100 ký tự'),
+
+    body('gio_bat_dau')
+      .optional({ values: 'falsy' })
+      .matches(TIME_PATTERN)
+      .withMessage('Giờ bắt đầu phải có định dạng HH:MM'),
+
+    body('gio_ket_thuc')
+      .optional({ values: 'falsy' })
+      .matches(TIME_PATTERN)
+      .withMessage('Giờ kết thúc phải có định dạng HH:MM')
+      .custom((value, { req }) => {
+        if (req.body.gio_bat_dau && value <= req.body.gio_bat_dau) {
+          throw new Error('Giờ kết thúc phải sau giờ bắt đầu');
+        }
+        return true;
+      }),
+
+    body('loai')
+      .custom((value, { req }) => {
+        if (value === 'su_kien' && (!req.body.gio_bat_dau || !req.body.gio_ket_thuc)) {
+          throw new Error('Sự kiện phải có giờ bắt đầu và giờ kết thúc');
+        }
+        return true;
+      }),
+
+    body('ghi_chu')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Ghi chú không được vượt quá 500 ký tự'),
+
+    handleValidationErrors
+  ];
+};
+
+const validateSpecialDate = buildSpecialDateRules(false);
+const validateSpecialDateUpdate = buildSpecialDateRules(true);
+
+// Schedule query validation
+const validateScheduleQuery = [
+  query('date')
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày phải có định dạng YYYY-MM-DD'),
+
+  query('guests')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Số khách phải từ 1-50'),
+
+  handleValidationErrors
+];
+
+// Waitlist entry validation
+const validateWaitlistEntry = [
+  body('ten_khach')
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('Tên khách hàng phải từ 2-100 ký tự')
-    .matches(/^[a-zA-ZÀ-ỹ\s]+$/)
-    .withMessage('Tên chỉ được chứa chữ cái và dấu cách'),
-  
-  body('email')
-    .isEmail()
-    .withMessage('Email không hợp lệ')
-    .normalizeEmail(),
-  
-  body('mat_khau')
-    .isLength({ min: 6, max: 50 })
-    .withMessage('Mật khẩu phải từ 6-50 ký tự')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Mật khẩu phải chứa ít nhất 1 chữ thường, 1 chữ hoa và 1 số'),
-  
-  body('so_dt')
+    .withMessage('Họ tên phải từ 2-100 ký tự')
+    .matches(/^[a-zA-ZÀ-ỹ\s]+$/u)
+    .withMessage('Họ tên chỉ được chứa chữ cái và khoảng trắng'),
+
+  body('sdt')
+    .customSanitizer(value => (typeof value === 'string' ? value.replace(/\s/g, '') : value))
     .matches(/^[0-9]{10,11}$/)
     .withMessage('Số điện thoại phải có 10-11 chữ số'),
-  
-  body('dia_chi')
-    .optional()
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Email không đúng định dạng'),
+
+  body('ngay')
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày phải có định dạng YYYY-MM-DD'),
+
+  body('gio_tu')
+    .matches(TIME_PATTERN)
+    .withMessage('Giờ bắt đầu phải có định dạng HH:MM'),
+
+  body('gio_den')
+    .matches(TIME_PATTERN)
+    .withMessage('Giờ kết thúc phải có định dạng HH:MM')
+    .custom((value, { req }) => {
+      if (req.body.gio_tu && value < req.body.gio_tu) {
+        throw new Error('Giờ kết thúc phải sau hoặc bằng giờ bắt đầu');
+      }
+      return true;
+    }),
+
+  body('so_luong_khach')
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Số lượng khách phải từ 1 đến 20 người'),
+
+  body('ghi_chu')
+    .optional({ values: 'null' })
     .trim()
+    .isLength({ max: 500 })
+    .withMessage('Ghi chú không được vượt quá 500 ký tự'),
+
+  handleValidationErrors
+];
+
+// Waitlist lookup code validation
+const validateWaitlistCode = [
+  param('code')
+    .isHexadecimal()
+    .isLength({ min: 32, max: 32 })
+    .withMessage('Mã tra cứu không hợp lệ'),
+
+  handleValidationErrors
+];
+
+// Notification log query validation
+const validateNotificationQuery = [
+  query('id_datban')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID đặt bàn không hợp lệ'),
+
+  query('trang_thai')
+    .optional()
+    .isIn(['da_gui', 'loi'])
+    .withMessage('Trạng thái phải là da_gui hoặc loi'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit phải từ 1-500'),
+
+  handleValidationErrors
+];
+
+// Deposit quote validation
+const validateDepositQuote = [
+  query('ngay')
+    .isISO8601()
+    .withMessage('Ngày phải có định dạng YYYY-MM-DD'),
+
+  query('gio')
+    .matches(TIME_PATTERN)
+    .withMessage('Giờ phải có định dạng HH:MM'),
+
+  query('so_luong_khach')
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Số lượng khách phải từ 1 đến 20 người'),
+
+  query('sdt')
+    .optional()
+    .matches(PHONE_PATTERN)
+    .withMessage('Số điện thoại không hợp lệ'),
+
+  handleValidationErrors
+];
+
+// Report date range validation
+const validateReportRange = [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage('from phải có định dạng YYYY-MM-DD'),
+
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage('to phải có định dạng YYYY-MM-DD'),
+
+  handleValidationErrors
+];
+
+// Host sheet validation
+const validateHostSheet = [
+  query('ngay')
+    .optional()
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage('Ngày phải có định dạng YYYY-MM-DD'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'html'])
+    .withMessage('format phải là json, csv hoặc html'),
+
+  handleValidationErrors
+];
+
+// Mock payment page validation
+const validateDepositReference = [
+  param('reference')
+    .isHexadecimal()
+    .isLength({ min: 32, max: 32 })
+    .withMessage('Mã giao dịch không hợp lệ'),
+
+  handleValidationErrors
+];
+
+// Staff refund validation
+const validateDepositRefund = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID tiền cọc không hợp lệ'),
+
+  body('ty_le_hoan')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Tỷ lệ hoàn phải từ 0 đến 100'),
+
+  handleValidationErrors
+];
+
+// Pre-order lines validation (stock and prices are checked by PreOrderService)
+const validatePreOrder = [
+  body('mon_dat_truoc')
+    .isArray()
+    .withMessage('mon_dat_truoc phải là mảng (mảng rỗng để xóa món đặt trước)'),
+
+  body('mon_dat_truoc.*.id_mon')
+    .isInt({ min: 1 })
+    .withMessage('id_mon phải là số nguyên dương'),
+
+  body('mon_dat_truoc.*.so_luong')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Số lượng món phải là số nguyên dương'),
+
+  body('mon_dat_truoc.*.ghi_chu')
+    .optional({ values: 'null' })
     .isLength({ max: 255 })
-    .withMessage('Địa chỉ không được vượt quá 255 ký tự'),
-  
+    .withMessage('Ghi chú món không được quá 255 ký tự'),
+
   handleValidationErrors
 ];
 
-// User login validation
-const validateUserLogin = [
-  body('email')
-    .isEmail()
-    .withMessage('Email không hợp lệ')
-    .normalizeEmail(),
-  
-  body('mat_khau')
-    .notEmpty()
-    .withMessage('Mật khẩu không được để trống'),
-  
+// Kitchen pre-order list validation
+const validateKitchenQuery = [
+  query('ngay')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày phải có định dạng YYYY-MM-DD'),
+
+  handleValidationErrors
+];
+
+// Guest profile list validation
+const validateGuestQuery = [
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Từ khóa tìm kiếm không được quá 100 ký tự'),
+
+  query('vip')
+    .optional()
+    .isBoolean()
+    .withMessage('vip phải là true hoặc false'),
+
+  query('min_khong_den')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Số lần không đến phải là số nguyên dương'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit phải từ 1-500'),
+
+  handleValidationErrors
+];
+
+// Guest phone parameter validation
+const validateGuestPhone = [
+  param('phone')
+    .matches(PHONE_PATTERN)
+    .withMessage('Số điện thoại không hợp lệ'),
+
+  handleValidationErrors
+];
+
+// Guest profile notes validation
+const validateGuestProfile = [
+  param('phone')
+    .matches(PHONE_PATTERN)
+    .withMessage('Số điện thoại không hợp lệ'),
+
+  body('ten_khach')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('Họ tên không được quá 100 ký tự'),
+
+  body('vip')
+    .optional()
+    .isBoolean()
+    .withMessage('vip phải là true hoặc false'),
+
+  body('di_ung')
+    .optional({ nullable: true })
+    .isLength({ max: 255 })
+    .withMessage('Dị ứng không được quá 255 ký tự'),
+
+  body('ghi_chu')
+    .optional({ nullable: true })
+    .isLength({ max: 1000 })
+    .withMessage('Ghi chú không được quá 1000 ký tự'),
+
+  handleValidationErrors
+];
+
+// Set menu validation (all fields optional for updates)
+const buildSetMenuRules = (optional) => {
+  const field = (rule) => (optional ? rule.optional() : rule);
+
+  return [
+    field(body('ten'))
+      .trim()
+      .isLength({ min: 1, max: 150 })
+      .withMessage('Tên set menu phải từ 1-150 ký tự'),
+
+    field(body('gia'))
+      .isFloat({ min: 0 })
+      .withMessage('Giá mỗi suất phải là số không âm'),
+
+    body('so_suat_toi_thieu')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Số suất tối thiểu phải là số nguyên dương'),
+
+    body('trang_thai')
+      .optional()
+      .isIn(['active', 'inactive'])
+      .withMessage('Trạng thái phải là active hoặc inactive'),
+
+    field(body('mon'))
+      .isArray({ min: 1 })
+      .withMessage('Set menu phải có ít nhất một món'),
+
+    body('mon.*.id_mon')
+      .isInt({ min: 1 })
+      .withMessage('id_mon phải là số nguyên dương'),
+
+    body('mon.*.so_luong')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Số lượng món phải là số nguyên dương'),
+
+    handleValidationErrors
+  ];
+};
+
+const validateSetMenu = buildSetMenuRules(false);
+const validateSetMenuUpdate = buildSetMenuRules(true);
+
+// Group booking fields (the reservation fields are checked by ReservationService)
+const validateGroupReservation = [
+  body('ten_su_kien')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Tên sự kiện không được quá 150 ký tự'),
+
+  body('ban_ids')
+    .optional()
+    .isArray()
+    .withMessage('ban_ids phải là mảng'),
+
+  body('ban_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('ban_ids chỉ chứa ID bàn'),
+
+  body('id_thuc_don')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('id_thuc_don phải là số nguyên dương'),
+
+  body('so_suat')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Số suất phải là số nguyên dương'),
+
+  handleValidationErrors
+];
+
+// Recurring series validation
+const validateReservationSeries = [
+  body('tan_suat')
+    .isIn(['hang_tuan', 'hai_tuan', 'hang_thang'])
+    .withMessage('Tần suất phải là hang_tuan, hai_tuan hoặc hang_thang'),
+
+  body('ngay_bat_dau')
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày bắt đầu phải có định dạng YYYY-MM-DD'),
+
+  body('ngay_ket_thuc')
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày kết thúc phải có định dạng YYYY-MM-DD'),
+
+  body('bo_qua_ngay_trung')
+    .optional()
+    .isBoolean()
+    .withMessage('bo_qua_ngay_trung phải là true hoặc false'),
+
+  handleValidationErrors
+];
+
+// Series cancellation validation
+const validateSeriesCancel = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('tu_ngay')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày bắt đầu hủy phải có định dạng YYYY-MM-DD'),
+
+  handleValidationErrors
+];
+
+// Delivery address of an order or a quote (the zone is matched by DeliveryService)
+const deliveryAddressRules = [
+  body('dia_chi_giao')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Địa chỉ giao không được quá 255 ký tự'),
+
+  body('quan_huyen')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Quận/huyện phải từ 1-100 ký tự'),
+
+  body('vi_do')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Vĩ độ phải từ -90 đến 90'),
+
+  body('kinh_do')
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Kinh độ phải từ -180 đến 180'),
+
+  body('vi_do')
+    .custom((value, { req }) => {
+      const missing = (field) => field === undefined || field === null;
+      if (missing(value) !== missing(req.body.kinh_do)) {
+        throw new Error('Phải gửi cả vĩ độ và kinh độ');
+      }
+      return true;
+    })
+];
+
+// Order creation validation (tables and reservations are checked by OrderService)
+const validateOrder = [
+  body('loai')
+    .optional()
+    .isIn(['tai_ban', 'mang_di', 'giao_hang'])
+    .withMessage('Loại đơn phải là tai_ban, mang_di hoặc giao_hang'),
+
+  ...deliveryAddressRules,
+
+  body('id_ban')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('id_ban phải là số nguyên dương'),
+
+  body('id_datban')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('id_datban phải là số nguyên dương'),
+
+  body('ten_khach')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tên khách không được quá 100 ký tự'),
+
+  body('sdt')
+    .optional({ values: 'null' })
+    .matches(PHONE_PATTERN)
+    .withMessage('Số điện thoại không hợp lệ'),
+
+  body('so_khach')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Số khách phải là số nguyên dương'),
+
+  body('mon')
+    .optional()
+    .isArray()
+    .withMessage('mon phải là mảng'),
+
+  body('mon.*.id_mon')
+    .isInt({ min: 1 })
+    .withMessage('id_mon phải là số nguyên dương'),
+
+  body('mon.*.so_luong')
+    .optional()
+    .isInt({ min: 1, max: invoiceConfig.maxLineQuantity })
+    .withMessage(`Số lượng món phải từ 1-${invoiceConfig.maxLineQuantity}`),
+
+  handleValidationErrors
+];
+
+// Order lines validation
+const validateOrderItems = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('mon')
+    .isArray({ min: 1 })
+    .withMessage('mon phải là mảng có ít nhất một món'),
+
+  body('mon.*.id_mon')
+    .isInt({ min: 1 })
+    .withMessage('id_mon phải là số nguyên dương'),
+
+  body('mon.*.so_luong')
+    .optional()
+    .isInt({ min: 1, max: invoiceConfig.maxLineQuantity })
+    .withMessage(`Số lượng món phải từ 1-${invoiceConfig.maxLineQuantity}`),
+
+  body('mon.*.ghi_chu')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 })
+    .withMessage('Ghi chú món không được quá 255 ký tự'),
+
+  handleValidationErrors
+];
+
+// Order line change validation
+const validateOrderItemUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  param('lineId')
+    .isInt({ min: 1 })
+    .withMessage('ID dòng món phải là số nguyên dương'),
+
+  body('so_luong')
+    .optional()
+    .isInt({ min: 1, max: invoiceConfig.maxLineQuantity })
+    .withMessage(`Số lượng món phải từ 1-${invoiceConfig.maxLineQuantity}`),
+
+  body('ghi_chu')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 })
+    .withMessage('Ghi chú món không được quá 255 ký tự'),
+
+  handleValidationErrors
+];
+
+// Void an order line or a whole order
+const validateOrderVoid = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  param('lineId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID dòng món phải là số nguyên dương'),
+
+  body('ly_do')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Phải ghi lý do hủy (tối đa 255 ký tự)'),
+
+  handleValidationErrors
+];
+
+// Order list validation
+const validateOrderQuery = [
+  query('trang_thai')
+    .optional()
+    .isIn(['mo', 'da_dong', 'da_gop', 'da_huy'])
+    .withMessage('Trạng thái phải là mo, da_dong, da_gop hoặc da_huy'),
+
+  query('loai')
+    .optional()
+    .isIn(['tai_ban', 'mang_di', 'giao_hang'])
+    .withMessage('Loại đơn phải là tai_ban, mang_di hoặc giao_hang'),
+
+  query('trang_thai_giao')
+    .optional()
+    .isIn(['dang_chuan_bi', 'dang_giao', 'da_giao', 'giao_that_bai'])
+    .withMessage('Trạng thái giao phải là dang_chuan_bi, dang_giao, da_giao hoặc giao_that_bai'),
+
+  query('id_ban')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('id_ban phải là số nguyên dương'),
+
+  query('ngay')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày phải có định dạng YYYY-MM-DD'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit phải từ 1-100'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset phải là số không âm'),
+
+  handleValidationErrors
+];
+
+// Takeaway or delivery quote validation
+const validateOrderQuote = [
+  body('loai')
+    .isIn(['mang_di', 'giao_hang'])
+    .withMessage('Loại đơn phải là mang_di hoặc giao_hang'),
+
+  ...deliveryAddressRules,
+
+  body('quan_huyen')
+    .custom((value, { req }) => {
+      const located = req.body.vi_do !== undefined && req.body.vi_do !== null;
+      if (req.body.loai === 'giao_hang' && !value && !located) {
+        throw new Error('Phải gửi quận/huyện hoặc tọa độ của địa chỉ giao');
+      }
+      return true;
+    }),
+
+  body('mon')
+    .isArray({ max: 100 })
+    .withMessage('mon phải là mảng (tối đa 100 món)'),
+
+  body('mon.*.id_mon')
+    .isInt({ min: 1 })
+    .withMessage('id_mon phải là số nguyên dương'),
+
+  body('mon.*.so_luong')
+    .optional()
+    .isInt({ min: 1, max: invoiceConfig.maxLineQuantity })
+    .withMessage(`Số lượng món phải từ 1-${invoiceConfig.maxLineQuantity}`),
+
+  handleValidationErrors
+];
+
+// Delivery status change validation
+const validateDeliveryStatus = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('trang_thai_giao')
+    .isIn(['dang_giao', 'da_giao', 'giao_that_bai'])
+    .withMessage('Trạng thái giao phải là dang_giao, da_giao hoặc giao_that_bai'),
+
+  body('nguoi_giao')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tên người giao không được quá 100 ký tự'),
+
+  body('ly_do')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Lý do không được quá 255 ký tự'),
+
+  handleValidationErrors
+];
+
+// Promotion codes entered by the customer and the phone their per-customer limits go by
+const promotionCodeRules = [
+  body('ma_khuyen_mai')
+    .optional()
+    .isArray({ max: promotionConfig.maxCodesPerOrder })
+    .withMessage(`ma_khuyen_mai phải là mảng (tối đa ${promotionConfig.maxCodesPerOrder} mã)`),
+
+  body('ma_khuyen_mai.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: promotionConfig.codeMaxLength })
+    .withMessage(`Mã khuyến mãi phải từ 1-${promotionConfig.codeMaxLength} ký tự`),
+
+  body('sdt')
+    .optional({ values: 'null' })
+    .matches(PHONE_PATTERN)
+    .withMessage('Số điện thoại không hợp lệ')
+];
+
+// Mã số thuế: 10 số, đơn vị phụ thuộc thêm 3 số (0123456789-001)
+const TAX_CODE_PATTERN = /^\d{10}(-\d{3})?$/;
+
+// Buyer printed on the e-invoice, fields under `prefix` ('nguoi_mua.' or '' for the body itself)
+const buyerRules = (prefix) => [
+  body(`${prefix}ho_ten`)
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Họ tên người mua không được quá 100 ký tự'),
+
+  body(`${prefix}ten_don_vi`)
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Tên đơn vị không được quá 255 ký tự'),
+
+  body(`${prefix}ma_so_thue`)
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(TAX_CODE_PATTERN)
+    .withMessage('Mã số thuế phải gồm 10 số, hoặc 10 số và 3 số đơn vị phụ thuộc (0123456789-001)'),
+
+  body(`${prefix}dia_chi`)
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Địa chỉ người mua không được quá 255 ký tự'),
+
+  body(`${prefix}email`)
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Email người mua không hợp lệ')
+];
+
+// Close order into an invoice validation
+const validateInvoiceClose = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('giam_gia')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Giảm giá phải là số tiền không âm'),
+
+  body('giam_gia_phan_tram')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Phần trăm giảm giá phải từ 0 đến 100'),
+
+  body('ly_do_giam_gia')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Lý do giảm giá không được quá 255 ký tự'),
+
+  body('phi_dich_vu')
+    .optional()
+    .isBoolean()
+    .withMessage('phi_dich_vu phải là true hoặc false'),
+
+  ...promotionCodeRules,
+
+  body('nguoi_mua')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('nguoi_mua phải là object'),
+
+  ...buyerRules('nguoi_mua.'),
+
+  handleValidationErrors
+];
+
+// Invoice list validation
+const validateInvoiceQuery = [
+  query('trang_thai')
+    .optional()
+    .isIn(['chua_thanh_toan', 'thanh_toan_mot_phan', 'da_thanh_toan', 'da_tach', 'da_huy', 'bi_thay_the'])
+    .withMessage('Trạng thái hóa đơn không hợp lệ'),
+
+  query('from')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('from phải có định dạng YYYY-MM-DD'),
+
+  query('to')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('to phải có định dạng YYYY-MM-DD'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit phải từ 1-100'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset phải là số không âm'),
+
+  handleValidationErrors
+];
+
+// Merge orders validation
+const validateOrderMerge = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('don_ids')
+    .isArray({ min: 1 })
+    .withMessage('don_ids phải là mảng có ít nhất một đơn'),
+
+  body('don_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('don_ids chỉ chứa ID đơn hàng'),
+
+  handleValidationErrors
+];
+
+// Move order to another table validation
+const validateOrderMove = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('id_ban')
+    .isInt({ min: 1 })
+    .withMessage('id_ban phải là số nguyên dương'),
+
+  handleValidationErrors
+];
+
+// Split invoice validation (the parts are checked against the invoice by InvoiceService)
+const validateInvoiceSplit = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('kieu')
+    .isIn(['theo_mon', 'chia_deu', 'tuy_chinh'])
+    .withMessage('Kiểu tách phải là theo_mon, chia_deu hoặc tuy_chinh'),
+
+  body('phan')
+    .if(body('kieu').equals('theo_mon'))
+    .isArray({ min: 2 })
+    .withMessage('phan phải là mảng có ít nhất 2 phần'),
+
+  body('so_phan')
+    .if(body('kieu').equals('chia_deu'))
+    .isInt({ min: 2, max: invoiceConfig.splitMaxParts })
+    .withMessage(`Số phần phải từ 2-${invoiceConfig.splitMaxParts}`),
+
+  body('so_tien')
+    .if(body('kieu').equals('tuy_chinh'))
+    .isArray({ min: 2 })
+    .withMessage('so_tien phải là mảng có ít nhất 2 số tiền'),
+
+  handleValidationErrors
+];
+
+// Invoice payment validation
+const validateInvoicePayment = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('so_tien')
+    .isInt({ min: 1 })
+    .withMessage('Số tiền phải là số nguyên dương'),
+
+  body('phuong_thuc')
+    .isIn(invoiceConfig.paymentMethods)
+    .withMessage(`Hình thức thanh toán phải là một trong: ${invoiceConfig.paymentMethods.join(', ')}`),
+
+  body('ma_giao_dich')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Mã giao dịch không được quá 100 ký tự'),
+
+  body('ghi_chu')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Ghi chú không được quá 255 ký tự'),
+
+  handleValidationErrors
+];
+
+// Invoice buyer update validation
+const validateInvoiceBuyer = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  ...buyerRules(''),
+
+  handleValidationErrors
+];
+
+// Reason of a replacement or adjustment invoice
+const correctionReasonRule = body('ly_do')
+  .trim()
+  .isLength({ min: 1, max: 255 })
+  .withMessage('Lý do phải từ 1-255 ký tự');
+
+// Replacement invoice validation
+const validateInvoiceReplace = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  correctionReasonRule,
+
+  body('nguoi_mua')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('nguoi_mua phải là object'),
+
+  ...buyerRules('nguoi_mua.'),
+
+  handleValidationErrors
+];
+
+// Adjustment invoice validation (the lines are checked against the invoice by InvoiceService)
+const validateInvoiceAdjust = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  correctionReasonRule,
+
+  body('mon')
+    .isArray({ min: 1 })
+    .withMessage('mon phải là mảng có ít nhất một dòng'),
+
+  body('mon.*.id_chi_tiet')
+    .isInt({ min: 1 })
+    .withMessage('id_chi_tiet phải là số nguyên dương'),
+
+  body('mon.*.so_luong')
+    .isInt()
+    .not()
+    .equals('0')
+    .withMessage('Số lượng điều chỉnh phải là số nguyên khác 0 (âm là giảm)'),
+
+  handleValidationErrors
+];
+
+// Online payment link validation
+const validatePaymentLink = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('url_tra_ve')
+    .optional({ values: 'null' })
+    .isURL({ require_tld: false, protocols: ['http', 'https'] })
+    .withMessage('url_tra_ve phải là URL http(s)'),
+
+  body('khoa_idempotency')
+    .optional({ values: 'null' })
+    .isLength({ min: 8, max: 64 })
+    .withMessage('Khóa idempotency phải từ 8-64 ký tự'),
+
+  handleValidationErrors
+];
+
+// Payment transaction lookup validation
+const validatePaymentStatus = [
+  param('reference')
+    .isHexadecimal()
+    .isLength({ min: 32, max: 32 })
+    .withMessage('Mã giao dịch không hợp lệ'),
+
+  query('refresh')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('refresh phải là true hoặc false'),
+
+  handleValidationErrors
+];
+
+// Simulator pay action validation
+const validateSimulatorPay = [
+  body('txnRef')
+    .isHexadecimal()
+    .isLength({ min: 32, max: 32 })
+    .withMessage('Mã giao dịch không hợp lệ'),
+
+  handleValidationErrors
+];
+
+// Kitchen station validation
+const validateKitchenStation = [
+  body('ma')
+    .trim()
+    .matches(/^[a-z0-9_]{2,30}$/)
+    .withMessage('Mã trạm chỉ gồm chữ thường, số và dấu gạch dưới (2-30 ký tự)'),
+
+  body('ten')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tên trạm phải từ 1-100 ký tự'),
+
+  body('thu_tu')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Thứ tự phải là số nguyên không âm'),
+
+  handleValidationErrors
+];
+
+// Kitchen station update validation
+const validateKitchenStationUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('ten')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tên trạm phải từ 1-100 ký tự'),
+
+  body('thu_tu')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Thứ tự phải là số nguyên không âm'),
+
+  body('trang_thai')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Trạng thái phải là active hoặc inactive'),
+
+  handleValidationErrors
+];
+
+// Kitchen station routing validation
+const validateKitchenRouting = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('id_loai')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('id_loai phải là mảng (tối đa 100 loại món)'),
+
+  body('id_loai.*')
+    .isInt({ min: 1 })
+    .withMessage('id_loai chỉ chứa ID loại món'),
+
+  body('id_mon')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('id_mon phải là mảng (tối đa 500 món)'),
+
+  body('id_mon.*')
+    .isInt({ min: 1 })
+    .withMessage('id_mon chỉ chứa ID món'),
+
+  handleValidationErrors
+];
+
+// Kitchen ticket list validation
+const validateKitchenTicketQuery = [
+  query('id_tram')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('id_tram phải là số nguyên dương'),
+
+  query('id_don')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('id_don phải là số nguyên dương'),
+
+  query('trang_thai')
+    .optional()
+    .matches(/^(cho_che_bien|dang_nau|san_sang|da_phuc_vu|da_huy)(,(cho_che_bien|dang_nau|san_sang|da_phuc_vu|da_huy))*$/)
+    .withMessage('Trạng thái phải là cho_che_bien, dang_nau, san_sang, da_phuc_vu hoặc da_huy, phân tách bằng dấu phẩy'),
+
+  handleValidationErrors
+];
+
+// Kitchen ticket status validation
+const validateKitchenTicketStatus = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID phải là số nguyên dương'),
+
+  body('trang_thai')
+    .isIn(['dang_nau', 'san_sang', 'da_phuc_vu'])
+    .withMessage('Trạng thái phải là dang_nau, san_sang hoặc da_phuc_vu'),
+
+  handleValidationErrors
+];
+
+// Preparation time report validation
+const validatePrepTimeQuery = [
+  query('tu_ngay')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày bắt đầu phải có định dạng YYYY-MM-DD'),
+
+  query('den_ngay')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD' })
+    .withMessage('Ngày kết thúc phải có định dạng YYYY-MM-DD'),
+
+  query('id_tram')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('id_tram phải là số nguyên dương'),
+
+  handleValidationErrors
+];
+
+// Table QR token (guest ordering)
+const tableTokenRule = param('token')
+  .isJWT()
+  .withMessage('Mã QR của bàn không hợp lệ');
+
+const validateTableToken = [
+  tableTokenRule,
+
+  handleValidationErrors
+];
+
+// Table menu validation
+const validateTableMenuQuery = [
+  tableTokenRule,
+
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Từ khóa tìm kiếm không được quá 100 ký tự'),
+
+  query('category')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('category phải là số nguyên dương'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit phải từ 1-100'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset phải là số không âm'),
+
+  handleValidationErrors
+];
+
+// Table cart validation
+const validateTableCart = [
+  tableTokenRule,
+
+  body('mon')
+    .isArray({ min: 1, max: tableOrderConfig.maxCartLines })
+    .withMessage(`Giỏ hàng phải có từ 1-${tableOrderConfig.maxCartLines} món`),
+
+  body('mon.*.id_mon')
+    .isInt({ min: 1 })
+    .withMessage('id_mon phải là số nguyên dương'),
+
+  body('mon.*.so_luong')
+    .optional()
+    .isInt({ min: 1, max: invoiceConfig.maxLineQuantity })
+    .withMessage(`Số lượng món phải từ 1-${invoiceConfig.maxLineQuantity}`),
+
+  body('mon.*.ghi_chu')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 })
+    .withMessage('Ghi chú món không được quá 255 ký tự'),
+
+  body('so_khach')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Số khách phải từ 1-100'),
+
+  handleValidationErrors
+];
+
+// Call staff / request bill validation
+const validateTableRequest = [
+  tableTokenRule,
+
+  body('ghi_chu')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 })
+    .withMessage('Ghi chú không được quá 255 ký tự'),
+
+  handleValidationErrors
+];
+
+// Table request list validation
+const validateTableRequestQuery = [
+  query('trang_thai')
+    .optional()
+    .isIn(['cho_xu_ly', 'da_xu_ly'])
+    .withMessage('Trạng thái phải là cho_xu_ly hoặc da_xu_ly'),
+
+  query('id_ban')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('id_ban phải là số nguyên dương'),
+
+  handleValidationErrors
+];
+
+// User registration validation
+const validateUserRegistration = [
+  body('ten_kh')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Tên khách hàng phải từ 2-100 ký tự')
+    .matches(/^[a-zA-ZÀ-ỹ\s]+$/)
+    .withMessage('Tên chỉ được chứa chữ cái và dấu cách'),
+  
+  body('email')
+    .isEmail()
+    .withMessage('Email không hợp lệ')
+    .normalizeEmail(),
+  
+  body('mat_khau')
+    .isLength({ min: 6, max: 50 })
+    .withMessage('Mật khẩu phải từ 6-50 ký tự')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Mật khẩu phải chứa ít nhất 1 chữ thường, 1 chữ hoa và 1 số'),
+  
+  body('so_dt')
+    .matches(/^[0-9]{10,11}$/)
+    .withMessage('Số điện thoại phải có 10-11 chữ số'),
+  
+  body('dia_chi')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Địa chỉ không được vượt quá 255 ký tự'),
+  
+  handleValidationErrors
+];
+
+// User login validation
+const validateUserLogin = [
+  body('email')
+    .isEmail()
+    .withMessage('Email không hợp lệ')
+    .normalizeEmail(),
+  
+  body('mat_khau')
+    .notEmpty()
+    .withMessage('Mật khẩu không được để trống'),
+  
+  handleValidationErrors
+];
+
+// Delivery zone validation (the shape of each kind is checked by DeliveryService)
+const buildDeliveryZoneRules = (optional) => {
+  const field = (rule) => (optional ? rule.optional() : rule);
+
+  return [
+    ...(optional ? [param('id').isInt({ min: 1 }).withMessage('ID phải là số nguyên dương')] : []),
+
+    field(body('ten'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Tên khu vực phải từ 1-100 ký tự'),
+
+    field(body('kieu'))
+      .isIn(['quan_huyen', 'ban_kinh', 'da_giac'])
+      .withMessage('Kiểu khu vực phải là quan_huyen, ban_kinh hoặc da_giac'),
+
+    body('quan_huyen')
+      .optional()
+      .isArray({ min: 1, max: 50 })
+      .withMessage('quan_huyen phải là mảng 1-50 quận/huyện'),
+
+    body('quan_huyen.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Tên quận/huyện phải từ 1-100 ký tự'),
+
+    body('ban_kinh_km')
+      .optional()
+      .isFloat({ min: 0.1, max: 100 })
+      .withMessage('Bán kính phải từ 0.1-100 km'),
+
+    body('da_giac')
+      .optional()
+      .isArray({ min: 3, max: deliveryConfig.maxPolygonPoints })
+      .withMessage(`da_giac phải có từ 3-${deliveryConfig.maxPolygonPoints} đỉnh`),
+
+    body('da_giac.*')
+      .custom(point => {
+        const valid = Array.isArray(point) && point.length === 2 &&
+          Number(point[0]) >= -90 && Number(point[0]) <= 90 &&
+          Number(point[1]) >= -180 && Number(point[1]) <= 180;
+        if (!valid) throw new Error('Mỗi đỉnh phải là [vĩ độ, kinh độ]');
+        return true;
+      }),
+
+    body('phi_giao')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Phí giao phải là số nguyên không âm (VND)'),
+
+    body('don_toi_thieu')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Đơn tối thiểu phải là số nguyên không âm (VND)'),
+
+    body('thoi_gian_giao_phut')
+      .optional()
+      .isInt({ min: 0, max: 240 })
+      .withMessage('Thời gian giao phải từ 0-240 phút'),
+
+    body('uu_tien')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Ưu tiên phải là số nguyên không âm'),
+
+    body('trang_thai')
+      .optional()
+      .isIn(['active', 'inactive'])
+      .withMessage('Trạng thái phải là active hoặc inactive'),
+
+    handleValidationErrors
+  ];
+};
+
+const validateDeliveryZone = buildDeliveryZoneRules(false);
+const validateDeliveryZoneUpdate = buildDeliveryZoneRules(true);
+
+// Promotion validation; kind-specific rules (gia_tri range, buy and get
+// quantities, scope lists) are checked by the service on the merged promotion
+const buildPromotionRules = (optional) => {
+  const field = (rule) => (optional ? rule.optional() : rule);
+
+  return [
+    ...(optional ? [param('id').isInt({ min: 1 }).withMessage('ID phải là số nguyên dương')] : []),
+
+    body('ma')
+      .optional({ values: 'null' })
+      .trim()
+      .matches(new RegExp(`^[A-Za-z0-9_-]{3,${promotionConfig.codeMaxLength}}$`))
+      .withMessage(`Mã khuyến mãi gồm chữ, số, "_" hoặc "-", dài 3-${promotionConfig.codeMaxLength} ký tự`),
+
+    field(body('ten'))
+      .trim()
+      .isLength({ min: 1, max: 150 })
+      .withMessage('Tên khuyến mãi phải từ 1-150 ký tự'),
+
+    body('mo_ta')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Mô tả không được quá 1000 ký tự'),
+
+    field(body('kieu'))
+      .isIn(promotionConfig.kinds)
+      .withMessage(`Kiểu khuyến mãi phải là một trong: ${promotionConfig.kinds.join(', ')}`),
+
+    field(body('gia_tri'))
+      .isFloat({ min: 0 })
+      .withMessage('gia_tri phải là số không âm'),
+
+    body('giam_toi_da')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Giảm tối đa phải là số nguyên dương (VND)'),
+
+    body('pham_vi')
+      .optional()
+      .isIn(promotionConfig.scopes)
+      .withMessage(`Phạm vi phải là một trong: ${promotionConfig.scopes.join(', ')}`),
+
+    body(['id_loai', 'id_mon'])
+      .optional({ values: 'null' })
+      .isArray({ min: 1, max: promotionConfig.maxScopeItems })
+      .withMessage(`Danh sách món/loại món phải có 1-${promotionConfig.maxScopeItems} phần tử`),
+
+    body(['id_loai.*', 'id_mon.*'])
+      .isInt({ min: 1 })
+      .withMessage('ID món/loại món phải là số nguyên dương'),
+
+    body(['so_luong_mua', 'so_luong_tang'])
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: invoiceConfig.maxLineQuantity })
+      .withMessage(`Số lượng mua/tặng phải từ 1-${invoiceConfig.maxLineQuantity}`),
+
+    body('don_toi_thieu')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Đơn tối thiểu phải là số nguyên không âm (VND)'),
+
+    body(['bat_dau', 'ket_thuc'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Thời gian bắt đầu/kết thúc phải theo ISO 8601'),
+
+    body('ngay_trong_tuan')
+      .optional({ values: 'null' })
+      .isArray({ min: 1, max: 7 })
+      .withMessage('ngay_trong_tuan phải là mảng 1-7 ngày'),
+
+    body('ngay_trong_tuan.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Ngày trong tuần phải từ 0 (Chủ nhật) đến 6 (Thứ bảy)'),
+
+    body(['gio_bat_dau', 'gio_ket_thuc'])
+      .optional({ values: 'null' })
+      .matches(TIME_PATTERN)
+      .withMessage('Giờ bắt đầu/kết thúc phải có định dạng HH:MM'),
+
+    body(['gioi_han_luot', 'gioi_han_moi_khach'])
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Giới hạn lượt dùng phải là số nguyên dương'),
+
+    body('cong_don')
+      .optional()
+      .isBoolean()
+      .withMessage('cong_don phải là true hoặc false'),
+
+    body('uu_tien')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Ưu tiên phải là số nguyên không âm'),
+
+    body('trang_thai')
+      .optional()
+      .isIn(['active', 'inactive'])
+      .withMessage('Trạng thái phải là active hoặc inactive'),
+
+    handleValidationErrors
+  ];
+};
+
+const validatePromotion = buildPromotionRules(false);
+const validatePromotionUpdate = buildPromotionRules(true);
+
+// Promotion query validation
+const validatePromotionQuery = [
+  query('trang_thai')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Trạng thái phải là active hoặc inactive'),
+
+  query('co_ma')
+    .optional()
+    .isBoolean()
+    .withMessage('co_ma phải là true hoặc false'),
+
+  handleValidationErrors
+];
+
+// Cart evaluation validation: an open order or a list of dishes
+const validatePromotionEvaluate = [
+  body('id_don')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('id_don phải là số nguyên dương'),
+
+  body('mon')
+    .custom((value, { req }) => {
+      if (req.body.id_don === undefined && !(Array.isArray(value) && value.length > 0)) {
+        throw new Error('Phải gửi id_don hoặc danh sách mon');
+      }
+      if (value !== undefined && !(Array.isArray(value) && value.length <= 100)) {
+        throw new Error('mon phải là mảng (tối đa 100 món)');
+      }
+      return true;
+    }),
+
+  body('mon.*.id_mon')
+    .isInt({ min: 1 })
+    .withMessage('id_mon phải là số nguyên dương'),
+
+  body('mon.*.so_luong')
+    .optional()
+    .isInt({ min: 1, max: invoiceConfig.maxLineQuantity })
+    .withMessage(`Số lượng món phải từ 1-${invoiceConfig.maxLineQuantity}`),
+
+  body('thoi_diem')
+    .optional()
+    .isISO8601()
+    .withMessage('thoi_diem phải theo ISO 8601'),
+
+  ...promotionCodeRules,
+
   handleValidationErrors
 ];
 
@@ -212,6 +1799,67 @@ module.exports = {
   validateStockUpdate,
   validateId,
   validateFoodQuery,
+  validateTable,
+  validateTableUpdate,
+  validateWeeklyHours,
+  validateWeeklyHoursUpdate,
+  validateSpecialDate,
+  validateSpecialDateUpdate,
+  validateScheduleQuery,
+  validateWaitlistEntry,
+  validateWaitlistCode,
+  validateNotificationQuery,
+  validateDepositQuote,
+  validateDepositReference,
+  validateDepositRefund,
+  validateReportRange,
+  validateHostSheet,
+  validateSetMenu,
+  validateSetMenuUpdate,
+  validateGroupReservation,
+  validateReservationSeries,
+  validateSeriesCancel,
+  validatePreOrder,
+  validateKitchenQuery,
+  validateGuestQuery,
+  validateGuestPhone,
+  validateGuestProfile,
+  validateOrder,
+  validateOrderItems,
+  validateOrderItemUpdate,
+  validateOrderVoid,
+  validateOrderQuery,
+  validateOrderQuote,
+  validateDeliveryStatus,
+  validateInvoiceClose,
+  validateInvoiceQuery,
+  validateOrderMerge,
+  validateOrderMove,
+  validateInvoiceSplit,
+  validateInvoicePayment,
+  validateInvoiceBuyer,
+  validateInvoiceReplace,
+  validateInvoiceAdjust,
+  validatePaymentLink,
+  validatePaymentStatus,
+  validateSimulatorPay,
+  validateKitchenStation,
+  validateKitchenStationUpdate,
+  validateKitchenRouting,
+  validateKitchenTicketQuery,
+  validateKitchenTicketStatus,
+  validatePrepTimeQuery,
+  validateTableToken,
+  validateTableMenuQuery,
+  validateTableCart,
+  validateTableRequest,
+  validateTableRequestQuery,
+  validateDeliveryZone,
+  validateDeliveryZoneUpdate,
+  validatePromotion,
+  validatePromotionUpdate,
+  validatePromotionQuery,
+  validatePromotionEvaluate,
   validateUserRegistration,
   validateUserLogin,
   handleValidationErrors
@@ -15,12 +15,12 @@ class CategoryModel {
       connection = await pool.getConnection();
       
       const query = `
-        SELECT l.id_loai, l.ten_loai, l.mo_ta,
+        SELECT l.id_loai, l.ten_loai, l.mo_ta, l.thue_vat,
                COUNT(m.id_mon) as so_luong_mon,
                COUNT(CASE WHEN m.so_luong > 0 THEN 1 END) as so_luong_con_hang
         FROM loai_mon l
         LEFT JOIN mon_an m ON l.id_loai = m.id_loai
-        GROUP BY l.id_loai, l.ten_loai, l.mo_ta
+        GROUP BY l.id_loai, l.ten_loai, l.mo_ta, l.thue_vat
         ORDER BY l.ten_loai ASC
       `;
       
@@ -51,13 +51,13 @@ class CategoryModel {
       connection = await pool.getConnection();
       
       const query = `
-        SELECT l.id_loai, l.ten_loai, l.mo_ta,
+        SELECT l.id_loai, l.ten_loai, l.mo_ta, l.thue_vat,
                COUNT(m.id_mon) as so_luong_mon,
                COUNT(CASE WHEN m.so_luong > 0 THEN 1 END) as so_luong_con_hang
         FROM loai_mon l
         LEFT JOIN mon_an m ON l.id_loai = m.id_loai
         WHERE l.id_loai = ?
-        GROUP BY l.id_loai, l.ten_loai, l.mo_ta
+        GROUP BY l.id_loai, l.ten_loai, l.mo_ta, l.thue_vat
       `;
       
       const startTime = Date.now();
@@ -157,13 +157,14 @@ class CategoryModel {
       }
 
       const query = `
-        INSERT INTO loai_mon (ten_loai, mo_ta)
-        VALUES (?, ?)
+        INSERT INTO loai_mon (ten_loai, mo_ta, thue_vat)
+        VALUES (?, ?, ?)
       `;
 
       const params = [
         categoryData.ten_loai,
-        categoryData.mo_ta || null
+        categoryData.mo_ta || null,
+        categoryData.thue_vat !== undefined ? categoryData.thue_vat : null
       ];
 
       const startTime = Date.now();
@@ -0,0 +1,82 @@
+// Delivery Zone Model - Data Access Layer for khu_vuc_giao_hang
+const { runQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Columns that may be written, JSON ones stored as text
+const FIELDS = ['ten', 'kieu', 'quan_huyen', 'ban_kinh_km', 'da_giac', 'phi_giao', 'don_toi_thieu', 'thoi_gian_giao_phut', 'uu_tien', 'trang_thai'];
+const JSON_FIELDS = ['quan_huyen', 'da_giac'];
+
+const toColumn = (field, value) => (JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value);
+
+class DeliveryZoneModel {
+  /**
+   * Get zones in the order they are matched (uu_tien, then oldest first)
+   * @param {Object} filters - { trang_thai }
+   * @returns {Promise<Array>} khu_vuc_giao_hang rows
+   */
+  static async getAll(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.trang_thai) {
+      conditions.push('trang_thai = ?');
+      params.push(filters.trang_thai);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `SELECT * FROM khu_vuc_giao_hang ${where} ORDER BY uu_tien ASC, id ASC`,
+      params,
+      'lấy danh sách khu vực giao hàng'
+    );
+  }
+
+  /**
+   * Get zone by ID
+   * @param {number} id - Zone ID
+   * @returns {Promise<Object|null>} khu_vuc_giao_hang row or null
+   */
+  static async getById(id) {
+    const rows = await runQuery('SELECT * FROM khu_vuc_giao_hang WHERE id = ?', [id], 'lấy thông tin khu vực giao hàng');
+    return rows[0] || null;
+  }
+
+  /**
+   * Create zone
+   * @param {Object} data - { ten, kieu, quan_huyen, ban_kinh_km, da_giac, phi_giao, don_toi_thieu, thoi_gian_giao_phut, uu_tien }
+   * @returns {Promise<Object>} Created zone
+   */
+  static async create(data) {
+    const fields = FIELDS.filter(field => data[field] !== undefined);
+    const result = await runQuery(
+      `INSERT INTO khu_vuc_giao_hang (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+      fields.map(field => toColumn(field, data[field])),
+      'tạo khu vực giao hàng'
+    );
+
+    return await this.getById(result.insertId);
+  }
+
+  /**
+   * Update zone
+   * @param {number} id - Zone ID
+   * @param {Object} data - Fields to update (see create, plus trang_thai)
+   * @returns {Promise<Object|null>} Updated zone
+   */
+  static async update(id, data) {
+    const fields = FIELDS.filter(field => data[field] !== undefined);
+    if (fields.length === 0) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    await runQuery(
+      `UPDATE khu_vuc_giao_hang SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => toColumn(field, data[field])), id],
+      'cập nhật khu vực giao hàng'
+    );
+
+    return await this.getById(id);
+  }
+}
+
+module.exports = DeliveryZoneModel;
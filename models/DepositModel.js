@@ -0,0 +1,134 @@
+// Deposit Model - Data Access Layer for dat_coc
+const crypto = require('crypto');
+const { runQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+class DepositModel {
+  /**
+   * Get a deposit by ID
+   * @param {number} id - Deposit ID
+   * @returns {Promise<Object|null>} Deposit
+   */
+  static async getById(id) {
+    const rows = await runQuery('SELECT * FROM dat_coc WHERE id = ?', [id], 'lấy tiền cọc');
+    return rows[0] || null;
+  }
+
+  /**
+   * Get a deposit by the reference sent to the payment provider
+   * @param {string} reference - ma_giao_dich
+   * @returns {Promise<Object|null>} Deposit
+   */
+  static async getByReference(reference) {
+    const rows = await runQuery('SELECT * FROM dat_coc WHERE ma_giao_dich = ?', [reference], 'lấy tiền cọc');
+    return rows[0] || null;
+  }
+
+  /**
+   * Latest deposit of a reservation
+   * @param {number} reservationId - Reservation ID
+   * @returns {Promise<Object|null>} Deposit
+   */
+  static async getByReservation(reservationId) {
+    const rows = await runQuery(
+      'SELECT * FROM dat_coc WHERE id_datban = ? ORDER BY id DESC LIMIT 1',
+      [reservationId],
+      'lấy tiền cọc của đặt bàn'
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Unpaid deposits whose payment deadline has passed
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Deposits
+   */
+  static async getExpiredUnpaid(now) {
+    return await runQuery(
+      `SELECT * FROM dat_coc WHERE trang_thai = 'cho_thanh_toan' AND han_thanh_toan <= ? ORDER BY han_thanh_toan ASC`,
+      [now],
+      'lấy tiền cọc quá hạn'
+    );
+  }
+
+  /**
+   * Create a pending deposit
+   * @param {Object} data - { id_datban, so_tien, quy_tac, nha_cung_cap, han_thanh_toan }
+   * @returns {Promise<Object>} Created deposit
+   */
+  static async create(data) {
+    const query = `
+      INSERT INTO dat_coc (id_datban, ma_giao_dich, so_tien, quy_tac, nha_cung_cap, han_thanh_toan)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      data.id_datban,
+      crypto.randomBytes(16).toString('hex'),
+      data.so_tien,
+      data.quy_tac || null,
+      data.nha_cung_cap,
+      data.han_thanh_toan
+    ];
+
+    const result = await runQuery(query, params, 'tạo tiền cọc');
+    return await this.getById(result.insertId);
+  }
+
+  /**
+   * Update deposit fields
+   * @param {number} id - Deposit ID
+   * @param {Object} updateData - Columns to update
+   * @returns {Promise<Object>} Updated deposit
+   */
+  static async update(id, updateData) {
+    const updates = [];
+    const params = [];
+
+    Object.entries(updateData).forEach(([key, value]) => {
+      if (value !== undefined) {
+        updates.push(`${key} = ?`);
+        params.push(value);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    params.push(id);
+    await runQuery(`UPDATE dat_coc SET ${updates.join(', ')} WHERE id = ?`, params, 'cập nhật tiền cọc');
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Update deposit fields only while the deposit is in one of the given
+   * statuses, so concurrent payment results cannot both apply
+   * @param {number} id - Deposit ID
+   * @param {Array<string>} statuses - Statuses the deposit may be in
+   * @param {Object} updateData - Columns to update
+   * @returns {Promise<boolean>} True when this call changed the deposit
+   */
+  static async updateIfStatus(id, statuses, updateData) {
+    const updates = [];
+    const params = [];
+
+    Object.entries(updateData).forEach(([key, value]) => {
+      if (value !== undefined) {
+        updates.push(`${key} = ?`);
+        params.push(value);
+      }
+    });
+
+    params.push(id, statuses);
+    const result = await runQuery(
+      `UPDATE dat_coc SET ${updates.join(', ')} WHERE id = ? AND trang_thai IN (?)`,
+      params,
+      'cập nhật tiền cọc'
+    );
+
+    return result.affectedRows === 1;
+  }
+}
+
+module.exports = DepositModel;
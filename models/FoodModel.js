@@ -19,8 +19,8 @@ class FoodModel {
       
       // Build base query
       let query = `
-        SELECT m.id_mon, m.id_loai, m.ten_mon, m.mo_ta, m.gia, m.hinh_anh, m.so_luong,
-               l.ten_loai, l.mo_ta as mo_ta_loai
+        SELECT m.id_mon, m.id_loai, m.ten_mon, m.mo_ta, m.gia, m.hinh_anh, m.so_luong, m.thue_vat,
+               l.ten_loai, l.mo_ta as mo_ta_loai, l.thue_vat as thue_vat_loai
         FROM mon_an m
         LEFT JOIN loai_mon l ON m.id_loai = l.id_loai
         WHERE 1=1
@@ -138,8 +138,8 @@ class FoodModel {
       connection = await pool.getConnection();
       
       const query = `
-        SELECT m.id_mon, m.id_loai, m.ten_mon, m.mo_ta, m.gia, m.hinh_anh, m.so_luong,
-               l.ten_loai, l.mo_ta as mo_ta_loai
+        SELECT m.id_mon, m.id_loai, m.ten_mon, m.mo_ta, m.gia, m.hinh_anh, m.so_luong, m.thue_vat,
+               l.ten_loai, l.mo_ta as mo_ta_loai, l.thue_vat as thue_vat_loai
         FROM mon_an m
         LEFT JOIN loai_mon l ON m.id_loai = l.id_loai
         WHERE m.id_mon = ?
@@ -160,6 +160,41 @@ class FoodModel {
     }
   }
 
+  /**
+   * Get several food items by ID
+   * @param {Array<number>} ids - Food item IDs
+   * @returns {Promise<Array>} Food items found (missing IDs are left out)
+   */
+  static async getByIds(ids) {
+    if (ids.length === 0) return [];
+
+    let connection;
+    
+    try {
+      connection = await pool.getConnection();
+      
+      const query = `
+        SELECT m.id_mon, m.id_loai, m.ten_mon, m.gia, m.so_luong, l.ten_loai
+        FROM mon_an m
+        LEFT JOIN loai_mon l ON m.id_loai = l.id_loai
+        WHERE m.id_mon IN (?)
+      `;
+      
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, [ids]);
+      const duration = Date.now() - startTime;
+      
+      logDatabaseQuery(query, [ids], duration);
+      
+      return rows;
+      
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy danh sách món ăn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
   /**
    * Create new food item
    * @param {Object} foodData - Food item data
@@ -192,8 +227,8 @@ class FoodModel {
       }
       
       const query = `
-        INSERT INTO mon_an (id_loai, ten_mon, mo_ta, gia, hinh_anh, so_luong)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO mon_an (id_loai, ten_mon, mo_ta, gia, hinh_anh, so_luong, thue_vat)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `;
       
       const params = [
@@ -202,7 +237,8 @@ class FoodModel {
         foodData.mo_ta || null,
         foodData.gia,
         foodData.hinh_anh || null,
-        foodData.so_luong || 0
+        foodData.so_luong || 0,
+        foodData.thue_vat !== undefined ? foodData.thue_vat : null
       ];
       
       const startTime = Date.now();
@@ -0,0 +1,132 @@
+// Guest Profile Model - Data Access Layer for ho_so_khach and booking statistics per phone
+const { runQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Booking statistics aggregated from dat_ban
+const STATS_COLUMNS = `
+  COUNT(*) AS so_lan_dat,
+  SUM(d.trang_thai = 'hoan_thanh') AS so_lan_hoan_thanh,
+  SUM(d.trang_thai = 'khong_den') AS so_lan_khong_den,
+  SUM(d.trang_thai = 'da_huy') AS so_lan_huy,
+  MAX(CASE WHEN d.trang_thai IN ('da_den', 'hoan_thanh') THEN d.ngay END) AS lan_den_gan_nhat
+`;
+
+// SUM() comes back as a DECIMAL string
+const toStats = (row) => ({
+  so_lan_dat: Number(row.so_lan_dat || 0),
+  so_lan_hoan_thanh: Number(row.so_lan_hoan_thanh || 0),
+  so_lan_khong_den: Number(row.so_lan_khong_den || 0),
+  so_lan_huy: Number(row.so_lan_huy || 0),
+  lan_den_gan_nhat: row.lan_den_gan_nhat || null
+});
+
+class GuestProfileModel {
+  /**
+   * Staff notes of a guest
+   * @param {string} sdt - Normalized phone number
+   * @returns {Promise<Object|null>} ho_so_khach row
+   */
+  static async getByPhone(sdt) {
+    const rows = await runQuery('SELECT * FROM ho_so_khach WHERE sdt = ?', [sdt], 'lấy hồ sơ khách');
+    return rows[0] || null;
+  }
+
+  /**
+   * Booking statistics of a guest
+   * @param {string} sdt - Normalized phone number
+   * @returns {Promise<Object>} Counts and last visit
+   */
+  static async getStats(sdt) {
+    const rows = await runQuery(
+      `SELECT ${STATS_COLUMNS}, MAX(d.ten_khach) AS ten_khach FROM dat_ban d WHERE d.sdt_chuan = ?`,
+      [sdt],
+      'thống kê đặt bàn của khách'
+    );
+    return { ...toStats(rows[0]), ten_khach: rows[0].ten_khach || null };
+  }
+
+  /**
+   * Most recent bookings of a guest
+   * @param {string} sdt - Normalized phone number
+   * @param {number} limit - Max rows
+   * @returns {Promise<Array>} dat_ban rows
+   */
+  static async getRecentReservations(sdt, limit = 10) {
+    return await runQuery(
+      `SELECT id_datban, ten_khach, ngay, gio, so_luong_khach, trang_thai, ghi_chu
+       FROM dat_ban WHERE sdt_chuan = ? ORDER BY ngay DESC, gio DESC LIMIT ?`,
+      [sdt, limit],
+      'lấy đặt bàn của khách'
+    );
+  }
+
+  /**
+   * Guests who have booked, with statistics and notes
+   * @param {Object} filters - { search, vip, min_khong_den, limit }
+   * @returns {Promise<Array>} Profiles, most no-shows first
+   */
+  static async getAll(filters = {}) {
+    let query = `
+      SELECT d.sdt_chuan AS sdt, MAX(d.ten_khach) AS ten_khach, ${STATS_COLUMNS},
+        MAX(h.vip) AS vip, MAX(h.di_ung) AS di_ung, MAX(h.ghi_chu) AS ghi_chu
+      FROM dat_ban d
+      LEFT JOIN ho_so_khach h ON h.sdt = d.sdt_chuan
+      WHERE d.sdt_chuan IS NOT NULL
+    `;
+    const params = [];
+
+    if (filters.search) {
+      query += ` AND (d.sdt_chuan LIKE ? OR d.ten_khach LIKE ?)`;
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    if (filters.vip !== undefined) {
+      query += ` AND COALESCE(h.vip, FALSE) = ?`;
+      params.push(filters.vip);
+    }
+
+    query += ` GROUP BY d.sdt_chuan`;
+
+    if (filters.min_khong_den) {
+      query += ` HAVING so_lan_khong_den >= ?`;
+      params.push(filters.min_khong_den);
+    }
+
+    query += ` ORDER BY so_lan_khong_den DESC, so_lan_dat DESC LIMIT ?`;
+    params.push(filters.limit || 100);
+
+    const rows = await runQuery(query, params, 'lấy danh sách hồ sơ khách');
+    return rows.map(row => ({
+      sdt: row.sdt,
+      ten_khach: row.ten_khach,
+      ...toStats(row),
+      vip: !!row.vip,
+      di_ung: row.di_ung,
+      ghi_chu: row.ghi_chu
+    }));
+  }
+
+  /**
+   * Create or update the staff notes of a guest
+   * @param {string} sdt - Normalized phone number
+   * @param {Object} data - { ten_khach, vip, di_ung, ghi_chu }
+   * @returns {Promise<Object>} ho_so_khach row
+   */
+  static async upsert(sdt, data) {
+    const fields = ['ten_khach', 'vip', 'di_ung', 'ghi_chu'].filter(field => data[field] !== undefined);
+    if (fields.length === 0) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    const query = `
+      INSERT INTO ho_so_khach (sdt, ${fields.join(', ')})
+      VALUES (?, ${fields.map(() => '?').join(', ')})
+      ON DUPLICATE KEY UPDATE ${fields.map(field => `${field} = VALUES(${field})`).join(', ')}
+    `;
+
+    await runQuery(query, [sdt, ...fields.map(field => data[field])], 'cập nhật hồ sơ khách');
+    return await this.getByPhone(sdt);
+  }
+}
+
+module.exports = GuestProfileModel;
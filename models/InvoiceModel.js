@@ -0,0 +1,642 @@
+// Invoice Model - Data Access Layer for hoa_don and chi_tiet_hoa_don
+const { runQuery, runTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const OrderModel = require('./OrderModel');
+const PromotionModel = require('./PromotionModel');
+const invoiceConfig = require('../config/invoice');
+
+// Buyer columns, copied to split, replacement and adjustment invoices
+const BUYER_FIELDS = ['ten_nguoi_mua', 'ten_don_vi_mua', 'mst_nguoi_mua', 'dia_chi_nguoi_mua', 'email_nguoi_mua'];
+
+// Amount columns copied to a replacement invoice
+const AMOUNT_FIELDS = [
+  'tam_tinh', 'giam_gia', 'giam_gia_khuyen_mai', 'ly_do_giam_gia', 'ty_le_phi_dich_vu', 'phi_dich_vu',
+  'ty_le_vat', 'thue_vat', 'tong_hop_thue', 'phi_giao_hang', 'tong_cong'
+];
+
+const pickBuyer = (source) => {
+  const buyer = {};
+  BUYER_FIELDS.forEach(field => {
+    buyer[field] = source[field] || null;
+  });
+  return buyer;
+};
+
+class InvoiceModel {
+  /**
+   * Get invoices with filtering and pagination
+   * @param {Object} filters - { trang_thai, from, to } (dates YYYY-MM-DD)
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { data, total }
+   */
+  static async getAll(filters = {}, pagination = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.trang_thai) {
+      conditions.push('h.trang_thai = ?');
+      params.push(filters.trang_thai);
+    }
+    if (filters.from) {
+      conditions.push('h.created_at >= ?');
+      params.push(`${filters.from} 00:00:00`);
+    }
+    if (filters.to) {
+      conditions.push('h.created_at <= ?');
+      params.push(`${filters.to} 23:59:59`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = parseInt(pagination.limit) || 50;
+    const offset = parseInt(pagination.offset) || 0;
+
+    const [{ total }] = await runQuery(`SELECT COUNT(*) AS total FROM hoa_don h ${where}`, params, 'đếm hóa đơn');
+    const data = await runQuery(
+      `SELECT h.*, d.loai, d.id_ban, b.so_ban,
+         (SELECT COALESCE(SUM(so_tien), 0) FROM thanh_toan_hoa_don WHERE id_hoa_don = h.id) AS da_tra
+       FROM hoa_don h
+       JOIN don_hang d ON d.id = h.id_don
+       LEFT JOIN ban b ON b.id_ban = d.id_ban
+       ${where}
+       ORDER BY h.created_at DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      params,
+      'lấy danh sách hóa đơn'
+    );
+
+    return { data, total };
+  }
+
+  /**
+   * Get invoice by ID with its lines, payments and split invoices
+   * @param {number} id - Invoice ID
+   * @returns {Promise<Object|null>} Invoice with chi_tiet, thanh_toan, da_tra, con_lai, hoa_don_con,
+   *   hoa_don_lien_quan (the invoice it replaces or adjusts) and hoa_don_xu_ly (its replacement and adjustments), or null
+   */
+  static async getById(id) {
+    const rows = await runQuery(
+      `SELECT h.*, d.loai, d.id_ban, d.id_datban, d.ten_khach, d.sdt, b.so_ban
+       FROM hoa_don h
+       JOIN don_hang d ON d.id = h.id_don
+       LEFT JOIN ban b ON b.id_ban = d.id_ban
+       WHERE h.id = ?`,
+      [id],
+      'lấy thông tin hóa đơn'
+    );
+    if (rows.length === 0) return null;
+
+    const lines = await runQuery(
+      'SELECT * FROM chi_tiet_hoa_don WHERE id_hoa_don = ? ORDER BY id ASC',
+      [id],
+      'lấy chi tiết hóa đơn'
+    );
+    const payments = await this.getPayments(id);
+    const children = await runQuery(
+      'SELECT id, so_hoa_don, kieu_tach, tong_cong, trang_thai FROM hoa_don WHERE id_hoa_don_goc = ? ORDER BY id ASC',
+      [id],
+      'lấy hóa đơn tách'
+    );
+
+    const related = rows[0].id_hoa_don_lien_quan
+      ? await runQuery(
+        'SELECT id, so_hoa_don, ky_hieu, so_hddt, phat_hanh_luc, tong_cong FROM hoa_don WHERE id = ?',
+        [rows[0].id_hoa_don_lien_quan],
+        'lấy hóa đơn liên quan'
+      )
+      : [];
+    const corrections = await runQuery(
+      `SELECT id, so_hoa_don, loai_hoa_don, ky_hieu, so_hddt, phat_hanh_luc, ly_do_lien_quan, tong_cong, trang_thai
+       FROM hoa_don WHERE id_hoa_don_lien_quan = ? ORDER BY id ASC`,
+      [id],
+      'lấy hóa đơn thay thế, điều chỉnh'
+    );
+
+    const paid = payments.reduce((total, payment) => total + Number(payment.so_tien), 0);
+
+    return {
+      ...rows[0],
+      chi_tiet: lines,
+      thanh_toan: payments,
+      da_tra: paid,
+      con_lai: Math.max(Number(rows[0].tong_cong) - paid, 0),
+      hoa_don_con: children,
+      hoa_don_lien_quan: related[0] || null,
+      hoa_don_xu_ly: corrections,
+      khuyen_mai: await PromotionModel.getByInvoice(id)
+    };
+  }
+
+  /**
+   * Payments of an invoice, oldest first
+   * @param {number} id - Invoice ID
+   * @returns {Promise<Array>} thanh_toan_hoa_don rows
+   */
+  static async getPayments(id) {
+    return await runQuery(
+      'SELECT * FROM thanh_toan_hoa_don WHERE id_hoa_don = ? ORDER BY id ASC',
+      [id],
+      'lấy thanh toán của hóa đơn'
+    );
+  }
+
+  /**
+   * Invoices of an order
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array>} hoa_don rows
+   */
+  static async getByOrder(orderId) {
+    return await runQuery(
+      'SELECT * FROM hoa_don WHERE id_don = ? ORDER BY id ASC',
+      [orderId],
+      'lấy hóa đơn của đơn hàng'
+    );
+  }
+
+  /**
+   * Close an open order into an invoice. The active lines are read under
+   * lock and priced by `compute`, so nothing can be added in between. The
+   * promotions it applied are recorded against the invoice.
+   * @param {number} orderId - Order ID
+   * @param {Function} compute - (lines, order) => { tam_tinh, giam_gia, giam_gia_khuyen_mai, ly_do_giam_gia,
+   *   ty_le_phi_dich_vu, phi_dich_vu, ty_le_vat, thue_vat, phi_giao_hang, tong_cong, khuyen_mai, sdt_chuan }
+   * @param {string|null} actor - Who issued the invoice
+   * @returns {Promise<Object>} Created invoice
+   * @throws {AppError} 404 ORDER_NOT_FOUND, 409 ORDER_CLOSED, PROMOTION_LIMIT_REACHED or CUSTOMER_LIMIT_REACHED,
+   *   400 ORDER_EMPTY
+   */
+  static async createFromOrder(orderId, compute, actor) {
+    const id = await runTransaction('lập hóa đơn', async (connection) => {
+      const [orders] = await connection.query('SELECT * FROM don_hang WHERE id = ? FOR UPDATE', [orderId]);
+      if (orders.length === 0) {
+        throw new AppError('Không tìm thấy đơn hàng', 404, 'ORDER_NOT_FOUND');
+      }
+      if (orders[0].trang_thai !== 'mo') {
+        throw new AppError('Đơn hàng đã đóng hoặc đã hủy', 409, 'ORDER_CLOSED');
+      }
+
+      // VAT rate of the dish, else of its category; NULL leaves the default rate to compute
+      const [lines] = await connection.query(
+        `SELECT dm.*, COALESCE(m.thue_vat, l.thue_vat) AS thue_suat
+         FROM don_hang_mon dm
+         LEFT JOIN mon_an m ON m.id_mon = dm.id_mon
+         LEFT JOIN loai_mon l ON l.id_loai = m.id_loai
+         WHERE dm.id_don = ? AND dm.trang_thai = 'hoat_dong'
+         ORDER BY dm.id ASC`,
+        [orderId]
+      );
+      if (lines.length === 0) {
+        throw new AppError('Đơn hàng chưa có món nào, không thể lập hóa đơn', 400, 'ORDER_EMPTY');
+      }
+
+      const totals = compute(lines, orders[0]);
+      const result = await this.insertInvoice(connection, {
+        id_don: orderId,
+        tam_tinh: totals.tam_tinh,
+        giam_gia: totals.giam_gia,
+        giam_gia_khuyen_mai: totals.giam_gia_khuyen_mai || 0,
+        ly_do_giam_gia: totals.ly_do_giam_gia || null,
+        ty_le_phi_dich_vu: totals.ty_le_phi_dich_vu,
+        phi_dich_vu: totals.phi_dich_vu,
+        ty_le_vat: totals.ty_le_vat,
+        thue_vat: totals.thue_vat,
+        tong_hop_thue: totals.tong_hop_thue,
+        phi_giao_hang: totals.phi_giao_hang || 0,
+        tong_cong: totals.tong_cong,
+        ...pickBuyer(totals),
+        nguoi_lap: actor || null
+      });
+
+      await this.assignNumber(connection, result.insertId);
+
+      await this.insertLines(connection, result.insertId, lines.map(line => ({
+        id_mon: line.id_mon,
+        ten_mon: line.ten_mon,
+        don_gia: line.don_gia,
+        so_luong: line.so_luong,
+        thanh_tien: Number(line.don_gia) * line.so_luong,
+        thue_suat: line.thue_suat !== null ? line.thue_suat : totals.ty_le_vat
+      })));
+
+      if (totals.khuyen_mai && totals.khuyen_mai.length > 0) {
+        await PromotionModel.recordUsage(
+          connection,
+          { id_hoa_don: result.insertId, id_don: orderId, sdt_chuan: totals.sdt_chuan },
+          totals.khuyen_mai
+        );
+      }
+
+      await connection.query(
+        `UPDATE don_hang SET trang_thai = 'da_dong', dong_luc = CURRENT_TIMESTAMP WHERE id = ?`,
+        [orderId]
+      );
+
+      return result.insertId;
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Split an unpaid invoice into child invoices. The parts are built by
+   * `buildParts` from the locked invoice and its lines; the parent is kept as
+   * da_tach and each child points back at it.
+   * @param {number} id - Invoice ID
+   * @param {string} kind - theo_mon, chia_deu or tuy_chinh
+   * @param {Function} buildParts - (invoice, lines) => [{ tam_tinh, giam_gia, giam_gia_khuyen_mai, phi_dich_vu, thue_vat,
+   *   tong_hop_thue, phi_giao_hang, tong_cong, chi_tiet: [{ id_mon, ten_mon, don_gia, so_luong, thanh_tien, thue_suat }] }]
+   * @param {string|null} actor - Who split it
+   * @returns {Promise<Array>} Child invoices
+   * @throws {AppError} 404 INVOICE_NOT_FOUND, 409 INVOICE_NOT_SPLITTABLE
+   */
+  static async split(id, kind, buildParts, actor) {
+    const childIds = await runTransaction('tách hóa đơn', async (connection) => {
+      const invoice = await this.lockInvoice(connection, id);
+      if (invoice.trang_thai !== 'chua_thanh_toan') {
+        throw new AppError(`Hóa đơn ${invoice.so_hoa_don} đã thanh toán, đã tách hoặc đã hủy, không thể tách`, 409, 'INVOICE_NOT_SPLITTABLE');
+      }
+
+      const [[{ paid }]] = await connection.query(
+        'SELECT COALESCE(SUM(so_tien), 0) AS paid FROM thanh_toan_hoa_don WHERE id_hoa_don = ?',
+        [id]
+      );
+      if (Number(paid) > 0) {
+        throw new AppError('Hóa đơn đã có khoản thanh toán, không thể tách', 409, 'INVOICE_NOT_SPLITTABLE');
+      }
+
+      const [lines] = await connection.query('SELECT * FROM chi_tiet_hoa_don WHERE id_hoa_don = ? ORDER BY id ASC', [id]);
+      const parts = buildParts(invoice, lines);
+
+      const ids = [];
+      for (const [index, part] of parts.entries()) {
+        const result = await this.insertInvoice(connection, {
+          so_hoa_don: `${invoice.so_hoa_don}-${index + 1}`,
+          id_don: invoice.id_don,
+          id_hoa_don_goc: id,
+          kieu_tach: kind,
+          tam_tinh: part.tam_tinh,
+          giam_gia: part.giam_gia,
+          giam_gia_khuyen_mai: part.giam_gia_khuyen_mai || 0,
+          ly_do_giam_gia: part.giam_gia > 0 ? invoice.ly_do_giam_gia : null,
+          ty_le_phi_dich_vu: invoice.ty_le_phi_dich_vu,
+          phi_dich_vu: part.phi_dich_vu,
+          ty_le_vat: invoice.ty_le_vat,
+          thue_vat: part.thue_vat,
+          tong_hop_thue: part.tong_hop_thue || null,
+          phi_giao_hang: part.phi_giao_hang,
+          tong_cong: part.tong_cong,
+          ...pickBuyer(invoice),
+          nguoi_lap: actor || null
+        });
+
+        await this.insertLines(connection, result.insertId, part.chi_tiet);
+        ids.push(result.insertId);
+      }
+
+      await connection.query(`UPDATE hoa_don SET trang_thai = 'da_tach' WHERE id = ?`, [id]);
+      await OrderModel.log(connection, {
+        id_don: invoice.id_don,
+        id_hoa_don: id,
+        hanh_dong: 'tach_hoa_don',
+        chi_tiet: {
+          kieu_tach: kind,
+          hoa_don_con: parts.map((part, index) => ({ id: ids[index], tong_cong: part.tong_cong }))
+        },
+        nguoi_thuc_hien: actor
+      });
+
+      return ids;
+    });
+
+    const children = [];
+    for (const childId of childIds) {
+      children.push(await this.getById(childId));
+    }
+    return children;
+  }
+
+  /**
+   * Record a payment against an invoice. Partly paid invoices move to
+   * thanh_toan_mot_phan and fully paid ones to da_thanh_toan.
+   * @param {number} id - Invoice ID
+   * @param {Object} data - { so_tien, phuong_thuc, ma_giao_dich, ghi_chu, nguoi_thu }
+   * @returns {Promise<Object>} Updated invoice
+   * @throws {AppError} 404 INVOICE_NOT_FOUND, 409 INVOICE_NOT_PAYABLE, 400 OVERPAYMENT
+   */
+  static async addPayment(id, data) {
+    await runTransaction('ghi nhận thanh toán', async (connection) => {
+      const invoice = await this.lockInvoice(connection, id);
+      if (!['chua_thanh_toan', 'thanh_toan_mot_phan'].includes(invoice.trang_thai)) {
+        const hint = invoice.trang_thai === 'da_tach' ? ', hãy thanh toán các hóa đơn tách' : '';
+        throw new AppError(`Hóa đơn ${invoice.so_hoa_don} không còn nhận thanh toán${hint}`, 409, 'INVOICE_NOT_PAYABLE');
+      }
+
+      const [[{ paid }]] = await connection.query(
+        'SELECT COALESCE(SUM(so_tien), 0) AS paid FROM thanh_toan_hoa_don WHERE id_hoa_don = ?',
+        [id]
+      );
+      const remaining = Number(invoice.tong_cong) - Number(paid);
+      if (data.so_tien > remaining) {
+        throw new AppError(`Số tiền vượt quá số còn phải trả (${remaining.toLocaleString('vi-VN')}đ)`, 400, 'OVERPAYMENT');
+      }
+
+      await connection.query(
+        `INSERT INTO thanh_toan_hoa_don (id_hoa_don, so_tien, phuong_thuc, ma_giao_dich, ghi_chu, nguoi_thu)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, data.so_tien, data.phuong_thuc, data.ma_giao_dich || null, data.ghi_chu || null, data.nguoi_thu || null]
+      );
+      await connection.query(
+        'UPDATE hoa_don SET trang_thai = ? WHERE id = ?',
+        [data.so_tien === remaining ? 'da_thanh_toan' : 'thanh_toan_mot_phan', id]
+      );
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Set the buyer of an invoice that has no e-invoice yet
+   * @param {number} id - Invoice ID
+   * @param {Object} buyer - Buyer columns (ten_nguoi_mua, ten_don_vi_mua, mst_nguoi_mua, dia_chi_nguoi_mua, email_nguoi_mua)
+   * @returns {Promise<Object>} Updated invoice
+   * @throws {AppError} 404 INVOICE_NOT_FOUND, 409 EINVOICE_ALREADY_ISSUED
+   */
+  static async updateBuyer(id, buyer) {
+    await runTransaction('cập nhật người mua', async (connection) => {
+      const invoice = await this.lockInvoice(connection, id);
+      if (invoice.so_hddt) {
+        throw new AppError(
+          `Hóa đơn ${invoice.so_hoa_don} đã phát hành hóa đơn điện tử, hãy lập hóa đơn thay thế để sửa thông tin người mua`,
+          409,
+          'EINVOICE_ALREADY_ISSUED'
+        );
+      }
+
+      await connection.query(
+        `UPDATE hoa_don SET ${BUYER_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...BUYER_FIELDS.map(field => buyer[field] || null), id]
+      );
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Issue the e-invoice of a fully paid invoice: the next number of the series
+   * is taken under lock, so numbers never repeat or skip.
+   * @param {number} id - Invoice ID
+   * @param {string} series - Ký hiệu hóa đơn, e.g. C25TNH
+   * @returns {Promise<Object>} Issued invoice
+   * @throws {AppError} 404 INVOICE_NOT_FOUND, 409 EINVOICE_ALREADY_ISSUED or INVOICE_NOT_COMPLETED
+   */
+  static async issue(id, series) {
+    await runTransaction('phát hành hóa đơn điện tử', async (connection) => {
+      const invoice = await this.lockInvoice(connection, id);
+      if (invoice.so_hddt) {
+        throw new AppError(
+          `Hóa đơn ${invoice.so_hoa_don} đã phát hành hóa đơn điện tử ${invoice.ky_hieu} số ${invoice.so_hddt}`,
+          409,
+          'EINVOICE_ALREADY_ISSUED'
+        );
+      }
+      if (invoice.trang_thai !== 'da_thanh_toan') {
+        const hint = invoice.trang_thai === 'da_tach' ? ', hãy phát hành các hóa đơn tách' : '';
+        throw new AppError(
+          `Hóa đơn ${invoice.so_hoa_don} chưa thanh toán đủ, chưa thể phát hành hóa đơn điện tử${hint}`,
+          409,
+          'INVOICE_NOT_COMPLETED'
+        );
+      }
+
+      await this.publish(connection, id, series);
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Replace an issued invoice with a new e-invoice carrying the same amounts
+   * and lines, e.g. to correct the buyer. The original is kept as bi_thay_the;
+   * its payments and promotion usage move to the replacement.
+   * @param {number} id - Invoice ID
+   * @param {Object} data - { ly_do, buyer } (buyer columns, or null to keep the buyer)
+   * @param {string} series - Ký hiệu hóa đơn of the replacement
+   * @param {string|null} actor - Who issued the replacement
+   * @returns {Promise<Object>} Replacement invoice
+   * @throws {AppError} 404 INVOICE_NOT_FOUND, 409 EINVOICE_NOT_ISSUED, EINVOICE_REPLACED or EINVOICE_NOT_CORRECTABLE
+   */
+  static async replace(id, data, series, actor) {
+    const replacementId = await runTransaction('lập hóa đơn thay thế', async (connection) => {
+      const invoice = await this.lockInvoice(connection, id);
+      this.assertCorrectable(invoice);
+
+      const [[{ adjustments }]] = await connection.query(
+        `SELECT COUNT(*) AS adjustments FROM hoa_don WHERE id_hoa_don_lien_quan = ? AND loai_hoa_don = 'dieu_chinh'`,
+        [id]
+      );
+      if (adjustments > 0) {
+        throw new AppError(
+          `Hóa đơn ${invoice.so_hoa_don} đã có hóa đơn điều chỉnh, hãy tiếp tục lập hóa đơn điều chỉnh`,
+          409,
+          'EINVOICE_NOT_CORRECTABLE'
+        );
+      }
+
+      const row = {
+        id_don: invoice.id_don,
+        id_hoa_don_goc: invoice.id_hoa_don_goc,
+        kieu_tach: invoice.kieu_tach,
+        loai_hoa_don: 'thay_the',
+        id_hoa_don_lien_quan: id,
+        ly_do_lien_quan: data.ly_do,
+        trang_thai: invoice.trang_thai,
+        ...(data.buyer || pickBuyer(invoice)),
+        nguoi_lap: actor || null
+      };
+      AMOUNT_FIELDS.forEach(field => {
+        row[field] = invoice[field];
+      });
+      const result = await this.insertInvoice(connection, row);
+      await this.assignNumber(connection, result.insertId);
+
+      const [lines] = await connection.query('SELECT * FROM chi_tiet_hoa_don WHERE id_hoa_don = ? ORDER BY id ASC', [id]);
+      await this.insertLines(connection, result.insertId, lines);
+
+      await connection.query('UPDATE thanh_toan_hoa_don SET id_hoa_don = ? WHERE id_hoa_don = ?', [result.insertId, id]);
+      await connection.query('UPDATE khuyen_mai_su_dung SET id_hoa_don = ? WHERE id_hoa_don = ?', [result.insertId, id]);
+      await connection.query(`UPDATE hoa_don SET trang_thai = 'bi_thay_the' WHERE id = ?`, [id]);
+      await this.publish(connection, result.insertId, series);
+
+      await OrderModel.log(connection, {
+        id_don: invoice.id_don,
+        id_hoa_don: id,
+        hanh_dong: 'thay_the_hoa_don',
+        chi_tiet: { hoa_don_thay_the: result.insertId, ly_do: data.ly_do },
+        nguoi_thuc_hien: actor
+      });
+
+      return result.insertId;
+    });
+
+    return await this.getById(replacementId);
+  }
+
+  /**
+   * Issue an adjustment e-invoice for an issued invoice. `buildAdjustment`
+   * works out the changes from the locked invoice, its lines and the earlier
+   * adjustments. An adjustment that adds to the bill is left to be paid; one
+   * that reduces it is settled.
+   * @param {number} id - Invoice ID
+   * @param {Function} buildAdjustment - (invoice, lines, earlier) => { tam_tinh, giam_gia, giam_gia_khuyen_mai,
+   *   phi_dich_vu, thue_vat, tong_hop_thue, phi_giao_hang, tong_cong, chi_tiet }; earlier is
+   *   { hoa_don, chi_tiet } of the previous adjustments
+   * @param {string} reason - Why the invoice is adjusted
+   * @param {string} series - Ký hiệu hóa đơn of the adjustment
+   * @param {string|null} actor - Who issued the adjustment
+   * @returns {Promise<Object>} Adjustment invoice
+   * @throws {AppError} 404 INVOICE_NOT_FOUND, 409 EINVOICE_NOT_ISSUED, EINVOICE_REPLACED or EINVOICE_NOT_CORRECTABLE
+   */
+  static async adjust(id, buildAdjustment, reason, series, actor) {
+    const adjustmentId = await runTransaction('lập hóa đơn điều chỉnh', async (connection) => {
+      const invoice = await this.lockInvoice(connection, id);
+      this.assertCorrectable(invoice);
+
+      const [lines] = await connection.query('SELECT * FROM chi_tiet_hoa_don WHERE id_hoa_don = ? ORDER BY id ASC', [id]);
+      const [earlier] = await connection.query(
+        `SELECT * FROM hoa_don WHERE id_hoa_don_lien_quan = ? AND loai_hoa_don = 'dieu_chinh' ORDER BY id ASC`,
+        [id]
+      );
+      const [earlierLines] = earlier.length > 0
+        ? await connection.query('SELECT * FROM chi_tiet_hoa_don WHERE id_hoa_don IN (?) ORDER BY id ASC', [earlier.map(row => row.id)])
+        : [[]];
+
+      const part = buildAdjustment(invoice, lines, { hoa_don: earlier, chi_tiet: earlierLines });
+      const result = await this.insertInvoice(connection, {
+        id_don: invoice.id_don,
+        loai_hoa_don: 'dieu_chinh',
+        id_hoa_don_lien_quan: id,
+        ly_do_lien_quan: reason,
+        tam_tinh: part.tam_tinh,
+        giam_gia: part.giam_gia,
+        giam_gia_khuyen_mai: part.giam_gia_khuyen_mai,
+        ty_le_phi_dich_vu: invoice.ty_le_phi_dich_vu,
+        phi_dich_vu: part.phi_dich_vu,
+        ty_le_vat: invoice.ty_le_vat,
+        thue_vat: part.thue_vat,
+        tong_hop_thue: part.tong_hop_thue,
+        phi_giao_hang: part.phi_giao_hang,
+        tong_cong: part.tong_cong,
+        trang_thai: part.tong_cong > 0 ? 'chua_thanh_toan' : 'da_thanh_toan',
+        ...pickBuyer(invoice),
+        nguoi_lap: actor || null
+      });
+      await this.assignNumber(connection, result.insertId);
+      await this.insertLines(connection, result.insertId, part.chi_tiet);
+      await this.publish(connection, result.insertId, series);
+
+      await OrderModel.log(connection, {
+        id_don: invoice.id_don,
+        id_hoa_don: id,
+        hanh_dong: 'dieu_chinh_hoa_don',
+        chi_tiet: { hoa_don_dieu_chinh: result.insertId, ly_do: reason, tong_cong: part.tong_cong },
+        nguoi_thuc_hien: actor
+      });
+
+      return result.insertId;
+    });
+
+    return await this.getById(adjustmentId);
+  }
+
+  /**
+   * An invoice can be replaced or adjusted once its e-invoice is issued,
+   * unless it was replaced already or is itself an adjustment
+   * @private
+   */
+  static assertCorrectable(invoice) {
+    if (!invoice.so_hddt) {
+      throw new AppError(`Hóa đơn ${invoice.so_hoa_don} chưa phát hành hóa đơn điện tử`, 409, 'EINVOICE_NOT_ISSUED');
+    }
+    if (invoice.trang_thai === 'bi_thay_the') {
+      throw new AppError(`Hóa đơn ${invoice.so_hoa_don} đã bị thay thế, hãy xử lý trên hóa đơn thay thế`, 409, 'EINVOICE_REPLACED');
+    }
+    if (invoice.loai_hoa_don === 'dieu_chinh') {
+      throw new AppError('Không thể thay thế hoặc điều chỉnh hóa đơn điều chỉnh, hãy lập trên hóa đơn bị điều chỉnh', 409, 'EINVOICE_NOT_CORRECTABLE');
+    }
+  }
+
+  /**
+   * Number an invoice from its row ID: HD2024-000123
+   * @private
+   */
+  static async assignNumber(connection, id) {
+    const year = new Date().getFullYear();
+    await connection.query(
+      'UPDATE hoa_don SET so_hoa_don = ? WHERE id = ?',
+      [`${invoiceConfig.numberPrefix}${year}-${String(id).padStart(6, '0')}`, id]
+    );
+  }
+
+  /**
+   * Give an invoice the next e-invoice number of a series
+   * @private
+   */
+  static async publish(connection, id, series) {
+    const [[{ last }]] = await connection.query(
+      'SELECT COALESCE(MAX(so_hddt), 0) AS last FROM hoa_don WHERE ky_hieu = ? FOR UPDATE',
+      [series]
+    );
+    await connection.query(
+      'UPDATE hoa_don SET ky_hieu = ?, so_hddt = ?, phat_hanh_luc = NOW() WHERE id = ?',
+      [series, Number(last) + 1, id]
+    );
+  }
+
+  /**
+   * Insert an invoice row inside a transaction
+   * @private
+   */
+  static async insertInvoice(connection, row) {
+    const fields = Object.keys(row);
+    const [result] = await connection.query(
+      `INSERT INTO hoa_don (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+      fields.map(field => (field === 'tong_hop_thue' && row[field] !== null ? JSON.stringify(row[field]) : row[field]))
+    );
+    return result;
+  }
+
+  /**
+   * Insert the lines of an invoice inside a transaction
+   * @private
+   */
+  static async insertLines(connection, invoiceId, lines) {
+    if (lines.length === 0) return;
+
+    await connection.query(
+      'INSERT INTO chi_tiet_hoa_don (id_hoa_don, id_chi_tiet_goc, id_mon, ten_mon, don_gia, so_luong, thanh_tien, thue_suat) VALUES ?',
+      [lines.map(line => [
+        invoiceId,
+        line.id_chi_tiet_goc || null,
+        line.id_mon,
+        line.ten_mon,
+        line.don_gia,
+        line.so_luong,
+        line.thanh_tien,
+        line.thue_suat !== undefined ? line.thue_suat : null
+      ])]
+    );
+  }
+
+  /**
+   * Lock an invoice for a change
+   * @private
+   */
+  static async lockInvoice(connection, id) {
+    const [rows] = await connection.query('SELECT * FROM hoa_don WHERE id = ? FOR UPDATE', [id]);
+    if (rows.length === 0) {
+      throw new AppError('Không tìm thấy hóa đơn', 404, 'INVOICE_NOT_FOUND');
+    }
+    return rows[0];
+  }
+}
+
+module.exports = InvoiceModel;
@@ -0,0 +1,119 @@
+// Kitchen Station Model - Data Access Layer for tram_bep and tram_bep_phan_cong
+const { runQuery, runTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+class KitchenStationModel {
+  /**
+   * Get stations with the number of open tickets in each status
+   * @returns {Promise<Array>} tram_bep rows with cho_che_bien, dang_nau, san_sang
+   */
+  static async getAll() {
+    return await runQuery(
+      `SELECT t.*,
+         COALESCE(SUM(p.trang_thai = 'cho_che_bien'), 0) AS cho_che_bien,
+         COALESCE(SUM(p.trang_thai = 'dang_nau'), 0) AS dang_nau,
+         COALESCE(SUM(p.trang_thai = 'san_sang'), 0) AS san_sang
+       FROM tram_bep t
+       LEFT JOIN phieu_bep p ON p.id_tram = t.id AND p.trang_thai IN ('cho_che_bien', 'dang_nau', 'san_sang')
+       GROUP BY t.id
+       ORDER BY t.thu_tu ASC, t.id ASC`,
+      [],
+      'lấy danh sách trạm bếp'
+    );
+  }
+
+  /**
+   * Get station by ID
+   * @param {number} id - Station ID
+   * @returns {Promise<Object|null>} tram_bep row or null
+   */
+  static async getById(id) {
+    const rows = await runQuery('SELECT * FROM tram_bep WHERE id = ?', [id], 'lấy thông tin trạm bếp');
+    return rows[0] || null;
+  }
+
+  /**
+   * Get station by code
+   * @param {string} code - ma
+   * @returns {Promise<Object|null>} tram_bep row or null
+   */
+  static async getByCode(code) {
+    const rows = await runQuery('SELECT * FROM tram_bep WHERE ma = ?', [code], 'lấy thông tin trạm bếp');
+    return rows[0] || null;
+  }
+
+  /**
+   * Create station
+   * @param {Object} data - { ma, ten, thu_tu }
+   * @returns {Promise<Object>} Created station
+   */
+  static async create(data) {
+    const result = await runQuery(
+      'INSERT INTO tram_bep (ma, ten, thu_tu) VALUES (?, ?, ?)',
+      [data.ma, data.ten, data.thu_tu || 0],
+      'tạo trạm bếp'
+    );
+
+    return await this.getById(result.insertId);
+  }
+
+  /**
+   * Update station
+   * @param {number} id - Station ID
+   * @param {Object} data - Fields to update (ten, thu_tu, trang_thai)
+   * @returns {Promise<Object|null>} Updated station
+   */
+  static async update(id, data) {
+    const fields = ['ten', 'thu_tu', 'trang_thai'].filter(field => data[field] !== undefined);
+    if (fields.length === 0) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    await runQuery(
+      `UPDATE tram_bep SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => data[field]), id],
+      'cập nhật trạm bếp'
+    );
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Category and dish routing of all stations
+   * @returns {Promise<Array>} tram_bep_phan_cong rows with station, category and dish names
+   */
+  static async getRouting() {
+    return await runQuery(
+      `SELECT pc.*, t.ma AS ma_tram, t.ten AS ten_tram, l.ten_loai, m.ten_mon
+       FROM tram_bep_phan_cong pc
+       JOIN tram_bep t ON t.id = pc.id_tram
+       LEFT JOIN loai_mon l ON l.id_loai = pc.id_loai
+       LEFT JOIN mon_an m ON m.id_mon = pc.id_mon
+       ORDER BY t.thu_tu ASC, pc.id_loai IS NULL, pc.id ASC`,
+      [],
+      'lấy phân công trạm bếp'
+    );
+  }
+
+  /**
+   * Replace the categories and dishes routed to a station. Categories or
+   * dishes routed to another station move to this one.
+   * @param {number} id - Station ID
+   * @param {Object} routing - { id_loai: [], id_mon: [] }
+   */
+  static async setRouting(id, routing) {
+    await runTransaction('phân công trạm bếp', async (connection) => {
+      await connection.query('DELETE FROM tram_bep_phan_cong WHERE id_tram = ?', [id]);
+
+      for (const column of ['id_loai', 'id_mon']) {
+        if (routing[column].length === 0) continue;
+        await connection.query(
+          `INSERT INTO tram_bep_phan_cong (id_tram, ${column}) VALUES ? ON DUPLICATE KEY UPDATE id_tram = VALUES(id_tram)`,
+          [routing[column].map(value => [id, value])]
+        );
+      }
+    });
+  }
+}
+
+module.exports = KitchenStationModel;
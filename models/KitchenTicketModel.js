@@ -0,0 +1,224 @@
+// Kitchen Ticket Model - Data Access Layer for phieu_bep (one ticket per order line)
+const { runQuery } = require('../config/database');
+
+// Tickets with their order, table and station, and how long they have been waiting
+const TICKET_SELECT = `
+  SELECT p.*, dm.id_don, d.loai AS loai_don, d.id_ban, b.so_ban, t.ma AS ma_tram, t.ten AS ten_tram,
+    TIMESTAMPDIFF(SECOND, p.created_at, COALESCE(p.san_sang_luc, NOW())) AS cho_giay
+  FROM phieu_bep p
+  JOIN don_hang_mon dm ON dm.id = p.id_don_mon
+  JOIN don_hang d ON d.id = dm.id_don
+  LEFT JOIN ban b ON b.id_ban = d.id_ban
+  JOIN tram_bep t ON t.id = p.id_tram`;
+
+// Statuses a ticket is still on a kitchen display in
+const OPEN_STATUSES = ['cho_che_bien', 'dang_nau', 'san_sang'];
+
+class KitchenTicketModel {
+  /**
+   * Get tickets, oldest first
+   * @param {Object} filters - { id_tram, id_don, trang_thai: [] } (default: the open statuses)
+   * @param {number} limit - Maximum number of tickets
+   * @returns {Promise<Array>} Tickets
+   */
+  static async getAll(filters = {}, limit = 200) {
+    const conditions = ['p.trang_thai IN (?)'];
+    const params = [filters.trang_thai && filters.trang_thai.length > 0 ? filters.trang_thai : OPEN_STATUSES];
+
+    if (filters.id_tram) {
+      conditions.push('p.id_tram = ?');
+      params.push(filters.id_tram);
+    }
+    if (filters.id_don) {
+      conditions.push('dm.id_don = ?');
+      params.push(filters.id_don);
+    }
+
+    return await runQuery(
+      `${TICKET_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY p.created_at ASC, p.id ASC LIMIT ${parseInt(limit) || 200}`,
+      params,
+      'lấy danh sách phiếu bếp'
+    );
+  }
+
+  /**
+   * Get ticket by ID
+   * @param {number} id - Ticket ID
+   * @returns {Promise<Object|null>} Ticket or null
+   */
+  static async getById(id) {
+    const rows = await runQuery(`${TICKET_SELECT} WHERE p.id = ?`, [id], 'lấy thông tin phiếu bếp');
+    return rows[0] || null;
+  }
+
+  /**
+   * Tickets of order lines
+   * @param {Array<number>} lineIds - don_hang_mon IDs
+   * @returns {Promise<Array>} Tickets
+   */
+  static async getByLines(lineIds) {
+    if (lineIds.length === 0) return [];
+
+    return await runQuery(
+      `${TICKET_SELECT} WHERE p.id_don_mon IN (?) ORDER BY p.id ASC`,
+      [lineIds],
+      'lấy phiếu bếp của món'
+    );
+  }
+
+  /**
+   * Move a ticket to the next status, stamping when it got there. Only
+   * applied while the ticket is still in the expected status.
+   * @param {number} id - Ticket ID
+   * @param {string} from - Current status
+   * @param {string} to - New status
+   * @param {string|null} timestampColumn - bat_dau_luc, san_sang_luc or phuc_vu_luc
+   * @param {string|null} actor - Who moved it
+   * @returns {Promise<boolean>} False when the ticket was changed meanwhile
+   */
+  static async advance(id, from, to, timestampColumn, actor) {
+    const result = await runQuery(
+      `UPDATE phieu_bep SET trang_thai = ?, nguoi_cap_nhat = ?${timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : ''}
+       WHERE id = ? AND trang_thai = ?`,
+      [to, actor || null, id, from],
+      'cập nhật trạng thái phiếu bếp'
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Average preparation time per dish (cooking started to ready) over the
+   * tickets that went through cooking, slowest first
+   * @param {Object} filters - { tu_ngay, den_ngay, id_tram }
+   * @returns {Promise<Array>} One row per dish and station with times in seconds
+   */
+  static async getPrepTimes(filters) {
+    const params = [filters.tu_ngay, filters.den_ngay];
+    let stationCondition = '';
+    if (filters.id_tram) {
+      stationCondition = ' AND p.id_tram = ?';
+      params.push(filters.id_tram);
+    }
+
+    return await runQuery(
+      `SELECT p.id_mon, MAX(p.ten_mon) AS ten_mon, p.id_tram, t.ten AS ten_tram,
+         COUNT(*) AS so_phieu,
+         SUM(p.so_luong) AS so_phan,
+         ROUND(AVG(TIMESTAMPDIFF(SECOND, p.bat_dau_luc, p.san_sang_luc))) AS che_bien_tb_giay,
+         MAX(TIMESTAMPDIFF(SECOND, p.bat_dau_luc, p.san_sang_luc)) AS che_bien_max_giay,
+         ROUND(AVG(TIMESTAMPDIFF(SECOND, p.created_at, p.bat_dau_luc))) AS cho_tb_giay,
+         ROUND(AVG(TIMESTAMPDIFF(SECOND, p.created_at, p.san_sang_luc))) AS tong_tb_giay
+       FROM phieu_bep p
+       JOIN tram_bep t ON t.id = p.id_tram
+       WHERE p.bat_dau_luc IS NOT NULL AND p.san_sang_luc IS NOT NULL
+         AND DATE(p.san_sang_luc) BETWEEN ? AND ?${stationCondition}
+       GROUP BY p.id_mon, p.id_tram, t.ten
+       ORDER BY che_bien_tb_giay DESC`,
+      params,
+      'thống kê thời gian chế biến'
+    );
+  }
+
+  /**
+   * Current kitchen load: tickets waiting or being cooked, on every station
+   * @returns {Promise<Object>} { so_phieu, so_phan }
+   */
+  static async getLoad() {
+    const [row] = await runQuery(
+      `SELECT COUNT(*) AS so_phieu, COALESCE(SUM(so_luong), 0) AS so_phan
+       FROM phieu_bep WHERE trang_thai IN ('cho_che_bien', 'dang_nau')`,
+      [],
+      'lấy tải của bếp'
+    );
+    return { so_phieu: Number(row.so_phieu), so_phan: Number(row.so_phan) };
+  }
+
+  /**
+   * Average cooking time of dishes, from start to ready
+   * @param {Array<number>} dishIds - Dish IDs
+   * @param {string} since - Only tickets ready from this date (YYYY-MM-DD)
+   * @returns {Promise<Array>} { id_mon, che_bien_tb_giay } for the dishes with history
+   */
+  static async getAveragePrepSeconds(dishIds, since) {
+    if (dishIds.length === 0) return [];
+
+    return await runQuery(
+      `SELECT id_mon, ROUND(AVG(TIMESTAMPDIFF(SECOND, bat_dau_luc, san_sang_luc))) AS che_bien_tb_giay
+       FROM phieu_bep
+       WHERE id_mon IN (?) AND bat_dau_luc IS NOT NULL AND san_sang_luc IS NOT NULL AND san_sang_luc >= ?
+       GROUP BY id_mon`,
+      [dishIds, since],
+      'lấy thời gian chế biến trung bình'
+    );
+  }
+
+  /**
+   * Create the tickets of new order lines inside the order transaction. Each
+   * line goes to the station of its dish, else of its category, else to the
+   * default station; inactive stations are skipped.
+   * @param {Object} connection - Connection holding the transaction
+   * @param {Array<number>} lineIds - don_hang_mon IDs
+   * @param {string} defaultStation - ma of the fallback station
+   */
+  static async createForLines(connection, lineIds, defaultStation) {
+    if (lineIds.length === 0) return;
+
+    await connection.query(
+      `INSERT INTO phieu_bep (id_don_mon, id_tram, id_mon, ten_mon, so_luong, ghi_chu)
+       SELECT dm.id, COALESCE(tm.id, tl.id, td.id), dm.id_mon, dm.ten_mon, dm.so_luong, dm.ghi_chu
+       FROM don_hang_mon dm
+       JOIN tram_bep td ON td.ma = ?
+       LEFT JOIN mon_an m ON m.id_mon = dm.id_mon
+       LEFT JOIN tram_bep_phan_cong pm ON pm.id_mon = dm.id_mon
+       LEFT JOIN tram_bep tm ON tm.id = pm.id_tram AND tm.trang_thai = 'active'
+       LEFT JOIN tram_bep_phan_cong pl ON pl.id_loai = m.id_loai
+       LEFT JOIN tram_bep tl ON tl.id = pl.id_tram AND tl.trang_thai = 'active'
+       WHERE dm.id IN (?)`,
+      [defaultStation, lineIds]
+    );
+  }
+
+  /**
+   * Lock the ticket of an order line inside the order transaction
+   * @param {Object} connection - Connection holding the transaction
+   * @param {number} lineId - don_hang_mon ID
+   * @returns {Promise<Object|null>} phieu_bep row or null
+   */
+  static async lockByLine(connection, lineId) {
+    const [rows] = await connection.query('SELECT * FROM phieu_bep WHERE id_don_mon = ? FOR UPDATE', [lineId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Copy quantity and note of an order line to its ticket while the kitchen
+   * has not finished it
+   * @param {Object} connection - Connection holding the transaction
+   * @param {number} lineId - don_hang_mon ID
+   */
+  static async syncLine(connection, lineId) {
+    await connection.query(
+      `UPDATE phieu_bep p JOIN don_hang_mon dm ON dm.id = p.id_don_mon
+       SET p.so_luong = dm.so_luong, p.ghi_chu = dm.ghi_chu
+       WHERE p.id_don_mon = ? AND p.trang_thai IN ('cho_che_bien', 'dang_nau')`,
+      [lineId]
+    );
+  }
+
+  /**
+   * Take the tickets of voided order lines off the kitchen displays
+   * @param {Object} connection - Connection holding the transaction
+   * @param {Array<number>} lineIds - don_hang_mon IDs
+   * @param {string|null} actor - Who voided them
+   */
+  static async cancelForLines(connection, lineIds, actor) {
+    if (lineIds.length === 0) return;
+
+    await connection.query(
+      `UPDATE phieu_bep SET trang_thai = 'da_huy', huy_luc = CURRENT_TIMESTAMP, nguoi_cap_nhat = ?
+       WHERE id_don_mon IN (?) AND trang_thai IN (?)`,
+      [actor || null, lineIds, OPEN_STATUSES]
+    );
+  }
+}
+
+module.exports = KitchenTicketModel;
@@ -0,0 +1,89 @@
+// Notification Model - Data Access Layer for thong_bao
+const { runQuery } = require('../config/database');
+
+class NotificationModel {
+  /**
+   * Get sent notifications with optional filters, newest first
+   * @param {Object} filters - Filter parameters (id_datban, loai, trang_thai, limit)
+   * @returns {Promise<Array>} Notifications
+   */
+  static async getAll(filters = {}) {
+    let query = `
+      SELECT id, id_datban, loai, kenh, nguoi_nhan, tieu_de, noi_dung, trang_thai, loi, created_at
+      FROM thong_bao
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (filters.id_datban) {
+      query += ` AND id_datban = ?`;
+      params.push(filters.id_datban);
+    }
+
+    if (filters.loai) {
+      query += ` AND loai = ?`;
+      params.push(filters.loai);
+    }
+
+    if (filters.trang_thai) {
+      query += ` AND trang_thai = ?`;
+      params.push(filters.trang_thai);
+    }
+
+    query += ` ORDER BY created_at DESC, id DESC LIMIT ?`;
+    params.push(filters.limit || 100);
+
+    return await runQuery(query, params, 'lấy danh sách thông báo');
+  }
+
+  /**
+   * Log one delivery attempt
+   * @param {Object} data - { id_datban, loai, kenh, nguoi_nhan, tieu_de, noi_dung, trang_thai, loi }
+   * @returns {Promise<number>} Inserted ID
+   */
+  static async create(data) {
+    const query = `
+      INSERT INTO thong_bao (id_datban, loai, kenh, nguoi_nhan, tieu_de, noi_dung, trang_thai, loi)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      data.id_datban || null,
+      data.loai,
+      data.kenh,
+      data.nguoi_nhan,
+      data.tieu_de || null,
+      data.noi_dung,
+      data.trang_thai,
+      data.loi || null
+    ];
+
+    const result = await runQuery(query, params, 'ghi nhật ký thông báo');
+    return result.insertId;
+  }
+
+  /**
+   * Reservations starting within a window that have not been reminded yet
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end
+   * @param {Array<string>} statuses - Reservation statuses to remind
+   * @returns {Promise<Array>} dat_ban rows
+   */
+  static async getReservationsDueForReminder(from, to, statuses) {
+    const query = `
+      SELECT d.*
+      FROM dat_ban d
+      WHERE d.trang_thai IN (?)
+        AND TIMESTAMP(d.ngay, d.gio) > ?
+        AND TIMESTAMP(d.ngay, d.gio) <= ?
+        AND NOT EXISTS (
+          SELECT 1 FROM thong_bao t
+          WHERE t.id_datban = d.id_datban AND t.loai = 'nhac_lich' AND t.trang_thai = 'da_gui'
+        )
+      ORDER BY d.ngay ASC, d.gio ASC
+    `;
+
+    return await runQuery(query, [statuses, from, to], 'lấy đặt bàn cần nhắc lịch');
+  }
+}
+
+module.exports = NotificationModel;
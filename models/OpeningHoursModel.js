@@ -0,0 +1,359 @@
+// Opening Hours Model - Data Access Layer
+const { pool } = require('../config/database');
+const { logDatabaseQuery } = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+class OpeningHoursModel {
+  /**
+   * Get weekly opening hours
+   * @param {number|undefined} thu - Weekday filter (0 = Chủ nhật)
+   * @returns {Promise<Array>} Service periods ordered by weekday and time
+   */
+  static async getWeeklyHours(thu) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      let query = `
+        SELECT id, thu, ten_ca, gio_mo, gio_dong, gio_nhan_khach_cuoi, trang_thai
+        FROM gio_mo_cua
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (thu !== undefined) {
+        query += ` AND thu = ?`;
+        params.push(thu);
+      }
+
+      query += ` ORDER BY thu ASC, gio_mo ASC`;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return rows;
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy giờ mở cửa: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Get weekly service period by ID
+   * @param {number} id - Period ID
+   * @returns {Promise<Object|null>} Period or null
+   */
+  static async getWeeklyHourById(id) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = `
+        SELECT id, thu, ten_ca, gio_mo, gio_dong, gio_nhan_khach_cuoi, trang_thai
+        FROM gio_mo_cua
+        WHERE id = ?
+      `;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, [id]);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, [id], duration);
+
+      return rows.length > 0 ? rows[0] : null;
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy ca mở cửa: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Create weekly service period
+   * @param {Object} data - { thu, ten_ca, gio_mo, gio_dong, gio_nhan_khach_cuoi }
+   * @returns {Promise<Object>} Created period
+   */
+  static async createWeeklyHour(data) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = `
+        INSERT INTO gio_mo_cua (thu, ten_ca, gio_mo, gio_dong, gio_nhan_khach_cuoi, trang_thai)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        data.thu,
+        data.ten_ca,
+        data.gio_mo,
+        data.gio_dong,
+        data.gio_nhan_khach_cuoi || null,
+        data.trang_thai || 'active'
+      ];
+
+      const startTime = Date.now();
+      const [result] = await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return await this.getWeeklyHourById(result.insertId);
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi tạo ca mở cửa: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Update weekly service period
+   * @param {number} id - Period ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated period
+   */
+  static async updateWeeklyHour(id, updateData) {
+    return await this.updateRow('gio_mo_cua', id, updateData, 'ca mở cửa', () => this.getWeeklyHourById(id));
+  }
+
+  /**
+   * Delete weekly service period
+   * @param {number} id - Period ID
+   * @returns {Promise<Object>} Deleted period
+   */
+  static async deleteWeeklyHour(id) {
+    return await this.deleteRow('gio_mo_cua', id, 'ca mở cửa', () => this.getWeeklyHourById(id));
+  }
+
+  /**
+   * Get special dates (holidays, events, private hire) in a date range
+   * @param {Object} range - { from, to } in YYYY-MM-DD, both optional
+   * @returns {Promise<Array>} Special dates
+   */
+  static async getSpecialDates(range = {}) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      let query = `
+        SELECT id, DATE_FORMAT(ngay, '%Y-%m-%d') as ngay, loai, ten,
+               gio_bat_dau, gio_ket_thuc, ghi_chu
+        FROM ngay_dac_biet
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (range.from) {
+        query += ` AND ngay >= ?`;
+        params.push(range.from);
+      }
+
+      if (range.to) {
+        query += ` AND ngay <= ?`;
+        params.push(range.to);
+      }
+
+      query += ` ORDER BY ngay ASC, gio_bat_dau ASC`;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return rows;
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy ngày đặc biệt: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Get special date by ID
+   * @param {number} id - Special date ID
+   * @returns {Promise<Object|null>} Special date or null
+   */
+  static async getSpecialDateById(id) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = `
+        SELECT id, DATE_FORMAT(ngay, '%Y-%m-%d') as ngay, loai, ten,
+               gio_bat_dau, gio_ket_thuc, ghi_chu
+        FROM ngay_dac_biet
+        WHERE id = ?
+      `;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, [id]);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, [id], duration);
+
+      return rows.length > 0 ? rows[0] : null;
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy ngày đặc biệt: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Create special date
+   * @param {Object} data - { ngay, loai, ten, gio_bat_dau, gio_ket_thuc, ghi_chu }
+   * @returns {Promise<Object>} Created special date
+   */
+  static async createSpecialDate(data) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = `
+        INSERT INTO ngay_dac_biet (ngay, loai, ten, gio_bat_dau, gio_ket_thuc, ghi_chu)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        data.ngay,
+        data.loai,
+        data.ten,
+        data.gio_bat_dau || null,
+        data.gio_ket_thuc || null,
+        data.ghi_chu || null
+      ];
+
+      const startTime = Date.now();
+      const [result] = await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return await this.getSpecialDateById(result.insertId);
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi tạo ngày đặc biệt: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Update special date
+   * @param {number} id - Special date ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated special date
+   */
+  static async updateSpecialDate(id, updateData) {
+    return await this.updateRow('ngay_dac_biet', id, updateData, 'ngày đặc biệt', () => this.getSpecialDateById(id));
+  }
+
+  /**
+   * Delete special date
+   * @param {number} id - Special date ID
+   * @returns {Promise<Object>} Deleted special date
+   */
+  static async deleteSpecialDate(id) {
+    return await this.deleteRow('ngay_dac_biet', id, 'ngày đặc biệt', () => this.getSpecialDateById(id));
+  }
+
+  /**
+   * Shared dynamic UPDATE for calendar tables
+   * @private
+   */
+  static async updateRow(table, id, updateData, label, reload) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const existing = await reload();
+      if (!existing) {
+        throw new AppError(`Không tìm thấy ${label}`, 404, 'NOT_FOUND');
+      }
+
+      const updates = [];
+      const params = [];
+
+      Object.entries(updateData).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = ?`);
+          params.push(value);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new AppError('Không có dữ liệu để cập nhật', 400);
+      }
+
+      params.push(id);
+
+      const query = `UPDATE ${table} SET ${updates.join(', ')} WHERE id = ?`;
+
+      const startTime = Date.now();
+      await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return await reload();
+
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Lỗi khi cập nhật ${label}: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Shared DELETE for calendar tables
+   * @private
+   */
+  static async deleteRow(table, id, label, reload) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const existing = await reload();
+      if (!existing) {
+        throw new AppError(`Không tìm thấy ${label}`, 404, 'NOT_FOUND');
+      }
+
+      const query = `DELETE FROM ${table} WHERE id = ?`;
+
+      const startTime = Date.now();
+      await connection.query(query, [id]);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, [id], duration);
+
+      return existing;
+
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Lỗi khi xóa ${label}: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+}
+
+module.exports = OpeningHoursModel;
@@ -0,0 +1,468 @@
+// Order Model - Data Access Layer for don_hang and don_hang_mon
+const { runQuery, runTransaction } = require('../config/database');
+const KitchenTicketModel = require('./KitchenTicketModel');
+const { AppError } = require('../middleware/errorHandler');
+const kitchenConfig = require('../config/kitchen');
+
+class OrderModel {
+  /**
+   * Get orders with filtering and pagination
+   * @param {Object} filters - { trang_thai, loai, id_ban, ngay, trang_thai_giao }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { data, total } with table number, line count and running total
+   */
+  static async getAll(filters = {}, pagination = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.trang_thai) {
+      conditions.push('d.trang_thai = ?');
+      params.push(filters.trang_thai);
+    }
+    if (filters.loai) {
+      conditions.push('d.loai = ?');
+      params.push(filters.loai);
+    }
+    if (filters.id_ban) {
+      conditions.push('d.id_ban = ?');
+      params.push(filters.id_ban);
+    }
+    if (filters.ngay) {
+      conditions.push('DATE(d.created_at) = ?');
+      params.push(filters.ngay);
+    }
+    if (filters.trang_thai_giao) {
+      conditions.push('d.trang_thai_giao = ?');
+      params.push(filters.trang_thai_giao);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = parseInt(pagination.limit) || 50;
+    const offset = parseInt(pagination.offset) || 0;
+
+    const [{ total }] = await runQuery(`SELECT COUNT(*) AS total FROM don_hang d ${where}`, params, 'đếm đơn hàng');
+    const data = await runQuery(
+      `SELECT d.*, b.so_ban,
+         (SELECT COALESCE(SUM(so_luong), 0) FROM don_hang_mon WHERE id_don = d.id AND trang_thai = 'hoat_dong') AS so_mon,
+         (SELECT COALESCE(SUM(don_gia * so_luong), 0) FROM don_hang_mon WHERE id_don = d.id AND trang_thai = 'hoat_dong') AS tam_tinh
+       FROM don_hang d
+       LEFT JOIN ban b ON b.id_ban = d.id_ban
+       ${where}
+       ORDER BY d.created_at DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      params,
+      'lấy danh sách đơn hàng'
+    );
+
+    return { data, total };
+  }
+
+  /**
+   * Get order by ID with all its lines (voided ones included)
+   * @param {number} id - Order ID
+   * @returns {Promise<Object|null>} Order with so_ban and mon, or null
+   */
+  static async getById(id) {
+    const rows = await runQuery(
+      `SELECT d.*, b.so_ban FROM don_hang d LEFT JOIN ban b ON b.id_ban = d.id_ban WHERE d.id = ?`,
+      [id],
+      'lấy thông tin đơn hàng'
+    );
+    if (rows.length === 0) return null;
+
+    const lines = await runQuery(
+      'SELECT * FROM don_hang_mon WHERE id_don = ? ORDER BY id ASC',
+      [id],
+      'lấy món của đơn hàng'
+    );
+
+    return { ...rows[0], mon: lines };
+  }
+
+  /**
+   * Open order of a table
+   * @param {number} tableId - Table ID
+   * @returns {Promise<Object|null>} don_hang row or null
+   */
+  static async getOpenByTable(tableId) {
+    const rows = await runQuery(
+      `SELECT * FROM don_hang WHERE id_ban = ? AND trang_thai = 'mo' ORDER BY id DESC LIMIT 1`,
+      [tableId],
+      'lấy đơn đang mở của bàn'
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Create order, with its first lines (and their kitchen tickets) when given
+   * @param {Object} data - { loai, id_ban, id_datban, ten_khach, sdt, so_khach, ghi_chu, nguoi_tao }, and for
+   *   takeaway and delivery { dia_chi_giao, quan_huyen, vi_do, kinh_do, id_khu_vuc, phi_giao_hang, hen_giao_luc, trang_thai_giao }
+   * @param {Array<Object>} items - { id_mon, so_luong, ghi_chu }
+   * @returns {Promise<Object>} Created order
+   * @throws {AppError} 400 FOOD_NOT_FOUND or OUT_OF_STOCK
+   */
+  static async create(data, items = []) {
+    const id = await runTransaction('tạo đơn hàng', async (connection) => {
+      const [result] = await connection.query(
+        `INSERT INTO don_hang (loai, id_ban, id_datban, ten_khach, sdt, so_khach, ghi_chu, dia_chi_giao, quan_huyen,
+           vi_do, kinh_do, id_khu_vuc, phi_giao_hang, hen_giao_luc, trang_thai_giao, nguoi_tao)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          data.loai,
+          data.id_ban || null,
+          data.id_datban || null,
+          data.ten_khach || null,
+          data.sdt || null,
+          data.so_khach || null,
+          data.ghi_chu || null,
+          data.dia_chi_giao || null,
+          data.quan_huyen || null,
+          data.vi_do !== undefined ? data.vi_do : null,
+          data.kinh_do !== undefined ? data.kinh_do : null,
+          data.id_khu_vuc || null,
+          data.phi_giao_hang || 0,
+          data.hen_giao_luc || null,
+          data.trang_thai_giao || null,
+          data.nguoi_tao || null
+        ]
+      );
+      await this.insertItems(connection, result.insertId, items);
+      return result.insertId;
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Add lines at the current menu price, taking the portions from stock and
+   * sending them to the kitchen
+   * @param {number} id - Order ID
+   * @param {Array<Object>} items - { id_mon, so_luong, ghi_chu }
+   * @returns {Promise<Array>} Added lines
+   * @throws {AppError} 409 ORDER_CLOSED, 400 FOOD_NOT_FOUND or OUT_OF_STOCK
+   */
+  static async addItems(id, items) {
+    return await runTransaction('thêm món vào đơn', async (connection) => {
+      await this.lockOpenOrder(connection, id);
+      const added = await this.insertItems(connection, id, items);
+
+      const [lines] = await connection.query('SELECT * FROM don_hang_mon WHERE id IN (?)', [added]);
+      return lines;
+    });
+  }
+
+  /**
+   * Change quantity or note of an active line; stock and the kitchen ticket
+   * follow. The quantity is fixed once the kitchen has started the dish.
+   * @param {number} id - Order ID
+   * @param {number} lineId - Line ID
+   * @param {Object} data - { so_luong, ghi_chu }
+   * @returns {Promise<Object>} Updated line
+   * @throws {AppError} 409 ORDER_CLOSED or ORDER_LINE_IN_KITCHEN, 404 ORDER_LINE_NOT_FOUND, 400 OUT_OF_STOCK
+   */
+  static async updateItem(id, lineId, data) {
+    return await runTransaction('cập nhật món của đơn', async (connection) => {
+      await this.lockOpenOrder(connection, id);
+      const line = await this.lockActiveLine(connection, id, lineId);
+
+      if (data.so_luong !== undefined && data.so_luong !== line.so_luong) {
+        const ticket = await KitchenTicketModel.lockByLine(connection, lineId);
+        if (ticket && ticket.trang_thai !== 'cho_che_bien') {
+          throw new AppError(
+            `Món "${line.ten_mon}" bếp đã làm, hãy hủy món hoặc gọi thêm thay vì đổi số lượng`,
+            409,
+            'ORDER_LINE_IN_KITCHEN'
+          );
+        }
+
+        const delta = data.so_luong - line.so_luong;
+        if (delta > 0) {
+          const [foods] = await connection.query('SELECT ten_mon, so_luong FROM mon_an WHERE id_mon = ? FOR UPDATE', [line.id_mon]);
+          const stock = foods[0] ? foods[0].so_luong : 0;
+          if (stock < delta) {
+            throw new AppError(`Món "${line.ten_mon}" chỉ còn ${stock} phần`, 400, 'OUT_OF_STOCK');
+          }
+        }
+        await connection.query('UPDATE mon_an SET so_luong = so_luong - ? WHERE id_mon = ?', [delta, line.id_mon]);
+      }
+
+      await connection.query(
+        'UPDATE don_hang_mon SET so_luong = ?, ghi_chu = ? WHERE id = ?',
+        [
+          data.so_luong !== undefined ? data.so_luong : line.so_luong,
+          data.ghi_chu !== undefined ? data.ghi_chu || null : line.ghi_chu,
+          lineId
+        ]
+      );
+      await KitchenTicketModel.syncLine(connection, lineId);
+
+      const [rows] = await connection.query('SELECT * FROM don_hang_mon WHERE id = ?', [lineId]);
+      return rows[0];
+    });
+  }
+
+  /**
+   * Void an active line, return its portions to stock and take it off the
+   * kitchen displays unless already served. The line is kept for audit.
+   * @param {number} id - Order ID
+   * @param {number} lineId - Line ID
+   * @param {Object} data - { ly_do, nguoi_huy }
+   * @returns {Promise<Object>} Voided line
+   */
+  static async voidItem(id, lineId, data) {
+    return await runTransaction('hủy món của đơn', async (connection) => {
+      await this.lockOpenOrder(connection, id);
+      const line = await this.lockActiveLine(connection, id, lineId);
+
+      await connection.query('UPDATE mon_an SET so_luong = so_luong + ? WHERE id_mon = ?', [line.so_luong, line.id_mon]);
+      await connection.query(
+        `UPDATE don_hang_mon SET trang_thai = 'da_huy', ly_do_huy = ?, nguoi_huy = ?, huy_luc = CURRENT_TIMESTAMP WHERE id = ?`,
+        [data.ly_do || null, data.nguoi_huy || null, lineId]
+      );
+      await KitchenTicketModel.cancelForLines(connection, [lineId], data.nguoi_huy);
+
+      const [rows] = await connection.query('SELECT * FROM don_hang_mon WHERE id = ?', [lineId]);
+      return rows[0];
+    });
+  }
+
+  /**
+   * Cancel an open order: every active line is voided and returned to stock
+   * @param {number} id - Order ID
+   * @param {Object} data - { ly_do, nguoi_huy }
+   * @returns {Promise<Object>} Cancelled order
+   */
+  static async cancel(id, data) {
+    await runTransaction('hủy đơn hàng', async (connection) => {
+      await this.lockOpenOrder(connection, id);
+
+      const [lines] = await connection.query(
+        `SELECT id, id_mon, so_luong FROM don_hang_mon WHERE id_don = ? AND trang_thai = 'hoat_dong' FOR UPDATE`,
+        [id]
+      );
+      for (const line of lines) {
+        await connection.query('UPDATE mon_an SET so_luong = so_luong + ? WHERE id_mon = ?', [line.so_luong, line.id_mon]);
+      }
+
+      await connection.query(
+        `UPDATE don_hang_mon SET trang_thai = 'da_huy', ly_do_huy = ?, nguoi_huy = ?, huy_luc = CURRENT_TIMESTAMP
+         WHERE id_don = ? AND trang_thai = 'hoat_dong'`,
+        [data.ly_do || 'Hủy đơn', data.nguoi_huy || null, id]
+      );
+      await KitchenTicketModel.cancelForLines(connection, lines.map(line => line.id), data.nguoi_huy);
+      await connection.query(`UPDATE don_hang SET trang_thai = 'da_huy', dong_luc = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Merge open orders into another open order. All their lines move over,
+   * keeping the order they came from in id_don_goc, and the merged orders are
+   * closed as da_gop pointing at the target.
+   * @param {number} id - Target order ID
+   * @param {Array<number>} sourceIds - Orders to merge in
+   * @param {string|null} actor - Who merged them
+   * @returns {Promise<Object>} Target order
+   * @throws {AppError} 404 ORDER_NOT_FOUND, 409 ORDER_CLOSED or DELIVERY_ORDER_NOT_MERGEABLE
+   */
+  static async merge(id, sourceIds, actor) {
+    await runTransaction('gộp đơn hàng', async (connection) => {
+      const target = await this.lockOpenOrder(connection, id);
+      const merged = [];
+      let guests = target.so_khach || 0;
+
+      for (const sourceId of sourceIds) {
+        const source = await this.lockOpenOrder(connection, sourceId);
+        if (target.loai === 'giao_hang' || source.loai === 'giao_hang') {
+          throw new AppError('Không thể gộp đơn giao hàng với đơn khác', 409, 'DELIVERY_ORDER_NOT_MERGEABLE');
+        }
+        const [result] = await connection.query(
+          'UPDATE don_hang_mon SET id_don_goc = COALESCE(id_don_goc, id_don), id_don = ? WHERE id_don = ?',
+          [id, sourceId]
+        );
+        await connection.query(
+          `UPDATE don_hang SET trang_thai = 'da_gop', id_don_gop = ?, dong_luc = CURRENT_TIMESTAMP WHERE id = ?`,
+          [id, sourceId]
+        );
+        await this.log(connection, {
+          id_don: sourceId,
+          hanh_dong: 'gop_don',
+          chi_tiet: { vao_don: id, id_ban: target.id_ban },
+          nguoi_thuc_hien: actor
+        });
+
+        guests += source.so_khach || 0;
+        merged.push({ id_don: sourceId, id_ban: source.id_ban, so_dong: result.affectedRows });
+      }
+
+      await connection.query('UPDATE don_hang SET so_khach = ? WHERE id = ?', [guests || null, id]);
+      await this.log(connection, {
+        id_don: id,
+        hanh_dong: 'gop_don',
+        chi_tiet: { tu_don: merged },
+        nguoi_thuc_hien: actor
+      });
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Move an open order to another table, which must not have an open order
+   * @param {number} id - Order ID
+   * @param {number} tableId - Destination table ID
+   * @param {string|null} actor - Who moved it
+   * @returns {Promise<Object>} Moved order
+   * @throws {AppError} 404 ORDER_NOT_FOUND, 409 ORDER_CLOSED, TABLE_HAS_OPEN_ORDER or DELIVERY_ORDER_NOT_MOVABLE
+   */
+  static async moveTable(id, tableId, actor) {
+    await runTransaction('chuyển bàn', async (connection) => {
+      const order = await this.lockOpenOrder(connection, id);
+      if (order.loai === 'giao_hang') {
+        throw new AppError('Đơn giao hàng không thể chuyển vào bàn', 409, 'DELIVERY_ORDER_NOT_MOVABLE');
+      }
+
+      const [open] = await connection.query(
+        `SELECT id FROM don_hang WHERE id_ban = ? AND trang_thai = 'mo' AND id <> ? FOR UPDATE`,
+        [tableId, id]
+      );
+      if (open.length > 0) {
+        throw new AppError(`Bàn đích đang có đơn #${open[0].id}, hãy gộp đơn thay vì chuyển bàn`, 409, 'TABLE_HAS_OPEN_ORDER');
+      }
+
+      await connection.query(`UPDATE don_hang SET id_ban = ?, loai = 'tai_ban' WHERE id = ?`, [tableId, id]);
+      await this.log(connection, {
+        id_don: id,
+        hanh_dong: 'chuyen_ban',
+        chi_tiet: { tu_ban: order.id_ban, den_ban: tableId },
+        nguoi_thuc_hien: actor
+      });
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Move a takeaway or delivery order to its next delivery status, only if it
+   * is still at the status the caller saw. Orders placed before the lifecycle
+   * existed count as dang_chuan_bi. The move is written to the order log.
+   * @param {number} id - Order ID
+   * @param {string} from - Expected current status
+   * @param {string} to - New status
+   * @param {Object} data - { nguoi_giao, ly_do, nguoi_thuc_hien }
+   * @returns {Promise<boolean>} False when the order was changed or closed meanwhile
+   */
+  static async setDeliveryStatus(id, from, to, data) {
+    return await runTransaction('cập nhật trạng thái giao hàng', async (connection) => {
+      const [result] = await connection.query(
+        `UPDATE don_hang
+         SET trang_thai_giao = ?,
+           nguoi_giao = COALESCE(?, nguoi_giao),
+           ly_do_giao_that_bai = ?,
+           giao_luc = IF(? = 'da_giao', CURRENT_TIMESTAMP, giao_luc)
+         WHERE id = ? AND trang_thai IN ('mo', 'da_dong') AND COALESCE(trang_thai_giao, 'dang_chuan_bi') = ?`,
+        [to, data.nguoi_giao || null, to === 'giao_that_bai' ? data.ly_do : null, to, id, from]
+      );
+      if (result.affectedRows === 0) return false;
+
+      await this.log(connection, {
+        id_don: id,
+        hanh_dong: 'giao_hang',
+        chi_tiet: { tu: from, den: to, nguoi_giao: data.nguoi_giao || null, ly_do: data.ly_do || null },
+        nguoi_thuc_hien: data.nguoi_thuc_hien
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Merge, move, split and delivery log of an order, oldest first
+   * @param {number} id - Order ID
+   * @returns {Promise<Array>} nhat_ky_don_hang rows
+   */
+  static async getHistory(id) {
+    return await runQuery(
+      'SELECT * FROM nhat_ky_don_hang WHERE id_don = ? ORDER BY id ASC',
+      [id],
+      'lấy nhật ký đơn hàng'
+    );
+  }
+
+  /**
+   * Append an entry to the order log inside a transaction
+   * @param {Object} connection - Connection holding the transaction
+   * @param {Object} entry - { id_don, id_hoa_don, hanh_dong, chi_tiet, nguoi_thuc_hien }
+   */
+  static async log(connection, entry) {
+    await connection.query(
+      'INSERT INTO nhat_ky_don_hang (id_don, id_hoa_don, hanh_dong, chi_tiet, nguoi_thuc_hien) VALUES (?, ?, ?, ?, ?)',
+      [entry.id_don, entry.id_hoa_don || null, entry.hanh_dong, JSON.stringify(entry.chi_tiet), entry.nguoi_thuc_hien || null]
+    );
+  }
+
+  /**
+   * Insert lines at the current menu price, taking the portions from stock,
+   * with a kitchen ticket for each
+   * @private
+   */
+  static async insertItems(connection, id, items) {
+    const added = [];
+    for (const item of items) {
+      const quantity = parseInt(item.so_luong) || 1;
+      const [foods] = await connection.query(
+        'SELECT id_mon, ten_mon, gia, so_luong FROM mon_an WHERE id_mon = ? FOR UPDATE',
+        [item.id_mon]
+      );
+      const food = foods[0];
+      if (!food) {
+        throw new AppError(`Món #${item.id_mon} không tồn tại`, 400, 'FOOD_NOT_FOUND');
+      }
+      if (food.so_luong < quantity) {
+        throw new AppError(`Món "${food.ten_mon}" chỉ còn ${food.so_luong} phần`, 400, 'OUT_OF_STOCK');
+      }
+
+      await connection.query('UPDATE mon_an SET so_luong = so_luong - ? WHERE id_mon = ?', [quantity, food.id_mon]);
+      const [result] = await connection.query(
+        'INSERT INTO don_hang_mon (id_don, id_mon, ten_mon, don_gia, so_luong, ghi_chu) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, food.id_mon, food.ten_mon, food.gia, quantity, item.ghi_chu ? String(item.ghi_chu).trim() : null]
+      );
+      added.push(result.insertId);
+    }
+
+    await KitchenTicketModel.createForLines(connection, added, kitchenConfig.defaultStation);
+    return added;
+  }
+
+  /**
+   * Lock an order for a change, which must still be open
+   * @private
+   */
+  static async lockOpenOrder(connection, id) {
+    const [rows] = await connection.query('SELECT * FROM don_hang WHERE id = ? FOR UPDATE', [id]);
+    if (rows.length === 0) {
+      throw new AppError('Không tìm thấy đơn hàng', 404, 'ORDER_NOT_FOUND');
+    }
+    if (rows[0].trang_thai !== 'mo') {
+      throw new AppError(`Đơn hàng #${id} đã đóng, đã gộp hoặc đã hủy, không thể thay đổi`, 409, 'ORDER_CLOSED');
+    }
+    return rows[0];
+  }
+
+  /**
+   * Lock an active line of an order
+   * @private
+   */
+  static async lockActiveLine(connection, id, lineId) {
+    const [rows] = await connection.query(
+      `SELECT * FROM don_hang_mon WHERE id = ? AND id_don = ? AND trang_thai = 'hoat_dong' FOR UPDATE`,
+      [lineId, id]
+    );
+    if (rows.length === 0) {
+      throw new AppError('Không tìm thấy món trong đơn hoặc món đã hủy', 404, 'ORDER_LINE_NOT_FOUND');
+    }
+    return rows[0];
+  }
+}
+
+module.exports = OrderModel;
@@ -0,0 +1,177 @@
+// Payment Transaction Model - Data Access Layer for giao_dich_thanh_toan
+const crypto = require('crypto');
+const { runQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+class PaymentTransactionModel {
+  /**
+   * Get a transaction by ID
+   * @param {number} id - Transaction ID
+   * @returns {Promise<Object|null>} Transaction
+   */
+  static async getById(id) {
+    const rows = await runQuery('SELECT * FROM giao_dich_thanh_toan WHERE id = ?', [id], 'lấy giao dịch thanh toán');
+    return rows[0] || null;
+  }
+
+  /**
+   * Get a transaction by the reference sent to the payment provider
+   * @param {string} reference - ma_giao_dich
+   * @returns {Promise<Object|null>} Transaction
+   */
+  static async getByReference(reference) {
+    const rows = await runQuery(
+      'SELECT * FROM giao_dich_thanh_toan WHERE ma_giao_dich = ?',
+      [reference],
+      'lấy giao dịch thanh toán'
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Get the transaction created with an idempotency key
+   * @param {string} key - khoa_idempotency
+   * @returns {Promise<Object|null>} Transaction
+   */
+  static async getByIdempotencyKey(key) {
+    const rows = await runQuery(
+      'SELECT * FROM giao_dich_thanh_toan WHERE khoa_idempotency = ?',
+      [key],
+      'lấy giao dịch thanh toán'
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Latest pending transaction of an invoice or deposit that has not expired
+   * @param {string} type - hoa_don or dat_coc
+   * @param {number} targetId - Invoice or deposit ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Transaction
+   */
+  static async getOpen(type, targetId, now) {
+    const rows = await runQuery(
+      `SELECT * FROM giao_dich_thanh_toan
+       WHERE loai = ? AND id_doi_tuong = ? AND trang_thai = 'cho_thanh_toan' AND han_thanh_toan > ?
+       ORDER BY id DESC LIMIT 1`,
+      [type, targetId, now],
+      'lấy giao dịch đang chờ thanh toán'
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Transactions of an invoice or deposit, newest first
+   * @param {string} type - hoa_don or dat_coc
+   * @param {number} targetId - Invoice or deposit ID
+   * @returns {Promise<Array>} Transactions
+   */
+  static async getByTarget(type, targetId) {
+    return await runQuery(
+      'SELECT * FROM giao_dich_thanh_toan WHERE loai = ? AND id_doi_tuong = ? ORDER BY id DESC',
+      [type, targetId],
+      'lấy giao dịch thanh toán'
+    );
+  }
+
+  /**
+   * Create a pending transaction
+   * @param {Object} data - { ma_giao_dich (optional), loai, id_doi_tuong, nha_cung_cap, so_tien,
+   *   url_tra_ve, khoa_idempotency, han_thanh_toan }
+   * @returns {Promise<Object>} Created transaction
+   */
+  static async create(data) {
+    const result = await runQuery(
+      `INSERT INTO giao_dich_thanh_toan (ma_giao_dich, loai, id_doi_tuong, nha_cung_cap, so_tien, url_tra_ve,
+         khoa_idempotency, han_thanh_toan)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        data.ma_giao_dich || crypto.randomBytes(16).toString('hex'),
+        data.loai,
+        data.id_doi_tuong,
+        data.nha_cung_cap,
+        data.so_tien,
+        data.url_tra_ve || null,
+        data.khoa_idempotency || null,
+        data.han_thanh_toan
+      ],
+      'tạo giao dịch thanh toán'
+    );
+
+    return await this.getById(result.insertId);
+  }
+
+  /**
+   * Update transaction fields
+   * @param {number} id - Transaction ID
+   * @param {Object} updateData - Columns to update
+   * @returns {Promise<Object>} Updated transaction
+   */
+  static async update(id, updateData) {
+    const updates = [];
+    const params = [];
+
+    Object.entries(updateData).forEach(([key, value]) => {
+      if (value !== undefined) {
+        updates.push(`${key} = ?`);
+        params.push(value);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    params.push(id);
+    await runQuery(`UPDATE giao_dich_thanh_toan SET ${updates.join(', ')} WHERE id = ?`, params, 'cập nhật giao dịch thanh toán');
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Keep the latest callback payload and count the deliveries
+   * @param {number} id - Transaction ID
+   * @param {Object} payload - Callback payload as received
+   */
+  static async recordCallback(id, payload) {
+    await runQuery(
+      'UPDATE giao_dich_thanh_toan SET so_lan_callback = so_lan_callback + 1, du_lieu_callback = ? WHERE id = ?',
+      [JSON.stringify(payload), id],
+      'ghi nhận callback thanh toán'
+    );
+  }
+
+  /**
+   * Move a pending transaction to its final status. Only the first result
+   * wins: a transaction already settled is left as it is. An expired one can
+   * still be settled, the money may arrive after the link ran out.
+   * @param {number} id - Transaction ID
+   * @param {Object} data - { trang_thai, ma_nha_cung_cap, loi }
+   * @returns {Promise<boolean>} Whether this call settled the transaction
+   */
+  static async settle(id, data) {
+    const result = await runQuery(
+      `UPDATE giao_dich_thanh_toan
+       SET trang_thai = ?, ma_nha_cung_cap = COALESCE(?, ma_nha_cung_cap), loi = ?,
+         thanh_toan_luc = IF(? = 'thanh_cong', CURRENT_TIMESTAMP, thanh_toan_luc)
+       WHERE id = ? AND trang_thai IN ('cho_thanh_toan', 'het_han')`,
+      [data.trang_thai, data.ma_nha_cung_cap || null, data.loi || null, data.trang_thai, id],
+      'cập nhật kết quả thanh toán'
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Mark a pending transaction as expired
+   * @param {number} id - Transaction ID
+   */
+  static async expire(id) {
+    await runQuery(
+      `UPDATE giao_dich_thanh_toan SET trang_thai = 'het_han' WHERE id = ? AND trang_thai = 'cho_thanh_toan'`,
+      [id],
+      'cập nhật giao dịch hết hạn'
+    );
+  }
+}
+
+module.exports = PaymentTransactionModel;
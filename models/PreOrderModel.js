@@ -0,0 +1,76 @@
+// Pre-order Model - Data Access Layer for dat_ban_mon (dishes ordered with a reservation)
+const { pool, runQuery } = require('../config/database');
+const { logDatabaseQuery } = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+class PreOrderModel {
+  /**
+   * Pre-ordered dishes of a reservation
+   * @param {number} id - Reservation ID
+   * @returns {Promise<Array>} dat_ban_mon rows
+   */
+  static async getByReservation(id) {
+    return await runQuery(
+      'SELECT * FROM dat_ban_mon WHERE id_datban = ? ORDER BY id ASC',
+      [id],
+      'lấy món đặt trước'
+    );
+  }
+
+  /**
+   * Pre-ordered dishes of all reservations on a date, with the booking they belong to
+   * @param {string} ngay - Date (YYYY-MM-DD)
+   * @param {Array<string>} statuses - Reservation statuses to include
+   * @returns {Promise<Array>} Lines with id_datban, gio, ten_khach, trang_thai and current stock
+   */
+  static async getByDate(ngay, statuses) {
+    return await runQuery(
+      `SELECT dm.id_datban, dm.id_mon, dm.ten_mon, dm.so_luong, dm.ghi_chu,
+              d.gio, d.ten_khach, d.trang_thai, m.so_luong AS ton_kho
+       FROM dat_ban_mon dm
+       JOIN dat_ban d ON d.id_datban = dm.id_datban
+       LEFT JOIN mon_an m ON m.id_mon = dm.id_mon
+       WHERE d.ngay = ? AND d.trang_thai IN (?)
+       ORDER BY d.gio ASC, dm.id ASC`,
+      [ngay, statuses],
+      'lấy món đặt trước theo ngày'
+    );
+  }
+
+  /**
+   * Replace the pre-ordered dishes of a reservation
+   * @param {number} id - Reservation ID
+   * @param {Array<Object>} lines - { id_mon, ten_mon, don_gia, so_luong, ghi_chu }
+   * @returns {Promise<Array>} Stored lines
+   */
+  static async replace(id, lines) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const startTime = Date.now();
+      await connection.query('DELETE FROM dat_ban_mon WHERE id_datban = ?', [id]);
+      if (lines.length > 0) {
+        await connection.query(
+          'INSERT INTO dat_ban_mon (id_datban, id_mon, ten_mon, don_gia, so_luong, ghi_chu) VALUES ?',
+          [lines.map(line => [id, line.id_mon, line.ten_mon, line.don_gia, line.so_luong, line.ghi_chu || null])]
+        );
+      }
+      await connection.commit();
+
+      logDatabaseQuery('TRANSACTION thay món đặt trước', [id], Date.now() - startTime);
+
+    } catch (error) {
+      if (connection) await connection.rollback();
+      throw new AppError(`Lỗi khi lưu món đặt trước: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+
+    return await this.getByReservation(id);
+  }
+}
+
+module.exports = PreOrderModel;
@@ -0,0 +1,221 @@
+// Promotion Model - Data Access Layer for khuyen_mai and khuyen_mai_su_dung
+const { runQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Columns that may be written, JSON ones stored as text
+const FIELDS = [
+  'ma', 'ten', 'mo_ta', 'kieu', 'gia_tri', 'giam_toi_da', 'pham_vi', 'id_loai', 'id_mon', 'so_luong_mua', 'so_luong_tang',
+  'don_toi_thieu', 'bat_dau', 'ket_thuc', 'ngay_trong_tuan', 'gio_bat_dau', 'gio_ket_thuc', 'gioi_han_luot',
+  'gioi_han_moi_khach', 'cong_don', 'uu_tien', 'trang_thai'
+];
+const JSON_FIELDS = ['id_loai', 'id_mon', 'ngay_trong_tuan'];
+
+const toColumn = (field, value) => (JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value);
+
+class PromotionModel {
+  /**
+   * Get promotions in the order they are tried (uu_tien, then oldest first)
+   * @param {Object} filters - { trang_thai, co_ma }
+   * @returns {Promise<Array>} khuyen_mai rows
+   */
+  static async getAll(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.trang_thai) {
+      conditions.push('trang_thai = ?');
+      params.push(filters.trang_thai);
+    }
+    if (filters.co_ma !== undefined) {
+      conditions.push(filters.co_ma ? 'ma IS NOT NULL' : 'ma IS NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `SELECT * FROM khuyen_mai ${where} ORDER BY uu_tien ASC, id ASC`,
+      params,
+      'lấy danh sách khuyến mãi'
+    );
+  }
+
+  /**
+   * Get promotion by ID
+   * @param {number} id - Promotion ID
+   * @returns {Promise<Object|null>} khuyen_mai row or null
+   */
+  static async getById(id) {
+    const rows = await runQuery('SELECT * FROM khuyen_mai WHERE id = ?', [id], 'lấy thông tin khuyến mãi');
+    return rows[0] || null;
+  }
+
+  /**
+   * Get promotion by code
+   * @param {string} code - Upper-case code
+   * @returns {Promise<Object|null>} khuyen_mai row or null
+   */
+  static async getByCode(code) {
+    const rows = await runQuery('SELECT * FROM khuyen_mai WHERE ma = ?', [code], 'tìm mã khuyến mãi');
+    return rows[0] || null;
+  }
+
+  /**
+   * Promotions that may apply to a cart: every active promotion without a
+   * code, and the promotions of the codes entered whatever their status
+   * (so an expired or switched-off code can be explained)
+   * @param {Array<string>} codes - Upper-case codes entered
+   * @returns {Promise<Array>} khuyen_mai rows in uu_tien order
+   */
+  static async getCandidates(codes) {
+    return await runQuery(
+      `SELECT * FROM khuyen_mai
+       WHERE (ma IS NULL AND trang_thai = 'active')${codes.length > 0 ? ' OR ma IN (?)' : ''}
+       ORDER BY uu_tien ASC, id ASC`,
+      codes.length > 0 ? [codes] : [],
+      'lấy khuyến mãi áp dụng được'
+    );
+  }
+
+  /**
+   * Dishes of some categories
+   * @param {Array<number>} categoryIds - loai_mon IDs
+   * @returns {Promise<Array>} { id_mon, id_loai }
+   */
+  static async getCategoryDishes(categoryIds) {
+    if (categoryIds.length === 0) return [];
+
+    return await runQuery(
+      'SELECT id_mon, id_loai FROM mon_an WHERE id_loai IN (?)',
+      [categoryIds],
+      'lấy món theo loại'
+    );
+  }
+
+  /**
+   * How many times a customer has used each promotion
+   * @param {Array<number>} ids - Promotion IDs
+   * @param {string} phone - Normalized phone of the customer
+   * @returns {Promise<Array>} { id_khuyen_mai, so_lan }
+   */
+  static async countCustomerUsage(ids, phone) {
+    if (ids.length === 0 || !phone) return [];
+
+    return await runQuery(
+      `SELECT id_khuyen_mai, COUNT(*) AS so_lan FROM khuyen_mai_su_dung
+       WHERE id_khuyen_mai IN (?) AND sdt_chuan = ?
+       GROUP BY id_khuyen_mai`,
+      [ids, phone],
+      'đếm lượt dùng khuyến mãi của khách'
+    );
+  }
+
+  /**
+   * Usage totals of a promotion
+   * @param {number} id - Promotion ID
+   * @returns {Promise<Object>} { so_lan, so_khach, tong_giam }
+   */
+  static async getStats(id) {
+    const rows = await runQuery(
+      `SELECT COUNT(*) AS so_lan, COUNT(DISTINCT sdt_chuan) AS so_khach, COALESCE(SUM(so_tien_giam), 0) AS tong_giam
+       FROM khuyen_mai_su_dung WHERE id_khuyen_mai = ?`,
+      [id],
+      'thống kê lượt dùng khuyến mãi'
+    );
+    return {
+      so_lan: Number(rows[0].so_lan),
+      so_khach: Number(rows[0].so_khach),
+      tong_giam: Number(rows[0].tong_giam)
+    };
+  }
+
+  /**
+   * Promotions used on an invoice
+   * @param {number} invoiceId - hoa_don ID
+   * @returns {Promise<Array>} khuyen_mai_su_dung rows with ma and ten
+   */
+  static async getByInvoice(invoiceId) {
+    return await runQuery(
+      `SELECT s.id_khuyen_mai, k.ma, k.ten, s.so_tien_giam
+       FROM khuyen_mai_su_dung s
+       JOIN khuyen_mai k ON k.id = s.id_khuyen_mai
+       WHERE s.id_hoa_don = ?
+       ORDER BY s.id ASC`,
+      [invoiceId],
+      'lấy khuyến mãi của hóa đơn'
+    );
+  }
+
+  /**
+   * Create promotion
+   * @param {Object} data - khuyen_mai fields
+   * @returns {Promise<Object>} Created promotion
+   */
+  static async create(data) {
+    const fields = FIELDS.filter(field => data[field] !== undefined);
+    const result = await runQuery(
+      `INSERT INTO khuyen_mai (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+      fields.map(field => toColumn(field, data[field])),
+      'tạo khuyến mãi'
+    );
+
+    return await this.getById(result.insertId);
+  }
+
+  /**
+   * Update promotion
+   * @param {number} id - Promotion ID
+   * @param {Object} data - Fields to update (see create)
+   * @returns {Promise<Object|null>} Updated promotion
+   */
+  static async update(id, data) {
+    const fields = FIELDS.filter(field => data[field] !== undefined);
+    if (fields.length === 0) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    await runQuery(
+      `UPDATE khuyen_mai SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => toColumn(field, data[field])), id],
+      'cập nhật khuyến mãi'
+    );
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Record the promotions applied to an invoice inside the invoice
+   * transaction. Each promotion row is locked while its limits are checked
+   * again, so two tills cannot both take the last use of a code.
+   * @param {Object} connection - Connection holding the transaction
+   * @param {Object} invoice - { id_hoa_don, id_don, sdt_chuan }
+   * @param {Array<Object>} applied - { id, ten, so_tien_giam }
+   * @throws {AppError} 409 PROMOTION_LIMIT_REACHED or CUSTOMER_LIMIT_REACHED
+   */
+  static async recordUsage(connection, invoice, applied) {
+    for (const promotion of applied) {
+      const [rows] = await connection.query('SELECT * FROM khuyen_mai WHERE id = ? FOR UPDATE', [promotion.id]);
+      const row = rows[0];
+
+      if (row.gioi_han_luot !== null && row.da_dung >= row.gioi_han_luot) {
+        throw new AppError(`Khuyến mãi "${row.ten}" đã hết lượt sử dụng`, 409, 'PROMOTION_LIMIT_REACHED');
+      }
+      if (row.gioi_han_moi_khach !== null) {
+        const [counts] = await connection.query(
+          'SELECT COUNT(*) AS so_lan FROM khuyen_mai_su_dung WHERE id_khuyen_mai = ? AND sdt_chuan = ?',
+          [row.id, invoice.sdt_chuan]
+        );
+        if (Number(counts[0].so_lan) >= row.gioi_han_moi_khach) {
+          throw new AppError(`Khách đã dùng hết lượt của khuyến mãi "${row.ten}"`, 409, 'CUSTOMER_LIMIT_REACHED');
+        }
+      }
+
+      await connection.query(
+        `INSERT INTO khuyen_mai_su_dung (id_khuyen_mai, id_hoa_don, id_don, sdt_chuan, so_tien_giam)
+         VALUES (?, ?, ?, ?, ?)`,
+        [row.id, invoice.id_hoa_don, invoice.id_don, invoice.sdt_chuan || null, promotion.so_tien_giam]
+      );
+      await connection.query('UPDATE khuyen_mai SET da_dung = da_dung + 1 WHERE id = ?', [row.id]);
+    }
+  }
+}
+
+module.exports = PromotionModel;
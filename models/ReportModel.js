@@ -0,0 +1,118 @@
+// Report Model - Read-only reservation queries for reports and the host sheet
+const { runQuery } = require('../config/database');
+
+class ReportModel {
+  /**
+   * Reservations of a date range in the given statuses
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @param {Array<string>} statuses - Statuses to include
+   * @returns {Promise<Array>} Rows (id_datban, ngay, gio, thoi_luong, so_luong_khach, trang_thai)
+   */
+  static async getReservations(from, to, statuses) {
+    return await runQuery(
+      `SELECT id_datban, ngay, gio, thoi_luong, so_luong_khach, trang_thai
+       FROM dat_ban
+       WHERE ngay BETWEEN ? AND ? AND trang_thai IN (?)
+       ORDER BY ngay ASC, gio ASC`,
+      [from, to, statuses],
+      'lấy đặt bàn cho báo cáo'
+    );
+  }
+
+  /**
+   * Booking outcomes per weekday (0 = Chủ nhật)
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @param {Array<string>} statuses - Statuses counted in the total
+   * @returns {Promise<Array>} { thu, tong, khong_den, da_huy }
+   */
+  static async getOutcomesByWeekday(from, to, statuses) {
+    const rows = await runQuery(
+      `SELECT DAYOFWEEK(ngay) - 1 AS thu,
+         COUNT(*) AS tong,
+         SUM(trang_thai = 'khong_den') AS khong_den,
+         SUM(trang_thai = 'da_huy') AS da_huy
+       FROM dat_ban
+       WHERE ngay BETWEEN ? AND ? AND trang_thai IN (?)
+       GROUP BY thu
+       ORDER BY thu ASC`,
+      [from, to, statuses],
+      'thống kê không đến và hủy theo thứ'
+    );
+
+    // SUM() comes back as a DECIMAL string
+    return rows.map(row => ({
+      thu: Number(row.thu),
+      tong: Number(row.tong),
+      khong_den: Number(row.khong_den || 0),
+      da_huy: Number(row.da_huy || 0)
+    }));
+  }
+
+  /**
+   * Number of bookings per lead time (days between booking and arrival)
+   * @param {string} from - First arrival date (YYYY-MM-DD)
+   * @param {string} to - Last arrival date (YYYY-MM-DD)
+   * @returns {Promise<Array>} { so_ngay, so_dat_ban }
+   */
+  static async getLeadTimes(from, to) {
+    const rows = await runQuery(
+      `SELECT GREATEST(DATEDIFF(ngay, DATE(created_at)), 0) AS so_ngay, COUNT(*) AS so_dat_ban
+       FROM dat_ban
+       WHERE ngay BETWEEN ? AND ?
+       GROUP BY so_ngay
+       ORDER BY so_ngay ASC`,
+      [from, to],
+      'thống kê thời gian đặt trước'
+    );
+
+    return rows.map(row => ({ so_ngay: Number(row.so_ngay), so_dat_ban: Number(row.so_dat_ban) }));
+  }
+
+  /**
+   * Number of bookings and guests per party size
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @param {Array<string>} statuses - Statuses to include
+   * @returns {Promise<Array>} { so_luong_khach, so_dat_ban }
+   */
+  static async getPartySizes(from, to, statuses) {
+    const rows = await runQuery(
+      `SELECT so_luong_khach, COUNT(*) AS so_dat_ban
+       FROM dat_ban
+       WHERE ngay BETWEEN ? AND ? AND trang_thai IN (?)
+       GROUP BY so_luong_khach
+       ORDER BY so_luong_khach ASC`,
+      [from, to, statuses],
+      'thống kê số khách mỗi đặt bàn'
+    );
+
+    return rows.map(row => ({ so_luong_khach: Number(row.so_luong_khach), so_dat_ban: Number(row.so_dat_ban) }));
+  }
+
+  /**
+   * Bookings of one date for the host sheet, with their tables and deposit
+   * @param {string} ngay - Date (YYYY-MM-DD)
+   * @param {Array<string>} statuses - Statuses to include
+   * @returns {Promise<Array>} dat_ban rows with ban (comma separated) and trang_thai_coc
+   */
+  static async getHostSheet(ngay, statuses) {
+    return await runQuery(
+      `SELECT d.id_datban, d.ten_khach, d.sdt, d.sdt_chuan, d.gio, d.thoi_luong, d.so_luong_khach,
+         d.trang_thai, d.ghi_chu, d.can_duyet, d.ly_do_duyet,
+         GROUP_CONCAT(b.so_ban ORDER BY b.so_ban SEPARATOR ', ') AS ban,
+         (SELECT c.trang_thai FROM dat_coc c WHERE c.id_datban = d.id_datban ORDER BY c.id DESC LIMIT 1) AS trang_thai_coc
+       FROM dat_ban d
+       LEFT JOIN dat_ban_ban dbb ON dbb.id_datban = d.id_datban
+       LEFT JOIN ban b ON b.id_ban = dbb.id_ban
+       WHERE d.ngay = ? AND d.trang_thai IN (?)
+       GROUP BY d.id_datban
+       ORDER BY d.gio ASC, d.id_datban ASC`,
+      [ngay, statuses],
+      'lấy danh sách đón khách'
+    );
+  }
+}
+
+module.exports = ReportModel;
@@ -0,0 +1,129 @@
+// Reservation History Model - Append-only audit trail of dat_ban
+const { pool } = require('../config/database');
+const { logDatabaseQuery } = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { formatDate } = require('../utils/reservationTime');
+
+// Fields of dat_ban tracked in the diff, plus the assigned table numbers and pre-ordered dishes
+const TRACKED_FIELDS = [
+  'ten_khach', 'sdt', 'email', 'ngay', 'gio', 'thoi_luong',
+  'so_luong_khach', 'ghi_chu', 'trang_thai', 'ban',
+  'ten_su_kien', 'id_thuc_don', 'so_suat', 'mon_dat_truoc'
+];
+
+// Normalize a value so DB rows and request payloads compare equal
+const normalize = (field, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (field === 'ngay') return formatDate(value);
+  if (field === 'gio') return String(value).substring(0, 5);
+  if (field === 'ban') {
+    const tables = value.map(table => table.so_ban).sort();
+    return tables.length > 0 ? tables.join(', ') : null;
+  }
+  if (field === 'mon_dat_truoc') {
+    const dishes = value.map(line => `${line.so_luong}x ${line.ten_mon}`);
+    return dishes.length > 0 ? dishes.join(', ') : null;
+  }
+  if (typeof value === 'number') return value;
+  return String(value);
+};
+
+class ReservationHistoryModel {
+  /**
+   * Field-level diff between two snapshots of a reservation
+   * @param {Object|null} before - Snapshot before the change (null on create)
+   * @param {Object|null} after - Snapshot after the change (null on delete)
+   * @returns {Array<Object>} Changes as { truong, cu, moi }
+   */
+  static diff(before, after) {
+    return TRACKED_FIELDS.reduce((changes, field) => {
+      const oldValue = before ? normalize(field, before[field]) : null;
+      const newValue = after ? normalize(field, after[field]) : null;
+
+      if (String(oldValue) !== String(newValue)) {
+        changes.push({ truong: field, cu: oldValue, moi: newValue });
+      }
+
+      return changes;
+    }, []);
+  }
+
+  /**
+   * Append a history entry. Entries are never updated or deleted.
+   * @param {Object} entry - { id_datban, hanh_dong, thay_doi, nguoi_thuc_hien, nguon, nguoi_khai_bao }
+   * @returns {Promise<Object|null>} Created entry, null when nothing changed
+   */
+  static async create(entry) {
+    if (entry.hanh_dong === 'cap_nhat' && entry.thay_doi.length === 0) return null;
+
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = `
+        INSERT INTO dat_ban_lich_su (id_datban, hanh_dong, thay_doi, nguoi_thuc_hien, nguon, nguoi_khai_bao)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        entry.id_datban,
+        entry.hanh_dong,
+        JSON.stringify(entry.thay_doi),
+        entry.nguoi_thuc_hien,
+        entry.nguon,
+        entry.nguoi_khai_bao || null
+      ];
+
+      const startTime = Date.now();
+      const [result] = await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return { id: result.insertId, ...entry };
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi ghi lịch sử đặt bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Get the history of a reservation, oldest first
+   * @param {number} reservationId - Reservation ID
+   * @returns {Promise<Array>} History entries
+   */
+  static async getByReservation(reservationId) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = `
+        SELECT id, id_datban, hanh_dong, thay_doi, nguoi_thuc_hien, nguon, nguoi_khai_bao, thoi_gian
+        FROM dat_ban_lich_su
+        WHERE id_datban = ?
+        ORDER BY thoi_gian ASC, id ASC
+      `;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, [reservationId]);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, [reservationId], duration);
+
+      return rows.map(row => ({
+        ...row,
+        thay_doi: typeof row.thay_doi === 'string' ? JSON.parse(row.thay_doi) : row.thay_doi
+      }));
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy lịch sử đặt bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+}
+
+module.exports = ReservationHistoryModel;
@@ -0,0 +1,80 @@
+// Reservation Series Model - Data Access Layer for chuoi_dat_ban (recurring bookings)
+const { runQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+class ReservationSeriesModel {
+  /**
+   * Get series by ID
+   * @param {number} id - Series ID
+   * @returns {Promise<Object|null>} chuoi_dat_ban row or null
+   */
+  static async getById(id) {
+    const rows = await runQuery('SELECT * FROM chuoi_dat_ban WHERE id = ?', [id], 'lấy chuỗi đặt bàn');
+    return rows[0] || null;
+  }
+
+  /**
+   * Bookings generated by a series, in date order
+   * @param {number} id - Series ID
+   * @returns {Promise<Array>} dat_ban rows
+   */
+  static async getOccurrences(id) {
+    return await runQuery(
+      'SELECT * FROM dat_ban WHERE id_chuoi = ? ORDER BY ngay ASC, gio ASC',
+      [id],
+      'lấy các lần đặt bàn của chuỗi'
+    );
+  }
+
+  /**
+   * Create series
+   * @param {Object} data - Series data
+   * @returns {Promise<Object>} Created series
+   */
+  static async create(data) {
+    const result = await runQuery(
+      `INSERT INTO chuoi_dat_ban (ten_khach, sdt, email, id_khachhang, gio, thoi_luong, so_luong_khach, ghi_chu,
+         tan_suat, ngay_bat_dau, ngay_ket_thuc)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        data.ten_khach,
+        data.sdt,
+        data.email || null,
+        data.id_khachhang || null,
+        data.gio,
+        data.thoi_luong || null,
+        data.so_luong_khach,
+        data.ghi_chu || null,
+        data.tan_suat,
+        data.ngay_bat_dau,
+        data.ngay_ket_thuc
+      ],
+      'tạo chuỗi đặt bàn'
+    );
+
+    return await this.getById(result.insertId);
+  }
+
+  /**
+   * Update series
+   * @param {number} id - Series ID
+   * @param {Object} data - Fields to update (trang_thai, ngay_ket_thuc)
+   * @returns {Promise<Object|null>} Updated series
+   */
+  static async update(id, data) {
+    const fields = ['trang_thai', 'ngay_ket_thuc'].filter(field => data[field] !== undefined);
+    if (fields.length === 0) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    await runQuery(
+      `UPDATE chuoi_dat_ban SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => data[field]), id],
+      'cập nhật chuỗi đặt bàn'
+    );
+
+    return await this.getById(id);
+  }
+}
+
+module.exports = ReservationSeriesModel;
@@ -0,0 +1,123 @@
+// Set Menu Model - Data Access Layer for thuc_don and thuc_don_mon
+const { runQuery, runTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+class SetMenuModel {
+  /**
+   * Get set menus
+   * @param {Object} filters - { trang_thai }
+   * @returns {Promise<Array>} Set menus with their dishes
+   */
+  static async getAll(filters = {}) {
+    let query = 'SELECT * FROM thuc_don WHERE 1=1';
+    const params = [];
+
+    if (filters.trang_thai) {
+      query += ' AND trang_thai = ?';
+      params.push(filters.trang_thai);
+    }
+
+    query += ' ORDER BY gia ASC, id ASC';
+
+    const menus = await runQuery(query, params, 'lấy danh sách set menu');
+    const dishes = await this.getDishes(menus.map(menu => menu.id));
+
+    return menus.map(menu => ({ ...menu, mon: dishes.filter(dish => dish.id_thuc_don === menu.id) }));
+  }
+
+  /**
+   * Get set menu by ID
+   * @param {number} id - Set menu ID
+   * @returns {Promise<Object|null>} Set menu with its dishes or null
+   */
+  static async getById(id) {
+    const rows = await runQuery('SELECT * FROM thuc_don WHERE id = ?', [id], 'lấy thông tin set menu');
+    if (rows.length === 0) return null;
+
+    return { ...rows[0], mon: await this.getDishes([id]) };
+  }
+
+  /**
+   * Dishes of one serving of the given set menus
+   * @param {Array<number>} menuIds - Set menu IDs
+   * @returns {Promise<Array>} thuc_don_mon rows with dish name and price
+   */
+  static async getDishes(menuIds) {
+    if (menuIds.length === 0) return [];
+
+    return await runQuery(
+      `SELECT tdm.id_thuc_don, tdm.id_mon, tdm.so_luong, m.ten_mon, m.gia
+       FROM thuc_don_mon tdm
+       LEFT JOIN mon_an m ON m.id_mon = tdm.id_mon
+       WHERE tdm.id_thuc_don IN (?)
+       ORDER BY tdm.id ASC`,
+      [menuIds],
+      'lấy món của set menu'
+    );
+  }
+
+  /**
+   * Create set menu with its dishes
+   * @param {Object} data - { ten, mo_ta, gia, so_suat_toi_thieu, mon: [{ id_mon, so_luong }] }
+   * @returns {Promise<Object>} Created set menu
+   */
+  static async create(data) {
+    const id = await runTransaction('tạo set menu', async (connection) => {
+      const [result] = await connection.query(
+        'INSERT INTO thuc_don (ten, mo_ta, gia, so_suat_toi_thieu) VALUES (?, ?, ?, ?)',
+        [data.ten, data.mo_ta || null, data.gia, data.so_suat_toi_thieu || 1]
+      );
+      await this.replaceDishes(connection, result.insertId, data.mon || []);
+      return result.insertId;
+    });
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Update set menu; the dish list is replaced when given
+   * @param {number} id - Set menu ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated set menu or null if not found
+   */
+  static async update(id, data) {
+    const fields = ['ten', 'mo_ta', 'gia', 'so_suat_toi_thieu', 'trang_thai'].filter(field => data[field] !== undefined);
+    if (fields.length === 0 && !Array.isArray(data.mon)) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    const found = await runTransaction('cập nhật set menu', async (connection) => {
+      const [rows] = await connection.query('SELECT id FROM thuc_don WHERE id = ? FOR UPDATE', [id]);
+      if (rows.length === 0) return false;
+
+      if (fields.length > 0) {
+        await connection.query(
+          `UPDATE thuc_don SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+          [...fields.map(field => data[field]), id]
+        );
+      }
+      if (Array.isArray(data.mon)) {
+        await this.replaceDishes(connection, id, data.mon);
+      }
+      return true;
+    });
+
+    return found ? await this.getById(id) : null;
+  }
+
+  /**
+   * Replace the dishes of a set menu
+   * @private
+   */
+  static async replaceDishes(connection, id, dishes) {
+    await connection.query('DELETE FROM thuc_don_mon WHERE id_thuc_don = ?', [id]);
+    if (dishes.length === 0) return;
+
+    await connection.query(
+      'INSERT INTO thuc_don_mon (id_thuc_don, id_mon, so_luong) VALUES ?',
+      [dishes.map(dish => [id, dish.id_mon, dish.so_luong || 1])]
+    );
+  }
+}
+
+module.exports = SetMenuModel;
@@ -0,0 +1,385 @@
+// Table Model - Data Access Layer
+const { pool } = require('../config/database');
+const { logDatabaseQuery } = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const reservationConfig = require('../config/reservation');
+
+class TableModel {
+  /**
+   * Get all tables with optional filters
+   * @param {Object} filters - Filter parameters (khu_vuc, trang_thai, minCapacity)
+   * @returns {Promise<Array>} Tables list
+   */
+  static async getAll(filters = {}) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      let query = `
+        SELECT id_ban, so_ban, suc_chua, khu_vuc, co_the_ghep, trang_thai, created_at, updated_at
+        FROM ban
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.khu_vuc) {
+        query += ` AND khu_vuc = ?`;
+        params.push(filters.khu_vuc);
+      }
+
+      if (filters.trang_thai) {
+        query += ` AND trang_thai = ?`;
+        params.push(filters.trang_thai);
+      }
+
+      if (filters.minCapacity) {
+        query += ` AND suc_chua >= ?`;
+        params.push(filters.minCapacity);
+      }
+
+      query += ` ORDER BY khu_vuc ASC, so_ban ASC`;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return rows;
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy danh sách bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Get table by ID
+   * @param {number} id - Table ID
+   * @returns {Promise<Object|null>} Table or null
+   */
+  static async getById(id) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = `
+        SELECT id_ban, so_ban, suc_chua, khu_vuc, co_the_ghep, trang_thai, qr_phien, created_at, updated_at
+        FROM ban
+        WHERE id_ban = ?
+      `;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, [id]);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, [id], duration);
+
+      return rows.length > 0 ? rows[0] : null;
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy thông tin bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Create new table
+   * @param {Object} tableData - Table data
+   * @returns {Promise<Object>} Created table
+   */
+  static async create(tableData) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const nameCheck = await connection.query(
+        'SELECT id_ban FROM ban WHERE so_ban = ?',
+        [tableData.so_ban]
+      );
+
+      if (nameCheck[0].length > 0) {
+        throw new AppError('Số bàn đã tồn tại', 409, 'TABLE_EXISTS');
+      }
+
+      const query = `
+        INSERT INTO ban (so_ban, suc_chua, khu_vuc, co_the_ghep, trang_thai)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        tableData.so_ban,
+        tableData.suc_chua,
+        tableData.khu_vuc || 'trong_nha',
+        tableData.co_the_ghep ? 1 : 0,
+        tableData.trang_thai || 'active'
+      ];
+
+      const startTime = Date.now();
+      const [result] = await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return await this.getById(result.insertId);
+
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Lỗi khi tạo bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Update table
+   * @param {number} id - Table ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>} Updated table
+   */
+  static async update(id, updateData) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const existingTable = await this.getById(id);
+      if (!existingTable) {
+        throw new AppError('Bàn không tồn tại', 404, 'TABLE_NOT_FOUND');
+      }
+
+      if (updateData.so_ban && updateData.so_ban !== existingTable.so_ban) {
+        const nameCheck = await connection.query(
+          'SELECT id_ban FROM ban WHERE so_ban = ? AND id_ban != ?',
+          [updateData.so_ban, id]
+        );
+
+        if (nameCheck[0].length > 0) {
+          throw new AppError('Số bàn đã tồn tại', 409, 'TABLE_EXISTS');
+        }
+      }
+
+      const updates = [];
+      const params = [];
+
+      Object.entries(updateData).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = ?`);
+          params.push(key === 'co_the_ghep' ? (value ? 1 : 0) : value);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new AppError('Không có dữ liệu để cập nhật', 400);
+      }
+
+      params.push(id);
+
+      const query = `UPDATE ban SET ${updates.join(', ')} WHERE id_ban = ?`;
+
+      const startTime = Date.now();
+      await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return await this.getById(id);
+
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Lỗi khi cập nhật bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Delete table
+   * @param {number} id - Table ID
+   * @returns {Promise<Object>} Deleted table info
+   */
+  static async delete(id) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const existingTable = await this.getById(id);
+      if (!existingTable) {
+        throw new AppError('Bàn không tồn tại', 404, 'TABLE_NOT_FOUND');
+      }
+
+      const query = 'DELETE FROM ban WHERE id_ban = ?';
+
+      const startTime = Date.now();
+      await connection.query(query, [id]);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, [id], duration);
+
+      return existingTable;
+
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Lỗi khi xóa bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Get active reservations of a date together with their assigned tables
+   * @param {string} ngay - Reservation date (YYYY-MM-DD)
+   * @param {number|null} excludeId - Reservation ID to ignore
+   * @returns {Promise<Array>} Reservations with ban_ids array
+   */
+  static async getOccupancyByDate(ngay, excludeId = null) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const statuses = reservationConfig.activeStatuses;
+      let query = `
+        SELECT d.id_datban, d.gio, d.thoi_luong, d.so_luong_khach, d.trang_thai,
+               GROUP_CONCAT(dbb.id_ban) as ban_ids
+        FROM dat_ban d
+        LEFT JOIN dat_ban_ban dbb ON d.id_datban = dbb.id_datban
+        WHERE d.ngay = ? AND d.trang_thai IN (${statuses.map(() => '?').join(',')})
+      `;
+      const params = [ngay, ...statuses];
+
+      if (excludeId) {
+        query += ` AND d.id_datban != ?`;
+        params.push(excludeId);
+      }
+
+      query += ` GROUP BY d.id_datban, d.gio, d.thoi_luong, d.so_luong_khach, d.trang_thai ORDER BY d.gio ASC`;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, params);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, params, duration);
+
+      return rows.map(row => ({
+        ...row,
+        ban_ids: row.ban_ids ? String(row.ban_ids).split(',').map(Number) : []
+      }));
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy tình trạng bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Get tables assigned to a reservation
+   * @param {number} reservationId - Reservation ID
+   * @returns {Promise<Array>} Assigned tables
+   */
+  static async getByReservation(reservationId) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = `
+        SELECT b.id_ban, b.so_ban, b.suc_chua, b.khu_vuc, b.co_the_ghep
+        FROM dat_ban_ban dbb
+        INNER JOIN ban b ON dbb.id_ban = b.id_ban
+        WHERE dbb.id_datban = ?
+        ORDER BY b.so_ban ASC
+      `;
+
+      const startTime = Date.now();
+      const [rows] = await connection.query(query, [reservationId]);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, [reservationId], duration);
+
+      return rows;
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi lấy bàn của đặt bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Assign tables to a reservation (replaces any previous assignment)
+   * @param {number} reservationId - Reservation ID
+   * @param {Array<number>} tableIds - Table IDs, first one is the primary table
+   * @returns {Promise<Array>} Assigned tables
+   */
+  static async assignToReservation(reservationId, tableIds) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      await connection.query('DELETE FROM dat_ban_ban WHERE id_datban = ?', [reservationId]);
+
+      for (const tableId of tableIds) {
+        await connection.query(
+          'INSERT INTO dat_ban_ban (id_datban, id_ban) VALUES (?, ?)',
+          [reservationId, tableId]
+        );
+      }
+
+      await connection.query(
+        'UPDATE dat_ban SET id_ban = ? WHERE id_datban = ?',
+        [tableIds.length > 0 ? tableIds[0] : null, reservationId]
+      );
+
+      await connection.commit();
+      logDatabaseQuery('ASSIGN TABLES TO RESERVATION', [reservationId, tableIds]);
+
+    } catch (error) {
+      if (connection) await connection.rollback();
+      throw new AppError(`Lỗi khi xếp bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+
+    return await this.getByReservation(reservationId);
+  }
+
+  /**
+   * Issue a new QR version for a table, revoking the codes printed before
+   * @param {number} id - Table ID
+   * @returns {Promise<Object|null>} Table with the new qr_phien, or null
+   */
+  static async rotateQr(id) {
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const query = 'UPDATE ban SET qr_phien = qr_phien + 1 WHERE id_ban = ?';
+
+      const startTime = Date.now();
+      await connection.query(query, [id]);
+      const duration = Date.now() - startTime;
+
+      logDatabaseQuery(query, [id], duration);
+
+    } catch (error) {
+      throw new AppError(`Lỗi khi đổi mã QR của bàn: ${error.message}`, 500);
+    } finally {
+      if (connection) connection.release();
+    }
+
+    return await this.getById(id);
+  }
+}
+
+module.exports = TableModel;
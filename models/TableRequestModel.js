@@ -0,0 +1,95 @@
+// Table Request Model - Data Access Layer for yeu_cau_ban (call staff, request the bill)
+const { runQuery } = require('../config/database');
+
+// Requests with their table number
+const REQUEST_SELECT = `
+  SELECT y.*, b.so_ban, b.khu_vuc
+  FROM yeu_cau_ban y
+  JOIN ban b ON b.id_ban = y.id_ban`;
+
+class TableRequestModel {
+  /**
+   * Get requests, oldest first
+   * @param {Object} filters - { trang_thai, id_ban }
+   * @param {number} limit - Maximum number of requests
+   * @returns {Promise<Array>} Requests with so_ban and khu_vuc
+   */
+  static async getAll(filters = {}, limit = 100) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.trang_thai) {
+      conditions.push('y.trang_thai = ?');
+      params.push(filters.trang_thai);
+    }
+    if (filters.id_ban) {
+      conditions.push('y.id_ban = ?');
+      params.push(filters.id_ban);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `${REQUEST_SELECT} ${where} ORDER BY y.created_at ASC, y.id ASC LIMIT ${parseInt(limit) || 100}`,
+      params,
+      'lấy danh sách yêu cầu của bàn'
+    );
+  }
+
+  /**
+   * Get request by ID
+   * @param {number} id - Request ID
+   * @returns {Promise<Object|null>} Request or null
+   */
+  static async getById(id) {
+    const rows = await runQuery(`${REQUEST_SELECT} WHERE y.id = ?`, [id], 'lấy yêu cầu của bàn');
+    return rows[0] || null;
+  }
+
+  /**
+   * Pending request of a kind for a table
+   * @param {number} tableId - Table ID
+   * @param {string} type - goi_nhan_vien or yeu_cau_thanh_toan
+   * @returns {Promise<Object|null>} Request or null
+   */
+  static async getPending(tableId, type) {
+    const rows = await runQuery(
+      `${REQUEST_SELECT} WHERE y.id_ban = ? AND y.loai = ? AND y.trang_thai = 'cho_xu_ly' ORDER BY y.id DESC LIMIT 1`,
+      [tableId, type],
+      'lấy yêu cầu đang chờ của bàn'
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Create request
+   * @param {Object} data - { id_ban, id_don, loai, ghi_chu }
+   * @returns {Promise<Object>} Created request
+   */
+  static async create(data) {
+    const result = await runQuery(
+      'INSERT INTO yeu_cau_ban (id_ban, id_don, loai, ghi_chu) VALUES (?, ?, ?, ?)',
+      [data.id_ban, data.id_don || null, data.loai, data.ghi_chu || null],
+      'tạo yêu cầu của bàn'
+    );
+
+    return await this.getById(result.insertId);
+  }
+
+  /**
+   * Mark a pending request as handled
+   * @param {number} id - Request ID
+   * @param {string|null} actor - Who handled it
+   * @returns {Promise<boolean>} False when it was already handled
+   */
+  static async resolve(id, actor) {
+    const result = await runQuery(
+      `UPDATE yeu_cau_ban SET trang_thai = 'da_xu_ly', nguoi_xu_ly = ?, xu_ly_luc = CURRENT_TIMESTAMP
+       WHERE id = ? AND trang_thai = 'cho_xu_ly'`,
+      [actor || null, id],
+      'xử lý yêu cầu của bàn'
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = TableRequestModel;
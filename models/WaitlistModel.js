@@ -0,0 +1,183 @@
+// Waitlist Model - Data Access Layer for danh_sach_cho
+const crypto = require('crypto');
+const { runQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+const SELECT_COLUMNS = `
+  id, ma_tra_cuu, ten_khach, sdt, email, DATE_FORMAT(ngay, '%Y-%m-%d') as ngay,
+  gio_tu, gio_den, so_luong_khach, ghi_chu, trang_thai, gio_de_xuat, thoi_luong,
+  han_giu, id_datban, created_at, updated_at
+`;
+
+class WaitlistModel {
+  /**
+   * Get waitlist entries with optional filters
+   * @param {Object} filters - Filter parameters (ngay, trang_thai)
+   * @returns {Promise<Array>} Entries, oldest first
+   */
+  static async getAll(filters = {}) {
+    let query = `SELECT ${SELECT_COLUMNS} FROM danh_sach_cho WHERE 1=1`;
+    const params = [];
+
+    if (filters.ngay) {
+      query += ` AND ngay = ?`;
+      params.push(filters.ngay);
+    }
+
+    if (filters.trang_thai) {
+      query += ` AND trang_thai = ?`;
+      params.push(filters.trang_thai);
+    }
+
+    query += ` ORDER BY ngay ASC, created_at ASC, id ASC`;
+
+    return await runQuery(query, params, 'lấy danh sách chờ');
+  }
+
+  /**
+   * Get waitlist entry by ID
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  static async getById(id) {
+    const rows = await runQuery(
+      `SELECT ${SELECT_COLUMNS} FROM danh_sach_cho WHERE id = ?`,
+      [id],
+      'lấy thông tin danh sách chờ'
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Get waitlist entry by its public lookup code
+   * @param {string} code - ma_tra_cuu
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  static async getByCode(code) {
+    const rows = await runQuery(
+      `SELECT ${SELECT_COLUMNS} FROM danh_sach_cho WHERE ma_tra_cuu = ?`,
+      [code],
+      'lấy thông tin danh sách chờ'
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Entries still waiting for a table on a date, in joining order
+   * @param {string} ngay - Date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Waiting entries
+   */
+  static async getWaitingByDate(ngay) {
+    return await runQuery(
+      `SELECT ${SELECT_COLUMNS} FROM danh_sach_cho
+       WHERE ngay = ? AND trang_thai = 'dang_cho'
+       ORDER BY created_at ASC, id ASC`,
+      [ngay],
+      'lấy danh sách chờ'
+    );
+  }
+
+  /**
+   * Offers of a date whose hold has not expired; they keep tables busy
+   * @param {string} ngay - Date (YYYY-MM-DD)
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Held entries
+   */
+  static async getActiveHolds(ngay, now = new Date()) {
+    return await runQuery(
+      `SELECT ${SELECT_COLUMNS} FROM danh_sach_cho
+       WHERE ngay = ? AND trang_thai = 'da_moi' AND han_giu > ?`,
+      [ngay, now],
+      'lấy chỗ đang giữ'
+    );
+  }
+
+  /**
+   * Offers whose hold has run out
+   * @param {Date} now - Current time
+   * @param {string|null} ngay - Restrict to one date
+   * @returns {Promise<Array>} Expired offers
+   */
+  static async getExpiredHolds(now = new Date(), ngay = null) {
+    let query = `SELECT ${SELECT_COLUMNS} FROM danh_sach_cho WHERE trang_thai = 'da_moi' AND han_giu <= ?`;
+    const params = [now];
+
+    if (ngay) {
+      query += ` AND ngay = ?`;
+      params.push(ngay);
+    }
+
+    return await runQuery(query, params, 'lấy chỗ giữ đã hết hạn');
+  }
+
+  /**
+   * Number of entries of the same date still waiting ahead of an entry
+   * @param {Object} entry - Waitlist entry
+   * @returns {Promise<number>} Entries ahead
+   */
+  static async countAhead(entry) {
+    const rows = await runQuery(
+      `SELECT COUNT(*) as total FROM danh_sach_cho
+       WHERE ngay = ? AND trang_thai = 'dang_cho'
+         AND (created_at < ? OR (created_at = ? AND id < ?))`,
+      [entry.ngay, entry.created_at, entry.created_at, entry.id],
+      'tính vị trí trong danh sách chờ'
+    );
+    return rows[0].total;
+  }
+
+  /**
+   * Add a guest to the waitlist
+   * @param {Object} data - Entry data
+   * @returns {Promise<Object>} Created entry
+   */
+  static async create(data) {
+    const query = `
+      INSERT INTO danh_sach_cho (ma_tra_cuu, ten_khach, sdt, email, ngay, gio_tu, gio_den, so_luong_khach, ghi_chu)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      crypto.randomBytes(16).toString('hex'),
+      data.ten_khach,
+      data.sdt,
+      data.email || null,
+      data.ngay,
+      data.gio_tu,
+      data.gio_den,
+      data.so_luong_khach,
+      data.ghi_chu || null
+    ];
+
+    const result = await runQuery(query, params, 'thêm vào danh sách chờ');
+    return await this.getById(result.insertId);
+  }
+
+  /**
+   * Update a waitlist entry
+   * @param {number} id - Entry ID
+   * @param {Object} updateData - Columns to update
+   * @returns {Promise<Object>} Updated entry
+   */
+  static async update(id, updateData) {
+    const updates = [];
+    const params = [];
+
+    Object.entries(updateData).forEach(([key, value]) => {
+      if (value !== undefined) {
+        updates.push(`${key} = ?`);
+        params.push(value);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    params.push(id);
+    await runQuery(`UPDATE danh_sach_cho SET ${updates.join(', ')} WHERE id = ?`, params, 'cập nhật danh sách chờ');
+
+    return await this.getById(id);
+  }
+}
+
+module.exports = WaitlistModel;
@@ -16,6 +16,7 @@ const {
   handleValidationErrors
 } = require('../middleware/validation');
 const { body } = require('express-validator');
+const invoiceConfig = require('../config/invoice');
 const {
   handleHeadRequest,
   handleOptionsRequest,
@@ -39,6 +40,11 @@ const validateCategory = [
     .isLength({ max: 500 })
     .withMessage('Mô tả không được vượt quá 500 ký tự'),
   
+  body('thue_vat')
+    .optional({ values: 'falsy' })
+    .isIn(invoiceConfig.vatRates)
+    .withMessage(`Thuế suất GTGT phải là một trong: ${invoiceConfig.vatRates.join(', ')} (để trống là theo thuế suất mặc định)`),
+  
   handleValidationErrors
 ];
 
@@ -57,6 +63,11 @@ const validateCategoryUpdate = [
     .isLength({ max: 500 })
     .withMessage('Mô tả không được vượt quá 500 ký tự'),
   
+  body('thue_vat')
+    .optional({ values: 'falsy' })
+    .isIn(invoiceConfig.vatRates)
+    .withMessage(`Thuế suất GTGT phải là một trong: ${invoiceConfig.vatRates.join(', ')} (để trống là theo thuế suất mặc định)`),
+  
   handleValidationErrors
 ];
 
@@ -240,6 +251,11 @@ router.get('/:id/foods', validateId, CategoryController.getFoodsByCategory);
  *                 description: Mô tả danh mục
  *                 example: "Các món ăn chính của nhà hàng"
  *                 maxLength: 500
+ *               thue_vat:
+ *                 type: number
+ *                 nullable: true
+ *                 enum: [0, 5, 8, 10]
+ *                 description: Thuế suất GTGT của các món trong loại (%), món có thuế suất riêng thì theo món; để trống là theo thuế suất mặc định
  *     responses:
  *       201:
  *         description: Tạo danh mục thành công
@@ -301,6 +317,11 @@ router.post('/', validateCategory, CategoryController.createCategory);
  *                 description: Mô tả danh mục
  *                 example: "Các món ăn chính của nhà hàng"
  *                 maxLength: 500
+ *               thue_vat:
+ *                 type: number
+ *                 nullable: true
+ *                 enum: [0, 5, 8, 10]
+ *                 description: Thuế suất GTGT của các món trong loại (%), món có thuế suất riêng thì theo món; để trống là theo thuế suất mặc định
  *     responses:
  *       200:
  *         description: Cập nhật danh mục thành công
@@ -2,6 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, authEndpoints } = require('../middleware/auth');
+const ReservationService = require('../services/ReservationService');
+const PhoneVerificationService = require('../services/PhoneVerificationService');
+const { AppError } = require('../middleware/errorHandler');
+const { signManageToken } = require('../utils/reservationToken');
 const {
   handleHeadRequest,
   handleOptionsRequest,
@@ -334,6 +338,177 @@ router.delete('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/khach_hang/reservations:
+ *   get:
+ *     summary: Đặt bàn của tài khoản
+ *     description: Các đặt bàn sắp tới và đã qua của khách hàng đã đăng nhập, kèm link quản lý cho đặt bàn sắp tới
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Đặt bàn sắp tới (gần nhất trước) và đã qua (mới nhất trước)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sap_toi:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Reservation'
+ *                     da_qua:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Reservation'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/reservations', authenticateToken, async (req, res) => {
+  try {
+    const { sap_toi, da_qua } = await ReservationService.getByCustomer(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sap_toi: sap_toi.map(reservation => ({
+          ...reservation,
+          manage_token: signManageToken(reservation).token
+        })),
+        da_qua
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting customer reservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Lỗi server khi lấy danh sách đặt bàn',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/khach_hang/phone/verification:
+ *   post:
+ *     summary: Send a verification code to the account phone number
+ *     description: Gửi mã OTP 6 chữ số qua SMS tới số điện thoại của tài khoản (hiệu lực 10 phút, gửi lại sau 60 giây)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: The account has no valid phone number
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       429:
+ *         description: A code was sent less than 60 seconds ago
+ *       503:
+ *         description: SMS channel is disabled
+ */
+router.post('/phone/verification', authenticateToken, async (req, res) => {
+  try {
+    const result = await PhoneVerificationService.requestCode(req.user);
+
+    res.json({
+      success: true,
+      message: 'Đã gửi mã xác thực tới số điện thoại',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Error sending phone verification code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Lỗi server khi gửi mã xác thực',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/khach_hang/phone/verify:
+ *   post:
+ *     summary: Verify the account phone number
+ *     description: |
+ *       Xác thực số điện thoại bằng mã OTP. Khi thành công, các đặt bàn trước đây
+ *       đặt với số này (chưa gắn tài khoản nào) được liên kết vào tài khoản.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ma_xac_thuc]
+ *             properties:
+ *               ma_xac_thuc:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Phone verified, returns the number of linked reservations
+ *       400:
+ *         description: Wrong or expired code
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       429:
+ *         description: Too many wrong attempts
+ */
+router.post('/phone/verify', authenticateToken, async (req, res) => {
+  try {
+    const code = req.body && req.body.ma_xac_thuc;
+    if (!/^\d{6}$/.test(String(code || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mã xác thực phải gồm 6 chữ số',
+        code: 'OTP_INVALID'
+      });
+    }
+
+    const result = await PhoneVerificationService.verify(req.user, String(code));
+
+    res.json({
+      success: true,
+      message: 'Xác thực số điện thoại thành công',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Error verifying phone number:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Lỗi server khi xác thực số điện thoại',
+      error: error.message
+    });
+  }
+});
+
 // ==================== NEW HTTP METHODS ====================
 
 /**
@@ -378,6 +553,9 @@ router.options('/', createOptionsHandler('khach_hang', ['GET', 'POST', 'PUT', 'P
 router.options('/register', createOptionsHandler('khach_hang/register', ['POST', 'OPTIONS']));
 router.options('/login', createOptionsHandler('khach_hang/login', ['POST', 'OPTIONS']));
 router.options('/profile', createOptionsHandler('khach_hang/profile', ['GET', 'PUT', 'PATCH', 'HEAD', 'OPTIONS']));
+router.options('/reservations', createOptionsHandler('khach_hang/reservations', ['GET', 'OPTIONS']));
+router.options('/phone/verification', createOptionsHandler('khach_hang/phone/verification', ['POST', 'OPTIONS']));
+router.options('/phone/verify', createOptionsHandler('khach_hang/phone/verify', ['POST', 'OPTIONS']));
 
 /**
  * @swagger
@@ -14,260 +14,690 @@ try {
     console.log('⚠️ Database module not available, using mock data');
 }
 
-// Validation helper functions
-const validateReservationData = (data) => {
-  const errors = [];
+const TableModel = require('../models/TableModel');
+const ReservationHistoryModel = require('../models/ReservationHistoryModel');
+const TableAllocationService = require('../services/TableAllocationService');
+const ReservationService = require('../services/ReservationService');
+const WaitlistService = require('../services/WaitlistService');
+const DepositService = require('../services/DepositService');
+const GuestProfileService = require('../services/GuestProfileService');
+const OpeningHoursService = require('../services/OpeningHoursService');
+const PreOrderService = require('../services/PreOrderService');
+const ReservationCsvService = require('../services/ReservationCsvService');
+const CancellationService = require('../services/CancellationService');
+const { AppError } = require('../middleware/errorHandler');
+const { optionalAuthenticateToken, authenticateStaff } = require('../middleware/auth');
+const { csvUpload, handleMulterError } = require('../config/multer');
+const reservationConfig = require('../config/reservation');
+const depositConfig = require('../config/deposit');
+const { toMinutes, fromMinutes, formatDate } = require('../utils/reservationTime');
+const { STATUS, assertTransition, canTransition, getAllowedTransitions } = require('../utils/reservationStateMachine');
+const { getActor, requestOrigin, guestOrigin } = require('../utils/requestActor');
+const { signManageToken, verifyManageToken } = require('../utils/reservationToken');
+const { buildCalendar } = require('../utils/icalendar');
+const { normalizePhone } = require('../utils/phone');
+const { hasValidAccessToken } = require('../utils/accessToken');
+
+// Send a business rule violation (AppError) with its own status code
+const sendAppError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    ...(error.errors && { errors: error.errors })
+  });
+};
+
+// Deposit fields a guest may see
+const toGuestDeposit = (deposit) => ({
+  so_tien: Number(deposit.so_tien),
+  trang_thai: deposit.trang_thai,
+  payment_url: deposit.trang_thai === 'cho_thanh_toan' ? deposit.payment_url : null,
+  han_thanh_toan: deposit.han_thanh_toan,
+  so_tien_hoan: deposit.so_tien_hoan === null ? null : Number(deposit.so_tien_hoan),
+  hoan_du_kien: deposit.hoan_du_kien || null
+});
 
-  // Validate ten_khach
-  if (!data.ten_khach || data.ten_khach.trim().length < 2) {
-    errors.push('Họ tên phải có ít nhất 2 ký tự');
+// A reservation that stops holding tables (cancelled, no-show, deleted)
+// settles its deposit and offers its slot to the waitlist
+const releaseReservation = async (before, after) => {
+  const { activeStatuses } = reservationConfig;
+  if (activeStatuses.includes(before.trang_thai) && (!after || !activeStatuses.includes(after.trang_thai))) {
+    await DepositService.settle(before, after);
+    await WaitlistService.handleReservationReleased(before);
   }
-  if (data.ten_khach && data.ten_khach.length > 100) {
-    errors.push('Họ tên không được quá 100 ký tự');
+};
+
+// POST /api/datban - Create new reservation
+// A logged-in customer's booking is attached to their account, contact details prefilled
+router.post('/', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const data = req.user
+      ? {
+        ...req.body,
+        ten_khach: req.body.ten_khach || req.user.ho_ten,
+        sdt: req.body.sdt || req.user.so_dien_thoai,
+        email: req.body.email || req.user.email,
+        id_khachhang: req.user.id
+      }
+      : { ...req.body, id_khachhang: null };
+
+    // Pre-ordered dishes are checked against the menu before anything is written
+    const preOrder = await PreOrderService.prepare(req.body.mon_dat_truoc);
+
+    // Validate, check overlaps and remaining capacity, then insert
+    const created = await ReservationService.create(data, requestOrigin(req, 'khach_hang'));
+    const { ban, ...reservation } = created;
+
+    // The dishes were checked above; if storing them still fails, the booking is
+    // cancelled so it does not hold tables for an order the guest never got
+    let preOrdered;
+    try {
+      preOrdered = await PreOrderService.attach(reservation.id_datban, preOrder);
+    } catch (error) {
+      await CancellationService.cancel(created, { actor: 'he_thong', source: 'he_thong' }, 'Không lưu được món đặt trước')
+        .catch(cancelError => console.error('Error cancelling reservation without its pre-order:', cancelError));
+      throw error;
+    }
+    const { mon, tam_tinh } = preOrdered;
+    const manage = signManageToken(reservation);
+
+    // Large or peak-time bookings wait for their deposit
+    const deposit = await DepositService.requestPayment(reservation);
+
+    res.status(201).json({
+      success: true,
+      message: deposit
+        ? `Đặt bàn cần đặt cọc ${Number(deposit.so_tien).toLocaleString('vi-VN')}đ. Vui lòng thanh toán trong ${depositConfig.paymentMinutes} phút để giữ bàn.`
+        : 'Đặt bàn thành công! Chúng tôi sẽ liên hệ xác nhận trong vòng 15 phút.',
+      data: reservation,
+      id: reservation.id_datban,
+      dat_coc: deposit ? toGuestDeposit(deposit) : null,
+      mon_dat_truoc: mon,
+      tam_tinh,
+      manage_token: manage.token,
+      manage_token_expires_at: manage.expiresAt
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) return sendAppError(res, error);
+    console.error('Error creating reservation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi đặt bàn. Vui lòng thử lại sau.'
+    });
   }
-  if (data.ten_khach && !/^[a-zA-ZÀ-ỹ\s]+$/u.test(data.ten_khach)) {
-    errors.push('Họ tên chỉ được chứa chữ cái và khoảng trắng');
+});
+
+// WHERE clause of the reservation list filters (status, date, can_duyet, phone),
+// shared by the list and its CSV export
+const buildListFilter = (query) => {
+  const whereConditions = [];
+  const params = [];
+
+  const status = query.status;
+  const date = query.date;
+  const phone = query.phone;
+
+  if (status && status !== 'all') {
+    whereConditions.push('trang_thai = ?');
+    params.push(status);
   }
 
-  // Validate sdt
-  if (!data.sdt) {
-    errors.push('Số điện thoại là bắt buộc');
+  if (date) {
+    whereConditions.push('ngay = ?');
+    params.push(date);
   }
-  const phone = data.sdt ? data.sdt.replace(/\s/g, '') : '';
-  if (phone && !/^[0-9]{10,11}$/.test(phone)) {
-    errors.push('Số điện thoại phải có 10-11 chữ số');
+
+  // Bookings flagged by the guest rules for manual approval
+  if (query.can_duyet !== undefined) {
+    whereConditions.push('can_duyet = ?');
+    params.push(query.can_duyet === 'true' || query.can_duyet === '1' ? 1 : 0);
   }
 
-  // Validate email if provided
-  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
-    errors.push('Email không đúng định dạng');
+  if (phone) {
+    whereConditions.push('(ten_khach LIKE ? OR sdt LIKE ? OR email LIKE ?)');
+    const searchTerm = `%${phone}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
   }
-  if (data.email && data.email.length > 100) {
-    errors.push('Email không được quá 100 ký tự');
+
+  return { whereConditions, params };
+};
+
+// GET /api/datban - Get all reservations with pagination and filters
+router.get('/', async (req, res) => {
+  try {
+    console.log('📋 Getting reservations list...');
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { whereConditions, params } = buildListFilter(req.query);
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    console.log('🔍 Query conditions:', whereConditions);
+    console.log('🔍 Query params:', params);
+
+    // Get total count
+    const countQuery = `SELECT COUNT(*) as total FROM dat_ban ${whereClause}`;
+    const countResult = await executeQuery(countQuery, params);
+    const total = countResult.success ? countResult.data[0].total : 0;
+
+    // Get reservations
+    const selectQuery = `
+      SELECT * FROM dat_ban ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+    const selectParams = [...params];
+    const result = await executeQuery(selectQuery, selectParams);
+
+    if (result.success) {
+      console.log(`✅ Found ${result.data.length} reservations (${total} total)`);
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } else {
+      throw new Error(result.error);
+    }
+
+  } catch (error) {
+    console.error('❌ Error getting reservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi lấy danh sách đặt bàn',
+      error: error.message
+    });
   }
+});
 
-  // Validate ngay
-  if (!data.ngay) {
-    errors.push('Ngày đặt bàn là bắt buộc');
+// GET /api/datban/export - Reservation list as CSV, same filters as GET /api/datban
+router.get('/export', async (req, res) => {
+  try {
+    const { whereConditions, params } = buildListFilter(req.query);
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const result = await executeQuery(
+      `SELECT d.*,
+         (SELECT GROUP_CONCAT(b.so_ban ORDER BY b.so_ban SEPARATOR ', ')
+          FROM dat_ban_ban dbb JOIN ban b ON b.id_ban = dbb.id_ban
+          WHERE dbb.id_datban = d.id_datban) AS ban
+       FROM dat_ban d ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT ${reservationConfig.exportMaxRows}`,
+      params
+    );
+    if (!result.success) throw new Error(result.error);
+
+    const filename = `dat-ban-${req.query.date || OpeningHoursService.formatLocalDate(new Date())}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(ReservationCsvService.buildExport(result.data));
+
+  } catch (error) {
+    console.error('Error exporting reservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi xuất danh sách đặt bàn'
+    });
   }
-  if (data.ngay) {
-    const reservationDate = new Date(data.ngay);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    if (reservationDate < today) {
-      errors.push('Không thể đặt bàn cho ngày trong quá khứ');
-    }
-    
-    const maxDate = new Date();
-    maxDate.setDate(maxDate.getDate() + 30);
-    if (reservationDate > maxDate) {
-      errors.push('Chỉ có thể đặt bàn trong vòng 30 ngày tới');
+});
+
+// POST /api/datban/import - Bulk import from a CSV file (multipart field "file",
+// or the CSV text as a text/csv body). ?dry_run=true only checks the rows.
+router.post('/import', authenticateStaff, csvUpload.single('file'), handleMulterError, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : null);
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vui lòng gửi file CSV (trường "file") hoặc nội dung CSV'
+      });
     }
-  }
 
-  // Validate gio
-  if (!data.gio) {
-    errors.push('Giờ đặt bàn là bắt buộc');
+    const flag = (value) => value === true || value === 'true' || value === '1';
+    const dryRun = flag(req.query.dry_run) || flag(req.body && req.body.dry_run);
+    const result = await ReservationCsvService.importCsv(content, requestOrigin(req), {
+      dryRun,
+      notify: flag(req.query.gui_thong_bao) || flag(req.body && req.body.gui_thong_bao)
+    });
+
+    res.status(dryRun || result.da_nhap === 0 ? 200 : 201).json({
+      success: result.loi === 0 && result.chua_xac_nhan === 0,
+      message: dryRun
+        ? `Kiểm tra ${result.tong_so_dong} dòng: ${result.hop_le} hợp lệ, ${result.loi} lỗi`
+        : `Đã nhập ${result.da_nhap}/${result.tong_so_dong} đặt bàn, ${result.loi} dòng lỗi` +
+          (result.chua_xac_nhan > 0 ? `, ${result.chua_xac_nhan} đặt bàn chưa xác nhận được (vẫn ở trạng thái chờ xác nhận)` : ''),
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) return sendAppError(res, error);
+    console.error('Error importing reservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi nhập đặt bàn'
+    });
   }
-  if (data.gio) {
-    const [hours, minutes] = data.gio.split(':').map(Number);
-    if (hours < 10 || hours > 21 || (hours === 21 && minutes > 30)) {
-      errors.push('Giờ đặt bàn phải trong khung 10:00 - 21:30');
+});
+
+/**
+ * GET /api/datban/availability - Check table availability
+ */
+router.get('/availability', async (req, res) => {
+  try {
+    const { date, time, guests } = req.query;
+
+    if (!date || !time) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ngày và giờ là bắt buộc'
+      });
     }
-    
-    // Check if time has passed for today
-    if (data.ngay) {
-      const reservationDate = new Date(data.ngay);
-      const today = new Date();
-      
-      if (reservationDate.toDateString() === today.toDateString()) {
-        const reservationTime = new Date(`${data.ngay} ${data.gio}`);
-        if (reservationTime <= new Date()) {
-          errors.push('Không thể đặt bàn cho giờ đã qua');
-        }
-      }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(toMinutes(time))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ngày hoặc giờ không đúng định dạng (YYYY-MM-DD, HH:MM)'
+      });
     }
-  }
 
-  // Validate so_luong_khach
-  if (!data.so_luong_khach) {
-    errors.push('Số lượng khách là bắt buộc');
+    const requestedGuests = guests ? parseInt(guests) : null;
+    if (guests && (isNaN(requestedGuests) || requestedGuests < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Số lượng khách không hợp lệ'
+      });
+    }
+
+    const duration = TableAllocationService.getDuration(requestedGuests || 1);
+    const schedule = await OpeningHoursService.getDaySchedule(date);
+    const day = await TableAllocationService.loadDay(date);
+    const availability = TableAllocationService.evaluate(day, time, requestedGuests, duration);
+
+    // The requested time must also be an open slot in the calendar
+    const closedReason = OpeningHoursService.checkSlot(schedule, time, duration);
+    if (closedReason) {
+      availability.isAvailable = false;
+      availability.allocation = null;
+    }
+
+    // Suggest the open slots of the day closest to the requested time
+    let recommendedTimes = null;
+    if (!availability.isAvailable) {
+      const requested = toMinutes(time);
+      recommendedTimes = OpeningHoursService.getSlotTimes(schedule, duration)
+        .filter(slot => slot !== time.substring(0, 5))
+        .filter(slot => TableAllocationService.evaluate(day, slot, requestedGuests, duration).isAvailable)
+        .sort((a, b) => Math.abs(toMinutes(a) - requested) - Math.abs(toMinutes(b) - requested))
+        .slice(0, reservationConfig.maxRecommendedTimes)
+        .sort();
+    }
+
+    res.json({
+      success: true,
+      message: 'Kiểm tra tình trạng bàn thành công',
+      data: {
+        date,
+        time,
+        requestedGuests,
+        ...availability,
+        closedReason,
+        services: schedule.services.map(service => ({
+          ten_ca: service.ten_ca,
+          gio_mo: fromMinutes(service.start),
+          gio_dong: fromMinutes(service.end)
+        })),
+        recommendedTimes
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error checking availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi kiểm tra tình trạng bàn',
+      error: error.message
+    });
   }
-  const guests = parseInt(data.so_luong_khach);
-  if (isNaN(guests) || guests < 1 || guests > 20) {
-    errors.push('Số lượng khách phải từ 1 đến 20 người');
+});
+
+/**
+ * GET /api/datban/slots - Bookable time slots of a date from the opening-hours calendar
+ */
+router.get('/slots', async (req, res) => {
+  try {
+    const { date, guests } = req.query;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ngày là bắt buộc (YYYY-MM-DD)'
+      });
+    }
+
+    const requestedGuests = guests ? parseInt(guests) : null;
+    const duration = TableAllocationService.getDuration(requestedGuests || 1);
+    const schedule = await OpeningHoursService.getDaySchedule(date);
+    const day = await TableAllocationService.loadDay(date);
+
+    const slots = OpeningHoursService.getSlotTimes(schedule, duration).map(time => {
+      const availability = TableAllocationService.evaluate(day, time, requestedGuests, duration);
+      return {
+        time,
+        isAvailable: availability.isAvailable,
+        availableTables: availability.availableTables,
+        availableSeats: availability.availableSeats
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        weekday: schedule.ten_thu,
+        closed: schedule.closed,
+        closedReason: schedule.reason,
+        requestedGuests,
+        durationMinutes: duration,
+        slots
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting reservation slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi lấy khung giờ đặt bàn',
+      error: error.message
+    });
   }
+});
+
+// ==================== GUEST MANAGE LINKS ====================
+
+// What a guest sees about their own reservation
+const toGuestView = (reservation) => ({
+  id_datban: reservation.id_datban,
+  ten_khach: reservation.ten_khach,
+  sdt: reservation.sdt,
+  email: reservation.email,
+  ngay: formatDate(reservation.ngay),
+  gio: reservation.gio,
+  thoi_luong: reservation.thoi_luong,
+  so_luong_khach: reservation.so_luong_khach,
+  ghi_chu: reservation.ghi_chu,
+  trang_thai: reservation.trang_thai,
+  ban: reservation.ban.map(table => ({ so_ban: table.so_ban, khu_vuc: table.khu_vuc })),
+  co_the_doi_lich: reservationConfig.guestEditableStatuses.includes(reservation.trang_thai),
+  co_the_huy: canTransition(reservation.trang_thai, STATUS.CANCELLED)
+});
+
+// Load the reservation a manage token points to
+const loadManagedReservation = async (token) => {
+  const decoded = verifyManageToken(token);
+  const reservation = await ReservationService.loadSnapshot(decoded.id);
 
-  // Validate ghi_chu
-  if (data.ghi_chu && data.ghi_chu.length > 500) {
-    errors.push('Ghi chú không được quá 500 ký tự');
+  // Token is bound to the phone number the booking was made with
+  if (!reservation || reservation.sdt !== decoded.sdt) {
+    throw new AppError('Liên kết quản lý đặt bàn không hợp lệ', 401, 'INVALID_MANAGE_TOKEN');
   }
 
-  return errors;
+  return reservation;
 };
 
-// Check for duplicate reservations
-const checkDuplicateReservation = async (sdt, ngay, gio, excludeId = null) => {
+// GET /api/datban/manage/:token - Guest views their reservation
+router.get('/manage/:token', async (req, res) => {
   try {
-    let query = `
-      SELECT COUNT(*) as count FROM dat_ban 
-      WHERE sdt = ? AND ngay = ? AND gio = ? AND trang_thai != 'da_huy'
-    `;
-    let params = [sdt, ngay, gio];
-    
-    if (excludeId) {
-      query += ' AND id_datban != ?';
-      params.push(excludeId);
-    }
-    
-    const result = await executeQuery(query, params);
-    return result.success && result.data[0].count > 0;
+    const reservation = await loadManagedReservation(req.params.token);
+    const deposit = await DepositService.getForReservation(reservation);
+
+    res.json({
+      success: true,
+      data: {
+        ...toGuestView(reservation),
+        dat_coc: deposit ? toGuestDeposit(deposit) : null
+      }
+    });
+
   } catch (error) {
-    console.error('Error checking duplicate reservation:', error);
-    return false;
+    if (error instanceof AppError) return sendAppError(res, error);
+    console.error('Error getting managed reservation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi lấy thông tin đặt bàn'
+    });
   }
-};
+});
 
-// POST /api/datban - Create new reservation
-router.post('/', async (req, res) => {
+// PATCH /api/datban/manage/:token - Guest reschedules their reservation
+router.patch('/manage/:token', async (req, res) => {
   try {
-    const data = req.body;
-    
-    // Validate input data
-    const validationErrors = validateReservationData(data);
-    if (validationErrors.length > 0) {
+    const reservation = await loadManagedReservation(req.params.token);
+    const id = reservation.id_datban;
+
+    if (reservation.loai === 'nhom') {
+      return res.status(409).json({
+        success: false,
+        message: 'Đặt bàn nhóm chỉ có thể thay đổi qua nhà hàng, vui lòng liên hệ nhân viên',
+        code: 'GROUP_RESERVATION'
+      });
+    }
+
+    if (!reservationConfig.guestEditableStatuses.includes(reservation.trang_thai)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Đặt bàn ở trạng thái hiện tại không thể thay đổi',
+        code: 'RESERVATION_LOCKED'
+      });
+    }
+
+    const changes = {};
+    ['ngay', 'gio', 'so_luong_khach', 'ghi_chu'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Dữ liệu không hợp lệ',
-        errors: validationErrors
+        message: 'Không có dữ liệu để cập nhật'
       });
     }
 
-    // Check for duplicate reservations
-    const isDuplicate = await checkDuplicateReservation(data.sdt, data.ngay, data.gio);
-    if (isDuplicate) {
+    // Same validation and conflict rules as the staff endpoints
+    const merged = { ...reservation, ...changes, ngay: formatDate(changes.ngay || reservation.ngay) };
+    if (changes.so_luong_khach !== undefined) {
+      merged.thoi_luong = TableAllocationService.getDuration(parseInt(changes.so_luong_khach));
+    }
+
+    const validationErrors = await ReservationService.validate(merged);
+    if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Bạn đã có đặt bàn vào thời gian này rồi'
+        message: 'Dữ liệu không hợp lệ',
+        errors: validationErrors
       });
     }
 
-    // Insert reservation
-    const insertQuery = `
-      INSERT INTO dat_ban (ten_khach, sdt, email, ngay, gio, so_luong_khach, ghi_chu, trang_thai) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, 'cho_xac_nhan')
+    // A change that calls for a (larger) deposit has to go through the restaurant
+    const requirement = await GuestProfileService.getDepositRequirement(merged);
+    if (requirement) {
+      const deposit = await DepositService.getForReservation(reservation);
+      const paid = deposit && deposit.trang_thai === 'da_thanh_toan' ? Number(deposit.so_tien) : 0;
+
+      if (requirement.so_tien > paid) {
+        return res.status(409).json({
+          success: false,
+          message: `Thay đổi này cần đặt cọc ${requirement.so_tien.toLocaleString('vi-VN')}đ, vui lòng liên hệ nhà hàng`,
+          code: 'DEPOSIT_REQUIRED'
+        });
+      }
+    }
+
+    await ReservationService.assertNoConflicts(merged, id);
+    await TableAllocationService.syncAssignment(merged);
+
+    const updateQuery = `
+      UPDATE dat_ban SET
+        ngay = ?, gio = ?, thoi_luong = ?, so_luong_khach = ?, ghi_chu = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id_datban = ?
     `;
-    
-    const params = [
-      data.ten_khach.trim(),
-      data.sdt.trim(),
-      data.email ? data.email.trim() : null,
-      data.ngay,
-      data.gio,
-      parseInt(data.so_luong_khach),
-      data.ghi_chu ? data.ghi_chu.trim() : null
-    ];
 
-    const result = await executeQuery(insertQuery, params);
-    
+    const result = await executeQuery(updateQuery, [
+      merged.ngay,
+      merged.gio,
+      ReservationService.resolveDuration(merged),
+      parseInt(merged.so_luong_khach),
+      merged.ghi_chu ? String(merged.ghi_chu).trim() : null,
+      id
+    ]);
+
     if (result.success) {
-      // Get the created reservation
-      const selectQuery = 'SELECT * FROM dat_ban WHERE id_datban = ?';
-      const selectResult = await executeQuery(selectQuery, [result.data.insertId]);
-      
-      res.status(201).json({
+      const updated = await ReservationService.loadSnapshot(id);
+      await ReservationService.recordHistory(guestOrigin(reservation.sdt), id, 'cap_nhat', reservation, updated);
+
+      // The link expires at the start of the booking, so a new one is issued
+      const manage = signManageToken(updated);
+
+      res.json({
         success: true,
-        message: 'Đặt bàn thành công! Chúng tôi sẽ liên hệ xác nhận trong vòng 15 phút.',
-        data: selectResult.data[0],
-        id: result.data.insertId
+        message: 'Đổi lịch đặt bàn thành công',
+        data: toGuestView(updated),
+        manage_token: manage.token,
+        manage_token_expires_at: manage.expiresAt
       });
     } else {
       throw new Error(result.error);
     }
 
   } catch (error) {
-    console.error('Error creating reservation:', error);
+    if (error instanceof AppError) return sendAppError(res, error);
+    console.error('Error rescheduling managed reservation:', error);
     res.status(500).json({
       success: false,
-      message: 'Có lỗi xảy ra khi đặt bàn. Vui lòng thử lại sau.'
+      message: 'Có lỗi xảy ra khi đổi lịch đặt bàn'
     });
   }
 });
 
-// GET /api/datban - Get all reservations with pagination and filters
-router.get('/', async (req, res) => {
+// POST /api/datban/manage/:token/cancel - Guest cancels their reservation
+router.post('/manage/:token/cancel', async (req, res) => {
   try {
-    console.log('📋 Getting reservations list...');
+    const reservation = await loadManagedReservation(req.params.token);
+    const updated = await CancellationService.cancel(reservation, guestOrigin(reservation.sdt), (req.body && req.body.ly_do) || null);
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
+    // Staff changed the booking in the meantime
+    if (updated.trang_thai !== STATUS.CANCELLED) {
+      throw new AppError('Đặt bàn vừa được cập nhật, vui lòng tải lại', 409, 'RESERVATION_CHANGED');
+    }
 
-    const status = req.query.status;
-    const date = req.query.date;
-    const phone = req.query.phone;
+    // Refund follows the cutoff policy, see config/deposit.js
+    const deposit = await DepositService.getForReservation(updated);
+    const refunded = deposit && deposit.trang_thai === 'da_hoan' ? Number(deposit.so_tien_hoan) : 0;
+
+    res.json({
+      success: true,
+      message: refunded > 0
+        ? `Hủy đặt bàn thành công. Tiền cọc được hoàn ${refunded.toLocaleString('vi-VN')}đ`
+        : 'Hủy đặt bàn thành công',
+      data: {
+        ...toGuestView(updated),
+        dat_coc: deposit ? toGuestDeposit(deposit) : null
+      }
+    });
 
-    let whereConditions = [];
-    let params = [];
+  } catch (error) {
+    if (error instanceof AppError) return sendAppError(res, error);
+    console.error('Error cancelling managed reservation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi hủy đặt bàn'
+    });
+  }
+});
 
-    if (status && status !== 'all') {
-      whereConditions.push('trang_thai = ?');
-      params.push(status);
-    }
+// Calendar feed key from ?token= or a Bearer header
+const isValidFeedToken = (req) => hasValidAccessToken(req, reservationConfig.calendarFeedToken);
 
-    if (date) {
-      whereConditions.push('ngay = ?');
-      params.push(date);
-    }
+// Send an iCalendar document
+const sendCalendar = (res, filename, calendar, download) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${filename}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(calendar);
+};
 
-    if (phone) {
-      whereConditions.push('(ten_khach LIKE ? OR sdt LIKE ? OR email LIKE ?)');
-      const searchTerm = `%${phone}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+// GET /api/datban/calendar.ics - Subscribable iCal feed of confirmed bookings
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    if (!isValidFeedToken(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Khóa truy cập lịch không hợp lệ',
+        code: 'INVALID_CALENDAR_TOKEN'
+      });
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    // One day (?date=), a range (?from=&to=) or, by default, today through the booking horizon
+    const today = OpeningHoursService.formatLocalDate(new Date());
+    const horizon = new Date(Date.now() + reservationConfig.bookingHorizonDays * 24 * 60 * 60 * 1000);
+    const from = req.query.date || req.query.from || today;
+    const to = req.query.date || req.query.to || OpeningHoursService.formatLocalDate(horizon);
 
-    console.log('🔍 Query conditions:', whereConditions);
-    console.log('🔍 Query params:', params);
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(from) || !datePattern.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ngày không hợp lệ (định dạng YYYY-MM-DD)'
+      });
+    }
 
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM dat_ban ${whereClause}`;
-    const countResult = await executeQuery(countQuery, params);
-    const total = countResult.success ? countResult.data[0].total : 0;
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (days < 1 || days > reservationConfig.calendarFeedMaxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `Khoảng ngày phải từ 1 đến ${reservationConfig.calendarFeedMaxDays} ngày`
+      });
+    }
 
-    // Get reservations
-    const selectQuery = `
-      SELECT * FROM dat_ban ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT ${limit} OFFSET ${offset}
-    `;
-    const selectParams = [...params];
-    const result = await executeQuery(selectQuery, selectParams);
+    const statuses = reservationConfig.calendarFeedStatuses;
+    const result = await executeQuery(
+      `SELECT * FROM dat_ban WHERE ngay BETWEEN ? AND ? AND trang_thai IN (${statuses.map(() => '?').join(', ')}) ORDER BY ngay ASC, gio ASC`,
+      [from, to, ...statuses]
+    );
 
-    if (result.success) {
-      console.log(`✅ Found ${result.data.length} reservations (${total} total)`);
-      res.json({
-        success: true,
-        data: result.data,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
-      });
-    } else {
+    if (!result.success) {
       throw new Error(result.error);
     }
 
+    const reservations = [];
+    for (const row of result.data) {
+      reservations.push({ ...row, ban: await TableModel.getByReservation(row.id_datban) });
+    }
+
+    const name = from === to ? `Đặt bàn ${from}` : `Đặt bàn ${from} - ${to}`;
+    sendCalendar(res, 'dat-ban.ics', buildCalendar(name, reservations), false);
+
   } catch (error) {
-    console.error('❌ Error getting reservations:', error);
+    if (error instanceof AppError) return sendAppError(res, error);
+    console.error('Error building reservation calendar feed:', error);
     res.status(500).json({
       success: false,
-      message: 'Có lỗi xảy ra khi lấy danh sách đặt bàn',
-      error: error.message
+      message: 'Có lỗi xảy ra khi tạo lịch đặt bàn'
     });
   }
 });
@@ -288,9 +718,30 @@ router.get('/:id', async (req, res) => {
     const result = await executeQuery(query, [id]);
     
     if (result.success && result.data.length > 0) {
+      const ban = await TableModel.getByReservation(id);
+
+      // ?format=ics (or Accept: text/calendar) downloads the booking as a calendar event
+      if (req.query.format === 'ics' || (req.query.format === undefined && req.accepts(['json', 'text/calendar']) === 'text/calendar')) {
+        const calendar = buildCalendar(`Đặt bàn #${id}`, [{ ...result.data[0], ban }]);
+        return sendCalendar(res, `dat-ban-${id}.ics`, calendar, true);
+      }
+
+      const transitions = await executeQuery(
+        'SELECT tu_trang_thai, den_trang_thai, nguoi_thuc_hien, ly_do, thoi_gian FROM dat_ban_trang_thai WHERE id_datban = ? ORDER BY thoi_gian, id',
+        [id]
+      );
+
       res.json({
         success: true,
-        data: result.data[0]
+        data: {
+          ...result.data[0],
+          ban,
+          dat_coc: await DepositService.getForReservation(result.data[0]),
+          ho_so_khach: await GuestProfileService.getProfile(result.data[0].sdt),
+          dat_truoc: await PreOrderService.get(id),
+          trang_thai_tiep_theo: getAllowedTransitions(result.data[0].trang_thai),
+          lich_su_trang_thai: transitions.success ? transitions.data : []
+        }
       });
     } else {
       res.status(404).json({
@@ -308,8 +759,45 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/datban/:id/history - Change history of a reservation (kept after deletion)
+router.get('/:id/history', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID không hợp lệ'
+      });
+    }
+
+    const history = await ReservationHistoryModel.getByReservation(id);
+
+    if (history.length === 0 && !(await ReservationService.loadSnapshot(id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy đặt bàn'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history,
+      total: history.length
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) return sendAppError(res, error);
+    console.error('Error getting reservation history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Có lỗi xảy ra khi lấy lịch sử đặt bàn'
+    });
+  }
+});
+
 // PUT /api/datban/:id - Update reservation
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateStaff, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const data = req.body;
@@ -332,8 +820,25 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Validate input data
-    const validationErrors = validateReservationData(data);
+    // Group bookings change as a unit (tables and set menu together)
+    if (checkResult.data[0].loai === 'nhom') {
+      return res.status(409).json({
+        success: false,
+        message: `Đây là đặt bàn nhóm, vui lòng thay đổi qua /api/datban/groups/${id}`,
+        code: 'GROUP_RESERVATION'
+      });
+    }
+
+    // Keep the stored seating duration unless the party size changes without an explicit one
+    const existing = checkResult.data[0];
+    const hasDuration = data.thoi_luong !== undefined && data.thoi_luong !== null && data.thoi_luong !== '';
+    const partySizeChanged = parseInt(data.so_luong_khach) !== existing.so_luong_khach;
+    const thoi_luong = hasDuration || partySizeChanged || !existing.thoi_luong
+      ? ReservationService.resolveDuration(data)
+      : existing.thoi_luong;
+
+    // Validate input data and opening hours
+    const validationErrors = await ReservationService.validate(hasDuration ? data : { ...data, thoi_luong });
     if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -342,19 +847,33 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Check for duplicate reservations (excluding current reservation)
-    const isDuplicate = await checkDuplicateReservation(data.sdt, data.ngay, data.gio, id);
-    if (isDuplicate) {
-      return res.status(400).json({
-        success: false,
-        message: 'Đã có đặt bàn khác vào thời gian này'
-      });
+    // Status changes must follow the reservation lifecycle
+    const currentStatus = existing.trang_thai;
+    const trang_thai = data.trang_thai || currentStatus;
+    if (trang_thai !== currentStatus) {
+      assertTransition(currentStatus, trang_thai);
+      await DepositService.assertStatusChange({ ...existing, ...data, id_datban: id, trang_thai: currentStatus }, trang_thai);
     }
 
+    // Check for overlapping reservations (excluding current reservation)
+    await ReservationService.assertNoConflicts({ ...data, thoi_luong, trang_thai }, id);
+
+    const before = { ...existing, ban: await TableModel.getByReservation(id) };
+
+    // Tables are chosen before anything is written and assigned once the update is saved
+    const tables = await TableAllocationService.resolveAssignment({
+      id_datban: id,
+      ngay: data.ngay,
+      gio: data.gio,
+      thoi_luong,
+      so_luong_khach: parseInt(data.so_luong_khach),
+      trang_thai
+    }, data.ban_ids);
+
     // Update reservation
     const updateQuery = `
       UPDATE dat_ban SET
-        ten_khach = ?, sdt = ?, email = ?, ngay = ?, gio = ?,
+        ten_khach = ?, sdt = ?, sdt_chuan = ?, email = ?, ngay = ?, gio = ?, thoi_luong = ?,
         so_luong_khach = ?, ghi_chu = ?, trang_thai = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE id_datban = ?
@@ -363,31 +882,44 @@ router.put('/:id', async (req, res) => {
     const params = [
       data.ten_khach.trim(),
       data.sdt.trim(),
+      normalizePhone(data.sdt),
       data.email ? data.email.trim() : null,
       data.ngay,
       data.gio,
+      thoi_luong,
       parseInt(data.so_luong_khach),
       data.ghi_chu ? data.ghi_chu.trim() : null,
-      data.trang_thai || 'cho_xac_nhan',
+      trang_thai,
       id
     ];
 
     const result = await executeQuery(updateQuery, params);
 
     if (result.success) {
+      if (tables) {
+        await TableModel.assignToReservation(id, tables.map(table => table.id_ban));
+      }
+
+      if (trang_thai !== currentStatus) {
+        await ReservationService.recordStatusChange(id, currentStatus, trang_thai, getActor(req), data.ly_do);
+      }
+
       // Get updated reservation
-      const selectResult = await executeQuery(checkQuery, [id]);
+      const updated = await ReservationService.loadSnapshot(id);
+      await ReservationService.recordHistory(requestOrigin(req), id, 'cap_nhat', before, updated);
+      await releaseReservation(before, updated);
 
       res.json({
         success: true,
         message: 'Cập nhật đặt bàn thành công',
-        data: selectResult.data[0]
+        data: updated
       });
     } else {
       throw new Error(result.error);
     }
 
   } catch (error) {
+    if (error instanceof AppError) return sendAppError(res, error);
     console.error('Error updating reservation:', error);
     res.status(500).json({
       success: false,
@@ -397,7 +929,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/datban/:id - Delete reservation
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateStaff, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
 
@@ -419,11 +951,16 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    const before = { ...checkResult.data[0], ban: await TableModel.getByReservation(id) };
+
     // Delete reservation
     const deleteQuery = 'DELETE FROM dat_ban WHERE id_datban = ?';
     const result = await executeQuery(deleteQuery, [id]);
 
     if (result.success) {
+      await ReservationService.recordHistory(requestOrigin(req), id, 'xoa', before, null);
+      await releaseReservation(before, null);
+
       res.json({
         success: true,
         message: 'Xóa đặt bàn thành công'
@@ -442,7 +979,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // PATCH /api/datban/:id/status - Update reservation status only
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', authenticateStaff, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const { trang_thai } = req.body;
@@ -454,7 +991,7 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
-    if (!trang_thai || !['cho_xac_nhan', 'da_xac_nhan', 'da_huy'].includes(trang_thai)) {
+    if (!trang_thai || !Object.values(STATUS).includes(trang_thai)) {
       return res.status(400).json({
         success: false,
         message: 'Trạng thái không hợp lệ'
@@ -472,6 +1009,33 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
+    // Only transitions allowed by the lifecycle, e.g. no completing a cancelled booking
+    const current = checkResult.data[0];
+    if (current.trang_thai === trang_thai) {
+      return res.status(400).json({
+        success: false,
+        message: 'Đặt bàn đã ở trạng thái này'
+      });
+    }
+    assertTransition(current.trang_thai, trang_thai);
+
+    // The deposit moves a booking out of cho_thanh_toan, not a plain status change
+    await DepositService.assertStatusChange(current, trang_thai);
+
+    // Re-activating a cancelled or no-show reservation must not overlap other bookings
+    const { activeStatuses } = reservationConfig;
+    if (!activeStatuses.includes(current.trang_thai) && activeStatuses.includes(trang_thai)) {
+      await ReservationService.assertNoConflicts({ ...current, ngay: formatDate(current.ngay), trang_thai }, id);
+    }
+
+    const before = { ...current, ban: await TableModel.getByReservation(id) };
+
+    // Confirmed reservations must hold concrete tables
+    await TableAllocationService.syncAssignment(
+      { ...current, trang_thai },
+      req.body.ban_ids
+    );
+
     // Update status
     const updateQuery = `
       UPDATE dat_ban SET
@@ -483,19 +1047,24 @@ router.patch('/:id/status', async (req, res) => {
     const result = await executeQuery(updateQuery, [trang_thai, id]);
 
     if (result.success) {
+      await ReservationService.recordStatusChange(id, current.trang_thai, trang_thai, getActor(req), req.body.ly_do);
+
       // Get updated reservation
-      const selectResult = await executeQuery(checkQuery, [id]);
+      const updated = await ReservationService.loadSnapshot(id);
+      await ReservationService.recordHistory(requestOrigin(req), id, 'doi_trang_thai', before, updated);
+      await releaseReservation(before, updated);
 
       res.json({
         success: true,
         message: 'Cập nhật trạng thái thành công',
-        data: selectResult.data[0]
+        data: updated
       });
     } else {
       throw new Error(result.error);
     }
 
   } catch (error) {
+    if (error instanceof AppError) return sendAppError(res, error);
     console.error('Error updating reservation status:', error);
     res.status(500).json({
       success: false,
@@ -540,7 +1109,7 @@ router.options('/', (req, res) => {
   res.set({
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': methods.join(', '),
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-Actor, X-Source',
     'Allow': methods.join(', ')
   });
 
@@ -552,17 +1121,69 @@ router.options('/', (req, res) => {
         method: 'GET',
         url: '/api/datban',
         description: 'Get all reservations',
-        parameters: ['page', 'limit', 'status', 'date', 'phone']
+        parameters: ['page', 'limit', 'status', 'date', 'phone', 'can_duyet']
+      },
+      {
+        method: 'GET',
+        url: '/api/datban/export',
+        description: 'Reservation list as CSV, same filters as GET /api/datban',
+        parameters: ['status', 'date', 'phone', 'can_duyet']
+      },
+      {
+        method: 'POST',
+        url: '/api/datban/import',
+        description: 'Bulk import from CSV (multipart "file" or text/csv body); dry_run=true returns per-row errors only',
+        parameters: ['dry_run', 'gui_thong_bao']
       },
       {
         method: 'GET',
         url: '/api/datban/:id',
-        description: 'Get reservation by ID'
+        description: 'Get reservation by ID (?format=ics downloads an iCalendar event)',
+        parameters: ['format']
+      },
+      {
+        method: 'GET',
+        url: '/api/datban/calendar.ics',
+        description: 'Subscribable iCal feed of confirmed bookings (requires the calendar feed token)',
+        parameters: ['token', 'date', 'from', 'to']
+      },
+      {
+        method: 'GET',
+        url: '/api/datban/availability',
+        description: 'Check table availability and proposed tables',
+        parameters: ['date', 'time', 'guests']
+      },
+      {
+        method: 'GET',
+        url: '/api/datban/slots',
+        description: 'Bookable time slots of a date',
+        parameters: ['date', 'guests']
+      },
+      {
+        method: 'GET',
+        url: '/api/datban/:id/history',
+        description: 'Change history with field-level diff, actor and source'
       },
       {
         method: 'POST',
         url: '/api/datban',
-        description: 'Create new reservation'
+        description: 'Create new reservation (returns a guest manage token)'
+      },
+      {
+        method: 'GET',
+        url: '/api/datban/manage/:token',
+        description: 'Guest views their reservation'
+      },
+      {
+        method: 'PATCH',
+        url: '/api/datban/manage/:token',
+        description: 'Guest reschedules their reservation',
+        parameters: ['ngay', 'gio', 'so_luong_khach', 'ghi_chu']
+      },
+      {
+        method: 'POST',
+        url: '/api/datban/manage/:token/cancel',
+        description: 'Guest cancels their reservation'
       },
       {
         method: 'PUT',
@@ -577,7 +1198,7 @@ router.options('/', (req, res) => {
       {
         method: 'PATCH',
         url: '/api/datban/:id/status',
-        description: 'Update reservation status'
+        description: 'Move reservation through its lifecycle (confirmed, arrived, completed, no-show, cancelled)'
       },
       {
         method: 'DELETE',
@@ -597,7 +1218,7 @@ router.options('/', (req, res) => {
 /**
  * PATCH /api/datban/:id - Partially update reservation
  */
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', authenticateStaff, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const updates = req.body;
@@ -620,8 +1241,25 @@ router.patch('/:id', async (req, res) => {
       });
     }
 
+    // Group bookings change as a unit (tables and set menu together)
+    if (checkResult.data[0].loai === 'nhom') {
+      return res.status(409).json({
+        success: false,
+        message: `Đây là đặt bàn nhóm, vui lòng thay đổi qua /api/datban/groups/${id}`,
+        code: 'GROUP_RESERVATION'
+      });
+    }
+
+    // Status changes must follow the reservation lifecycle
+    const currentStatus = checkResult.data[0].trang_thai;
+    const statusChanged = updates.trang_thai !== undefined && updates.trang_thai !== currentStatus;
+    if (statusChanged) {
+      assertTransition(currentStatus, updates.trang_thai);
+      await DepositService.assertStatusChange({ ...checkResult.data[0], ...updates, id_datban: id, trang_thai: currentStatus }, updates.trang_thai);
+    }
+
     // Build update query dynamically
-    const allowedFields = ['ten_khach', 'sdt', 'email', 'ngay', 'gio', 'so_luong_khach', 'ghi_chu', 'trang_thai'];
+    const allowedFields = ['ten_khach', 'sdt', 'email', 'ngay', 'gio', 'thoi_luong', 'so_luong_khach', 'ghi_chu', 'trang_thai'];
     const updateFields = [];
     const updateValues = [];
 
@@ -632,13 +1270,48 @@ router.patch('/:id', async (req, res) => {
       }
     });
 
-    if (updateFields.length === 0) {
+    if (updates.sdt !== undefined) {
+      updateFields.push('sdt_chuan = ?');
+      updateValues.push(normalizePhone(updates.sdt));
+    }
+
+    if (updateFields.length === 0 && !Array.isArray(updates.ban_ids)) {
       return res.status(400).json({
         success: false,
         message: 'Không có dữ liệu để cập nhật'
       });
     }
 
+    // Recompute the seating duration when the party size changes
+    const scheduleFields = ['ngay', 'gio', 'thoi_luong', 'so_luong_khach', 'sdt', 'trang_thai'];
+    const merged = { ...checkResult.data[0], ...updates, id_datban: id };
+    if (updates.so_luong_khach !== undefined && updates.thoi_luong === undefined) {
+      merged.thoi_luong = TableAllocationService.getDuration(parseInt(updates.so_luong_khach));
+      updateFields.push('thoi_luong = ?');
+      updateValues.push(merged.thoi_luong);
+    }
+
+    // Re-check opening hours and overlaps when the schedule of the reservation changes
+    if (scheduleFields.some(field => updates[field] !== undefined)) {
+      const scheduleErrors = ['ngay', 'gio', 'thoi_luong', 'so_luong_khach'].some(field => updates[field] !== undefined)
+        ? await ReservationService.validateSchedule({ ...merged, ngay: formatDate(merged.ngay) })
+        : [];
+      if (scheduleErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dữ liệu không hợp lệ',
+          errors: scheduleErrors
+        });
+      }
+
+      await ReservationService.assertNoConflicts({ ...merged, ngay: formatDate(merged.ngay) }, id);
+    }
+
+    const before = { ...checkResult.data[0], ban: await TableModel.getByReservation(id) };
+
+    // Keep table assignment in sync for confirmed reservations
+    await TableAllocationService.syncAssignment(merged, updates.ban_ids);
+
     // Add updated_at
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
     updateValues.push(id);
@@ -647,13 +1320,19 @@ router.patch('/:id', async (req, res) => {
     const result = await executeQuery(updateQuery, updateValues);
 
     if (result.success) {
+      if (statusChanged) {
+        await ReservationService.recordStatusChange(id, currentStatus, updates.trang_thai, getActor(req), updates.ly_do);
+      }
+
       // Get updated reservation
-      const selectResult = await executeQuery(checkQuery, [id]);
+      const updated = await ReservationService.loadSnapshot(id);
+      await ReservationService.recordHistory(requestOrigin(req), id, 'cap_nhat', before, updated);
+      await releaseReservation(before, updated);
 
       res.json({
         success: true,
         message: 'Cập nhật đặt bàn thành công',
-        data: selectResult.data[0],
+        data: updated,
         timestamp: new Date().toISOString()
       });
     } else {
@@ -661,6 +1340,7 @@ router.patch('/:id', async (req, res) => {
     }
 
   } catch (error) {
+    if (error instanceof AppError) return sendAppError(res, error);
     console.error('Error updating reservation:', error);
     res.status(500).json({
       success: false,
@@ -673,7 +1353,7 @@ router.patch('/:id', async (req, res) => {
 /**
  * DELETE /api/datban/bulk - Delete multiple reservations
  */
-router.delete('/bulk', async (req, res) => {
+router.delete('/bulk', authenticateStaff, async (req, res) => {
   try {
     const { ids } = req.body;
 
@@ -696,7 +1376,7 @@ router.delete('/bulk', async (req, res) => {
 
     // Check which reservations exist
     const placeholders = validIds.map(() => '?').join(',');
-    const checkQuery = `SELECT id_datban FROM dat_ban WHERE id_datban IN (${placeholders})`;
+    const checkQuery = `SELECT * FROM dat_ban WHERE id_datban IN (${placeholders})`;
     const checkResult = await executeQuery(checkQuery, validIds);
 
     if (!checkResult.success) {
@@ -712,12 +1392,22 @@ router.delete('/bulk', async (req, res) => {
       });
     }
 
+    const snapshots = await Promise.all(checkResult.data.map(async row => ({
+      ...row,
+      ban: await TableModel.getByReservation(row.id_datban)
+    })));
+
     // Delete reservations
     const deletePlaceholders = existingIds.map(() => '?').join(',');
     const deleteQuery = `DELETE FROM dat_ban WHERE id_datban IN (${deletePlaceholders})`;
     const result = await executeQuery(deleteQuery, existingIds);
 
     if (result.success) {
+      for (const snapshot of snapshots) {
+        await ReservationService.recordHistory(requestOrigin(req), snapshot.id_datban, 'xoa', snapshot, null);
+        await releaseReservation(snapshot, null);
+      }
+
       res.json({
         success: true,
         message: `Xóa thành công ${existingIds.length} đặt bàn`,
@@ -742,63 +1432,4 @@ router.delete('/bulk', async (req, res) => {
   }
 });
 
-/**
- * GET /api/datban/availability - Check table availability
- */
-router.get('/availability', async (req, res) => {
-  try {
-    const { date, time, guests } = req.query;
-
-    if (!date || !time) {
-      return res.status(400).json({
-        success: false,
-        message: 'Ngày và giờ là bắt buộc'
-      });
-    }
-
-    // Mock availability check (in real app, this would check actual table capacity)
-    const availabilityQuery = `
-      SELECT COUNT(*) as booked_tables
-      FROM dat_ban
-      WHERE ngay = ? AND gio = ? AND trang_thai IN ('cho_xac_nhan', 'da_xac_nhan')
-    `;
-
-    const result = await executeQuery(availabilityQuery, [date, time]);
-
-    if (result.success) {
-      const bookedTables = result.data[0].booked_tables;
-      const totalTables = 20; // Mock total tables
-      const availableTables = totalTables - bookedTables;
-
-      res.json({
-        success: true,
-        message: 'Kiểm tra tình trạng bàn thành công',
-        data: {
-          date,
-          time,
-          requestedGuests: guests ? parseInt(guests) : null,
-          totalTables,
-          bookedTables,
-          availableTables,
-          isAvailable: availableTables > 0,
-          recommendedTimes: availableTables === 0 ? [
-            '18:00', '18:30', '19:30', '20:00', '20:30'
-          ] : null
-        },
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      throw new Error(result.error);
-    }
-
-  } catch (error) {
-    console.error('Error checking availability:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Có lỗi xảy ra khi kiểm tra tình trạng bàn',
-      error: error.message
-    });
-  }
-});
-
 module.exports = router;
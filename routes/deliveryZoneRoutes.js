@@ -0,0 +1,157 @@
+// Delivery Zone Routes - Zones, fees and minimum orders of delivery
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: DeliveryZones
+ *     description: Khu vực giao hàng theo quận/huyện, bán kính từ nhà hàng hoặc đa giác, kèm phí giao và đơn tối thiểu
+ */
+
+const DeliveryZoneController = require('../controllers/DeliveryZoneController');
+const {
+  validateId,
+  validateDeliveryZone,
+  validateDeliveryZoneUpdate
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryZone:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ten:
+ *           type: string
+ *           example: "Nội thành"
+ *         kieu:
+ *           type: string
+ *           enum: [quan_huyen, ban_kinh, da_giac]
+ *         quan_huyen:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Quận 1", "Quận 3"]
+ *           description: Kiểu quan_huyen - so khớp không phân biệt dấu, hoa thường và tiền tố "Quận"/"Huyện"
+ *         ban_kinh_km:
+ *           type: number
+ *           description: Kiểu ban_kinh - tính từ vị trí nhà hàng (RESTAURANT_LAT, RESTAURANT_LNG)
+ *         da_giac:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: number
+ *           example: [[10.78, 106.69], [10.78, 106.71], [10.76, 106.71], [10.76, 106.69]]
+ *           description: Kiểu da_giac - các đỉnh [vĩ độ, kinh độ]
+ *         phi_giao:
+ *           type: number
+ *         don_toi_thieu:
+ *           type: number
+ *         thoi_gian_giao_phut:
+ *           type: integer
+ *         uu_tien:
+ *           type: integer
+ *           description: Khu vực có ưu tiên nhỏ hơn được xét trước; địa chỉ thuộc khu vực khớp đầu tiên
+ *         trang_thai:
+ *           type: string
+ *           enum: [active, inactive]
+ */
+
+/**
+ * @swagger
+ * /delivery-zones:
+ *   get:
+ *     summary: Danh sách khu vực giao hàng theo thứ tự xét
+ *     tags: [DeliveryZones]
+ *     parameters:
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: Danh sách khu vực
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DeliveryZone'
+ *   post:
+ *     summary: Thêm khu vực giao hàng
+ *     tags: [DeliveryZones]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZone'
+ *     responses:
+ *       201:
+ *         description: Khu vực đã tạo
+ *       400:
+ *         description: Khu vực không hợp lệ (errors liệt kê từng lỗi)
+ */
+router.get('/', DeliveryZoneController.getAll);
+router.post('/', validateDeliveryZone, DeliveryZoneController.create);
+
+/**
+ * @swagger
+ * /delivery-zones/{id}:
+ *   get:
+ *     summary: Chi tiết khu vực giao hàng
+ *     tags: [DeliveryZones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Khu vực
+ *       404:
+ *         description: Không tìm thấy khu vực
+ *   patch:
+ *     summary: Sửa khu vực giao hàng hoặc tắt khu vực
+ *     description: Phí giao của các đơn đã tạo không đổi
+ *     tags: [DeliveryZones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZone'
+ *     responses:
+ *       200:
+ *         description: Khu vực sau khi cập nhật
+ *       404:
+ *         description: Không tìm thấy khu vực
+ */
+router.get('/:id', validateId, DeliveryZoneController.getById);
+router.patch('/:id', validateDeliveryZoneUpdate, DeliveryZoneController.update);
+
+router.options('/', createOptionsHandler('delivery-zones', ['GET', 'POST', 'PATCH', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
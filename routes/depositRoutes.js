@@ -0,0 +1,240 @@
+// Deposit Routes - Reservation deposits, payment callbacks and refunds
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Deposits
+ *     description: Tiền đặt cọc cho nhóm đông hoặc giờ cao điểm, hoàn cọc theo chính sách hủy
+ */
+
+const DepositController = require('../controllers/DepositController');
+const paymentConfig = require('../config/payment');
+const {
+  validateId,
+  validateDepositQuote,
+  validateDepositReference,
+  validateDepositRefund
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Deposit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         id_datban:
+ *           type: integer
+ *         ma_giao_dich:
+ *           type: string
+ *           description: Mã giao dịch gửi cho cổng thanh toán
+ *         so_tien:
+ *           type: number
+ *           example: 800000
+ *         quy_tac:
+ *           type: string
+ *           description: Quy tắc đặt cọc đã áp dụng
+ *           example: "nhom_lon,toi_cuoi_tuan"
+ *         nha_cung_cap:
+ *           type: string
+ *           example: "mock"
+ *         payment_url:
+ *           type: string
+ *         trang_thai:
+ *           type: string
+ *           enum: [cho_thanh_toan, da_thanh_toan, that_bai, het_han, da_huy, da_hoan, khong_hoan]
+ *           description: cho_thanh_toan = chờ thanh toán, da_thanh_toan = đã thanh toán, that_bai = thanh toán lỗi, het_han = quá hạn thanh toán, da_huy = hủy trước khi thanh toán, da_hoan = đã hoàn tiền, khong_hoan = không hoàn (hủy sát giờ hoặc không đến)
+ *         han_thanh_toan:
+ *           type: string
+ *           format: date-time
+ *         ty_le_hoan:
+ *           type: integer
+ *         so_tien_hoan:
+ *           type: number
+ *         hoan_du_kien:
+ *           type: object
+ *           description: Số tiền được hoàn nếu hủy ngay bây giờ (chỉ khi đã thanh toán)
+ */
+
+/**
+ * @swagger
+ * /deposits/quote:
+ *   get:
+ *     summary: Kiểm tra đặt bàn có cần đặt cọc không
+ *     tags: [Deposits]
+ *     parameters:
+ *       - in: query
+ *         name: ngay
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: gio
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "19:00"
+ *       - in: query
+ *         name: so_luong_khach
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sdt
+ *         description: Số điện thoại của khách, để áp dụng thêm quy tắc theo lịch sử không đến
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Số tiền cọc, quy tắc áp dụng và chính sách hoàn cọc
+ */
+router.get('/quote', validateDepositQuote, DepositController.quote);
+
+/**
+ * @swagger
+ * /deposits/reservation/{id}:
+ *   get:
+ *     summary: Tiền cọc của một đặt bàn
+ *     tags: [Deposits]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tiền cọc (null nếu đặt bàn không cần cọc)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Deposit'
+ *       404:
+ *         description: Không tìm thấy đặt bàn
+ */
+router.get('/reservation/:id', validateId, DepositController.getByReservation);
+
+/**
+ * @swagger
+ * /deposits/callback:
+ *   post:
+ *     summary: Kết quả thanh toán từ cổng thanh toán
+ *     description: Payload có chữ ký của nhà cung cấp. Gửi lại nhiều lần không làm thay đổi kết quả
+ *     tags: [Deposits]
+ *     responses:
+ *       200:
+ *         description: Đã ghi nhận kết quả thanh toán
+ *       400:
+ *         description: Chữ ký hoặc số tiền không hợp lệ
+ */
+router.post('/callback', DepositController.callback);
+
+/**
+ * @swagger
+ * /deposits/mock/{reference}:
+ *   get:
+ *     summary: Trang thanh toán của cổng giả lập (chỉ có khi PAYMENT_PROVIDER=mock và không chạy production)
+ *     tags: [Deposits]
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trang HTML
+ *   post:
+ *     summary: Hoàn tất hoặc hủy thanh toán trên cổng giả lập
+ *     tags: [Deposits]
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               thanh_cong:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Kết quả thanh toán
+ */
+// Only with PAYMENT_PROVIDER=mock outside production: the page marks deposits as paid
+if (paymentConfig.testProvider === 'mock') {
+  router.get('/mock/:reference', validateDepositReference, DepositController.mockPage);
+  router.post('/mock/:reference', validateDepositReference, DepositController.mockPay);
+}
+
+/**
+ * @swagger
+ * /deposits/expire/run:
+ *   post:
+ *     summary: Hủy ngay các đặt bàn quá hạn thanh toán cọc
+ *     description: Máy chủ tự quét định kỳ; endpoint này dành cho cron bên ngoài khi chạy serverless
+ *     tags: [Deposits]
+ *     responses:
+ *       200:
+ *         description: Số đặt bàn đã hủy
+ */
+router.post('/expire/run', DepositController.runExpiry);
+
+/**
+ * @swagger
+ * /deposits/{id}/refund:
+ *   post:
+ *     summary: Hoàn tiền cọc (thử lại khi hoàn lỗi hoặc hoàn thiện chí)
+ *     tags: [Deposits]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ty_le_hoan:
+ *                 type: integer
+ *                 description: Mặc định theo chính sách hủy
+ *     responses:
+ *       200:
+ *         description: Tiền cọc sau khi hoàn
+ *       409:
+ *         description: Tiền cọc chưa thanh toán hoặc đã hoàn
+ *       502:
+ *         description: Cổng thanh toán từ chối hoàn tiền
+ */
+router.post('/:id/refund', validateDepositRefund, DepositController.refund);
+
+router.options('/', createOptionsHandler('deposits', ['GET', 'POST', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -358,6 +358,10 @@ router.get('/:id', validateId, FoodController.getFoodById);
  *                 description: Số lượng có sẵn
  *                 example: 20
  *                 minimum: 0
+ *               thue_vat:
+ *                 type: number
+ *                 enum: [0, 5, 8, 10]
+ *                 description: Thuế suất GTGT riêng của món (%), để trống là theo loại món
  *               hinh_anh:
  *                 type: string
  *                 format: binary
@@ -551,6 +555,11 @@ router.options('/:id', createOptionsHandler('foods', ['GET', 'PUT', 'PATCH', 'DE
  *               so_luong:
  *                 type: integer
  *                 example: 20
+ *               thue_vat:
+ *                 type: number
+ *                 nullable: true
+ *                 enum: [0, 5, 8, 10]
+ *                 description: Thuế suất GTGT riêng của món (%), null là theo loại món
  *               trang_thai:
  *                 type: string
  *                 enum: [kha_dung, het_hang, ngung_ban]
@@ -0,0 +1,156 @@
+// Group Reservation Routes - Event bookings holding several tables and a set menu
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: GroupReservations
+ *     description: Đặt bàn nhóm / sự kiện, giữ nhiều bàn và set menu như một đơn vị
+ */
+
+const GroupReservationController = require('../controllers/GroupReservationController');
+const {
+  validateId,
+  validateGroupReservation
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * /datban/groups:
+ *   post:
+ *     summary: Tạo đặt bàn nhóm
+ *     description: |
+ *       Các bàn được giữ ngay khi tạo (kể cả khi chờ xác nhận), ưu tiên các bàn lớn
+ *       trong cùng một khu vực. Số khách tối đa theo RESERVATION_GROUP_MAX_GUESTS.
+ *     tags: [GroupReservations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Reservation'
+ *               - type: object
+ *                 properties:
+ *                   ten_su_kien:
+ *                     type: string
+ *                     example: "Tiệc tất niên công ty ABC"
+ *                   ban_ids:
+ *                     type: array
+ *                     description: Bàn chỉ định; bỏ trống để tự xếp
+ *                     items:
+ *                       type: integer
+ *                   id_thuc_don:
+ *                     type: integer
+ *                   so_suat:
+ *                     type: integer
+ *                     description: Mặc định bằng số khách
+ *     responses:
+ *       201:
+ *         description: Đặt bàn nhóm kèm bàn, set menu và tạm tính
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc set menu không đủ số suất tối thiểu
+ *       409:
+ *         description: Không đủ bàn trống
+ */
+router.post('/', validateGroupReservation, GroupReservationController.create);
+
+/**
+ * @swagger
+ * /datban/groups/{id}:
+ *   get:
+ *     summary: Chi tiết đặt bàn nhóm
+ *     tags: [GroupReservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đặt bàn nhóm kèm bàn, set menu và tạm tính
+ *       404:
+ *         description: Không tìm thấy đặt bàn nhóm
+ *   put:
+ *     summary: Thay đổi đặt bàn nhóm (thông tin, bàn và set menu cùng lúc)
+ *     tags: [GroupReservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ngay:
+ *                 type: string
+ *                 format: date
+ *               gio:
+ *                 type: string
+ *               so_luong_khach:
+ *                 type: integer
+ *               ten_su_kien:
+ *                 type: string
+ *               ban_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               id_thuc_don:
+ *                 type: integer
+ *                 nullable: true
+ *               so_suat:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Đặt bàn nhóm sau khi cập nhật
+ *       409:
+ *         description: Đặt bàn đã kết thúc hoặc trùng lịch
+ */
+router.get('/:id', validateId, GroupReservationController.getById);
+router.put('/:id', validateId, validateGroupReservation, GroupReservationController.update);
+
+/**
+ * @swagger
+ * /datban/groups/{id}/cancel:
+ *   post:
+ *     summary: Hủy đặt bàn nhóm và trả lại tất cả các bàn
+ *     tags: [GroupReservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ly_do:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Đặt bàn nhóm đã hủy
+ */
+router.post('/:id/cancel', validateId, GroupReservationController.cancel);
+
+router.options('/', createOptionsHandler('datban/groups', ['GET', 'POST', 'PUT', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,162 @@
+// Guest Routes - Guest profiles keyed by normalized phone number
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Guests
+ *     description: Hồ sơ khách theo số điện thoại (số lần đặt, không đến, hủy, dị ứng, VIP)
+ */
+
+const GuestProfileController = require('../controllers/GuestProfileController');
+const {
+  validateGuestQuery,
+  validateGuestPhone,
+  validateGuestProfile
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GuestProfile:
+ *       type: object
+ *       properties:
+ *         sdt:
+ *           type: string
+ *           description: Số điện thoại đã chuẩn hóa
+ *           example: "0901234567"
+ *         ten_khach:
+ *           type: string
+ *         so_lan_dat:
+ *           type: integer
+ *         so_lan_hoan_thanh:
+ *           type: integer
+ *         so_lan_khong_den:
+ *           type: integer
+ *         so_lan_huy:
+ *           type: integer
+ *         lan_den_gan_nhat:
+ *           type: string
+ *           format: date
+ *         vip:
+ *           type: boolean
+ *         di_ung:
+ *           type: string
+ *           example: "Dị ứng hải sản"
+ *         ghi_chu:
+ *           type: string
+ *         quy_tac_ap_dung:
+ *           type: array
+ *           description: Quy tắc áp dụng cho lần đặt bàn tiếp theo (đặt cọc, duyệt thủ công)
+ *           items:
+ *             type: object
+ *             properties:
+ *               ten:
+ *                 type: string
+ *               mo_ta:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [dat_coc, duyet_thu_cong]
+ */
+
+/**
+ * @swagger
+ * /guests:
+ *   get:
+ *     summary: Danh sách khách đã đặt bàn
+ *     tags: [Guests]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Tìm theo số điện thoại hoặc tên
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: vip
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: min_khong_den
+ *         description: Chỉ lấy khách không đến ít nhất bấy nhiêu lần
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách hồ sơ khách, nhiều lần không đến nhất trước
+ */
+router.get('/', validateGuestQuery, GuestProfileController.getAll);
+
+/**
+ * @swagger
+ * /guests/{phone}:
+ *   get:
+ *     summary: Hồ sơ một khách và các đặt bàn gần đây
+ *     tags: [Guests]
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hồ sơ khách
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/GuestProfile'
+ *   put:
+ *     summary: Cập nhật ghi chú về khách (dị ứng, VIP)
+ *     tags: [Guests]
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ten_khach:
+ *                 type: string
+ *               vip:
+ *                 type: boolean
+ *               di_ung:
+ *                 type: string
+ *               ghi_chu:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Hồ sơ sau khi cập nhật
+ */
+router.get('/:phone', validateGuestPhone, GuestProfileController.getByPhone);
+router.put('/:phone', validateGuestProfile, GuestProfileController.update);
+
+router.options('/', createOptionsHandler('guests', ['GET', 'PUT', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
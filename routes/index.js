@@ -8,6 +8,25 @@ const foodRoutes = require('./foodRoutes');
 const chatRoutes = require('./chatRoutes');
 const customerRoutes = require('./customerRoutes');
 const datbanRoutes = require('./datban');
+const recurringReservationRoutes = require('./recurringReservationRoutes');
+const groupReservationRoutes = require('./groupReservationRoutes');
+const setMenuRoutes = require('./setMenuRoutes');
+const preOrderRoutes = require('./preOrderRoutes');
+const orderRoutes = require('./orderRoutes');
+const invoiceRoutes = require('./invoiceRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const kitchenRoutes = require('./kitchenRoutes');
+const tableOrderRoutes = require('./tableOrderRoutes');
+const deliveryZoneRoutes = require('./deliveryZoneRoutes');
+const promotionRoutes = require('./promotionRoutes');
+const tableRoutes = require('./tableRoutes');
+const openingHoursRoutes = require('./openingHoursRoutes');
+const waitlistRoutes = require('./waitlistRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const depositRoutes = require('./depositRoutes');
+const guestRoutes = require('./guestRoutes');
+const reportRoutes = require('./reportRoutes');
+const realtimeRoutes = require('./realtimeRoutes');
 const khachhangRoutes = require('./khachhang');
 const docsRoutes = require('./docsRoutes');
 const healthRoutes = require('./healthRoutes');
@@ -179,8 +198,47 @@ console.log('✅ Customer management routes mounted at /api/khachhang');
 router.use('/khach_hang', customerRoutes);
 console.log('✅ Authentication routes mounted at /api/khach_hang');
 
+// Series and group bookings before /datban so /datban/:id does not catch them
+router.use('/datban/series', recurringReservationRoutes);
+console.log('✅ Reservation series routes mounted');
+router.use('/datban/groups', groupReservationRoutes);
+console.log('✅ Group reservation routes mounted');
 router.use('/datban', datbanRoutes);
 console.log('✅ Dat ban routes mounted');
+router.use('/tables', tableRoutes);
+console.log('✅ Tables routes mounted');
+router.use('/set-menus', setMenuRoutes);
+console.log('✅ Set menu routes mounted');
+router.use('/pre-orders', preOrderRoutes);
+console.log('✅ Pre-order routes mounted');
+router.use('/orders', orderRoutes);
+console.log('✅ Order routes mounted');
+router.use('/invoices', invoiceRoutes);
+console.log('✅ Invoice routes mounted');
+router.use('/payments', paymentRoutes);
+console.log('✅ Payment routes mounted');
+router.use('/kitchen', kitchenRoutes);
+console.log('✅ Kitchen routes mounted');
+router.use('/table-order', tableOrderRoutes);
+console.log('✅ Table order routes mounted');
+router.use('/delivery-zones', deliveryZoneRoutes);
+console.log('✅ Delivery zone routes mounted');
+router.use('/promotions', promotionRoutes);
+console.log('✅ Promotion routes mounted');
+router.use('/opening-hours', openingHoursRoutes);
+console.log('✅ Opening hours routes mounted');
+router.use('/waitlist', waitlistRoutes);
+console.log('✅ Waitlist routes mounted');
+router.use('/notifications', notificationRoutes);
+console.log('✅ Notification routes mounted');
+router.use('/deposits', depositRoutes);
+console.log('✅ Deposit routes mounted');
+router.use('/guests', guestRoutes);
+console.log('✅ Guest profile routes mounted');
+router.use('/reports', reportRoutes);
+console.log('✅ Report routes mounted');
+router.use('/realtime', realtimeRoutes);
+console.log('✅ Realtime routes mounted');
 router.use('/docs', docsRoutes);
 console.log('✅ Documentation routes mounted');
 
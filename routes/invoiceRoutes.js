@@ -0,0 +1,553 @@
+// Invoice Routes - Invoices issued when orders are closed
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Invoices
+ *     description: Hóa đơn lập khi đóng đơn hàng, hóa đơn điện tử (Nghị định 123/2020, Thông tư 78/2021) và hóa đơn thay thế, điều chỉnh
+ */
+
+const InvoiceController = require('../controllers/InvoiceController');
+const {
+  validateId,
+  validateInvoiceQuery,
+  validateInvoiceSplit,
+  validateInvoicePayment,
+  validateInvoiceBuyer,
+  validateInvoiceReplace,
+  validateInvoiceAdjust
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         so_hoa_don:
+ *           type: string
+ *           example: "HD2024-000123"
+ *         ky_hieu:
+ *           type: string
+ *           example: "C25TNH"
+ *           description: Ký hiệu hóa đơn điện tử, có khi đã phát hành
+ *         so_hddt:
+ *           type: integer
+ *           description: Số hóa đơn điện tử, tăng dần trong một ký hiệu
+ *         phat_hanh_luc:
+ *           type: string
+ *           format: date-time
+ *         loai_hoa_don:
+ *           type: string
+ *           enum: [goc, thay_the, dieu_chinh]
+ *         id_hoa_don_lien_quan:
+ *           type: integer
+ *           description: Hóa đơn bị thay thế hoặc bị điều chỉnh
+ *         ly_do_lien_quan:
+ *           type: string
+ *         id_don:
+ *           type: integer
+ *         id_hoa_don_goc:
+ *           type: integer
+ *           description: Hóa đơn gốc khi đây là hóa đơn tách
+ *         kieu_tach:
+ *           type: string
+ *           enum: [theo_mon, chia_deu, tuy_chinh]
+ *         tam_tinh:
+ *           type: number
+ *         giam_gia:
+ *           type: number
+ *         giam_gia_khuyen_mai:
+ *           type: number
+ *           description: Phần của giam_gia đến từ khuyến mãi
+ *         ly_do_giam_gia:
+ *           type: string
+ *         ty_le_phi_dich_vu:
+ *           type: number
+ *           description: Phí phục vụ (%)
+ *         phi_dich_vu:
+ *           type: number
+ *         ty_le_vat:
+ *           type: number
+ *           description: Thuế suất GTGT mặc định (%), cho món và loại món không đặt thuế suất riêng
+ *         thue_vat:
+ *           type: number
+ *         tong_hop_thue:
+ *           type: array
+ *           description: Tổng hợp theo từng thuế suất, không gồm phí giao hàng
+ *           items:
+ *             type: object
+ *             properties:
+ *               thue_suat:
+ *                 type: number
+ *               tien_hang:
+ *                 type: number
+ *               giam_gia:
+ *                 type: number
+ *               phi_dich_vu:
+ *                 type: number
+ *               thanh_tien:
+ *                 type: number
+ *                 description: Tiền chịu thuế = tien_hang - giam_gia + phi_dich_vu
+ *               tien_thue:
+ *                 type: number
+ *         phi_giao_hang:
+ *           type: number
+ *           description: Phí giao hàng của đơn giao hàng (đã gồm thuế)
+ *         tong_cong:
+ *           type: number
+ *         trang_thai:
+ *           type: string
+ *           enum: [chua_thanh_toan, thanh_toan_mot_phan, da_thanh_toan, da_tach, da_huy, bi_thay_the]
+ *         ten_nguoi_mua:
+ *           type: string
+ *         ten_don_vi_mua:
+ *           type: string
+ *         mst_nguoi_mua:
+ *           type: string
+ *         dia_chi_nguoi_mua:
+ *           type: string
+ *         email_nguoi_mua:
+ *           type: string
+ *         nguoi_lap:
+ *           type: string
+ *         da_tra:
+ *           type: number
+ *         con_lai:
+ *           type: number
+ *         thanh_toan:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InvoicePayment'
+ *         hoa_don_con:
+ *           type: array
+ *           description: Các hóa đơn tách từ hóa đơn này
+ *           items:
+ *             type: object
+ *         hoa_don_lien_quan:
+ *           type: object
+ *           nullable: true
+ *           description: Hóa đơn mà hóa đơn này thay thế hoặc điều chỉnh
+ *         hoa_don_xu_ly:
+ *           type: array
+ *           description: Hóa đơn thay thế và các hóa đơn điều chỉnh của hóa đơn này
+ *           items:
+ *             type: object
+ *         khuyen_mai:
+ *           type: array
+ *           description: Khuyến mãi đã áp dụng khi lập hóa đơn
+ *           items:
+ *             type: object
+ *             properties:
+ *               id_khuyen_mai:
+ *                 type: integer
+ *               ma:
+ *                 type: string
+ *               ten:
+ *                 type: string
+ *               so_tien_giam:
+ *                 type: number
+ *         chi_tiet:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id_mon:
+ *                 type: integer
+ *               ten_mon:
+ *                 type: string
+ *               don_gia:
+ *                 type: number
+ *               so_luong:
+ *                 type: integer
+ *                 description: Ở hóa đơn điều chỉnh là phần tăng (dương) hoặc giảm (âm)
+ *               thanh_tien:
+ *                 type: number
+ *               thue_suat:
+ *                 type: number
+ *               id_chi_tiet_goc:
+ *                 type: integer
+ *                 description: Dòng được điều chỉnh
+ *     InvoiceBuyer:
+ *       type: object
+ *       description: Người mua in trên hóa đơn điện tử; có mã số thuế thì phải có tên đơn vị và địa chỉ
+ *       properties:
+ *         ho_ten:
+ *           type: string
+ *           example: "Nguyễn Văn A"
+ *         ten_don_vi:
+ *           type: string
+ *           example: "Công ty TNHH ABC"
+ *         ma_so_thue:
+ *           type: string
+ *           example: "0312345678"
+ *         dia_chi:
+ *           type: string
+ *         email:
+ *           type: string
+ *     InvoicePayment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         so_tien:
+ *           type: number
+ *         phuong_thuc:
+ *           type: string
+ *           enum: [tien_mat, the, chuyen_khoan, vi_dien_tu]
+ *         ma_giao_dich:
+ *           type: string
+ *         ghi_chu:
+ *           type: string
+ *         nguoi_thu:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /invoices:
+ *   get:
+ *     summary: Danh sách hóa đơn
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *           enum: [chua_thanh_toan, thanh_toan_mot_phan, da_thanh_toan, da_tach, da_huy, bi_thay_the]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách hóa đơn
+ */
+router.get('/', validateInvoiceQuery, InvoiceController.getAll);
+
+/**
+ * @swagger
+ * /invoices/{id}:
+ *   get:
+ *     summary: Chi tiết hóa đơn
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Hóa đơn kèm các dòng món
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       404:
+ *         description: Không tìm thấy hóa đơn
+ */
+router.get('/:id', validateId, InvoiceController.getById);
+
+/**
+ * @swagger
+ * /invoices/{id}/split:
+ *   post:
+ *     summary: Tách hóa đơn chưa thanh toán thành nhiều hóa đơn
+ *     description: |
+ *       - theo_mon: phan là danh sách phần, mỗi phần { mon: [{ id_chi_tiet, so_luong }] }, phải chia hết mọi món
+ *       - chia_deu: so_phan phần bằng nhau
+ *       - tuy_chinh: so_tien là số tiền từng phần, cộng lại bằng tổng hóa đơn
+ *
+ *       Giảm giá, phí phục vụ và VAT được chia theo tỷ lệ trong từng thuế suất nên tổng các hóa đơn tách đúng bằng hóa đơn gốc. Hóa đơn gốc chuyển sang da_tach.
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [kieu]
+ *             properties:
+ *               kieu:
+ *                 type: string
+ *                 enum: [theo_mon, chia_deu, tuy_chinh]
+ *               phan:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     mon:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id_chi_tiet:
+ *                             type: integer
+ *                           so_luong:
+ *                             type: integer
+ *               so_phan:
+ *                 type: integer
+ *               so_tien:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Các hóa đơn tách
+ *       400:
+ *         description: Cách tách không hợp lệ (errors liệt kê từng lỗi)
+ *       409:
+ *         description: Hóa đơn đã có thanh toán, đã tách hoặc đã hủy
+ */
+router.post('/:id/split', validateInvoiceSplit, InvoiceController.split);
+
+/**
+ * @swagger
+ * /invoices/{id}/payments:
+ *   post:
+ *     summary: Ghi nhận một lần thanh toán (có thể trả nhiều lần, nhiều hình thức)
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [so_tien, phuong_thuc]
+ *             properties:
+ *               so_tien:
+ *                 type: integer
+ *               phuong_thuc:
+ *                 type: string
+ *                 enum: [tien_mat, the, chuyen_khoan, vi_dien_tu]
+ *               ma_giao_dich:
+ *                 type: string
+ *               ghi_chu:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Hóa đơn sau khi thu, kèm da_tra và con_lai
+ *       400:
+ *         description: Số tiền vượt quá số còn phải trả
+ *       409:
+ *         description: Hóa đơn đã thanh toán đủ, đã tách hoặc đã hủy
+ */
+router.post('/:id/payments', validateInvoicePayment, InvoiceController.addPayment);
+
+/**
+ * @swagger
+ * /invoices/{id}/buyer:
+ *   patch:
+ *     summary: Cập nhật người mua trước khi phát hành hóa đơn điện tử
+ *     description: Đã phát hành thì phải lập hóa đơn thay thế để sửa người mua
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceBuyer'
+ *     responses:
+ *       200:
+ *         description: Hóa đơn sau khi cập nhật
+ *       400:
+ *         description: Mã số thuế không hợp lệ hoặc thiếu tên đơn vị, địa chỉ (BUYER_INFO_INCOMPLETE)
+ *       404:
+ *         description: Không tìm thấy hóa đơn
+ *       409:
+ *         description: Hóa đơn đã phát hành hóa đơn điện tử
+ */
+router.patch('/:id/buyer', validateInvoiceBuyer, InvoiceController.updateBuyer);
+
+/**
+ * @swagger
+ * /invoices/{id}/e-invoice:
+ *   post:
+ *     summary: Phát hành hóa đơn điện tử cho hóa đơn đã thanh toán đủ
+ *     description: Cấp ký hiệu của năm hiện tại (vd C25TNH) và số tiếp theo trong ký hiệu đó
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Hóa đơn đã phát hành, kèm ky_hieu, so_hddt và phat_hanh_luc
+ *       404:
+ *         description: Không tìm thấy hóa đơn
+ *       409:
+ *         description: Hóa đơn chưa thanh toán đủ (INVOICE_NOT_COMPLETED) hoặc đã phát hành (EINVOICE_ALREADY_ISSUED)
+ *   get:
+ *     summary: Tải XML hóa đơn điện tử
+ *     description: |
+ *       Dữ liệu hóa đơn theo định dạng của Thông tư 78/2021 (HDon/DLHDon), phần chữ ký số (DSCKS) để trống cho
+ *       tổ chức cung cấp dịch vụ hóa đơn ký và gửi cơ quan thuế. Mỗi thuế suất có dòng chiết khấu thương mại và
+ *       phí phục vụ riêng; phí giao hàng được tách thành tiền trước thuế và tiền thuế.
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File XML
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Không tìm thấy hóa đơn
+ *       409:
+ *         description: Hóa đơn chưa phát hành hóa đơn điện tử
+ */
+router.post('/:id/e-invoice', validateId, InvoiceController.issue);
+router.get('/:id/e-invoice', validateId, InvoiceController.exportXml);
+
+/**
+ * @swagger
+ * /invoices/{id}/replace:
+ *   post:
+ *     summary: Lập hóa đơn thay thế cho hóa đơn điện tử có sai sót
+ *     description: |
+ *       Hóa đơn đã phát hành không được sửa hay xóa. Hóa đơn thay thế giữ nguyên số tiền và các món,
+ *       nguoi_mua (nếu gửi) thay cho người mua cũ; hóa đơn cũ chuyển sang bi_thay_the, các khoản thanh toán
+ *       chuyển sang hóa đơn thay thế. Hóa đơn thay thế được phát hành ngay.
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ly_do]
+ *             properties:
+ *               ly_do:
+ *                 type: string
+ *                 example: "Sai mã số thuế người mua"
+ *               nguoi_mua:
+ *                 $ref: '#/components/schemas/InvoiceBuyer'
+ *     responses:
+ *       201:
+ *         description: Hóa đơn thay thế
+ *       400:
+ *         description: Người mua không hợp lệ
+ *       404:
+ *         description: Không tìm thấy hóa đơn
+ *       409:
+ *         description: Hóa đơn chưa phát hành, đã bị thay thế, là hóa đơn điều chỉnh hoặc đã có hóa đơn điều chỉnh
+ */
+router.post('/:id/replace', validateInvoiceReplace, InvoiceController.replace);
+
+/**
+ * @swagger
+ * /invoices/{id}/adjust:
+ *   post:
+ *     summary: Lập hóa đơn điều chỉnh số lượng món của hóa đơn điện tử
+ *     description: |
+ *       so_luong là phần tăng (dương) hoặc giảm (âm) so với sau các lần điều chỉnh trước, số lượng còn lại không được âm.
+ *       Giảm giá và phí phục vụ điều chỉnh theo tỷ lệ tiền hàng của từng thuế suất, thuế tính lại theo từng thuế suất;
+ *       giảm hết các món thì giảm cả phí giao hàng. Hủy hóa đơn đã phát hành là điều chỉnh giảm hết các món.
+ *       Hóa đơn điều chỉnh tăng chờ thu thêm, điều chỉnh giảm được ghi là đã thanh toán. Hóa đơn điều chỉnh được phát hành ngay.
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ly_do, mon]
+ *             properties:
+ *               ly_do:
+ *                 type: string
+ *                 example: "Khách trả lại 1 phần lẩu"
+ *               mon:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id_chi_tiet:
+ *                       type: integer
+ *                     so_luong:
+ *                       type: integer
+ *                       example: -1
+ *     responses:
+ *       201:
+ *         description: Hóa đơn điều chỉnh, số tiền âm khi giảm
+ *       400:
+ *         description: Điều chỉnh không hợp lệ (errors liệt kê từng lỗi)
+ *       404:
+ *         description: Không tìm thấy hóa đơn
+ *       409:
+ *         description: Hóa đơn chưa phát hành, đã bị thay thế hoặc là hóa đơn điều chỉnh
+ */
+router.post('/:id/adjust', validateInvoiceAdjust, InvoiceController.adjust);
+
+router.options('/', createOptionsHandler('invoices', ['GET', 'POST', 'PATCH', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
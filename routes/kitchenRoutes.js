@@ -0,0 +1,360 @@
+// Kitchen Routes - Kitchen display system: stations, ticket routing, live station feeds and prep times
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Kitchen
+ *     description: Màn hình bếp (KDS) - trạm bếp, phiếu bếp theo trạm và thời gian chế biến
+ */
+
+const KitchenController = require('../controllers/KitchenController');
+const {
+  validateId,
+  validateKitchenStation,
+  validateKitchenStationUpdate,
+  validateKitchenRouting,
+  validateKitchenTicketQuery,
+  validateKitchenTicketStatus,
+  validatePrepTimeQuery
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KitchenStation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ma:
+ *           type: string
+ *           example: bep_nuong
+ *         ten:
+ *           type: string
+ *           example: "Bếp nướng"
+ *         thu_tu:
+ *           type: integer
+ *         trang_thai:
+ *           type: string
+ *           enum: [active, inactive]
+ *         cho_che_bien:
+ *           type: integer
+ *           description: Số phiếu đang chờ
+ *         dang_nau:
+ *           type: integer
+ *         san_sang:
+ *           type: integer
+ *     KitchenTicket:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         id_don_mon:
+ *           type: integer
+ *         id_don:
+ *           type: integer
+ *         so_ban:
+ *           type: string
+ *         id_tram:
+ *           type: integer
+ *         ten_tram:
+ *           type: string
+ *         id_mon:
+ *           type: integer
+ *         ten_mon:
+ *           type: string
+ *         so_luong:
+ *           type: integer
+ *         ghi_chu:
+ *           type: string
+ *         trang_thai:
+ *           type: string
+ *           enum: [cho_che_bien, dang_nau, san_sang, da_phuc_vu, da_huy]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Lúc vào hàng chờ
+ *         bat_dau_luc:
+ *           type: string
+ *           format: date-time
+ *         san_sang_luc:
+ *           type: string
+ *           format: date-time
+ *         phuc_vu_luc:
+ *           type: string
+ *           format: date-time
+ *         cho_giay:
+ *           type: integer
+ *           description: Số giây từ lúc vào hàng chờ tới lúc sẵn sàng (hoặc tới hiện tại)
+ *         tre:
+ *           type: boolean
+ *           description: Phiếu chưa xong đã chờ quá KITCHEN_LATE_MINUTES phút
+ */
+
+/**
+ * @swagger
+ * /kitchen/stations:
+ *   get:
+ *     summary: Danh sách trạm bếp kèm số phiếu đang mở
+ *     tags: [Kitchen]
+ *     responses:
+ *       200:
+ *         description: Danh sách trạm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/KitchenStation'
+ *   post:
+ *     summary: Thêm trạm bếp
+ *     tags: [Kitchen]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ma, ten]
+ *             properties:
+ *               ma:
+ *                 type: string
+ *                 example: quay_sushi
+ *               ten:
+ *                 type: string
+ *               thu_tu:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Trạm đã tạo
+ *       409:
+ *         description: Mã trạm đã tồn tại
+ */
+router.get('/stations', KitchenController.getStations);
+router.post('/stations', validateKitchenStation, KitchenController.createStation);
+
+/**
+ * @swagger
+ * /kitchen/stations/{id}:
+ *   patch:
+ *     summary: Đổi tên, thứ tự hoặc tắt trạm bếp
+ *     description: Món của trạm đã tắt được chuyển về trạm mặc định (không thể tắt trạm mặc định)
+ *     tags: [Kitchen]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ten:
+ *                 type: string
+ *               thu_tu:
+ *                 type: integer
+ *               trang_thai:
+ *                 type: string
+ *                 enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: Trạm đã cập nhật
+ *       404:
+ *         description: Không tìm thấy trạm
+ */
+router.patch('/stations/:id', validateKitchenStationUpdate, KitchenController.updateStation);
+
+/**
+ * @swagger
+ * /kitchen/routing:
+ *   get:
+ *     summary: Loại món và món được gán vào từng trạm
+ *     description: Món gán riêng được ưu tiên hơn loại món; món chưa được gán vào trạm mặc định
+ *     tags: [Kitchen]
+ *     responses:
+ *       200:
+ *         description: Trạm mặc định và danh sách phân công
+ */
+router.get('/routing', KitchenController.getRouting);
+
+/**
+ * @swagger
+ * /kitchen/stations/{id}/routing:
+ *   put:
+ *     summary: Thay toàn bộ loại món và món của một trạm
+ *     description: Loại món hoặc món đang thuộc trạm khác được chuyển sang trạm này. Phiếu đã lên màn hình giữ nguyên trạm.
+ *     tags: [Kitchen]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_loai:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               id_mon:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Phân công sau khi cập nhật
+ *       400:
+ *         description: Loại món hoặc món không tồn tại
+ */
+router.put('/stations/:id/routing', validateKitchenRouting, KitchenController.setRouting);
+
+/**
+ * @swagger
+ * /kitchen/stations/{id}/stream:
+ *   get:
+ *     summary: Luồng phiếu bếp thời gian thực của một trạm
+ *     description: |
+ *       Kết nối bằng EventSource, ví dụ
+ *       `new EventSource('/api/kitchen/stations/1/stream?token=...')`.
+ *       Sự kiện: `ready` (`{ id_tram, phieu }` các phiếu đang mở), `phieu_moi`, `cap_nhat`, `doi_trang_thai`, `huy`.
+ *       Dữ liệu mỗi sự kiện: `{ id_phieu, id_tram, trang_thai_cu, phieu }`.
+ *       Khi kết nối lại, trình duyệt gửi Last-Event-ID để nhận bù các sự kiện bị lỡ.
+ *     tags: [Kitchen]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: token
+ *         description: Khóa KITCHEN_DISPLAY_TOKEN (hoặc gửi qua header Bearer)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ *       401:
+ *         description: Khóa truy cập không hợp lệ
+ *       503:
+ *         description: Quá nhiều kết nối
+ */
+router.get('/stations/:id/stream', validateId, KitchenController.stream);
+
+/**
+ * @swagger
+ * /kitchen/tickets:
+ *   get:
+ *     summary: Phiếu bếp, cũ nhất trước
+ *     tags: [Kitchen]
+ *     parameters:
+ *       - in: query
+ *         name: id_tram
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: id_don
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: trang_thai
+ *         description: Một hoặc nhiều trạng thái, phân tách bằng dấu phẩy; mặc định các phiếu chưa phục vụ
+ *         schema:
+ *           type: string
+ *           example: cho_che_bien,dang_nau
+ *     responses:
+ *       200:
+ *         description: Danh sách phiếu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/KitchenTicket'
+ */
+router.get('/tickets', validateKitchenTicketQuery, KitchenController.getTickets);
+
+/**
+ * @swagger
+ * /kitchen/tickets/{id}/status:
+ *   patch:
+ *     summary: Chuyển trạng thái phiếu bếp
+ *     description: cho_che_bien → dang_nau → san_sang → da_phuc_vu; món không cần nấu có thể chuyển thẳng từ cho_che_bien sang san_sang
+ *     tags: [Kitchen]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [trang_thai]
+ *             properties:
+ *               trang_thai:
+ *                 type: string
+ *                 enum: [dang_nau, san_sang, da_phuc_vu]
+ *     responses:
+ *       200:
+ *         description: Phiếu sau khi cập nhật
+ *       409:
+ *         description: Không thể chuyển sang trạng thái này
+ */
+router.patch('/tickets/:id/status', validateKitchenTicketStatus, KitchenController.updateTicketStatus);
+
+/**
+ * @swagger
+ * /kitchen/prep-times:
+ *   get:
+ *     summary: Thời gian chế biến trung bình theo món và theo trạm
+ *     description: Tính từ lúc bắt đầu nấu tới lúc sẵn sàng, món chậm nhất trước; kèm thời gian chờ trung bình trước khi nấu. Mặc định 30 ngày gần nhất.
+ *     tags: [Kitchen]
+ *     parameters:
+ *       - in: query
+ *         name: tu_ngay
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: den_ngay
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: id_tram
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ tu_ngay, den_ngay, mon, tram } với thời gian tính bằng giây"
+ */
+router.get('/prep-times', validatePrepTimeQuery, KitchenController.prepTimes);
+
+router.options('/', createOptionsHandler('kitchen', ['GET', 'POST', 'PUT', 'PATCH', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// Notification Routes - Reservation notification log and reminders
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Notifications
+ *     description: Thông báo đặt bàn gửi cho khách (email, SMS) và nhắc lịch
+ */
+
+const NotificationController = require('../controllers/NotificationController');
+const { validateNotificationQuery } = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: Nhật ký thông báo đã gửi
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: id_datban
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: loai
+ *         schema:
+ *           type: string
+ *           enum: [xac_nhan_dat_ban, yeu_cau_dat_coc, da_nhan_coc, da_xac_nhan, da_huy, khong_den, hoan_thanh, nhac_lich]
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *           enum: [da_gui, loi]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách thông báo
+ */
+router.get('/', validateNotificationQuery, NotificationController.getAll);
+
+/**
+ * @swagger
+ * /notifications/reminders/run:
+ *   post:
+ *     summary: Gửi ngay các nhắc lịch đến hạn
+ *     description: Máy chủ tự quét định kỳ; endpoint này dành cho cron bên ngoài khi chạy serverless
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Kết quả gửi nhắc lịch
+ */
+router.post('/reminders/run', NotificationController.runReminders);
+
+router.options('/', createOptionsHandler('notifications', ['GET', 'POST', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,251 @@
+// Opening Hours Routes - Reservation calendar (weekly hours, holidays, events, private hire)
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Opening Hours
+ *     description: Lịch mở cửa nhận đặt bàn (giờ theo thứ, ca trưa/tối, nghỉ lễ, sự kiện, bao trọn)
+ */
+
+const OpeningHoursController = require('../controllers/OpeningHoursController');
+const {
+  validateId,
+  validateWeeklyHours,
+  validateWeeklyHoursUpdate,
+  validateSpecialDate,
+  validateSpecialDateUpdate,
+  validateScheduleQuery
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OpeningHour:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         thu:
+ *           type: integer
+ *           description: 0 = Chủ nhật, 1 = Thứ hai, ..., 6 = Thứ bảy
+ *           example: 5
+ *         ten_ca:
+ *           type: string
+ *           example: "Ca tối"
+ *         gio_mo:
+ *           type: string
+ *           example: "17:00"
+ *         gio_dong:
+ *           type: string
+ *           example: "22:00"
+ *         gio_nhan_khach_cuoi:
+ *           type: string
+ *           example: "21:30"
+ *         trang_thai:
+ *           type: string
+ *           enum: [active, inactive]
+ *     SpecialDate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ngay:
+ *           type: string
+ *           format: date
+ *           example: "2025-02-10"
+ *         loai:
+ *           type: string
+ *           enum: [nghi_le, su_kien, bao_tron]
+ *           description: nghi_le = nghỉ lễ, su_kien = giờ mở cửa đặc biệt, bao_tron = khách bao trọn
+ *         ten:
+ *           type: string
+ *           example: "Mùng 1 Tết"
+ *         gio_bat_dau:
+ *           type: string
+ *           description: Bỏ trống để áp dụng cả ngày
+ *           example: "18:00"
+ *         gio_ket_thuc:
+ *           type: string
+ *           example: "22:00"
+ *         ghi_chu:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /opening-hours:
+ *   get:
+ *     summary: Lấy giờ mở cửa theo thứ
+ *     tags: [Opening Hours]
+ *     parameters:
+ *       - in: query
+ *         name: thu
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách ca mở cửa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OpeningHour'
+ *   post:
+ *     summary: Thêm ca mở cửa
+ *     tags: [Opening Hours]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OpeningHour'
+ *     responses:
+ *       201:
+ *         description: Tạo ca mở cửa thành công
+ */
+router.get('/', OpeningHoursController.getWeeklyHours);
+router.post('/', validateWeeklyHours, OpeningHoursController.createWeeklyHour);
+
+/**
+ * @swagger
+ * /opening-hours/schedule:
+ *   get:
+ *     summary: Lịch nhận đặt bàn của một ngày
+ *     description: Kết hợp giờ mở cửa theo thứ với ngày đặc biệt và trả về các khung giờ có thể đặt
+ *     tags: [Opening Hours]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: guests
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lịch của ngày
+ */
+router.get('/schedule', validateScheduleQuery, OpeningHoursController.getSchedule);
+
+/**
+ * @swagger
+ * /opening-hours/special-dates:
+ *   get:
+ *     summary: Lấy danh sách ngày đặc biệt
+ *     tags: [Opening Hours]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Danh sách ngày đặc biệt
+ *   post:
+ *     summary: Thêm ngày nghỉ lễ, sự kiện hoặc bao trọn
+ *     tags: [Opening Hours]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SpecialDate'
+ *     responses:
+ *       201:
+ *         description: Tạo ngày đặc biệt thành công
+ */
+router.get('/special-dates', OpeningHoursController.getSpecialDates);
+router.post('/special-dates', validateSpecialDate, OpeningHoursController.createSpecialDate);
+
+/**
+ * @swagger
+ * /opening-hours/special-dates/{id}:
+ *   put:
+ *     summary: Cập nhật ngày đặc biệt
+ *     tags: [Opening Hours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *   delete:
+ *     summary: Xóa ngày đặc biệt
+ *     tags: [Opening Hours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ */
+router.put('/special-dates/:id', validateId, validateSpecialDateUpdate, OpeningHoursController.updateSpecialDate);
+router.delete('/special-dates/:id', validateId, OpeningHoursController.deleteSpecialDate);
+
+/**
+ * @swagger
+ * /opening-hours/{id}:
+ *   put:
+ *     summary: Cập nhật ca mở cửa
+ *     tags: [Opening Hours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *   delete:
+ *     summary: Xóa ca mở cửa
+ *     tags: [Opening Hours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ */
+router.put('/:id', validateId, validateWeeklyHoursUpdate, OpeningHoursController.updateWeeklyHour);
+router.delete('/:id', validateId, OpeningHoursController.deleteWeeklyHour);
+
+router.options('/', createOptionsHandler('opening-hours', ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
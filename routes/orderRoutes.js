@@ -0,0 +1,621 @@
+// Order Routes - Dine-in, takeaway and delivery orders, closed into invoices
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Orders
+ *     description: Đơn gọi món tại bàn, mang đi và giao hàng, đóng đơn thành hóa đơn
+ */
+
+const OrderController = require('../controllers/OrderController');
+const {
+  validateId,
+  validateOrder,
+  validateOrderItems,
+  validateOrderItemUpdate,
+  validateOrderVoid,
+  validateOrderQuery,
+  validateOrderQuote,
+  validateDeliveryStatus,
+  validateInvoiceClose,
+  validateOrderMerge,
+  validateOrderMove
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderLine:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         id_mon:
+ *           type: integer
+ *         id_don_goc:
+ *           type: integer
+ *           description: Đơn ban đầu của món khi đã gộp đơn
+ *         ten_mon:
+ *           type: string
+ *         don_gia:
+ *           type: number
+ *           description: Giá tại thời điểm gọi món (VND)
+ *         so_luong:
+ *           type: integer
+ *         ghi_chu:
+ *           type: string
+ *         trang_thai:
+ *           type: string
+ *           enum: [hoat_dong, da_huy]
+ *         ly_do_huy:
+ *           type: string
+ *         nguoi_huy:
+ *           type: string
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         loai:
+ *           type: string
+ *           enum: [tai_ban, mang_di, giao_hang]
+ *         id_ban:
+ *           type: integer
+ *         so_ban:
+ *           type: string
+ *         id_datban:
+ *           type: integer
+ *         ten_khach:
+ *           type: string
+ *         sdt:
+ *           type: string
+ *         so_khach:
+ *           type: integer
+ *         trang_thai:
+ *           type: string
+ *           enum: [mo, da_dong, da_gop, da_huy]
+ *         id_don_gop:
+ *           type: integer
+ *           description: Đơn đã nhận các món khi đơn này được gộp
+ *         dia_chi_giao:
+ *           type: string
+ *         quan_huyen:
+ *           type: string
+ *         vi_do:
+ *           type: number
+ *         kinh_do:
+ *           type: number
+ *         id_khu_vuc:
+ *           type: integer
+ *           description: Khu vực giao hàng của địa chỉ
+ *         phi_giao_hang:
+ *           type: number
+ *           description: Phí giao hàng chốt lúc tạo đơn, cộng vào hóa đơn
+ *         hen_giao_luc:
+ *           type: string
+ *           format: date-time
+ *           description: Giờ hẹn giao (giao hàng) hoặc giờ hẹn lấy (mang đi)
+ *         trang_thai_giao:
+ *           type: string
+ *           enum: [dang_chuan_bi, dang_giao, da_giao, giao_that_bai]
+ *         nguoi_giao:
+ *           type: string
+ *         ly_do_giao_that_bai:
+ *           type: string
+ *         giao_luc:
+ *           type: string
+ *           format: date-time
+ *         tam_tinh:
+ *           type: number
+ *           description: Tổng tiền các món chưa hủy (VND)
+ *         mon:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderLine'
+ */
+
+/**
+ * @swagger
+ * /orders:
+ *   get:
+ *     summary: Danh sách đơn hàng
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *           enum: [mo, da_dong, da_gop, da_huy]
+ *       - in: query
+ *         name: loai
+ *         schema:
+ *           type: string
+ *           enum: [tai_ban, mang_di, giao_hang]
+ *       - in: query
+ *         name: trang_thai_giao
+ *         schema:
+ *           type: string
+ *           enum: [dang_chuan_bi, dang_giao, da_giao, giao_that_bai]
+ *       - in: query
+ *         name: id_ban
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: ngay
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách đơn kèm số món và tạm tính
+ *   post:
+ *     summary: Mở đơn tại bàn hoặc tạo đơn mang đi, giao hàng
+ *     description: |
+ *       Đơn tại bàn cần bàn đang hoạt động và chưa có đơn mở. Khi gửi id_datban, bàn và thông tin khách được lấy từ đặt bàn nếu không gửi kèm.
+ *       Đơn giao hàng cần số điện thoại, địa chỉ nằm trong một khu vực giao hàng (theo quận/huyện hoặc tọa độ) và đạt đơn tối thiểu của khu vực;
+ *       phí giao hàng được chốt lúc tạo đơn. Đơn mang đi và giao hàng có giờ hẹn tính theo tải của bếp và bắt đầu ở trạng thái dang_chuan_bi.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               loai:
+ *                 type: string
+ *                 enum: [tai_ban, mang_di, giao_hang]
+ *                 default: tai_ban
+ *               id_ban:
+ *                 type: integer
+ *               id_datban:
+ *                 type: integer
+ *               ten_khach:
+ *                 type: string
+ *               sdt:
+ *                 type: string
+ *               so_khach:
+ *                 type: integer
+ *               ghi_chu:
+ *                 type: string
+ *               dia_chi_giao:
+ *                 type: string
+ *                 example: "12 Nguyễn Huệ"
+ *               quan_huyen:
+ *                 type: string
+ *                 example: "Quận 1"
+ *               vi_do:
+ *                 type: number
+ *               kinh_do:
+ *                 type: number
+ *               mon:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id_mon:
+ *                       type: integer
+ *                     so_luong:
+ *                       type: integer
+ *                     ghi_chu:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Đơn đã tạo
+ *       400:
+ *         description: Thiếu bàn, số điện thoại hoặc địa chỉ; địa chỉ ngoài khu vực giao hàng; chưa đạt đơn tối thiểu
+ *       409:
+ *         description: Bàn ngừng phục vụ hoặc đang có đơn mở
+ */
+router.get('/', validateOrderQuery, OrderController.getAll);
+router.post('/', validateOrder, OrderController.create);
+
+/**
+ * @swagger
+ * /orders/quote:
+ *   post:
+ *     summary: Báo giá đơn mang đi hoặc giao hàng trước khi đặt
+ *     description: |
+ *       Tìm khu vực giao hàng của địa chỉ, phí giao, đơn tối thiểu và giờ hẹn dự kiến.
+ *       Giờ hẹn = chờ bếp (số phiếu đang chờ/đang nấu) + món lâu nhất (thời gian chế biến trung bình) + đóng gói + thời gian giao của khu vực.
+ *       Không báo lỗi khi không đặt được: du_dieu_kien là false và ly_do liệt kê từng lý do kèm mã.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [loai, mon]
+ *             properties:
+ *               loai:
+ *                 type: string
+ *                 enum: [mang_di, giao_hang]
+ *               quan_huyen:
+ *                 type: string
+ *               vi_do:
+ *                 type: number
+ *               kinh_do:
+ *                 type: number
+ *               mon:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id_mon:
+ *                       type: integer
+ *                     so_luong:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: "{ tam_tinh, khu_vuc, khoang_cach_km, phi_giao_hang, don_toi_thieu, tong_tam_tinh, du_dieu_kien, ly_do, du_kien }"
+ */
+router.post('/quote', validateOrderQuote, OrderController.quote);
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     summary: Chi tiết đơn hàng (gồm cả món đã hủy)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đơn hàng
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: Không tìm thấy đơn hàng
+ */
+router.get('/:id', validateId, OrderController.getById);
+
+/**
+ * @swagger
+ * /orders/{id}/items:
+ *   post:
+ *     summary: Thêm món vào đơn đang mở (giá lấy theo thực đơn hiện tại, trừ tồn kho)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mon]
+ *             properties:
+ *               mon:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id_mon:
+ *                       type: integer
+ *                     so_luong:
+ *                       type: integer
+ *                     ghi_chu:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Đơn sau khi thêm món
+ *       400:
+ *         description: Món không tồn tại hoặc không đủ tồn kho
+ *       409:
+ *         description: Đơn đã đóng hoặc đã hủy
+ */
+router.post('/:id/items', validateOrderItems, OrderController.addItems);
+
+/**
+ * @swagger
+ * /orders/{id}/items/{lineId}:
+ *   patch:
+ *     summary: Đổi số lượng hoặc ghi chú của món (giữ nguyên đơn giá lúc gọi)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               so_luong:
+ *                 type: integer
+ *               ghi_chu:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Đơn sau khi cập nhật
+ *       404:
+ *         description: Không tìm thấy món trong đơn
+ */
+router.patch('/:id/items/:lineId', validateOrderItemUpdate, OrderController.updateItem);
+
+/**
+ * @swagger
+ * /orders/{id}/items/{lineId}/void:
+ *   post:
+ *     summary: Hủy một món (món được giữ lại trên đơn kèm lý do và người hủy)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ly_do]
+ *             properties:
+ *               ly_do:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Đơn sau khi hủy món
+ */
+router.post('/:id/items/:lineId/void', validateOrderVoid, OrderController.voidItem);
+
+/**
+ * @swagger
+ * /orders/{id}/cancel:
+ *   post:
+ *     summary: Hủy đơn đang mở, trả lại tồn kho các món
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ly_do]
+ *             properties:
+ *               ly_do:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Đơn đã hủy
+ */
+router.post('/:id/cancel', validateOrderVoid, OrderController.cancel);
+
+/**
+ * @swagger
+ * /orders/{id}/merge:
+ *   post:
+ *     summary: Gộp các đơn đang mở khác vào đơn này
+ *     description: Món của các đơn được chuyển sang (giữ id_don_goc), các đơn đó chuyển sang da_gop. Mỗi lần gộp được ghi vào nhật ký của các đơn liên quan.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [don_ids]
+ *             properties:
+ *               don_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Đơn sau khi gộp
+ *       409:
+ *         description: Có đơn đã đóng, đã gộp hoặc đã hủy
+ */
+router.post('/:id/merge', validateOrderMerge, OrderController.merge);
+
+/**
+ * @swagger
+ * /orders/{id}/move:
+ *   post:
+ *     summary: Chuyển đơn sang bàn khác
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [id_ban]
+ *             properties:
+ *               id_ban:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Đơn sau khi chuyển bàn
+ *       409:
+ *         description: Bàn đích ngừng phục vụ hoặc đang có đơn mở (dùng gộp đơn)
+ */
+router.post('/:id/move', validateOrderMove, OrderController.move);
+
+/**
+ * @swagger
+ * /orders/{id}/delivery-status:
+ *   patch:
+ *     summary: Chuyển trạng thái giao của đơn mang đi hoặc giao hàng
+ *     description: |
+ *       Giao hàng: dang_chuan_bi → dang_giao → da_giao hoặc giao_that_bai; đơn giao thất bại có thể giao lại (dang_giao).
+ *       Mang đi: dang_chuan_bi → da_giao (khách đã nhận).
+ *       Đơn chỉ rời bếp khi mọi phiếu bếp đã xong. Mỗi lần chuyển được ghi vào lịch sử đơn.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [trang_thai_giao]
+ *             properties:
+ *               trang_thai_giao:
+ *                 type: string
+ *                 enum: [dang_giao, da_giao, giao_that_bai]
+ *               nguoi_giao:
+ *                 type: string
+ *                 description: Người giao hàng
+ *               ly_do:
+ *                 type: string
+ *                 description: Bắt buộc khi giao thất bại
+ *     responses:
+ *       200:
+ *         description: Đơn sau khi cập nhật
+ *       409:
+ *         description: Đơn tại bàn, đã hủy, chuyển trạng thái không hợp lệ hoặc bếp chưa làm xong
+ */
+router.patch('/:id/delivery-status', validateDeliveryStatus, OrderController.updateDeliveryStatus);
+
+/**
+ * @swagger
+ * /orders/{id}/history:
+ *   get:
+ *     summary: Nhật ký gộp đơn, chuyển bàn, tách hóa đơn và giao hàng của đơn
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Các mục nhật ký, cũ nhất trước
+ */
+router.get('/:id/history', validateId, OrderController.getHistory);
+
+/**
+ * @swagger
+ * /orders/{id}/close:
+ *   post:
+ *     summary: Đóng đơn và lập hóa đơn
+ *     description: |
+ *       Tạm tính từ các món chưa hủy, trừ giảm giá và khuyến mãi, cộng phí phục vụ và thuế GTGT.
+ *       Thuế GTGT theo thuế suất của món, không có thì của loại món, không có nữa thì thuế suất mặc định;
+ *       hóa đơn nhiều thuế suất có tong_hop_thue cho từng thuế suất, tiền thuế làm tròn đến đồng.
+ *       Phí phục vụ mặc định chỉ thu ở đơn ăn tại bàn.
+ *       Khuyến mãi không cần mã tự áp dụng; mã khách nhập không dùng được thì trả lỗi 400 kèm lý do.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               giam_gia:
+ *                 type: integer
+ *                 description: Số tiền giảm (VND)
+ *               giam_gia_phan_tram:
+ *                 type: number
+ *                 description: Phần trăm giảm trên tạm tính (thay cho giam_gia)
+ *               ly_do_giam_gia:
+ *                 type: string
+ *                 description: Bắt buộc khi có giảm giá
+ *               phi_dich_vu:
+ *                 type: boolean
+ *                 description: false để miễn phí phục vụ, true để thu cả ở đơn mang đi, giao hàng
+ *               ma_khuyen_mai:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["HAPPYHOUR"]
+ *               sdt:
+ *                 type: string
+ *                 description: Số điện thoại khách cho khuyến mãi giới hạn theo khách (mặc định lấy của đơn)
+ *               nguoi_mua:
+ *                 $ref: '#/components/schemas/InvoiceBuyer'
+ *     responses:
+ *       201:
+ *         description: Hóa đơn đã lập
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Đơn chưa có món, giảm giá không hợp lệ, mã khuyến mãi không dùng được hoặc thiếu thông tin người mua
+ *       409:
+ *         description: Đơn đã đóng hoặc đã hủy, hoặc khuyến mãi vừa hết lượt
+ */
+router.post('/:id/close', validateInvoiceClose, OrderController.close);
+
+router.options('/', createOptionsHandler('orders', ['GET', 'POST', 'PATCH', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
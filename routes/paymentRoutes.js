@@ -0,0 +1,231 @@
+// Payment Routes - Online payment links, gateway IPN and the local payment simulator
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payments
+ *     description: Thanh toán online hóa đơn và tiền cọc qua cổng thanh toán (VNPay/MoMo hoặc cổng giả lập)
+ */
+
+const PaymentController = require('../controllers/PaymentController');
+const paymentConfig = require('../config/payment');
+const {
+  validateId,
+  validatePaymentLink,
+  validatePaymentStatus,
+  validateSimulatorPay
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ma_giao_dich:
+ *           type: string
+ *           description: Mã giao dịch gửi cho cổng thanh toán
+ *         loai:
+ *           type: string
+ *           enum: [hoa_don, dat_coc]
+ *         id_doi_tuong:
+ *           type: integer
+ *           description: ID hóa đơn hoặc tiền cọc
+ *         nha_cung_cap:
+ *           type: string
+ *           example: simulator
+ *         so_tien:
+ *           type: number
+ *         trang_thai:
+ *           type: string
+ *           enum: [cho_thanh_toan, thanh_cong, that_bai, het_han]
+ *         ma_nha_cung_cap:
+ *           type: string
+ *           description: Mã giao dịch phía cổng thanh toán
+ *         payment_url:
+ *           type: string
+ *         han_thanh_toan:
+ *           type: string
+ *           format: date-time
+ *         so_lan_callback:
+ *           type: integer
+ *         loi:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /payments/invoice/{id}:
+ *   post:
+ *     summary: Tạo link thanh toán online cho số tiền còn lại của hóa đơn
+ *     description: Gửi lại cùng header Idempotency-Key (hoặc khoa_idempotency) trả về cùng giao dịch. Không có khóa thì link còn hạn với cùng số tiền được dùng lại.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url_tra_ve:
+ *                 type: string
+ *                 description: Trang khách được chuyển về sau khi thanh toán, phải thuộc PAYMENT_RETURN_ORIGINS
+ *               khoa_idempotency:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Giao dịch kèm payment_url
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentTransaction'
+ *       400:
+ *         description: url_tra_ve không thuộc trang được phép
+ *       409:
+ *         description: Hóa đơn không còn nhận thanh toán hoặc khóa idempotency đã dùng cho giao dịch khác
+ *   get:
+ *     summary: Các giao dịch online của hóa đơn
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách giao dịch, mới nhất trước
+ */
+router.post('/invoice/:id', validatePaymentLink, PaymentController.createForInvoice);
+router.get('/invoice/:id', validateId, PaymentController.getByInvoice);
+
+/**
+ * @swagger
+ * /payments/ipn:
+ *   get:
+ *     summary: IPN từ cổng thanh toán (tham số trên query)
+ *     description: Payload có chữ ký của cổng. Gửi lại nhiều lần chỉ được áp dụng một lần
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Đã xác nhận kết quả
+ *       400:
+ *         description: Chữ ký không hợp lệ hoặc số tiền không khớp
+ *   post:
+ *     summary: IPN từ cổng thanh toán (tham số trong body)
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Đã xác nhận kết quả
+ */
+router.get('/ipn', PaymentController.ipn);
+router.post('/ipn', PaymentController.ipn);
+
+/**
+ * @swagger
+ * /payments/return:
+ *   get:
+ *     summary: Trang khách quay về sau khi thanh toán (chỉ kiểm tra chữ ký, không cập nhật giao dịch)
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Kết quả thanh toán
+ */
+router.get('/return', PaymentController.returnPage);
+
+/**
+ * @swagger
+ * /payments/simulator/pay:
+ *   get:
+ *     summary: Trang thanh toán của cổng giả lập (chỉ có khi PAYMENT_PROVIDER=simulator và không chạy production)
+ *     description: Kiểm tra chữ ký HMAC-SHA512 của link thanh toán rồi cho chọn thanh toán hoặc hủy
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Trang HTML
+ *       404:
+ *         description: Cổng giả lập không được bật
+ *   post:
+ *     summary: Thanh toán hoặc hủy trên cổng giả lập
+ *     description: Gửi IPN có chữ ký về hệ thống rồi chuyển khách về url_tra_ve (trình duyệt) hoặc trả JSON
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [txnRef]
+ *             properties:
+ *               txnRef:
+ *                 type: string
+ *               thanh_cong:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Giao dịch sau khi xử lý IPN
+ *       303:
+ *         description: Chuyển về url_tra_ve kèm kết quả có chữ ký
+ */
+// Only with PAYMENT_PROVIDER=simulator outside production: the page marks payments as paid
+if (paymentConfig.testProvider === 'simulator') {
+  router.get('/simulator/pay', PaymentController.simulatorPage);
+  router.post('/simulator/pay', validateSimulatorPay, PaymentController.simulatorPay);
+}
+
+/**
+ * @swagger
+ * /payments/{reference}:
+ *   get:
+ *     summary: Trạng thái giao dịch
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: refresh
+ *         description: true để hỏi lại cổng thanh toán khi giao dịch chưa có kết quả
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Giao dịch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentTransaction'
+ *       404:
+ *         description: Không tìm thấy giao dịch
+ */
+router.get('/:reference', validatePaymentStatus, PaymentController.getByReference);
+
+router.options('/', createOptionsHandler('payments', ['GET', 'POST', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+// Pre-order Routes - Dishes ordered with a reservation and the kitchen prep list
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: PreOrders
+ *     description: Đặt trước món kèm đặt bàn và danh sách chuẩn bị cho bếp
+ */
+
+const PreOrderController = require('../controllers/PreOrderController');
+const {
+  validateId,
+  validatePreOrder,
+  validateKitchenQuery
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PreOrder:
+ *       type: object
+ *       properties:
+ *         mon:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id_mon:
+ *                 type: integer
+ *               ten_mon:
+ *                 type: string
+ *                 example: "Lẩu Mắm"
+ *               don_gia:
+ *                 type: number
+ *               so_luong:
+ *                 type: integer
+ *               ghi_chu:
+ *                 type: string
+ *                 example: "Ít cay"
+ *               thanh_tien:
+ *                 type: number
+ *         tam_tinh:
+ *           type: number
+ *           description: Tổng tạm tính theo giá hiện tại (VND)
+ *     PreOrderLines:
+ *       type: object
+ *       required: [mon_dat_truoc]
+ *       properties:
+ *         mon_dat_truoc:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [id_mon]
+ *             properties:
+ *               id_mon:
+ *                 type: integer
+ *               so_luong:
+ *                 type: integer
+ *                 default: 1
+ *               ghi_chu:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /pre-orders/estimate:
+ *   post:
+ *     summary: Kiểm tra món và tạm tính trước khi đặt bàn
+ *     tags: [PreOrders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PreOrderLines'
+ *     responses:
+ *       200:
+ *         description: Món và tổng tạm tính
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PreOrder'
+ *       400:
+ *         description: Món không tồn tại, đã hết hoặc không đủ số lượng
+ */
+router.post('/estimate', validatePreOrder, PreOrderController.estimate);
+
+/**
+ * @swagger
+ * /pre-orders/kitchen:
+ *   get:
+ *     summary: Món đặt trước cần chuẩn bị, cộng theo từng món
+ *     tags: [PreOrders]
+ *     parameters:
+ *       - in: query
+ *         name: ngay
+ *         description: Mặc định ngày mai
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Tổng số lượng mỗi món, số đã xác nhận, tồn kho, số thiếu và ghi chú từng đặt bàn
+ */
+router.get('/kitchen', validateKitchenQuery, PreOrderController.kitchen);
+
+/**
+ * @swagger
+ * /pre-orders/reservation/{id}:
+ *   get:
+ *     summary: Món đặt trước của một đặt bàn
+ *     tags: [PreOrders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Món đặt trước và tạm tính
+ *   put:
+ *     summary: Thay toàn bộ món đặt trước của một đặt bàn
+ *     tags: [PreOrders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PreOrderLines'
+ *     responses:
+ *       200:
+ *         description: Món đặt trước sau khi cập nhật
+ *       409:
+ *         description: Đặt bàn đã kết thúc hoặc đã hủy
+ */
+router.get('/reservation/:id', validateId, PreOrderController.getByReservation);
+router.put('/reservation/:id', validateId, validatePreOrder, PreOrderController.update);
+
+router.options('/', createOptionsHandler('pre-orders', ['GET', 'POST', 'PUT', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,313 @@
+// Promotion Routes - Campaigns, vouchers and cart evaluation
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Promotions
+ *     description: Chương trình khuyến mãi và voucher - giảm %, giảm tiền, mua X tặng Y, theo món hoặc loại món, khung giờ, giới hạn lượt và cộng dồn
+ */
+
+const PromotionController = require('../controllers/PromotionController');
+const {
+  validateId,
+  validatePromotion,
+  validatePromotionUpdate,
+  validatePromotionQuery,
+  validatePromotionEvaluate
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ma:
+ *           type: string
+ *           nullable: true
+ *           example: "HAPPYHOUR"
+ *           description: Để trống thì khuyến mãi tự áp dụng; có mã thì khách phải nhập mã (không phân biệt hoa thường)
+ *         ten:
+ *           type: string
+ *           example: "Giảm 20% món lẩu thứ 2"
+ *         mo_ta:
+ *           type: string
+ *         kieu:
+ *           type: string
+ *           enum: [phan_tram, so_tien, mua_x_tang_y]
+ *         gia_tri:
+ *           type: number
+ *           description: phan_tram - % giảm; so_tien - số tiền giảm; mua_x_tang_y - % giảm cho phần tặng (100 là miễn phí)
+ *         giam_toi_da:
+ *           type: integer
+ *           nullable: true
+ *         pham_vi:
+ *           type: string
+ *           enum: [don_hang, loai_mon, mon]
+ *         id_loai:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Phạm vi loai_mon
+ *         id_mon:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Phạm vi mon
+ *         so_luong_mua:
+ *           type: integer
+ *           example: 1
+ *         so_luong_tang:
+ *           type: integer
+ *           example: 1
+ *           description: Cứ mỗi so_luong_mua + so_luong_tang phần, so_luong_tang phần rẻ nhất được giảm gia_tri %
+ *         don_toi_thieu:
+ *           type: integer
+ *         bat_dau:
+ *           type: string
+ *           format: date-time
+ *         ket_thuc:
+ *           type: string
+ *           format: date-time
+ *         ngay_trong_tuan:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           example: [1, 2, 3, 4, 5]
+ *           description: 0 = Chủ nhật, ..., 6 = Thứ bảy
+ *         gio_bat_dau:
+ *           type: string
+ *           example: "16:00"
+ *         gio_ket_thuc:
+ *           type: string
+ *           example: "18:00"
+ *           description: Khung giờ kết thúc trước giờ bắt đầu thì kéo qua nửa đêm
+ *         gioi_han_luot:
+ *           type: integer
+ *           nullable: true
+ *         gioi_han_moi_khach:
+ *           type: integer
+ *           nullable: true
+ *           description: Tính theo số điện thoại của khách
+ *         da_dung:
+ *           type: integer
+ *         cong_don:
+ *           type: boolean
+ *           description: Khuyến mãi cộng dồn được dùng chung với nhau; khuyến mãi không cộng dồn chỉ dùng một mình
+ *         uu_tien:
+ *           type: integer
+ *           description: Khuyến mãi có ưu tiên nhỏ hơn được áp dụng trước khi cộng dồn
+ *         trang_thai:
+ *           type: string
+ *           enum: [active, inactive]
+ *     PromotionEvaluation:
+ *       type: object
+ *       properties:
+ *         tam_tinh:
+ *           type: number
+ *         giam_gia:
+ *           type: number
+ *         tong_sau_giam:
+ *           type: number
+ *         ap_dung:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               ma:
+ *                 type: string
+ *               ten:
+ *                 type: string
+ *               so_tien_giam:
+ *                 type: number
+ *               chi_tiet:
+ *                 type: array
+ *                 description: Số tiền giảm trên từng món
+ *                 items:
+ *                   type: object
+ *         tu_choi:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               ma:
+ *                 type: string
+ *               ten:
+ *                 type: string
+ *               ly_do:
+ *                 type: object
+ *                 properties:
+ *                   ma:
+ *                     type: string
+ *                     example: OUTSIDE_PROMOTION_HOURS
+ *                   thong_bao:
+ *                     type: string
+ *                     example: "Khuyến mãi chỉ áp dụng từ 16:00 đến 18:00"
+ */
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     summary: Danh sách khuyến mãi theo thứ tự ưu tiên
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *       - in: query
+ *         name: co_ma
+ *         schema:
+ *           type: boolean
+ *         description: true - chỉ voucher có mã; false - chỉ khuyến mãi tự áp dụng
+ *     responses:
+ *       200:
+ *         description: Danh sách khuyến mãi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Promotion'
+ *   post:
+ *     summary: Thêm khuyến mãi
+ *     tags: [Promotions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Khuyến mãi đã tạo
+ *       400:
+ *         description: Khuyến mãi không hợp lệ (errors liệt kê từng lỗi)
+ *       409:
+ *         description: Mã khuyến mãi đã tồn tại
+ */
+router.get('/', validatePromotionQuery, PromotionController.getAll);
+router.post('/', validatePromotion, PromotionController.create);
+
+/**
+ * @swagger
+ * /promotions/evaluate:
+ *   post:
+ *     summary: Xem giỏ hàng được khuyến mãi nào và vì sao các khuyến mãi khác không áp dụng
+ *     description: |
+ *       Giỏ hàng là một đơn đang mở (id_don) hoặc danh sách món theo giá thực đơn (mon).
+ *       Chỉ tính thử, không trừ lượt; lượt dùng được ghi khi đóng đơn lập hóa đơn.
+ *       Khi có khuyến mãi không cộng dồn, hệ thống chọn cách có lợi hơn cho khách.
+ *     tags: [Promotions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_don:
+ *                 type: integer
+ *               mon:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id_mon:
+ *                       type: integer
+ *                     so_luong:
+ *                       type: integer
+ *               ma_khuyen_mai:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               sdt:
+ *                 type: string
+ *                 description: Cần cho khuyến mãi giới hạn theo khách (mặc định lấy của đơn)
+ *               thoi_diem:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Tính thử tại thời điểm khác (mặc định là bây giờ)
+ *     responses:
+ *       200:
+ *         description: Kết quả áp dụng khuyến mãi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromotionEvaluation'
+ *       400:
+ *         description: Món không tồn tại
+ *       404:
+ *         description: Không tìm thấy đơn hàng
+ */
+router.post('/evaluate', validatePromotionEvaluate, PromotionController.evaluate);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   get:
+ *     summary: Chi tiết khuyến mãi kèm thống kê lượt dùng
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Khuyến mãi với thong_ke { so_lan, so_khach, tong_giam }
+ *       404:
+ *         description: Không tìm thấy khuyến mãi
+ *   patch:
+ *     summary: Sửa khuyến mãi hoặc tắt khuyến mãi
+ *     description: Hóa đơn đã lập không đổi
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Khuyến mãi sau khi cập nhật
+ *       400:
+ *         description: Khuyến mãi không hợp lệ
+ *       404:
+ *         description: Không tìm thấy khuyến mãi
+ *       409:
+ *         description: Mã khuyến mãi đã tồn tại
+ */
+router.get('/:id', validateId, PromotionController.getById);
+router.patch('/:id', validatePromotionUpdate, PromotionController.update);
+
+router.options('/', createOptionsHandler('promotions', ['GET', 'POST', 'PATCH', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
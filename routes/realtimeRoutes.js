@@ -0,0 +1,87 @@
+// Realtime Routes - Live reservation board (Server-Sent Events)
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Realtime
+ *     description: Bảng đặt bàn thời gian thực cho quầy lễ tân (Server-Sent Events)
+ */
+
+const RealtimeController = require('../controllers/RealtimeController');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * /realtime/reservations:
+ *   get:
+ *     summary: Luồng sự kiện đặt bàn theo ngày
+ *     description: |
+ *       Kết nối bằng EventSource, ví dụ
+ *       `new EventSource('/api/realtime/reservations?token=...&date=2024-12-25')`.
+ *       Sự kiện: `ready` (các ngày đang theo dõi), `tao`, `cap_nhat`, `doi_trang_thai`, `xoa`.
+ *       Dữ liệu mỗi sự kiện: `{ id_datban, ngay, trang_thai_cu, dat_ban }` (`dat_ban` là null khi xóa).
+ *       Khi kết nối lại, trình duyệt gửi Last-Event-ID để nhận bù các sự kiện bị lỡ.
+ *     tags: [Realtime]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         description: Khóa REALTIME_BOARD_TOKEN (hoặc gửi qua header Bearer)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         description: Ngày theo dõi, lặp lại hoặc phân tách bằng dấu phẩy; mặc định hôm nay
+ *         schema:
+ *           type: string
+ *           example: "2024-12-25"
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ *       401:
+ *         description: Khóa truy cập không hợp lệ
+ *       503:
+ *         description: Quá nhiều kết nối
+ */
+router.get('/reservations', RealtimeController.reservations);
+
+/**
+ * @swagger
+ * /realtime/table-requests:
+ *   get:
+ *     summary: Luồng yêu cầu từ các bàn cho nhân viên phục vụ
+ *     description: |
+ *       Kết nối bằng EventSource, ví dụ
+ *       `new EventSource('/api/realtime/table-requests?token=...')`.
+ *       Sự kiện: `ready` (`{ yeu_cau }` các yêu cầu đang chờ), `yeu_cau_moi`, `da_xu_ly`.
+ *       Dữ liệu mỗi sự kiện: `{ id_yeu_cau, id_ban, yeu_cau }`.
+ *       Khi kết nối lại, trình duyệt gửi Last-Event-ID để nhận bù các sự kiện bị lỡ.
+ *     tags: [Realtime]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         description: Khóa REALTIME_BOARD_TOKEN (hoặc gửi qua header Bearer)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ *       401:
+ *         description: Khóa truy cập không hợp lệ
+ *       503:
+ *         description: Quá nhiều kết nối
+ */
+router.get('/table-requests', RealtimeController.tableRequests);
+
+router.options('/', createOptionsHandler('realtime', ['GET', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,121 @@
+// Recurring Reservation Routes - Weekly, biweekly and monthly booking series
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: ReservationSeries
+ *     description: Đặt bàn định kỳ (hàng tuần, hai tuần một lần, hàng tháng)
+ */
+
+const RecurringReservationController = require('../controllers/RecurringReservationController');
+const {
+  validateId,
+  validateReservationSeries,
+  validateSeriesCancel
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * /datban/series:
+ *   post:
+ *     summary: Tạo chuỗi đặt bàn định kỳ
+ *     description: |
+ *       Mỗi lần đặt được kiểm tra như một đặt bàn đơn (giờ mở cửa, trùng lịch, sức chứa).
+ *       Mặc định cả chuỗi bị từ chối nếu có ngày không còn chỗ; gửi bo_qua_ngay_trung=true
+ *       để chỉ đặt các ngày còn chỗ.
+ *     tags: [ReservationSeries]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Reservation'
+ *               - type: object
+ *                 required: [tan_suat, ngay_bat_dau, ngay_ket_thuc]
+ *                 properties:
+ *                   tan_suat:
+ *                     type: string
+ *                     enum: [hang_tuan, hai_tuan, hang_thang]
+ *                   ngay_bat_dau:
+ *                     type: string
+ *                     format: date
+ *                   ngay_ket_thuc:
+ *                     type: string
+ *                     format: date
+ *                   bo_qua_ngay_trung:
+ *                     type: boolean
+ *     responses:
+ *       201:
+ *         description: Chuỗi đặt bàn, các lần đã đặt và các ngày bị bỏ qua
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       409:
+ *         description: Có ngày không thể đặt (errors liệt kê từng ngày)
+ */
+router.post('/', validateReservationSeries, RecurringReservationController.create);
+
+/**
+ * @swagger
+ * /datban/series/{id}:
+ *   get:
+ *     summary: Chi tiết chuỗi đặt bàn và các lần đặt
+ *     tags: [ReservationSeries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Chuỗi đặt bàn kèm dat_ban
+ *       404:
+ *         description: Không tìm thấy chuỗi đặt bàn
+ */
+router.get('/:id', validateId, RecurringReservationController.getById);
+
+/**
+ * @swagger
+ * /datban/series/{id}/cancel:
+ *   post:
+ *     summary: Hủy các lần đặt còn lại của chuỗi
+ *     tags: [ReservationSeries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tu_ngay:
+ *                 type: string
+ *                 format: date
+ *                 description: Hủy từ ngày này trở đi (mặc định hôm nay)
+ *               ly_do:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Chuỗi sau khi hủy và các lần đặt đã hủy
+ */
+router.post('/:id/cancel', validateSeriesCancel, RecurringReservationController.cancel);
+
+router.options('/', createOptionsHandler('datban/series', ['GET', 'POST', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+// Report Routes - Reservation reports for managers and the daily host sheet
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Reports
+ *     description: Báo cáo đặt bàn (dự báo số khách, mật độ theo giờ, tỷ lệ không đến/hủy, thời gian đặt trước, số khách mỗi bàn) và danh sách đón khách
+ */
+
+const ReportController = require('../controllers/ReportController');
+const {
+  validateReportRange,
+  validateHostSheet
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReportFrom:
+ *       in: query
+ *       name: from
+ *       description: Ngày bắt đầu (mặc định 30 ngày trước ngày kết thúc)
+ *       schema:
+ *         type: string
+ *         format: date
+ *     ReportTo:
+ *       in: query
+ *       name: to
+ *       description: Ngày kết thúc (mặc định hôm nay, hoặc 30 ngày sau from)
+ *       schema:
+ *         type: string
+ *         format: date
+ */
+
+/**
+ * @swagger
+ * /reports/covers:
+ *   get:
+ *     summary: Dự báo số khách theo ngày và ca
+ *     description: so_khach_du_kien trừ đi tỷ lệ không đến của cùng thứ trong 90 ngày trước khoảng báo cáo
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Số đặt bàn, số khách và số khách dự kiến mỗi ca
+ *       400:
+ *         description: Khoảng ngày không hợp lệ
+ */
+router.get('/covers', validateReportRange, ReportController.covers);
+
+/**
+ * @swagger
+ * /reports/heatmap:
+ *   get:
+ *     summary: Số ghế được đặt trung bình theo thứ và giờ
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Ma trận thứ x giờ và khung giờ cao điểm
+ */
+router.get('/heatmap', validateReportRange, ReportController.heatmap);
+
+/**
+ * @swagger
+ * /reports/outcomes:
+ *   get:
+ *     summary: Tỷ lệ không đến và hủy theo thứ
+ *     description: Chỉ tính các đặt bàn đã kết thúc (hoàn thành, không đến, đã hủy)
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Tỷ lệ theo từng thứ và tổng
+ */
+router.get('/outcomes', validateReportRange, ReportController.outcomes);
+
+/**
+ * @swagger
+ * /reports/lead-time:
+ *   get:
+ *     summary: Phân bố thời gian đặt trước
+ *     description: Số ngày giữa lúc đặt và ngày đến, lọc theo ngày đến
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Số đặt bàn theo nhóm, trung bình và trung vị
+ */
+router.get('/lead-time', validateReportRange, ReportController.leadTime);
+
+/**
+ * @swagger
+ * /reports/party-size:
+ *   get:
+ *     summary: Cơ cấu số khách mỗi đặt bàn
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Số đặt bàn và số khách theo nhóm
+ */
+router.get('/party-size', validateReportRange, ReportController.partySize);
+
+/**
+ * @swagger
+ * /reports/host-sheet:
+ *   get:
+ *     summary: Danh sách đón khách trong ngày
+ *     description: Đặt bàn còn hiệu lực theo giờ, kèm bàn, tiền cọc, VIP, dị ứng và lịch sử không đến
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: ngay
+ *         description: Mặc định hôm nay
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: JSON, file CSV hoặc trang HTML để in
+ *         content:
+ *           application/json: {}
+ *           text/csv: {}
+ *           text/html: {}
+ */
+router.get('/host-sheet', validateHostSheet, ReportController.hostSheet);
+
+router.options('/', createOptionsHandler('reports', ['GET', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
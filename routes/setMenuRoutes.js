@@ -0,0 +1,151 @@
+// Set Menu Routes - Set menus for group bookings and events
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: SetMenus
+ *     description: Set menu theo suất cho đặt bàn nhóm và sự kiện
+ */
+
+const SetMenuController = require('../controllers/SetMenuController');
+const {
+  validateId,
+  validateSetMenu,
+  validateSetMenuUpdate
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SetMenu:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ten:
+ *           type: string
+ *           example: "Set tiệc cưới 10 món"
+ *         mo_ta:
+ *           type: string
+ *         gia:
+ *           type: number
+ *           description: Giá mỗi suất (VND)
+ *           example: 450000
+ *         so_suat_toi_thieu:
+ *           type: integer
+ *           example: 20
+ *         trang_thai:
+ *           type: string
+ *           enum: [active, inactive]
+ *         mon:
+ *           type: array
+ *           description: Món trong một suất
+ *           items:
+ *             type: object
+ *             properties:
+ *               id_mon:
+ *                 type: integer
+ *               ten_mon:
+ *                 type: string
+ *               so_luong:
+ *                 type: integer
+ */
+
+/**
+ * @swagger
+ * /set-menus:
+ *   get:
+ *     summary: Danh sách set menu
+ *     tags: [SetMenus]
+ *     parameters:
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: Danh sách set menu kèm món
+ *   post:
+ *     summary: Tạo set menu
+ *     tags: [SetMenus]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetMenu'
+ *     responses:
+ *       201:
+ *         description: Set menu đã tạo
+ */
+router.get('/', SetMenuController.getAll);
+router.post('/', validateSetMenu, SetMenuController.create);
+
+/**
+ * @swagger
+ * /set-menus/{id}:
+ *   get:
+ *     summary: Chi tiết set menu
+ *     tags: [SetMenus]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Set menu
+ *       404:
+ *         description: Không tìm thấy set menu
+ *   put:
+ *     summary: Cập nhật set menu (danh sách món được thay thế nếu gửi kèm)
+ *     tags: [SetMenus]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetMenu'
+ *     responses:
+ *       200:
+ *         description: Set menu sau khi cập nhật
+ *   delete:
+ *     summary: Ngừng phục vụ set menu (giữ lại cho các đặt bàn đã chọn)
+ *     tags: [SetMenus]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Set menu đã chuyển sang inactive
+ */
+router.get('/:id', validateId, SetMenuController.getById);
+router.put('/:id', validateId, validateSetMenuUpdate, SetMenuController.update);
+router.delete('/:id', validateId, SetMenuController.delete);
+
+router.options('/', createOptionsHandler('set-menus', ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
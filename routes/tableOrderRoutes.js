@@ -0,0 +1,378 @@
+// Table Order Routes - QR-code ordering from the guest's phone, and the staff side of it
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: TableOrder
+ *     description: Khách quét mã QR trên bàn để xem thực đơn, gọi món, gọi nhân viên và yêu cầu thanh toán
+ */
+
+const TableOrderController = require('../controllers/TableOrderController');
+const { authenticateStaff } = require('../middleware/auth');
+const {
+  validateId,
+  validateTableToken,
+  validateTableMenuQuery,
+  validateTableCart,
+  validateTableRequest,
+  validateTableRequestQuery
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+const tableOrderConfig = require('../config/tableOrder');
+
+// Limit per phone and table, so one busy table does not hold up the others
+const perTableLimit = ({ windowMinutes, max }) => rateLimit({
+  windowMs: windowMinutes * 60 * 1000,
+  max,
+  keyGenerator: (req) => `${req.ip}:${req.params.token}`,
+  message: {
+    success: false,
+    message: `Bạn thao tác quá nhiều lần, vui lòng thử lại sau ${windowMinutes} phút`,
+    code: 'TOO_MANY_REQUESTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const cartLimiter = perTableLimit(tableOrderConfig.cartLimit);
+const requestLimiter = perTableLimit(tableOrderConfig.requestLimit);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TableRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         id_ban:
+ *           type: integer
+ *         so_ban:
+ *           type: string
+ *         id_don:
+ *           type: integer
+ *         loai:
+ *           type: string
+ *           enum: [goi_nhan_vien, yeu_cau_thanh_toan]
+ *         ghi_chu:
+ *           type: string
+ *         trang_thai:
+ *           type: string
+ *           enum: [cho_xu_ly, da_xu_ly]
+ *         nguoi_xu_ly:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     GuestOrder:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         so_ban:
+ *           type: string
+ *         trang_thai:
+ *           type: string
+ *         so_khach:
+ *           type: integer
+ *         mon:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id_mon:
+ *                 type: integer
+ *               ten_mon:
+ *                 type: string
+ *               don_gia:
+ *                 type: number
+ *               so_luong:
+ *                 type: integer
+ *               ghi_chu:
+ *                 type: string
+ *         tam_tinh:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /table-order/requests:
+ *   get:
+ *     summary: Yêu cầu từ các bàn (gọi nhân viên, yêu cầu thanh toán), cũ nhất trước
+ *     description: Nhân viên có thể nhận yêu cầu mới theo thời gian thực qua /realtime/table-requests
+ *     tags: [TableOrder]
+ *     security:
+ *       - staffAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *           enum: [cho_xu_ly, da_xu_ly]
+ *       - in: query
+ *         name: id_ban
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách yêu cầu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TableRequest'
+ *       401:
+ *         description: Thiếu hoặc sai khóa nhân viên
+ */
+router.get('/requests', authenticateStaff, validateTableRequestQuery, TableOrderController.getRequests);
+
+/**
+ * @swagger
+ * /table-order/requests/{id}/resolve:
+ *   post:
+ *     summary: Đánh dấu yêu cầu của bàn đã xử lý
+ *     tags: [TableOrder]
+ *     security:
+ *       - staffAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Yêu cầu sau khi xử lý
+ *       404:
+ *         description: Không tìm thấy yêu cầu
+ *       401:
+ *         description: Thiếu hoặc sai khóa nhân viên
+ */
+router.post('/requests/:id/resolve', authenticateStaff, validateId, TableOrderController.resolveRequest);
+
+/**
+ * @swagger
+ * /table-order/tables/{id}/qr:
+ *   get:
+ *     summary: Nội dung mã QR của bàn để in
+ *     tags: [TableOrder]
+ *     security:
+ *       - staffAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ id_ban, so_ban, qr_phien, token, url } - url là nội dung cần in thành mã QR"
+ *       404:
+ *         description: Không tìm thấy bàn
+ *       401:
+ *         description: Thiếu hoặc sai khóa nhân viên
+ */
+router.get('/tables/:id/qr', authenticateStaff, validateId, TableOrderController.getQrCode);
+
+/**
+ * @swagger
+ * /table-order/tables/{id}/qr/rotate:
+ *   post:
+ *     summary: Tạo mã QR mới cho bàn, mã đã in trước đó không còn dùng được
+ *     tags: [TableOrder]
+ *     security:
+ *       - staffAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Nội dung mã QR mới
+ *       401:
+ *         description: Thiếu hoặc sai khóa nhân viên
+ */
+router.post('/tables/:id/qr/rotate', authenticateStaff, validateId, TableOrderController.rotateQrCode);
+
+/**
+ * @swagger
+ * /table-order/{token}/menu:
+ *   get:
+ *     summary: Thực đơn của bàn (chỉ các món còn hàng)
+ *     tags: [TableOrder]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         description: Mã trong QR của bàn
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Bàn và danh sách món
+ *       401:
+ *         description: Mã QR không hợp lệ hoặc đã được thay
+ *       409:
+ *         description: Bàn đang ngừng phục vụ
+ */
+router.get('/:token/menu', validateTableMenuQuery, TableOrderController.getMenu);
+
+/**
+ * @swagger
+ * /table-order/{token}/order:
+ *   get:
+ *     summary: Các món bàn đã gọi
+ *     tags: [TableOrder]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Đơn đang mở của bàn, null khi chưa gọi món
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GuestOrder'
+ *   post:
+ *     summary: Gửi giỏ hàng
+ *     description: Mở đơn cho bàn hoặc thêm vào đơn bàn đang có. Giới hạn số lần gửi cho mỗi điện thoại.
+ *     tags: [TableOrder]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mon]
+ *             properties:
+ *               mon:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [id_mon]
+ *                   properties:
+ *                     id_mon:
+ *                       type: integer
+ *                     so_luong:
+ *                       type: integer
+ *                       default: 1
+ *                     ghi_chu:
+ *                       type: string
+ *               so_khach:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Đơn của bàn sau khi gửi
+ *       400:
+ *         description: Món không tồn tại hoặc không đủ hàng
+ *       429:
+ *         description: Gửi quá nhiều lần
+ */
+router.get('/:token/order', validateTableToken, TableOrderController.getOrder);
+router.post('/:token/order', cartLimiter, validateTableCart, TableOrderController.submitCart);
+
+/**
+ * @swagger
+ * /table-order/{token}/call-staff:
+ *   post:
+ *     summary: Gọi nhân viên tới bàn
+ *     description: Bấm lại khi yêu cầu trước chưa được xử lý sẽ không tạo yêu cầu mới
+ *     tags: [TableOrder]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ghi_chu:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Yêu cầu đang chờ
+ *       429:
+ *         description: Gửi quá nhiều lần
+ */
+router.post('/:token/call-staff', requestLimiter, validateTableRequest, TableOrderController.callStaff);
+
+/**
+ * @swagger
+ * /table-order/{token}/request-bill:
+ *   post:
+ *     summary: Yêu cầu thanh toán
+ *     tags: [TableOrder]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ghi_chu:
+ *                 type: string
+ *                 example: "Thanh toán bằng thẻ"
+ *     responses:
+ *       201:
+ *         description: Yêu cầu đang chờ kèm tạm tính của đơn
+ *       409:
+ *         description: Bàn chưa gọi món
+ *       429:
+ *         description: Gửi quá nhiều lần
+ */
+router.post('/:token/request-bill', requestLimiter, validateTableRequest, TableOrderController.requestBill);
+
+router.options('/', createOptionsHandler('table-order', ['GET', 'POST', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,204 @@
+// Table Routes - Restaurant table inventory
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Tables
+ *     description: Quản lý bàn của nhà hàng (số bàn, sức chứa, khu vực, ghép bàn)
+ */
+
+const TableController = require('../controllers/TableController');
+const {
+  validateTable,
+  validateTableUpdate,
+  validateId
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  createHeadHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Table:
+ *       type: object
+ *       properties:
+ *         id_ban:
+ *           type: integer
+ *           example: 1
+ *         so_ban:
+ *           type: string
+ *           example: "T05"
+ *         suc_chua:
+ *           type: integer
+ *           example: 4
+ *         khu_vuc:
+ *           type: string
+ *           example: "trong_nha"
+ *         co_the_ghep:
+ *           type: boolean
+ *           example: true
+ *         trang_thai:
+ *           type: string
+ *           enum: [active, inactive]
+ */
+
+/**
+ * @swagger
+ * /tables:
+ *   get:
+ *     summary: Lấy danh sách bàn
+ *     tags: [Tables]
+ *     parameters:
+ *       - in: query
+ *         name: khu_vuc
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *       - in: query
+ *         name: minCapacity
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách bàn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Table'
+ *                 total:
+ *                   type: integer
+ *                 totalSeats:
+ *                   type: integer
+ */
+router.get('/', TableController.getAllTables);
+
+/**
+ * @swagger
+ * /tables/{id}:
+ *   get:
+ *     summary: Lấy thông tin bàn theo ID
+ *     tags: [Tables]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Thông tin bàn
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', validateId, TableController.getTableById);
+
+/**
+ * @swagger
+ * /tables:
+ *   post:
+ *     summary: Tạo bàn mới
+ *     tags: [Tables]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - so_ban
+ *               - suc_chua
+ *             properties:
+ *               so_ban:
+ *                 type: string
+ *                 example: "T13"
+ *               suc_chua:
+ *                 type: integer
+ *                 example: 4
+ *               khu_vuc:
+ *                 type: string
+ *                 example: "trong_nha"
+ *               co_the_ghep:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Tạo bàn thành công
+ *       409:
+ *         description: Số bàn đã tồn tại
+ */
+router.post('/', validateTable, TableController.createTable);
+
+/**
+ * @swagger
+ * /tables/{id}:
+ *   put:
+ *     summary: Cập nhật bàn
+ *     tags: [Tables]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Table'
+ *     responses:
+ *       200:
+ *         description: Cập nhật bàn thành công
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', validateId, validateTableUpdate, TableController.updateTable);
+router.patch('/:id', validateId, validateTableUpdate, TableController.updateTable);
+
+/**
+ * @swagger
+ * /tables/{id}:
+ *   delete:
+ *     summary: Xóa bàn
+ *     tags: [Tables]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Xóa bàn thành công
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', validateId, TableController.deleteTable);
+
+router.head('/', createHeadHandler(TableController.getAllTables));
+router.options('/', createOptionsHandler('tables', ['GET', 'POST', 'HEAD', 'OPTIONS']));
+router.options('/:id', createOptionsHandler('tables', ['GET', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
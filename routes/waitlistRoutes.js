@@ -0,0 +1,172 @@
+// Waitlist Routes - Guests waiting for a fully booked time slot
+const express = require('express');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Waitlist
+ *     description: Danh sách chờ khi khung giờ đã kín bàn
+ */
+
+const WaitlistController = require('../controllers/WaitlistController');
+const {
+  validateWaitlistEntry,
+  validateWaitlistCode
+} = require('../middleware/validation');
+const {
+  handleHeadRequest,
+  createOptionsHandler,
+  logHttpMethod
+} = require('../middleware/httpMethods');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ma_tra_cuu:
+ *           type: string
+ *           description: Mã để khách tra cứu vị trí và trạng thái
+ *         ten_khach:
+ *           type: string
+ *           example: "Nguyễn Văn A"
+ *         sdt:
+ *           type: string
+ *           example: "0901234567"
+ *         ngay:
+ *           type: string
+ *           format: date
+ *         gio_tu:
+ *           type: string
+ *           example: "18:00"
+ *         gio_den:
+ *           type: string
+ *           example: "20:00"
+ *         so_luong_khach:
+ *           type: integer
+ *           example: 4
+ *         trang_thai:
+ *           type: string
+ *           enum: [dang_cho, da_moi, da_nhan, het_han, da_huy]
+ *           description: dang_cho = đang chờ, da_moi = đang giữ chỗ, da_nhan = đã nhận chỗ, het_han = hết thời gian giữ chỗ, da_huy = đã hủy
+ *         vi_tri:
+ *           type: integer
+ *           description: Vị trí trong danh sách chờ của ngày (chỉ khi đang chờ)
+ *         gio_de_xuat:
+ *           type: string
+ *           description: Giờ được giữ chỗ
+ *         han_giu:
+ *           type: string
+ *           format: date-time
+ *           description: Hạn nhận chỗ được giữ
+ *         id_datban:
+ *           type: integer
+ *           description: Đặt bàn được tạo khi khách nhận chỗ
+ */
+
+/**
+ * @swagger
+ * /waitlist:
+ *   get:
+ *     summary: Danh sách chờ (nhân viên)
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: query
+ *         name: ngay
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: trang_thai
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Danh sách đăng ký chờ
+ *   post:
+ *     summary: Đăng ký vào danh sách chờ
+ *     description: Nếu đã có bàn trống trong khoảng giờ mong muốn, chỗ được giữ ngay
+ *     tags: [Waitlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WaitlistEntry'
+ *     responses:
+ *       201:
+ *         description: Đăng ký chờ thành công
+ */
+router.get('/', WaitlistController.getAll);
+router.post('/', validateWaitlistEntry, WaitlistController.join);
+
+/**
+ * @swagger
+ * /waitlist/{code}:
+ *   get:
+ *     summary: Tra cứu vị trí và trạng thái đăng ký chờ
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trạng thái đăng ký chờ
+ *       404:
+ *         description: Không tìm thấy đăng ký chờ
+ */
+router.get('/:code', validateWaitlistCode, WaitlistController.getStatus);
+
+/**
+ * @swagger
+ * /waitlist/{code}/accept:
+ *   post:
+ *     summary: Nhận chỗ đang được giữ và tạo đặt bàn
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Đặt bàn đã được tạo
+ *       409:
+ *         description: Chưa có chỗ được giữ hoặc đã hết thời gian giữ chỗ
+ */
+router.post('/:code/accept', validateWaitlistCode, WaitlistController.accept);
+
+/**
+ * @swagger
+ * /waitlist/{code}/cancel:
+ *   post:
+ *     summary: Rời danh sách chờ hoặc từ chối chỗ được giữ
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Đã hủy đăng ký chờ
+ */
+router.post('/:code/cancel', validateWaitlistCode, WaitlistController.cancel);
+
+router.options('/', createOptionsHandler('waitlist', ['GET', 'POST', 'OPTIONS']));
+
+// Add global middleware
+router.use(logHttpMethod);
+router.use(handleHeadRequest);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// Cancellation Service - Cancel a reservation with everything that follows from it
+const { executeQuery } = require('../config/database');
+const ReservationService = require('./ReservationService');
+const WaitlistService = require('./WaitlistService');
+const DepositService = require('./DepositService');
+const reservationConfig = require('../config/reservation');
+const { STATUS, assertTransition } = require('../utils/reservationStateMachine');
+
+class CancellationService {
+  /**
+   * Cancel one reservation: status log, history, deposit refund per policy
+   * and the freed slot offered to the waitlist
+   * @param {Object} reservation - Snapshot from ReservationService.loadSnapshot
+   * @param {Object} origin - { actor, source }
+   * @param {string|null} reason - Why it was cancelled
+   * @returns {Promise<Object>} Updated snapshot
+   * @throws {AppError} 409 INVALID_STATUS_TRANSITION when it can no longer be cancelled
+   */
+  static async cancel(reservation, origin, reason = null) {
+    const id = reservation.id_datban;
+    assertTransition(reservation.trang_thai, STATUS.CANCELLED);
+
+    const result = await executeQuery(
+      'UPDATE dat_ban SET trang_thai = ?, updated_at = CURRENT_TIMESTAMP WHERE id_datban = ? AND trang_thai = ?',
+      [STATUS.CANCELLED, id, reservation.trang_thai]
+    );
+    if (!result.success) throw new Error(result.error);
+
+    // Changed concurrently
+    if (result.data.affectedRows === 0) {
+      return await ReservationService.loadSnapshot(id);
+    }
+
+    await ReservationService.recordStatusChange(id, reservation.trang_thai, STATUS.CANCELLED, origin.actor, reason);
+
+    const updated = await ReservationService.loadSnapshot(id);
+    await ReservationService.recordHistory(origin, id, 'doi_trang_thai', reservation, updated);
+
+    if (reservationConfig.activeStatuses.includes(reservation.trang_thai)) {
+      await DepositService.settle(reservation, updated);
+      await WaitlistService.handleReservationReleased(reservation);
+    }
+
+    return updated;
+  }
+}
+
+module.exports = CancellationService;
@@ -0,0 +1,261 @@
+// Delivery Service - Delivery zones, fees, minimum orders and promised times of takeaway and delivery orders
+const DeliveryZoneModel = require('../models/DeliveryZoneModel');
+const KitchenTicketModel = require('../models/KitchenTicketModel');
+const FoodModel = require('../models/FoodModel');
+const OpeningHoursService = require('./OpeningHoursService');
+const { AppError } = require('../middleware/errorHandler');
+const deliveryConfig = require('../config/delivery');
+const { distanceKm, isInsidePolygon, normalizeDistrict } = require('../utils/geo');
+
+// Fields of a zone that only apply to one kind
+const SHAPE_FIELDS = {
+  quan_huyen: 'quan_huyen',
+  ban_kinh: 'ban_kinh_km',
+  da_giac: 'da_giac'
+};
+
+// Error listing every problem of a zone definition
+const zoneError = (errors) => {
+  const error = new AppError('Khu vực giao hàng không hợp lệ', 400, 'INVALID_DELIVERY_ZONE');
+  error.errors = errors;
+  return error;
+};
+
+const hasOrigin = () => deliveryConfig.origin.vi_do !== null && deliveryConfig.origin.kinh_do !== null;
+
+const hasCoordinates = (address) => address.vi_do !== undefined && address.vi_do !== null &&
+  address.kinh_do !== undefined && address.kinh_do !== null;
+
+class DeliveryService {
+  /**
+   * Zones in matching order
+   * @param {Object} filters - { trang_thai }
+   * @returns {Promise<Array>} Zones
+   */
+  static async getZones(filters = {}) {
+    return await DeliveryZoneModel.getAll(filters);
+  }
+
+  /**
+   * A zone by ID
+   * @param {number} id - Zone ID
+   * @returns {Promise<Object>} khu_vuc_giao_hang row
+   * @throws {AppError} 404 DELIVERY_ZONE_NOT_FOUND
+   */
+  static async getZone(id) {
+    const zone = await DeliveryZoneModel.getById(id);
+    if (!zone) {
+      throw new AppError('Không tìm thấy khu vực giao hàng', 404, 'DELIVERY_ZONE_NOT_FOUND');
+    }
+    return zone;
+  }
+
+  /**
+   * Add a zone: a list of districts, a radius around the restaurant or a polygon
+   * @param {Object} data - { ten, kieu, quan_huyen, ban_kinh_km, da_giac, phi_giao, don_toi_thieu, thoi_gian_giao_phut, uu_tien }
+   * @returns {Promise<Object>} Created zone
+   * @throws {AppError} 400 INVALID_DELIVERY_ZONE (errors lists each problem)
+   */
+  static async createZone(data) {
+    return await DeliveryZoneModel.create(this.buildZone(data, {}));
+  }
+
+  /**
+   * Change a zone; its shape is checked again as a whole when the kind or shape changes
+   * @param {number} id - Zone ID
+   * @param {Object} data - Fields to change (see createZone, plus trang_thai)
+   * @returns {Promise<Object>} Updated zone
+   */
+  static async updateZone(id, data) {
+    const zone = await this.getZone(id);
+    return await DeliveryZoneModel.update(id, this.buildZone(data, zone));
+  }
+
+  /**
+   * First active zone an address falls in. Zones are tried by uu_tien, so a
+   * small inner zone placed first can be cheaper than the ring around it.
+   * @param {Object} address - { quan_huyen, vi_do, kinh_do }
+   * @returns {Promise<Object>} { khu_vuc, khoang_cach_km } (khu_vuc null outside every zone)
+   */
+  static async findZone(address) {
+    const zones = await DeliveryZoneModel.getAll({ trang_thai: 'active' });
+    const located = hasCoordinates(address);
+    const point = located ? { vi_do: Number(address.vi_do), kinh_do: Number(address.kinh_do) } : null;
+    const distance = located && hasOrigin() ? distanceKm(deliveryConfig.origin, point) : null;
+    const district = address.quan_huyen ? normalizeDistrict(address.quan_huyen) : null;
+
+    const zone = zones.find(candidate => {
+      if (candidate.kieu === 'quan_huyen') {
+        return district !== null && (candidate.quan_huyen || []).some(name => normalizeDistrict(name) === district);
+      }
+      if (candidate.kieu === 'ban_kinh') {
+        return distance !== null && distance <= Number(candidate.ban_kinh_km);
+      }
+      return point !== null && isInsidePolygon(point, candidate.da_giac || []);
+    });
+
+    return {
+      khu_vuc: zone || null,
+      khoang_cach_km: distance !== null ? Math.round(distance * 100) / 100 : null
+    };
+  }
+
+  /**
+   * Promised time from the kitchen load: the queue ahead (open tickets), the
+   * slowest dish of the order (average over the last prepTimeDays days, or
+   * defaultPrepMinutes without history), packing and the zone's travel time
+   * @param {Array<Object>} items - { id_mon }
+   * @param {number} travelMinutes - Travel time of the zone, 0 for takeaway
+   * @returns {Promise<Object>} { tai_bep, cho_bep_phut, che_bien_phut, dong_goi_phut, giao_phut, tong_phut, hen_luc }
+   */
+  static async estimate(items, travelMinutes = 0) {
+    const now = new Date();
+    const since = OpeningHoursService.formatLocalDate(
+      new Date(now.getTime() - deliveryConfig.prepTimeDays * 24 * 60 * 60 * 1000)
+    );
+    const dishIds = [...new Set(items.map(item => parseInt(item.id_mon)))];
+
+    const load = await KitchenTicketModel.getLoad();
+    const averages = new Map(
+      (await KitchenTicketModel.getAveragePrepSeconds(dishIds, since))
+        .map(row => [row.id_mon, Number(row.che_bien_tb_giay)])
+    );
+
+    const prepMinutes = dishIds.length > 0
+      ? Math.max(...dishIds.map(id => (averages.has(id) ? Math.ceil(averages.get(id) / 60) : deliveryConfig.defaultPrepMinutes)))
+      : deliveryConfig.defaultPrepMinutes;
+    const queueMinutes = Math.ceil(load.so_phieu * deliveryConfig.queueMinutesPerTicket);
+    const totalMinutes = queueMinutes + prepMinutes + deliveryConfig.packingMinutes + travelMinutes;
+
+    // Round the promised time up to the next step so it reads like a time a person would give
+    const step = deliveryConfig.roundMinutes * 60 * 1000;
+    const promised = new Date(Math.ceil((now.getTime() + totalMinutes * 60 * 1000) / step) * step);
+
+    return {
+      tai_bep: load,
+      cho_bep_phut: queueMinutes,
+      che_bien_phut: prepMinutes,
+      dong_goi_phut: deliveryConfig.packingMinutes,
+      giao_phut: travelMinutes,
+      tong_phut: Math.round((promised.getTime() - now.getTime()) / 60000),
+      hen_luc: promised
+    };
+  }
+
+  /**
+   * Price and promised time of a takeaway or delivery order before it is
+   * placed. Problems do not throw; they are listed in ly_do with their code,
+   * and du_dieu_kien tells whether the order can be placed.
+   * @param {Object} data - { loai, quan_huyen, vi_do, kinh_do, mon: [{ id_mon, so_luong }] }
+   * @returns {Promise<Object>} { loai, tam_tinh, khu_vuc, khoang_cach_km, phi_giao_hang, don_toi_thieu,
+   *   tong_tam_tinh, du_dieu_kien, ly_do: [{ ma, thong_bao }], du_kien }
+   * @throws {AppError} 400 FOOD_NOT_FOUND
+   */
+  static async quote(data) {
+    const items = Array.isArray(data.mon) ? data.mon : [];
+    const foods = new Map(
+      (await FoodModel.getByIds([...new Set(items.map(item => parseInt(item.id_mon)))])).map(food => [food.id_mon, food])
+    );
+    const missing = items.filter(item => !foods.has(parseInt(item.id_mon)));
+    if (missing.length > 0) {
+      throw new AppError(`Món #${missing[0].id_mon} không tồn tại`, 400, 'FOOD_NOT_FOUND');
+    }
+
+    const tamTinh = items.reduce(
+      (total, item) => total + Number(foods.get(parseInt(item.id_mon)).gia) * (parseInt(item.so_luong) || 1),
+      0
+    );
+    const reasons = [];
+    let zone = null;
+    let distance = null;
+
+    if (data.loai === 'giao_hang') {
+      ({ khu_vuc: zone, khoang_cach_km: distance } = await this.findZone(data));
+      if (!zone) {
+        reasons.push({ ma: 'OUTSIDE_DELIVERY_AREA', thong_bao: 'Địa chỉ nằm ngoài khu vực giao hàng' });
+      } else if (tamTinh < Number(zone.don_toi_thieu)) {
+        reasons.push({
+          ma: 'BELOW_MINIMUM_ORDER',
+          thong_bao: `Đơn giao tới ${zone.ten} tối thiểu ${Number(zone.don_toi_thieu).toLocaleString('vi-VN')}đ, ` +
+            `còn thiếu ${(Number(zone.don_toi_thieu) - tamTinh).toLocaleString('vi-VN')}đ`
+        });
+      }
+    }
+
+    const fee = zone ? Number(zone.phi_giao) : 0;
+    return {
+      loai: data.loai,
+      tam_tinh: tamTinh,
+      khu_vuc: zone && {
+        id: zone.id,
+        ten: zone.ten,
+        kieu: zone.kieu,
+        phi_giao: Number(zone.phi_giao),
+        don_toi_thieu: Number(zone.don_toi_thieu),
+        thoi_gian_giao_phut: zone.thoi_gian_giao_phut
+      },
+      khoang_cach_km: distance,
+      phi_giao_hang: fee,
+      don_toi_thieu: zone ? Number(zone.don_toi_thieu) : 0,
+      tong_tam_tinh: tamTinh + fee,
+      du_dieu_kien: reasons.length === 0,
+      ly_do: reasons,
+      du_kien: await this.estimate(items, zone ? zone.thoi_gian_giao_phut : 0)
+    };
+  }
+
+  /**
+   * Throw the first problem of a quote
+   * @param {Object} quote - Result of quote
+   * @throws {AppError} 400 OUTSIDE_DELIVERY_AREA or BELOW_MINIMUM_ORDER
+   */
+  static assertDeliverable(quote) {
+    if (quote.du_dieu_kien) return;
+
+    const [reason] = quote.ly_do;
+    throw new AppError(reason.thong_bao, 400, reason.ma);
+  }
+
+  /**
+   * Zone row from a request, merged over the current zone when updating.
+   * Fields of the other kinds are cleared.
+   * @private
+   */
+  static buildZone(data, current) {
+    const zone = {};
+    ['ten', 'kieu', 'quan_huyen', 'ban_kinh_km', 'da_giac', 'phi_giao', 'don_toi_thieu', 'thoi_gian_giao_phut', 'uu_tien', 'trang_thai']
+      .filter(field => data[field] !== undefined)
+      .forEach(field => {
+        zone[field] = data[field];
+      });
+    if (zone.ten !== undefined) zone.ten = String(zone.ten).trim();
+    if (zone.quan_huyen) zone.quan_huyen = zone.quan_huyen.map(name => String(name).trim());
+    if (zone.da_giac) zone.da_giac = zone.da_giac.map(([lat, lng]) => [Number(lat), Number(lng)]);
+
+    const kind = zone.kieu || current.kieu;
+    const shapeField = SHAPE_FIELDS[kind];
+    const reshaped = zone.kieu !== undefined || zone[shapeField] !== undefined;
+    if (!reshaped) return zone;
+
+    const shape = zone[shapeField] !== undefined ? zone[shapeField] : current[shapeField];
+    const errors = [];
+    if (kind === 'quan_huyen' && !(Array.isArray(shape) && shape.length > 0)) {
+      errors.push('Khu vực theo quận/huyện phải có ít nhất một quận/huyện');
+    }
+    if (kind === 'ban_kinh') {
+      if (!(Number(shape) > 0)) errors.push('Khu vực theo bán kính phải có ban_kinh_km lớn hơn 0');
+      if (!hasOrigin()) errors.push('Chưa cấu hình vị trí nhà hàng (RESTAURANT_LAT, RESTAURANT_LNG)');
+    }
+    if (kind === 'da_giac' && !(Array.isArray(shape) && shape.length >= 3)) {
+      errors.push('Khu vực đa giác phải có ít nhất 3 đỉnh');
+    }
+    if (errors.length > 0) throw zoneError(errors);
+
+    Object.entries(SHAPE_FIELDS).forEach(([otherKind, field]) => {
+      zone[field] = otherKind === kind ? shape : null;
+    });
+    return zone;
+  }
+}
+
+module.exports = DeliveryService;
@@ -0,0 +1,479 @@
+// Deposit Service - Reservation deposits, payment callbacks and cancellation refunds
+const { executeQuery } = require('../config/database');
+const DepositModel = require('../models/DepositModel');
+const PaymentTransactionModel = require('../models/PaymentTransactionModel');
+const ReservationService = require('./ReservationService');
+const WaitlistService = require('./WaitlistService');
+const NotificationService = require('./NotificationService');
+const GuestProfileService = require('./GuestProfileService');
+const { getPaymentProvider, setPaymentProvider } = require('./payment/PaymentProvider');
+const { AppError } = require('../middleware/errorHandler');
+const depositConfig = require('../config/deposit');
+const paymentConfig = require('../config/payment');
+const { STATUS } = require('../utils/reservationStateMachine');
+const { computeRefund } = require('../utils/depositPolicy');
+const { logger } = require('../utils/logger');
+
+const SYSTEM_ORIGIN = { actor: 'he_thong', source: 'he_thong' };
+
+// Unpaid deposits that were closed before the gateway reported a payment
+const CLOSED_UNPAID_STATUSES = ['het_han', 'da_huy'];
+
+class DepositService {
+  static expiryTimer = null;
+
+  /**
+   * Payment provider shared with invoice payments
+   * @returns {Object} Payment provider
+   */
+  static getProvider() {
+    return getPaymentProvider();
+  }
+
+  /**
+   * Plug in another payment provider
+   * @param {Object} provider - { name, createPayment, verifyCallback, queryStatus, refund }
+   */
+  static setProvider(provider) {
+    setPaymentProvider(provider);
+  }
+
+  /**
+   * Deposit and refund policy that would apply to a booking
+   * @param {Object} data - { ngay, gio, so_luong_khach, sdt (optional, adds the guest's rules) }
+   * @returns {Promise<Object>} { can_dat_coc, so_tien, quy_tac, mo_ta, han_thanh_toan_phut, chinh_sach_hoan }
+   */
+  static async quote(data) {
+    const requirement = await GuestProfileService.getDepositRequirement(data);
+
+    return {
+      can_dat_coc: !!requirement,
+      so_tien: requirement ? requirement.so_tien : 0,
+      quy_tac: requirement ? requirement.quy_tac : [],
+      mo_ta: requirement ? requirement.mo_ta : [],
+      han_thanh_toan_phut: depositConfig.paymentMinutes,
+      chinh_sach_hoan: depositConfig.refundPolicy.map(tier => ({ gio_truoc: tier.hoursBefore, ty_le: tier.percent }))
+    };
+  }
+
+  /**
+   * Open a payment for a reservation waiting for its deposit and send the guest the payment link.
+   * When the payment cannot be opened the reservation is cancelled, so it does not hold its
+   * tables without a deposit to wait for.
+   * @param {Object} reservation - dat_ban row
+   * @returns {Promise<Object|null>} Deposit, null when the reservation does not wait for payment
+   * @throws {AppError} 502 DEPOSIT_PAYMENT_FAILED
+   */
+  static async requestPayment(reservation) {
+    if (reservation.trang_thai !== STATUS.PENDING_PAYMENT) return null;
+
+    let deposit = null;
+    let transaction = null;
+
+    try {
+      const requirement = await GuestProfileService.getDepositRequirement(reservation);
+      const provider = this.getProvider();
+
+      deposit = await DepositModel.create({
+        id_datban: reservation.id_datban,
+        so_tien: requirement.so_tien,
+        quy_tac: requirement.quy_tac.join(','),
+        nha_cung_cap: provider.name,
+        han_thanh_toan: new Date(Date.now() + depositConfig.paymentMinutes * 60 * 1000)
+      });
+
+      const payment = await provider.createPayment({
+        reference: deposit.ma_giao_dich,
+        amount: Number(deposit.so_tien),
+        description: `Dat coc dat ban #${reservation.id_datban}`,
+        expiresAt: deposit.han_thanh_toan,
+        returnUrl: paymentConfig.returnUrl
+      });
+
+      deposit = await DepositModel.update(deposit.id, {
+        ma_nha_cung_cap: payment.providerRef,
+        payment_url: payment.paymentUrl
+      });
+
+      // Same reference in the transaction log, so the payment IPN finds it
+      transaction = await PaymentTransactionModel.create({
+        ma_giao_dich: deposit.ma_giao_dich,
+        loai: 'dat_coc',
+        id_doi_tuong: deposit.id,
+        nha_cung_cap: provider.name,
+        so_tien: deposit.so_tien,
+        url_tra_ve: paymentConfig.returnUrl,
+        han_thanh_toan: deposit.han_thanh_toan
+      });
+      await PaymentTransactionModel.update(transaction.id, {
+        ma_nha_cung_cap: payment.providerRef,
+        payment_url: payment.paymentUrl
+      });
+    } catch (error) {
+      logger.error('Error requesting deposit payment:', error);
+      await this.abandonPayment(reservation, deposit, transaction, error);
+      throw new AppError(
+        'Không tạo được yêu cầu thanh toán tiền cọc nên đặt bàn đã bị hủy, vui lòng thử lại sau',
+        502,
+        'DEPOSIT_PAYMENT_FAILED'
+      );
+    }
+
+    NotificationService.dispatch('yeu_cau_dat_coc', { ...reservation, dat_coc: deposit })
+      .catch(error => logger.error('Error sending deposit request:', error));
+
+    return deposit;
+  }
+
+  /**
+   * Close a payment that could not be opened and cancel its reservation
+   * @private
+   */
+  static async abandonPayment(reservation, deposit, transaction, error) {
+    try {
+      if (transaction) await PaymentTransactionModel.settle(transaction.id, { trang_thai: 'that_bai', loi: error.message });
+      if (deposit) {
+        await DepositModel.update(deposit.id, { trang_thai: 'da_huy', loi: `Không tạo được thanh toán: ${error.message}`.substring(0, 255) });
+      }
+      await this.cancelReservation(reservation, SYSTEM_ORIGIN, 'Không tạo được yêu cầu thanh toán tiền cọc');
+    } catch (cleanupError) {
+      logger.error('Error cancelling reservation without deposit payment:', cleanupError);
+    }
+  }
+
+  /**
+   * Check a manual status change against the deposit. A booking waiting for
+   * its deposit only moves on once the deposit is paid, and a cancelled
+   * booking that needs a deposit cannot be reopened without one.
+   * @param {Object} reservation - dat_ban row, with the new booking details when they change too
+   * @param {string} to - Target status
+   * @throws {AppError} 409 DEPOSIT_NOT_PAID or DEPOSIT_REQUIRED
+   */
+  static async assertStatusChange(reservation, to) {
+    const from = reservation.trang_thai;
+    if (to !== STATUS.PENDING || (from !== STATUS.PENDING_PAYMENT && from !== STATUS.CANCELLED)) return;
+
+    const deposit = await DepositModel.getByReservation(reservation.id_datban);
+    const paid = deposit && deposit.trang_thai === 'da_thanh_toan' ? Number(deposit.so_tien) : 0;
+
+    if (from === STATUS.PENDING_PAYMENT) {
+      if (paid > 0) return;
+      throw new AppError('Đặt bàn chưa thanh toán tiền cọc, chỉ chuyển sang chờ xác nhận khi đã nhận được tiền cọc', 409, 'DEPOSIT_NOT_PAID');
+    }
+
+    const requirement = await GuestProfileService.getDepositRequirement(reservation);
+    if (requirement && requirement.so_tien > paid) {
+      throw new AppError(
+        `Đặt bàn này cần đặt cọc ${requirement.so_tien.toLocaleString('vi-VN')}đ, không thể mở lại khi chưa có tiền cọc`,
+        409,
+        'DEPOSIT_REQUIRED'
+      );
+    }
+  }
+
+  /**
+   * Latest deposit of a reservation, with the refund the guest would get if they cancelled now
+   * @param {Object} reservation - dat_ban row
+   * @returns {Promise<Object|null>} Deposit with hoan_du_kien
+   */
+  static async getForReservation(reservation) {
+    const deposit = await DepositModel.getByReservation(reservation.id_datban);
+    if (!deposit) return null;
+
+    return {
+      ...deposit,
+      hoan_du_kien: deposit.trang_thai === 'da_thanh_toan' ? computeRefund(deposit, reservation) : null
+    };
+  }
+
+  /**
+   * Handle a signed payment result from the provider. Callbacks may be
+   * delivered more than once, so a settled deposit is returned unchanged;
+   * a payment arriving after the booking was released is refunded in full.
+   * @param {Object} payload - Provider callback payload
+   * @returns {Promise<Object>} { deposit, reservation }
+   */
+  static async handleCallback(payload) {
+    const result = this.getProvider().verifyCallback(payload);
+
+    const transaction = await PaymentTransactionModel.getByReference(result.reference);
+    if (transaction) await PaymentTransactionModel.recordCallback(transaction.id, payload);
+
+    return await this.applyResult(result, transaction);
+  }
+
+  /**
+   * Apply a verified payment result to a deposit, from a callback or a status
+   * query. Safe to call again with the same result.
+   * @param {Object} result - { reference, providerRef, amount, success }
+   * @param {Object|null} transaction - giao_dich_thanh_toan row of the deposit, if any
+   * @returns {Promise<Object>} { deposit, reservation }
+   */
+  static async applyResult(result, transaction = null) {
+    const deposit = await DepositModel.getByReference(result.reference);
+    if (!deposit) {
+      throw new AppError('Không tìm thấy giao dịch đặt cọc', 404, 'DEPOSIT_NOT_FOUND');
+    }
+
+    if (deposit.trang_thai !== 'cho_thanh_toan' && !CLOSED_UNPAID_STATUSES.includes(deposit.trang_thai)) {
+      return { deposit, reservation: await ReservationService.loadSnapshot(deposit.id_datban) };
+    }
+
+    if (result.success && result.amount !== Number(deposit.so_tien)) {
+      if (transaction) {
+        await PaymentTransactionModel.settle(transaction.id, { trang_thai: 'that_bai', loi: 'Số tiền không khớp với tiền cọc' });
+      }
+      throw new AppError('Số tiền thanh toán không khớp với tiền cọc', 400, 'PAYMENT_AMOUNT_MISMATCH');
+    }
+
+    if (transaction) {
+      await PaymentTransactionModel.settle(transaction.id, {
+        trang_thai: result.success ? 'thanh_cong' : 'that_bai',
+        ma_nha_cung_cap: result.providerRef
+      });
+    }
+
+    const reservation = await ReservationService.loadSnapshot(deposit.id_datban);
+    const origin = { actor: `thanh_toan:${deposit.nha_cung_cap}`, source: 'he_thong' };
+
+    if (!result.success) {
+      if (deposit.trang_thai !== 'cho_thanh_toan') {
+        return { deposit, reservation };
+      }
+
+      const changed = await DepositModel.updateIfStatus(deposit.id, ['cho_thanh_toan'], {
+        trang_thai: 'that_bai',
+        loi: 'Thanh toán không thành công'
+      });
+      const failed = await DepositModel.getById(deposit.id);
+      if (!changed) return { deposit: failed, reservation };
+
+      if (reservation && reservation.trang_thai === STATUS.PENDING_PAYMENT) {
+        return { deposit: failed, reservation: await this.cancelReservation(reservation, origin, 'Thanh toán tiền cọc không thành công') };
+      }
+      return { deposit: failed, reservation };
+    }
+
+    // Only the first of concurrent callbacks for the same payment settles it
+    const settled = await DepositModel.updateIfStatus(deposit.id, ['cho_thanh_toan', ...CLOSED_UNPAID_STATUSES], {
+      trang_thai: 'da_thanh_toan',
+      ma_nha_cung_cap: result.providerRef || deposit.ma_nha_cung_cap,
+      thanh_toan_luc: new Date(),
+      loi: null
+    });
+    let paid = await DepositModel.getById(deposit.id);
+    if (!settled) return { deposit: paid, reservation };
+
+    // Paid after the hold was released: the booking is gone, give the money back
+    if (!reservation || reservation.trang_thai !== STATUS.PENDING_PAYMENT) {
+      paid = await this.refund(paid, 100, 'Thanh toán sau khi đặt bàn đã hủy');
+      return { deposit: paid, reservation };
+    }
+
+    const updated = await this.changeStatus(reservation, STATUS.PENDING, origin, 'Đã nhận tiền cọc');
+    return { deposit: paid, reservation: updated };
+  }
+
+  /**
+   * Complete or fail a payment on the local mock gateway
+   * @param {string} reference - ma_giao_dich
+   * @param {boolean} success - Whether the guest paid
+   * @returns {Promise<Object>} { deposit, reservation }
+   */
+  static async simulatePayment(reference, success) {
+    const provider = this.getProvider();
+    if (typeof provider.signCallback !== 'function') {
+      throw new AppError('Cổng thanh toán giả lập không được bật', 404, 'MOCK_PAYMENT_DISABLED');
+    }
+
+    const deposit = await DepositModel.getByReference(reference);
+    if (!deposit) {
+      throw new AppError('Không tìm thấy giao dịch đặt cọc', 404, 'DEPOSIT_NOT_FOUND');
+    }
+
+    return await this.handleCallback(provider.signCallback({
+      reference,
+      providerRef: deposit.ma_nha_cung_cap,
+      amount: deposit.so_tien,
+      success
+    }));
+  }
+
+  /**
+   * Settle the deposit of a reservation that stopped holding tables.
+   * Unpaid deposits are dropped, a no-show forfeits the deposit and a
+   * cancellation (or deletion) is refunded by the cutoff policy.
+   * Failures are logged so they never block the change itself.
+   * @param {Object} before - Reservation before the change
+   * @param {Object|null} after - Reservation after the change, null when deleted
+   * @returns {Promise<Object|null>} Settled deposit
+   */
+  static async settle(before, after) {
+    try {
+      let deposit = await DepositModel.getByReservation(before.id_datban);
+      if (!deposit) return null;
+
+      if (deposit.trang_thai === 'cho_thanh_toan') {
+        const dropped = await DepositModel.updateIfStatus(deposit.id, ['cho_thanh_toan'], { trang_thai: 'da_huy' });
+        deposit = await DepositModel.getById(deposit.id);
+        // Paid in the meantime: settle it like any paid deposit
+        if (dropped) return deposit;
+      }
+
+      if (deposit.trang_thai !== 'da_thanh_toan') return deposit;
+
+      if (after && after.trang_thai === STATUS.NO_SHOW) {
+        return await DepositModel.update(deposit.id, { trang_thai: 'khong_hoan', ty_le_hoan: 0, so_tien_hoan: 0 });
+      }
+
+      return await this.refund(deposit, computeRefund(deposit, before).ty_le_hoan);
+    } catch (error) {
+      logger.error('Error settling reservation deposit:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Refund part of a paid deposit through the provider. A failed refund keeps
+   * the deposit paid with the error so it can be retried.
+   * @param {Object} deposit - dat_coc row
+   * @param {number} percent - Refund percentage (0-100)
+   * @param {string|null} reason - Logged reason
+   * @returns {Promise<Object>} Updated deposit
+   */
+  static async refund(deposit, percent, reason = null) {
+    if (!['da_thanh_toan', 'khong_hoan'].includes(deposit.trang_thai)) {
+      throw new AppError('Chỉ hoàn được tiền cọc đã thanh toán', 409, 'DEPOSIT_NOT_REFUNDABLE');
+    }
+
+    const amount = Math.round(Number(deposit.so_tien) * percent / 100);
+    if (amount <= 0) {
+      return await DepositModel.update(deposit.id, { trang_thai: 'khong_hoan', ty_le_hoan: 0, so_tien_hoan: 0, loi: null });
+    }
+
+    try {
+      const result = await this.getProvider().refund({
+        reference: deposit.ma_giao_dich,
+        providerRef: deposit.ma_nha_cung_cap,
+        amount,
+        reason
+      });
+
+      return await DepositModel.update(deposit.id, {
+        trang_thai: 'da_hoan',
+        ty_le_hoan: percent,
+        so_tien_hoan: amount,
+        ma_hoan_tien: result.refundRef,
+        hoan_luc: new Date(),
+        loi: null
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Hoàn tiền cọc ${deposit.ma_giao_dich} thất bại: ${error.message}`);
+      return await DepositModel.update(deposit.id, { loi: `Hoàn tiền thất bại: ${error.message}`.substring(0, 255) });
+    }
+  }
+
+  /**
+   * Refund a deposit on staff request, e.g. a goodwill refund or a retry
+   * @param {number} id - Deposit ID
+   * @param {number|undefined} percent - Refund percentage, defaults to the cutoff policy
+   * @returns {Promise<Object>} Updated deposit
+   */
+  static async refundById(id, percent) {
+    const deposit = await DepositModel.getById(id);
+    if (!deposit) {
+      throw new AppError('Không tìm thấy tiền cọc', 404, 'DEPOSIT_NOT_FOUND');
+    }
+
+    if (percent === undefined) {
+      const reservation = await ReservationService.loadSnapshot(deposit.id_datban);
+      percent = reservation ? computeRefund(deposit, reservation).ty_le_hoan : 100;
+    }
+
+    const refunded = await this.refund(deposit, percent, 'Nhân viên hoàn cọc');
+    if (refunded.loi) {
+      throw new AppError(refunded.loi, 502, 'REFUND_FAILED');
+    }
+    return refunded;
+  }
+
+  /**
+   * Cancel reservations whose deposit was not paid in time
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { expired }
+   */
+  static async expireUnpaid(now = new Date()) {
+    const deposits = await DepositModel.getExpiredUnpaid(now);
+    let count = 0;
+
+    for (const deposit of deposits) {
+      // Skip deposits paid since they were listed
+      const expired = await DepositModel.updateIfStatus(deposit.id, ['cho_thanh_toan'], { trang_thai: 'het_han' });
+      if (!expired) continue;
+      count++;
+
+      const transaction = await PaymentTransactionModel.getByReference(deposit.ma_giao_dich);
+      if (transaction) await PaymentTransactionModel.expire(transaction.id);
+
+      const reservation = await ReservationService.loadSnapshot(deposit.id_datban);
+      if (reservation && reservation.trang_thai === STATUS.PENDING_PAYMENT) {
+        await this.cancelReservation(reservation, SYSTEM_ORIGIN, 'Quá hạn thanh toán tiền cọc');
+      }
+    }
+
+    return { expired: count };
+  }
+
+  /**
+   * Periodically cancel unpaid reservations while the server runs
+   */
+  static startExpiryScheduler() {
+    if (this.expiryTimer) return;
+
+    const interval = depositConfig.expiryIntervalMinutes * 60 * 1000;
+    this.expiryTimer = setInterval(() => {
+      this.expireUnpaid().catch(error => logger.error('Error expiring unpaid deposits:', error));
+    }, interval);
+    this.expiryTimer.unref();
+
+    logger.info(`⏰ Unpaid deposits checked every ${depositConfig.expiryIntervalMinutes} minutes`);
+  }
+
+  /**
+   * Cancel a reservation waiting for payment and offer its slot to the waitlist
+   * @private
+   */
+  static async cancelReservation(reservation, origin, reason) {
+    const updated = await this.changeStatus(reservation, STATUS.CANCELLED, origin, reason);
+    await WaitlistService.handleReservationReleased(reservation);
+    return updated;
+  }
+
+  /**
+   * Move a reservation out of cho_thanh_toan with its status log and history
+   * @private
+   */
+  static async changeStatus(reservation, to, origin, reason) {
+    const id = reservation.id_datban;
+
+    const result = await executeQuery(
+      'UPDATE dat_ban SET trang_thai = ?, updated_at = CURRENT_TIMESTAMP WHERE id_datban = ? AND trang_thai = ?',
+      [to, id, STATUS.PENDING_PAYMENT]
+    );
+    if (!result.success) throw new Error(result.error);
+
+    // Changed concurrently (e.g. cancelled by the guest)
+    if (result.data.affectedRows === 0) {
+      return await ReservationService.loadSnapshot(id);
+    }
+
+    await ReservationService.recordStatusChange(id, STATUS.PENDING_PAYMENT, to, origin.actor, reason);
+
+    const updated = await ReservationService.loadSnapshot(id);
+    await ReservationService.recordHistory(origin, id, 'doi_trang_thai', reservation, updated);
+
+    return updated;
+  }
+}
+
+module.exports = DepositService;
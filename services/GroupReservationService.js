@@ -0,0 +1,192 @@
+// Group Reservation Service - Event bookings holding several tables and a set menu as one unit
+const { executeQuery } = require('../config/database');
+const SetMenuModel = require('../models/SetMenuModel');
+const TableModel = require('../models/TableModel');
+const ReservationService = require('./ReservationService');
+const TableAllocationService = require('./TableAllocationService');
+const CancellationService = require('./CancellationService');
+const { AppError } = require('../middleware/errorHandler');
+const reservationConfig = require('../config/reservation');
+const { formatDate } = require('../utils/reservationTime');
+const { normalizePhone } = require('../utils/phone');
+
+// Fields of a group booking that staff may change
+const EDITABLE_FIELDS = ['ten_khach', 'sdt', 'email', 'ngay', 'gio', 'thoi_luong', 'so_luong_khach', 'ghi_chu', 'ten_su_kien', 'id_thuc_don', 'so_suat'];
+
+class GroupReservationService {
+  /**
+   * Check the set menu of a group booking and work out the servings
+   * @param {Object} data - { id_thuc_don, so_suat, so_luong_khach }
+   * @returns {Promise<Object|null>} { menu, so_suat } or null without a set menu
+   * @throws {AppError} 400 SET_MENU_NOT_FOUND or SET_MENU_MIN_SERVINGS
+   */
+  static async resolveMenu(data) {
+    if (!data.id_thuc_don) return null;
+
+    const menu = await SetMenuModel.getById(parseInt(data.id_thuc_don));
+    if (!menu || menu.trang_thai !== 'active') {
+      throw new AppError('Set menu không tồn tại hoặc đã ngừng phục vụ', 400, 'SET_MENU_NOT_FOUND');
+    }
+
+    const servings = parseInt(data.so_suat) || parseInt(data.so_luong_khach);
+    if (servings < menu.so_suat_toi_thieu) {
+      throw new AppError(`Set menu "${menu.ten}" cần đặt tối thiểu ${menu.so_suat_toi_thieu} suất`, 400, 'SET_MENU_MIN_SERVINGS');
+    }
+
+    return { menu, so_suat: servings };
+  }
+
+  /**
+   * A group booking with its tables, set menu and estimated menu total
+   * @param {number} id - Reservation ID
+   * @returns {Promise<Object>} Snapshot with thuc_don and tam_tinh
+   * @throws {AppError} 404 GROUP_NOT_FOUND
+   */
+  static async get(id) {
+    const reservation = await ReservationService.loadSnapshot(id);
+    if (!reservation || reservation.loai !== 'nhom') {
+      throw new AppError('Không tìm thấy đặt bàn nhóm', 404, 'GROUP_NOT_FOUND');
+    }
+
+    const menu = reservation.id_thuc_don ? await SetMenuModel.getById(reservation.id_thuc_don) : null;
+
+    return {
+      ...reservation,
+      thuc_don: menu,
+      tam_tinh: menu ? Number(menu.gia) * (reservation.so_suat || 0) : 0
+    };
+  }
+
+  /**
+   * Create a group booking. Its tables are reserved right away, even while
+   * pending, so the whole function is held as one unit.
+   * @param {Object} data - Reservation data plus ten_su_kien, ban_ids, id_thuc_don, so_suat
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Created group booking (see get)
+   */
+  static async create(data, origin) {
+    const payload = { ...data, loai: 'nhom' };
+    const menu = await this.resolveMenu(payload);
+    payload.so_suat = menu ? menu.so_suat : null;
+
+    // Check the tables before anything is written
+    const validationErrors = await ReservationService.validate(payload);
+    if (validationErrors.length > 0) {
+      const error = new AppError('Dữ liệu không hợp lệ', 400, 'VALIDATION_ERROR');
+      error.errors = validationErrors;
+      throw error;
+    }
+    const tables = await TableAllocationService.resolveTables({
+      id_datban: null,
+      ngay: payload.ngay,
+      gio: payload.gio,
+      thoi_luong: ReservationService.resolveDuration(payload),
+      so_luong_khach: parseInt(payload.so_luong_khach),
+      loai: 'nhom'
+    }, data.ban_ids);
+
+    const created = await ReservationService.create(payload, origin);
+    await TableModel.assignToReservation(created.id_datban, tables.map(table => table.id_ban));
+
+    return await this.get(created.id_datban);
+  }
+
+  /**
+   * Change a group booking as a unit: details, tables and set menu together
+   * @param {number} id - Reservation ID
+   * @param {Object} changes - Any of EDITABLE_FIELDS plus ban_ids
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Updated group booking (see get)
+   * @throws {AppError} 404, 409 RESERVATION_LOCKED, 400 VALIDATION_ERROR or a 409 conflict
+   */
+  static async update(id, changes, origin) {
+    const before = await this.get(id);
+    if (!reservationConfig.activeStatuses.includes(before.trang_thai)) {
+      throw new AppError('Đặt bàn nhóm đã kết thúc hoặc đã hủy, không thể thay đổi', 409, 'RESERVATION_LOCKED');
+    }
+
+    const merged = { ...before, ngay: formatDate(before.ngay), gio: String(before.gio).substring(0, 5) };
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) merged[field] = changes[field];
+    });
+    if (changes.so_luong_khach !== undefined && changes.thoi_luong === undefined) {
+      merged.thoi_luong = TableAllocationService.getDuration(parseInt(changes.so_luong_khach));
+    }
+    if (changes.id_thuc_don !== undefined && !changes.id_thuc_don) {
+      merged.id_thuc_don = null;
+    }
+
+    const validationErrors = await ReservationService.validate(merged);
+    if (validationErrors.length > 0) {
+      const error = new AppError('Dữ liệu không hợp lệ', 400, 'VALIDATION_ERROR');
+      error.errors = validationErrors;
+      throw error;
+    }
+
+    const menu = await this.resolveMenu({
+      ...merged,
+      so_suat: changes.so_suat !== undefined ? changes.so_suat : (changes.so_luong_khach !== undefined ? null : merged.so_suat)
+    });
+
+    await ReservationService.assertNoConflicts(merged, id);
+
+    // Requested tables, then the current ones if they still fit, then a fresh allocation
+    let tables;
+    if (Array.isArray(changes.ban_ids) && changes.ban_ids.length > 0) {
+      tables = await TableAllocationService.resolveTables(merged, changes.ban_ids);
+    } else {
+      try {
+        tables = await TableAllocationService.resolveTables(merged, before.ban.map(table => table.id_ban));
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        tables = await TableAllocationService.resolveTables(merged);
+      }
+    }
+
+    const result = await executeQuery(
+      `UPDATE dat_ban SET
+         ten_khach = ?, sdt = ?, sdt_chuan = ?, email = ?, ngay = ?, gio = ?, thoi_luong = ?,
+         so_luong_khach = ?, ghi_chu = ?, ten_su_kien = ?, id_thuc_don = ?, so_suat = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id_datban = ?`,
+      [
+        merged.ten_khach.trim(),
+        merged.sdt.trim(),
+        normalizePhone(merged.sdt),
+        merged.email ? merged.email.trim() : null,
+        merged.ngay,
+        merged.gio,
+        ReservationService.resolveDuration(merged),
+        parseInt(merged.so_luong_khach),
+        merged.ghi_chu ? merged.ghi_chu.trim() : null,
+        merged.ten_su_kien ? String(merged.ten_su_kien).trim() : null,
+        menu ? menu.menu.id : null,
+        menu ? menu.so_suat : null,
+        id
+      ]
+    );
+    if (!result.success) throw new Error(result.error);
+
+    await TableModel.assignToReservation(id, tables.map(table => table.id_ban));
+
+    const updated = await ReservationService.loadSnapshot(id);
+    await ReservationService.recordHistory(origin, id, 'cap_nhat', before, updated);
+
+    return await this.get(id);
+  }
+
+  /**
+   * Cancel a group booking: all its tables are released and the set menu dropped with it
+   * @param {number} id - Reservation ID
+   * @param {Object} origin - { actor, source }
+   * @param {string|null} reason - Why it was cancelled
+   * @returns {Promise<Object>} Cancelled group booking (see get)
+   */
+  static async cancel(id, origin, reason = null) {
+    await this.get(id);
+    await CancellationService.cancel(await ReservationService.loadSnapshot(id), origin, reason);
+    return await this.get(id);
+  }
+}
+
+module.exports = GroupReservationService;
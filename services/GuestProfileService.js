@@ -0,0 +1,125 @@
+// Guest Profile Service - Track record of a guest by normalized phone number
+const GuestProfileModel = require('../models/GuestProfileModel');
+const { AppError } = require('../middleware/errorHandler');
+const guestProfileConfig = require('../config/guestProfile');
+const { normalizePhone } = require('../utils/phone');
+const { getDepositRequirement } = require('../utils/depositPolicy');
+
+// Rule condition -> profile statistic
+const RULE_CONDITIONS = {
+  minNoShows: 'so_lan_khong_den',
+  minCancellations: 'so_lan_huy'
+};
+
+class GuestProfileService {
+  /**
+   * Profile of a guest: booking statistics, staff notes and the rules that apply
+   * @param {string} sdt - Phone number in any format
+   * @returns {Promise<Object>} Profile
+   * @throws {AppError} 400 INVALID_PHONE
+   */
+  static async getProfile(sdt) {
+    const phone = normalizePhone(sdt);
+    if (!phone) {
+      throw new AppError('Số điện thoại không hợp lệ', 400, 'INVALID_PHONE');
+    }
+
+    const [stats, notes] = await Promise.all([
+      GuestProfileModel.getStats(phone),
+      GuestProfileModel.getByPhone(phone)
+    ]);
+
+    const profile = {
+      sdt: phone,
+      ...stats,
+      ten_khach: (notes && notes.ten_khach) || stats.ten_khach,
+      vip: !!(notes && notes.vip),
+      di_ung: notes ? notes.di_ung : null,
+      ghi_chu: notes ? notes.ghi_chu : null
+    };
+
+    profile.quy_tac_ap_dung = this.matchRules(profile).map(rule => ({
+      ten: rule.ten,
+      mo_ta: rule.mo_ta || rule.ten,
+      action: rule.action
+    }));
+
+    return profile;
+  }
+
+  /**
+   * Guest rules triggered by a profile
+   * @param {Object} profile - Guest profile
+   * @returns {Array<Object>} Matching rules from config/guestProfile.js
+   */
+  static matchRules(profile) {
+    if (profile.vip && guestProfileConfig.vipExempt) return [];
+
+    return guestProfileConfig.rules.filter(rule => {
+      const conditions = Object.keys(RULE_CONDITIONS).filter(key => rule[key]);
+      return conditions.length > 0 && conditions.every(key => profile[RULE_CONDITIONS[key]] >= rule[key]);
+    });
+  }
+
+  /**
+   * Rules a new booking from this phone number must follow
+   * @param {string} sdt - Phone number
+   * @returns {Promise<Object>} { profile, depositRules, approvalRules }
+   */
+  static async evaluate(sdt) {
+    const profile = await this.getProfile(sdt);
+    const rules = this.matchRules(profile);
+
+    return {
+      profile,
+      depositRules: rules.filter(rule => rule.action === 'dat_coc'),
+      approvalRules: rules.filter(rule => rule.action === 'duyet_thu_cong')
+    };
+  }
+
+  /**
+   * Deposit required for a booking, including rules triggered by the guest's record
+   * @param {Object} data - { sdt, ngay, gio, so_luong_khach }
+   * @returns {Promise<Object|null>} { so_tien, quy_tac, mo_ta } or null
+   */
+  static async getDepositRequirement(data) {
+    const { depositRules } = data.sdt ? await this.evaluate(data.sdt) : { depositRules: [] };
+    return getDepositRequirement(data, depositRules);
+  }
+
+  /**
+   * Guests who have booked, with statistics and notes
+   * @param {Object} filters - { search, vip, min_khong_den, limit }
+   * @returns {Promise<Array>} Profiles
+   */
+  static async getAll(filters) {
+    return await GuestProfileModel.getAll({
+      ...filters,
+      search: filters.search ? normalizePhone(filters.search) || filters.search : undefined
+    });
+  }
+
+  /**
+   * Update the staff notes of a guest (allergies, VIP, free text)
+   * @param {string} sdt - Phone number
+   * @param {Object} data - { ten_khach, vip, di_ung, ghi_chu }
+   * @returns {Promise<Object>} Updated profile
+   */
+  static async update(sdt, data) {
+    const phone = normalizePhone(sdt);
+    if (!phone) {
+      throw new AppError('Số điện thoại không hợp lệ', 400, 'INVALID_PHONE');
+    }
+
+    await GuestProfileModel.upsert(phone, {
+      ten_khach: data.ten_khach !== undefined ? String(data.ten_khach).trim() || null : undefined,
+      vip: data.vip !== undefined ? (data.vip === true || data.vip === 'true' ? 1 : 0) : undefined,
+      di_ung: data.di_ung !== undefined ? String(data.di_ung).trim() || null : undefined,
+      ghi_chu: data.ghi_chu !== undefined ? String(data.ghi_chu).trim() || null : undefined
+    });
+
+    return await this.getProfile(phone);
+  }
+}
+
+module.exports = GuestProfileService;
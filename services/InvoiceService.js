@@ -0,0 +1,542 @@
+// Invoice Service - Close orders into invoices with discount, service charge and VAT
+const InvoiceModel = require('../models/InvoiceModel');
+const OrderModel = require('../models/OrderModel');
+const PromotionService = require('./PromotionService');
+const { AppError } = require('../middleware/errorHandler');
+const invoiceConfig = require('../config/invoice');
+const einvoiceConfig = require('../config/einvoice');
+const { computeTotals, taxSummary, roundVnd, allocate } = require('../utils/invoiceTotals');
+const { buildEinvoiceXml } = require('../utils/einvoiceXml');
+const { formatDate } = require('../utils/reservationTime');
+
+// Invoice amounts shared between split invoices
+const COMPONENTS = ['giam_gia', 'giam_gia_khuyen_mai', 'phi_dich_vu', 'thue_vat', 'phi_giao_hang'];
+
+// Amounts of each tax rate shared between split invoices
+const GROUP_COMPONENTS = ['giam_gia', 'phi_dich_vu', 'tien_thue'];
+
+// Amounts of each tax rate changed by an adjustment invoice
+const SUMMARY_FIELDS = ['tien_hang', 'giam_gia', 'phi_dich_vu', 'thanh_tien', 'tien_thue'];
+
+const sumOf = (rows, field) => rows.reduce((total, row) => total + Number(row[field]), 0);
+
+// Complete the tax summary of a split part, leaving out rates it has nothing of
+const withSummary = (part) => {
+  if (!part.tong_hop_thue) return part;
+  part.tong_hop_thue = part.tong_hop_thue
+    .map(group => ({
+      thue_suat: group.thue_suat,
+      tien_hang: group.tien_hang,
+      giam_gia: group.giam_gia,
+      phi_dich_vu: group.phi_dich_vu,
+      thanh_tien: group.tien_hang - group.giam_gia + group.phi_dich_vu,
+      tien_thue: group.tien_thue
+    }))
+    .filter(group => group.tien_hang !== 0 || group.tien_thue !== 0 || group.phi_dich_vu !== 0);
+  return part;
+};
+
+// Error listing every problem of a split request
+const splitError = (errors) => {
+  const error = new AppError('Cách tách hóa đơn không hợp lệ', 400, 'INVALID_SPLIT');
+  error.errors = errors;
+  return error;
+};
+
+// Error listing every problem of an adjustment request
+const adjustmentError = (errors) => {
+  const error = new AppError('Điều chỉnh hóa đơn không hợp lệ', 400, 'INVALID_ADJUSTMENT');
+  error.errors = errors;
+  return error;
+};
+
+// Ký hiệu hóa đơn điện tử of the current year, e.g. C25TNH
+const currentSeries = () =>
+  `${einvoiceConfig.seriesPrefix}${formatDate(new Date()).substring(2, 4)}${einvoiceConfig.seriesSuffix}`;
+
+// A buyer with a tax code is a company: its name and address go on the e-invoice
+const assertBuyer = (buyer) => {
+  if (buyer.mst_nguoi_mua && !(buyer.ten_don_vi_mua && buyer.dia_chi_nguoi_mua)) {
+    throw new AppError('Người mua có mã số thuế phải có tên đơn vị và địa chỉ', 400, 'BUYER_INFO_INCOMPLETE');
+  }
+  return buyer;
+};
+
+// Buyer columns of an invoice from { ho_ten, ten_don_vi, ma_so_thue, dia_chi, email }
+const buyerColumns = (buyer) => {
+  const text = (value) => (value ? String(value).trim() : null);
+  return {
+    ten_nguoi_mua: text(buyer.ho_ten),
+    ten_don_vi_mua: text(buyer.ten_don_vi),
+    mst_nguoi_mua: text(buyer.ma_so_thue),
+    dia_chi_nguoi_mua: text(buyer.dia_chi),
+    email_nguoi_mua: text(buyer.email)
+  };
+};
+
+class InvoiceService {
+  /**
+   * An invoice with its lines
+   * @param {number} id - Invoice ID
+   * @returns {Promise<Object>} hoa_don row with chi_tiet
+   * @throws {AppError} 404 INVOICE_NOT_FOUND
+   */
+  static async get(id) {
+    const invoice = await InvoiceModel.getById(id);
+    if (!invoice) {
+      throw new AppError('Không tìm thấy hóa đơn', 404, 'INVOICE_NOT_FOUND');
+    }
+    return invoice;
+  }
+
+  /**
+   * Close an open order into an invoice. The discount is an amount
+   * (giam_gia) or a percentage of the subtotal (giam_gia_phan_tram), capped by
+   * maxDiscountPercent. The service charge is taken on the order types of
+   * serviceChargeOrderTypes; phi_dich_vu false waives it and true takes it on
+   * any order. VAT follows the rate of each dish, else of its category, else
+   * vatRate. Promotions without a code and those of the codes entered (ma_khuyen_mai)
+   * are worked out on the locked lines and their usage is recorded with the
+   * invoice; per-customer limits go by sdt, or the phone of the order.
+   * The delivery fee of a delivery order is added as fixed when it was placed.
+   * @param {number} orderId - Order ID
+   * @param {Object} data - { giam_gia, giam_gia_phan_tram, ly_do_giam_gia, phi_dich_vu, ma_khuyen_mai, sdt, nguoi_mua }
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Created invoice (see get)
+   * @throws {AppError} 400 INVALID_DISCOUNT, BUYER_INFO_INCOMPLETE, ORDER_EMPTY or a code that cannot be used (PROMOTION_EXPIRED, ...),
+   *   404 ORDER_NOT_FOUND, 409 ORDER_CLOSED, PROMOTION_LIMIT_REACHED or CUSTOMER_LIMIT_REACHED
+   */
+  static async closeOrder(orderId, data, origin) {
+    if (data.giam_gia !== undefined && data.giam_gia_phan_tram !== undefined) {
+      throw new AppError('Chỉ được gửi giam_gia hoặc giam_gia_phan_tram', 400, 'INVALID_DISCOUNT');
+    }
+
+    const reason = data.ly_do_giam_gia ? String(data.ly_do_giam_gia).trim() : null;
+    const waiveServiceCharge = data.phi_dich_vu === false || data.phi_dich_vu === 'false';
+    const forceServiceCharge = data.phi_dich_vu === true || data.phi_dich_vu === 'true';
+    const buyer = data.nguoi_mua ? assertBuyer(buyerColumns(data.nguoi_mua)) : {};
+
+    let phone = data.sdt;
+    if (!phone) {
+      const order = await OrderModel.getById(orderId);
+      phone = order ? order.sdt : null;
+    }
+    const evaluatePromotions = await PromotionService.prepare(data.ma_khuyen_mai, phone);
+
+    const compute = (lines, order) => {
+      const subtotal = lines.reduce((total, line) => total + Number(line.don_gia) * line.so_luong, 0);
+      const discount = data.giam_gia_phan_tram !== undefined
+        ? Math.round(subtotal * parseFloat(data.giam_gia_phan_tram) / 100)
+        : parseInt(data.giam_gia) || 0;
+
+      if (discount > subtotal * invoiceConfig.maxDiscountPercent / 100) {
+        throw new AppError(`Giảm giá không được quá ${invoiceConfig.maxDiscountPercent}% tạm tính`, 400, 'INVALID_DISCOUNT');
+      }
+      if (discount > 0 && !reason) {
+        throw new AppError('Phải ghi lý do giảm giá', 400, 'INVALID_DISCOUNT');
+      }
+
+      const promotions = evaluatePromotions(lines, new Date());
+      PromotionService.assertCodesUsable(promotions);
+
+      const reasons = [];
+      if (discount > 0) reasons.push(reason);
+      if (promotions.giam_gia > 0) reasons.push(`Khuyến mãi: ${promotions.ap_dung.map(promotion => promotion.ten).join(', ')}`);
+
+      const chargesService = forceServiceCharge ||
+        (!waiveServiceCharge && invoiceConfig.serviceChargeOrderTypes.includes(order.loai));
+      const serviceRate = chargesService ? invoiceConfig.serviceChargeRate : 0;
+
+      const totals = computeTotals(lines, {
+        discount,
+        lineDiscounts: promotions.giam_gia_theo_dong,
+        serviceRate,
+        vatRate: invoiceConfig.vatRate,
+        deliveryFee: Number(order.phi_giao_hang) || 0
+      });
+      return {
+        ...totals,
+        giam_gia_khuyen_mai: Math.min(promotions.giam_gia, totals.giam_gia),
+        ly_do_giam_gia: reasons.length > 0 ? reasons.join('; ') : null,
+        ty_le_phi_dich_vu: serviceRate,
+        ty_le_vat: invoiceConfig.vatRate,
+        khuyen_mai: promotions.ap_dung,
+        sdt_chuan: promotions.sdt_chuan,
+        ...buyer
+      };
+    };
+
+    return await InvoiceModel.createFromOrder(orderId, compute, origin.actor);
+  }
+
+  /**
+   * Split an unpaid invoice into child invoices:
+   * - theo_mon: phan is a list of parts, each { mon: [{ id_chi_tiet, so_luong }] };
+   *   every line must be shared out completely
+   * - chia_deu: so_phan equal shares of the total
+   * - tuy_chinh: so_tien lists the amount of each part, adding up to the total
+   * Discount, service charge, VAT and delivery fee are shared in proportion so the children
+   * add up exactly to the parent.
+   * @param {number} id - Invoice ID
+   * @param {Object} data - { kieu, phan, so_phan, so_tien }
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Array>} Child invoices
+   * @throws {AppError} 400 INVALID_SPLIT (errors lists each problem), 409 INVOICE_NOT_SPLITTABLE
+   */
+  static async split(id, data, origin) {
+    const buildParts = (invoice, lines) => {
+      if (data.kieu === 'theo_mon') return this.splitByItems(invoice, lines, data.phan);
+
+      const total = Number(invoice.tong_cong);
+      let amounts;
+      if (data.kieu === 'chia_deu') {
+        const count = parseInt(data.so_phan);
+        if (!(count >= 2 && count <= invoiceConfig.splitMaxParts)) {
+          throw splitError([`Số phần phải từ 2 đến ${invoiceConfig.splitMaxParts}`]);
+        }
+        amounts = allocate(total, new Array(count).fill(1));
+      } else {
+        amounts = (data.so_tien || []).map(Number);
+        const sum = amounts.reduce((acc, amount) => acc + amount, 0);
+        const errors = [];
+        if (amounts.length < 2 || amounts.length > invoiceConfig.splitMaxParts) {
+          errors.push(`Số phần phải từ 2 đến ${invoiceConfig.splitMaxParts}`);
+        }
+        if (amounts.some(amount => !Number.isInteger(amount) || amount <= 0)) {
+          errors.push('Số tiền mỗi phần phải là số nguyên dương');
+        }
+        if (sum !== total) {
+          errors.push(`Tổng các phần (${sum.toLocaleString('vi-VN')}đ) phải bằng tổng hóa đơn (${total.toLocaleString('vi-VN')}đ)`);
+        }
+        if (errors.length > 0) throw splitError(errors);
+      }
+
+      const shares = this.shareComponents(invoice, amounts);
+      return amounts.map((amount, index) => {
+        const part = { ...shares[index], tong_cong: amount, chi_tiet: [] };
+        part.tam_tinh = amount - part.phi_dich_vu - part.thue_vat - part.phi_giao_hang + part.giam_gia;
+        if (part.tong_hop_thue) {
+          const goods = allocate(part.tam_tinh, invoice.tong_hop_thue.map(group => Number(group.tien_hang)));
+          part.tong_hop_thue.forEach((group, position) => {
+            group.tien_hang = goods[position];
+          });
+        }
+        return withSummary(part);
+      });
+    };
+
+    return await InvoiceModel.split(id, data.kieu, buildParts, origin.actor);
+  }
+
+  /**
+   * Parts of a split by items
+   * @private
+   */
+  static splitByItems(invoice, lines, parts) {
+    const errors = [];
+    if (!Array.isArray(parts) || parts.length < 2 || parts.length > invoiceConfig.splitMaxParts) {
+      throw splitError([`Số phần phải từ 2 đến ${invoiceConfig.splitMaxParts}`]);
+    }
+
+    const byId = new Map(lines.map(line => [line.id, line]));
+    const assigned = new Map();
+    const built = parts.map((part, index) => {
+      const chiTiet = [];
+      (Array.isArray(part.mon) ? part.mon : []).forEach(item => {
+        const line = byId.get(parseInt(item.id_chi_tiet));
+        const quantity = parseInt(item.so_luong);
+        if (!line) {
+          errors.push(`Phần ${index + 1}: dòng #${item.id_chi_tiet} không thuộc hóa đơn`);
+          return;
+        }
+        if (!(quantity >= 1)) {
+          errors.push(`Phần ${index + 1}: số lượng "${line.ten_mon}" phải là số nguyên dương`);
+          return;
+        }
+        assigned.set(line.id, (assigned.get(line.id) || 0) + quantity);
+        chiTiet.push({
+          id_mon: line.id_mon,
+          ten_mon: line.ten_mon,
+          don_gia: line.don_gia,
+          so_luong: quantity,
+          thanh_tien: Number(line.don_gia) * quantity,
+          thue_suat: line.thue_suat
+        });
+      });
+      if (chiTiet.length === 0) errors.push(`Phần ${index + 1} chưa có món nào`);
+
+      return { chi_tiet: chiTiet, tam_tinh: chiTiet.reduce((total, line) => total + line.thanh_tien, 0) };
+    });
+
+    lines.forEach(line => {
+      const quantity = assigned.get(line.id) || 0;
+      if (quantity !== line.so_luong) {
+        errors.push(`"${line.ten_mon}": đã chia ${quantity}/${line.so_luong} phần`);
+      }
+    });
+    if (errors.length > 0) throw splitError(errors);
+
+    const goodsAt = (part, rate) => part.chi_tiet
+      .filter(line => Number(line.thue_suat) === Number(rate))
+      .reduce((total, line) => total + line.thanh_tien, 0);
+    const shares = this.shareComponents(invoice, built.map(part => part.tam_tinh),
+      rate => built.map(part => goodsAt(part, rate)));
+    return built.map((part, index) => {
+      const share = shares[index];
+      if (share.tong_hop_thue) {
+        share.tong_hop_thue.forEach(group => {
+          group.tien_hang = goodsAt(part, group.thue_suat);
+        });
+      }
+      return withSummary({
+        ...part,
+        ...share,
+        tong_cong: part.tam_tinh - share.giam_gia + share.phi_dich_vu + share.thue_vat + share.phi_giao_hang
+      });
+    });
+  }
+
+  /**
+   * Discount, service charge, VAT and delivery fee of the parent shared by weight.
+   * When the parent has a tax summary, discount, service charge and VAT are shared
+   * rate by rate (by rateWeights(rate) if given) so each child keeps its own summary;
+   * the caller fills in tien_hang of each group.
+   * @private
+   */
+  static shareComponents(invoice, weights, rateWeights) {
+    const groups = invoice.tong_hop_thue || [];
+    const components = groups.length > 0 ? ['giam_gia_khuyen_mai', 'phi_giao_hang'] : COMPONENTS;
+    const shared = components.map(component => allocate(Number(invoice[component]), weights));
+    const sharedGroups = groups.map(group => {
+      const groupWeights = rateWeights ? rateWeights(group.thue_suat) : weights;
+      return GROUP_COMPONENTS.map(field => allocate(Number(group[field]), groupWeights));
+    });
+
+    return weights.map((weight, index) => {
+      const part = {};
+      components.forEach((component, position) => {
+        part[component] = shared[position][index];
+      });
+      if (groups.length > 0) {
+        part.tong_hop_thue = groups.map((group, position) => {
+          const summary = { thue_suat: group.thue_suat };
+          GROUP_COMPONENTS.forEach((field, at) => {
+            summary[field] = sharedGroups[position][at][index];
+          });
+          return summary;
+        });
+        part.giam_gia = sumOf(part.tong_hop_thue, 'giam_gia');
+        part.phi_dich_vu = sumOf(part.tong_hop_thue, 'phi_dich_vu');
+        part.thue_vat = sumOf(part.tong_hop_thue, 'tien_thue');
+      }
+      return part;
+    });
+  }
+
+  /**
+   * Set the buyer printed on the e-invoice, before it is issued
+   * @param {number} id - Invoice ID
+   * @param {Object} data - { ho_ten, ten_don_vi, ma_so_thue, dia_chi, email }
+   * @returns {Promise<Object>} Updated invoice (see get)
+   * @throws {AppError} 400 BUYER_INFO_INCOMPLETE, 404 INVOICE_NOT_FOUND, 409 EINVOICE_ALREADY_ISSUED
+   */
+  static async updateBuyer(id, data) {
+    return await InvoiceModel.updateBuyer(id, assertBuyer(buyerColumns(data)));
+  }
+
+  /**
+   * Issue the e-invoice of a fully paid invoice in the series of the current year
+   * @param {number} id - Invoice ID
+   * @returns {Promise<Object>} Issued invoice (see get)
+   * @throws {AppError} 404 INVOICE_NOT_FOUND, 409 EINVOICE_ALREADY_ISSUED or INVOICE_NOT_COMPLETED
+   */
+  static async issue(id) {
+    return await InvoiceModel.issue(id, currentSeries());
+  }
+
+  /**
+   * E-invoice XML of an issued invoice
+   * @param {number} id - Invoice ID
+   * @returns {Promise<Object>} { ten_file, xml }
+   * @throws {AppError} 404 INVOICE_NOT_FOUND, 409 EINVOICE_NOT_ISSUED
+   */
+  static async exportXml(id) {
+    const invoice = await this.get(id);
+    if (!invoice.so_hddt) {
+      throw new AppError(`Hóa đơn ${invoice.so_hoa_don} chưa phát hành hóa đơn điện tử`, 409, 'EINVOICE_NOT_ISSUED');
+    }
+
+    return {
+      ten_file: `${invoice.ky_hieu}-${String(invoice.so_hddt).padStart(8, '0')}.xml`,
+      xml: buildEinvoiceXml(invoice)
+    };
+  }
+
+  /**
+   * Replace an issued e-invoice that has wrong details; an issued invoice is
+   * never changed or deleted. nguoi_mua, when sent, replaces the buyer.
+   * @param {number} id - Invoice ID
+   * @param {Object} data - { ly_do, nguoi_mua }
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Replacement invoice (see get)
+   * @throws {AppError} 400 BUYER_INFO_INCOMPLETE, 404 INVOICE_NOT_FOUND,
+   *   409 EINVOICE_NOT_ISSUED, EINVOICE_REPLACED or EINVOICE_NOT_CORRECTABLE
+   */
+  static async replace(id, data, origin) {
+    const buyer = data.nguoi_mua ? assertBuyer(buyerColumns(data.nguoi_mua)) : null;
+    return await InvoiceModel.replace(id, { ly_do: String(data.ly_do).trim(), buyer }, currentSeries(), origin.actor);
+  }
+
+  /**
+   * Adjust the quantities of an issued e-invoice with an adjustment invoice:
+   * mon lists { id_chi_tiet, so_luong } where so_luong is added (positive) or
+   * taken off (negative), counting the earlier adjustments. Discount and
+   * service charge follow the goods of each VAT rate and the tax is worked out
+   * again per rate; taking off every dish also takes off the delivery fee.
+   * Cancelling an issued invoice is an adjustment taking off every dish.
+   * @param {number} id - Invoice ID
+   * @param {Object} data - { ly_do, mon }
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Adjustment invoice (see get), amounts negative when they go down
+   * @throws {AppError} 400 INVALID_ADJUSTMENT (errors lists each problem), 404 INVOICE_NOT_FOUND,
+   *   409 EINVOICE_NOT_ISSUED, EINVOICE_REPLACED or EINVOICE_NOT_CORRECTABLE
+   */
+  static async adjust(id, data, origin) {
+    const buildAdjustment = (invoice, lines, earlier) => this.adjustment(invoice, lines, earlier, data.mon);
+    return await InvoiceModel.adjust(id, buildAdjustment, String(data.ly_do).trim(), currentSeries(), origin.actor);
+  }
+
+  /**
+   * Amounts of an adjustment: each amount is its value after the change less
+   * its value before, so successive adjustments add up without rounding drift
+   * @private
+   */
+  static adjustment(invoice, lines, earlier, changes) {
+    const errors = [];
+    const byId = new Map(lines.map(line => [line.id, line]));
+
+    // Quantities after the earlier adjustments, then after this one
+    const before = new Map(lines.map(line => [line.id, line.so_luong]));
+    earlier.chi_tiet.forEach(line => {
+      if (before.has(line.id_chi_tiet_goc)) {
+        before.set(line.id_chi_tiet_goc, before.get(line.id_chi_tiet_goc) + line.so_luong);
+      }
+    });
+    const after = new Map(before);
+
+    (Array.isArray(changes) ? changes : []).forEach(change => {
+      const line = byId.get(parseInt(change.id_chi_tiet));
+      const delta = parseInt(change.so_luong);
+      if (!line) {
+        errors.push(`Dòng #${change.id_chi_tiet} không thuộc hóa đơn`);
+        return;
+      }
+      if (after.get(line.id) !== before.get(line.id)) {
+        errors.push(`"${line.ten_mon}" được điều chỉnh nhiều lần`);
+        return;
+      }
+      if (!Number.isInteger(delta) || delta === 0) {
+        errors.push(`Số lượng điều chỉnh "${line.ten_mon}" phải là số nguyên khác 0`);
+        return;
+      }
+
+      const quantity = before.get(line.id) + delta;
+      if (quantity < 0) {
+        errors.push(`"${line.ten_mon}" chỉ còn ${before.get(line.id)} phần, không thể giảm ${-delta} phần`);
+      } else if (quantity > invoiceConfig.maxLineQuantity) {
+        errors.push(`"${line.ten_mon}" không được quá ${invoiceConfig.maxLineQuantity} phần`);
+      } else {
+        after.set(line.id, quantity);
+      }
+    });
+    const changed = lines.filter(line => after.get(line.id) !== before.get(line.id));
+    if (errors.length === 0 && changed.length === 0) errors.push('Chưa có món nào được điều chỉnh');
+    if (errors.length > 0) throw adjustmentError(errors);
+
+    const rateOf = (line) => Number(line.thue_suat !== null ? line.thue_suat : invoice.ty_le_vat);
+    const goods = (quantities, rate) => lines
+      .filter(line => rate === undefined || rateOf(line) === rate)
+      .reduce((total, line) => total + Number(line.don_gia) * quantities.get(line.id), 0);
+    const scale = (value, base, now) => (base > 0 ? roundVnd(Number(value) * now / base) : 0);
+
+    const groups = taxSummary(invoice)
+      .map(group => {
+        const rate = Number(group.thue_suat);
+        const amounts = (quantities) => {
+          const subtotal = goods(quantities, rate);
+          const discount = scale(group.giam_gia, Number(group.tien_hang), subtotal);
+          const serviceCharge = scale(group.phi_dich_vu, Number(group.tien_hang), subtotal);
+          const amount = subtotal - discount + serviceCharge;
+          return {
+            tien_hang: subtotal,
+            giam_gia: discount,
+            phi_dich_vu: serviceCharge,
+            thanh_tien: amount,
+            tien_thue: roundVnd(amount * rate / 100)
+          };
+        };
+        const from = amounts(before);
+        const to = amounts(after);
+        const change = { thue_suat: group.thue_suat };
+        SUMMARY_FIELDS.forEach(field => {
+          change[field] = to[field] - from[field];
+        });
+        return change;
+      })
+      .filter(group => SUMMARY_FIELDS.some(field => group[field] !== 0));
+
+    const subtotal = Number(invoice.tam_tinh);
+    const promotion = scale(invoice.giam_gia_khuyen_mai, subtotal, goods(after)) -
+      scale(invoice.giam_gia_khuyen_mai, subtotal, goods(before));
+    const deliveryLeft = Number(invoice.phi_giao_hang) +
+      earlier.hoa_don.reduce((total, row) => total + Number(row.phi_giao_hang), 0);
+    const delivery = lines.every(line => after.get(line.id) === 0) ? -deliveryLeft : 0;
+
+    return {
+      tam_tinh: sumOf(groups, 'tien_hang'),
+      giam_gia: sumOf(groups, 'giam_gia'),
+      giam_gia_khuyen_mai: promotion,
+      phi_dich_vu: sumOf(groups, 'phi_dich_vu'),
+      thue_vat: sumOf(groups, 'tien_thue'),
+      tong_hop_thue: groups,
+      phi_giao_hang: delivery,
+      tong_cong: sumOf(groups, 'thanh_tien') + sumOf(groups, 'tien_thue') + delivery,
+      chi_tiet: changed.map(line => {
+        const delta = after.get(line.id) - before.get(line.id);
+        return {
+          id_chi_tiet_goc: line.id,
+          id_mon: line.id_mon,
+          ten_mon: line.ten_mon,
+          don_gia: line.don_gia,
+          so_luong: delta,
+          thanh_tien: Number(line.don_gia) * delta,
+          thue_suat: rateOf(line)
+        };
+      })
+    };
+  }
+
+  /**
+   * Record a payment, one of several that may settle an invoice
+   * @param {number} id - Invoice ID
+   * @param {Object} data - { so_tien, phuong_thuc, ma_giao_dich, ghi_chu }
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Updated invoice (see get)
+   * @throws {AppError} 400 INVALID_PAYMENT_METHOD or OVERPAYMENT, 404 INVOICE_NOT_FOUND, 409 INVOICE_NOT_PAYABLE
+   */
+  static async addPayment(id, data, origin) {
+    if (!invoiceConfig.paymentMethods.includes(data.phuong_thuc)) {
+      throw new AppError(`Hình thức thanh toán phải là một trong: ${invoiceConfig.paymentMethods.join(', ')}`, 400, 'INVALID_PAYMENT_METHOD');
+    }
+
+    return await InvoiceModel.addPayment(id, {
+      so_tien: parseInt(data.so_tien),
+      phuong_thuc: data.phuong_thuc,
+      ma_giao_dich: data.ma_giao_dich ? String(data.ma_giao_dich).trim() : null,
+      ghi_chu: data.ghi_chu ? String(data.ghi_chu).trim() : null,
+      nguoi_thu: origin.actor
+    });
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,283 @@
+// Kitchen Service - Kitchen display stations, ticket routing and preparation timing
+const KitchenStationModel = require('../models/KitchenStationModel');
+const KitchenTicketModel = require('../models/KitchenTicketModel');
+const CategoryModel = require('../models/CategoryModel');
+const FoodModel = require('../models/FoodModel');
+const RealtimeService = require('./RealtimeService');
+const OpeningHoursService = require('./OpeningHoursService');
+const { AppError } = require('../middleware/errorHandler');
+const kitchenConfig = require('../config/kitchen');
+
+// Allowed moves of a ticket. A dish that needs no cooking (a drink poured at
+// the bar) may go straight from queued to ready.
+const TRANSITIONS = {
+  cho_che_bien: ['dang_nau', 'san_sang'],
+  dang_nau: ['san_sang'],
+  san_sang: ['da_phuc_vu']
+};
+
+// Column stamped when a ticket reaches a status
+const TIMESTAMP_COLUMNS = {
+  dang_nau: 'bat_dau_luc',
+  san_sang: 'san_sang_luc',
+  da_phuc_vu: 'phuc_vu_luc'
+};
+
+const STATUS_LABELS = {
+  cho_che_bien: 'chờ chế biến',
+  dang_nau: 'đang nấu',
+  san_sang: 'sẵn sàng',
+  da_phuc_vu: 'đã phục vụ',
+  da_huy: 'đã hủy'
+};
+
+class KitchenService {
+  /**
+   * Stations with their open ticket counts
+   * @returns {Promise<Array>} Stations
+   */
+  static async getStations() {
+    return await KitchenStationModel.getAll();
+  }
+
+  /**
+   * A station by ID
+   * @param {number} id - Station ID
+   * @returns {Promise<Object>} tram_bep row
+   * @throws {AppError} 404 STATION_NOT_FOUND
+   */
+  static async getStation(id) {
+    const station = await KitchenStationModel.getById(id);
+    if (!station) {
+      throw new AppError('Không tìm thấy trạm bếp', 404, 'STATION_NOT_FOUND');
+    }
+    return station;
+  }
+
+  /**
+   * Add a station
+   * @param {Object} data - { ma, ten, thu_tu }
+   * @returns {Promise<Object>} Created station
+   * @throws {AppError} 409 STATION_CODE_TAKEN
+   */
+  static async createStation(data) {
+    const code = String(data.ma).trim();
+    if (await KitchenStationModel.getByCode(code)) {
+      throw new AppError(`Mã trạm "${code}" đã tồn tại`, 409, 'STATION_CODE_TAKEN');
+    }
+
+    return await KitchenStationModel.create({
+      ma: code,
+      ten: String(data.ten).trim(),
+      thu_tu: data.thu_tu !== undefined ? parseInt(data.thu_tu) : 0
+    });
+  }
+
+  /**
+   * Rename, reorder or switch off a station. Dishes routed to an inactive
+   * station go to the default station, which cannot be switched off.
+   * @param {number} id - Station ID
+   * @param {Object} data - { ten, thu_tu, trang_thai }
+   * @returns {Promise<Object>} Updated station
+   * @throws {AppError} 404 STATION_NOT_FOUND, 409 DEFAULT_STATION_REQUIRED
+   */
+  static async updateStation(id, data) {
+    const station = await this.getStation(id);
+    if (data.trang_thai === 'inactive' && station.ma === kitchenConfig.defaultStation) {
+      throw new AppError(`Không thể tắt trạm mặc định "${station.ten}"`, 409, 'DEFAULT_STATION_REQUIRED');
+    }
+
+    return await KitchenStationModel.update(id, {
+      ten: data.ten !== undefined ? String(data.ten).trim() : undefined,
+      thu_tu: data.thu_tu !== undefined ? parseInt(data.thu_tu) : undefined,
+      trang_thai: data.trang_thai
+    });
+  }
+
+  /**
+   * Which categories and dishes go to which station
+   * @returns {Promise<Object>} { tram_mac_dinh, phan_cong }
+   */
+  static async getRouting() {
+    return {
+      tram_mac_dinh: kitchenConfig.defaultStation,
+      phan_cong: await KitchenStationModel.getRouting()
+    };
+  }
+
+  /**
+   * Replace the categories and dishes routed to a station. A dish routed on
+   * its own wins over its category. New tickets follow the new routing;
+   * tickets already on a display stay where they are.
+   * @param {number} id - Station ID
+   * @param {Object} routing - { id_loai: [], id_mon: [] }
+   * @returns {Promise<Object>} Routing of all stations (see getRouting)
+   * @throws {AppError} 404 STATION_NOT_FOUND, 400 CATEGORY_NOT_FOUND or FOOD_NOT_FOUND
+   */
+  static async setRouting(id, routing) {
+    await this.getStation(id);
+
+    const categoryIds = [...new Set((routing.id_loai || []).map(Number))];
+    const dishIds = [...new Set((routing.id_mon || []).map(Number))];
+
+    if (categoryIds.length > 0) {
+      const known = new Set((await CategoryModel.getAll()).map(category => category.id_loai));
+      const missing = categoryIds.filter(categoryId => !known.has(categoryId));
+      if (missing.length > 0) {
+        throw new AppError(`Loại món không tồn tại: ${missing.join(', ')}`, 400, 'CATEGORY_NOT_FOUND');
+      }
+    }
+    if (dishIds.length > 0) {
+      const known = new Set((await FoodModel.getByIds(dishIds)).map(food => food.id_mon));
+      const missing = dishIds.filter(dishId => !known.has(dishId));
+      if (missing.length > 0) {
+        throw new AppError(`Món không tồn tại: ${missing.join(', ')}`, 400, 'FOOD_NOT_FOUND');
+      }
+    }
+
+    await KitchenStationModel.setRouting(id, { id_loai: categoryIds, id_mon: dishIds });
+    return await this.getRouting();
+  }
+
+  /**
+   * Tickets for a display or the pass, oldest first
+   * @param {Object} filters - { id_tram, id_don, trang_thai: [] } (default: still on a display)
+   * @returns {Promise<Array>} Tickets with tre set when waiting too long
+   */
+  static async getTickets(filters = {}) {
+    const tickets = await KitchenTicketModel.getAll(filters);
+    return tickets.map(ticket => this.decorate(ticket));
+  }
+
+  /**
+   * A ticket by ID
+   * @param {number} id - Ticket ID
+   * @returns {Promise<Object>} Ticket
+   * @throws {AppError} 404 TICKET_NOT_FOUND
+   */
+  static async getTicket(id) {
+    const ticket = await KitchenTicketModel.getById(id);
+    if (!ticket) {
+      throw new AppError('Không tìm thấy phiếu bếp', 404, 'TICKET_NOT_FOUND');
+    }
+    return this.decorate(ticket);
+  }
+
+  /**
+   * Move a ticket along queued → cooking → ready → served and push the
+   * change to the station display
+   * @param {number} id - Ticket ID
+   * @param {string} status - New status
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Updated ticket
+   * @throws {AppError} 404 TICKET_NOT_FOUND, 409 INVALID_TICKET_TRANSITION or TICKET_CHANGED
+   */
+  static async advance(id, status, origin) {
+    const before = await this.getTicket(id);
+    if (!(TRANSITIONS[before.trang_thai] || []).includes(status)) {
+      throw new AppError(
+        `Phiếu đang ${STATUS_LABELS[before.trang_thai]}, không thể chuyển sang ${STATUS_LABELS[status] || status}`,
+        409,
+        'INVALID_TICKET_TRANSITION'
+      );
+    }
+
+    const applied = await KitchenTicketModel.advance(id, before.trang_thai, status, TIMESTAMP_COLUMNS[status], origin.actor);
+    if (!applied) {
+      throw new AppError('Phiếu vừa được cập nhật ở nơi khác, vui lòng tải lại', 409, 'TICKET_CHANGED');
+    }
+
+    const after = await this.getTicket(id);
+    RealtimeService.publishKitchen('doi_trang_thai', before, after);
+    return after;
+  }
+
+  /**
+   * Push the tickets of order lines to the station displays after an order change
+   * @param {string} type - phieu_moi, cap_nhat or huy
+   * @param {Array<number>} lineIds - don_hang_mon IDs
+   */
+  static async notifyLines(type, lineIds) {
+    const tickets = await KitchenTicketModel.getByLines(lineIds);
+    tickets
+      // Served dishes stay served when their line is voided afterwards
+      .filter(ticket => type !== 'huy' || ticket.trang_thai === 'da_huy')
+      .forEach(ticket => RealtimeService.publishKitchen(type, null, this.decorate(ticket)));
+  }
+
+  /**
+   * Push the open tickets of an order again, after it moved table or took in other orders
+   * @param {number} orderId - Order ID
+   */
+  static async notifyOrder(orderId) {
+    const tickets = await this.getTickets({ id_don: orderId });
+    tickets.forEach(ticket => RealtimeService.publishKitchen('cap_nhat', null, ticket));
+  }
+
+  /**
+   * Average preparation time per dish, slowest first, with a summary per
+   * station to spot bottlenecks. Only tickets that went through cooking count.
+   * @param {Object} filters - { tu_ngay, den_ngay, id_tram } (default: the last prepTimeDays days)
+   * @returns {Promise<Object>} { tu_ngay, den_ngay, mon, tram } with times in seconds
+   */
+  static async getPrepTimes(filters = {}) {
+    const today = new Date();
+    const from = filters.tu_ngay ||
+      OpeningHoursService.formatLocalDate(new Date(today.getTime() - (kitchenConfig.prepTimeDays - 1) * 24 * 60 * 60 * 1000));
+    const to = filters.den_ngay || OpeningHoursService.formatLocalDate(today);
+    if (to < from) {
+      throw new AppError('Ngày kết thúc phải sau ngày bắt đầu', 400, 'INVALID_DATE_RANGE');
+    }
+
+    const rows = await KitchenTicketModel.getPrepTimes({ tu_ngay: from, den_ngay: to, id_tram: filters.id_tram });
+    const dishes = rows.map(row => ({
+      ...row,
+      so_phieu: Number(row.so_phieu),
+      so_phan: Number(row.so_phan),
+      che_bien_tb_giay: Number(row.che_bien_tb_giay),
+      che_bien_max_giay: Number(row.che_bien_max_giay),
+      cho_tb_giay: Number(row.cho_tb_giay),
+      tong_tb_giay: Number(row.tong_tb_giay)
+    }));
+
+    // Per station, weighted by the number of tickets of each dish
+    const stations = new Map();
+    dishes.forEach(dish => {
+      if (!stations.has(dish.id_tram)) {
+        stations.set(dish.id_tram, { id_tram: dish.id_tram, ten_tram: dish.ten_tram, so_phieu: 0, che_bien: 0, cho: 0 });
+      }
+      const station = stations.get(dish.id_tram);
+      station.so_phieu += dish.so_phieu;
+      station.che_bien += dish.che_bien_tb_giay * dish.so_phieu;
+      station.cho += dish.cho_tb_giay * dish.so_phieu;
+    });
+
+    return {
+      tu_ngay: from,
+      den_ngay: to,
+      mon: dishes,
+      tram: [...stations.values()]
+        .map(station => ({
+          id_tram: station.id_tram,
+          ten_tram: station.ten_tram,
+          so_phieu: station.so_phieu,
+          che_bien_tb_giay: Math.round(station.che_bien / station.so_phieu),
+          cho_tb_giay: Math.round(station.cho / station.so_phieu)
+        }))
+        .sort((a, b) => b.che_bien_tb_giay - a.che_bien_tb_giay)
+    };
+  }
+
+  /**
+   * Flag tickets that have waited too long for the kitchen
+   * @private
+   */
+  static decorate(ticket) {
+    return {
+      ...ticket,
+      tre: ['cho_che_bien', 'dang_nau'].includes(ticket.trang_thai) && ticket.cho_giay > kitchenConfig.lateMinutes * 60
+    };
+  }
+}
+
+module.exports = KitchenService;
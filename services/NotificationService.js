@@ -0,0 +1,188 @@
+// Notification Service - Reservation confirmations, status notices and reminders
+const { executeQuery } = require('../config/database');
+const TableModel = require('../models/TableModel');
+const NotificationModel = require('../models/NotificationModel');
+const EmailChannel = require('./notification/EmailChannel');
+const { SmsChannel, createSmsProvider } = require('./notification/SmsChannel');
+const templates = require('./notification/templates');
+const notificationConfig = require('../config/notification');
+const { signManageToken, getReservationStart } = require('../utils/reservationToken');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Reservation statuses that still get a reminder before the booking
+const REMINDER_STATUSES = ['cho_xac_nhan', 'da_xac_nhan'];
+
+class NotificationService {
+  static channels = null;
+  static reminderTimer = null;
+
+  /**
+   * Channels enabled in the configuration, created on first use
+   * @returns {Array<Object>} Channels with name, canSend(recipient), send(recipient, message)
+   */
+  static getChannels() {
+    if (!this.channels) {
+      const factories = {
+        email: () => new EmailChannel(notificationConfig.email),
+        sms: () => new SmsChannel(createSmsProvider(notificationConfig.sms))
+      };
+
+      this.channels = notificationConfig.channels
+        .filter(name => factories[name])
+        .map(name => factories[name]());
+    }
+    return this.channels;
+  }
+
+  /**
+   * Plug in a channel, replacing any channel with the same name
+   * @param {Object} channel - { name, canSend(recipient), send(recipient, message) }
+   */
+  static registerChannel(channel) {
+    this.channels = this.getChannels().filter(item => item.name !== channel.name).concat(channel);
+  }
+
+  /**
+   * Render a template and deliver it on every channel that can reach the guest.
+   * Each attempt is logged in thong_bao; failures never throw.
+   * @param {string} type - Template name
+   * @param {Object} reservation - dat_ban row with ban
+   * @returns {Promise<Array>} Delivery results
+   */
+  static async dispatch(type, reservation) {
+    const message = templates.render(type, reservation, this.getContext(reservation));
+    if (!message) return [];
+
+    const recipient = { email: reservation.email, phone: reservation.sdt };
+    const results = [];
+
+    for (const channel of this.getChannels()) {
+      if (!channel.canSend(recipient)) continue;
+
+      const log = {
+        id_datban: reservation.id_datban,
+        loai: type,
+        kenh: channel.name,
+        nguoi_nhan: channel.name === 'email' ? recipient.email : recipient.phone,
+        tieu_de: message.subject,
+        noi_dung: channel.name === 'sms' ? message.sms : message.text
+      };
+
+      try {
+        await channel.send(recipient, message);
+        results.push({ ...log, trang_thai: 'da_gui' });
+      } catch (error) {
+        logger.warn(`⚠️ Gửi thông báo ${type} qua ${channel.name} thất bại: ${error.message}`);
+        results.push({ ...log, trang_thai: 'loi', loi: error.message });
+      }
+
+      try {
+        await NotificationModel.create(results[results.length - 1]);
+      } catch (error) {
+        logger.error('Error logging notification:', error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Send a one-off SMS outside the reservation templates, e.g. a verification code
+   * @param {string} phone - Phone number
+   * @param {string} text - Message
+   * @returns {Promise<Object>} { to, id }
+   * @throws {AppError} 503 SMS_UNAVAILABLE when the SMS channel is off
+   */
+  static async sendSms(phone, text) {
+    const channel = this.getChannels().find(item => item.name === 'sms');
+    if (!channel) {
+      throw new AppError('Chưa bật kênh gửi SMS', 503, 'SMS_UNAVAILABLE');
+    }
+    return await channel.send({ phone }, { sms: text });
+  }
+
+  /**
+   * Notify the guest about a status transition. A new booking (no previous
+   * status) gets the booking confirmation; a booking waiting for its deposit
+   * gets the payment request from DepositService instead. Runs in the
+   * background so SMTP or SMS latency never slows down the API.
+   * @param {number} id - Reservation ID
+   * @param {string|null} from - Previous status
+   * @param {string} to - New status
+   */
+  static notifyStatusChange(id, from, to) {
+    let type = to;
+    if (from === null) type = to === 'cho_thanh_toan' ? null : 'xac_nhan_dat_ban';
+    if (from === 'cho_thanh_toan' && to === 'cho_xac_nhan') type = 'da_nhan_coc';
+    if (!type) return;
+
+    this.loadReservation(id)
+      .then(reservation => (reservation ? this.dispatch(type, reservation) : []))
+      .catch(error => logger.error('Error sending status notification:', error));
+  }
+
+  /**
+   * Send reminders for reservations starting within the reminder window
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { checked, sent }
+   */
+  static async sendDueReminders(now = new Date()) {
+    const until = new Date(now.getTime() + notificationConfig.reminderHoursBefore * 60 * 60 * 1000);
+    const due = await NotificationModel.getReservationsDueForReminder(now, until, REMINDER_STATUSES);
+
+    let sent = 0;
+    for (const row of due) {
+      const reservation = { ...row, ban: await TableModel.getByReservation(row.id_datban) };
+      const results = await this.dispatch('nhac_lich', reservation);
+      if (results.some(result => result.trang_thai === 'da_gui')) sent++;
+    }
+
+    return { checked: due.length, sent };
+  }
+
+  /**
+   * Periodically send due reminders while the server runs
+   */
+  static startReminderScheduler() {
+    if (this.reminderTimer) return;
+
+    const interval = notificationConfig.reminderIntervalMinutes * 60 * 1000;
+    this.reminderTimer = setInterval(() => {
+      this.sendDueReminders().catch(error => logger.error('Error sending reminders:', error));
+    }, interval);
+    this.reminderTimer.unref();
+
+    logger.info(`⏰ Reservation reminders scheduled every ${notificationConfig.reminderIntervalMinutes} minutes`);
+  }
+
+  /**
+   * Load a reservation with its tables
+   * @private
+   */
+  static async loadReservation(id) {
+    const result = await executeQuery('SELECT * FROM dat_ban WHERE id_datban = ?', [id]);
+    if (!result.success || result.data.length === 0) return null;
+    return { ...result.data[0], ban: await TableModel.getByReservation(id) };
+  }
+
+  /**
+   * Values shared by all templates
+   * @private
+   */
+  static getContext(reservation) {
+    let manageLink = null;
+
+    // Manage links expire when the booking starts
+    if (notificationConfig.manageUrl && new Date() < getReservationStart(reservation)) {
+      manageLink = `${notificationConfig.manageUrl}?token=${signManageToken(reservation).token}`;
+    }
+
+    return {
+      restaurantName: notificationConfig.restaurantName,
+      manageLink
+    };
+  }
+}
+
+module.exports = NotificationService;
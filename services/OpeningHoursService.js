@@ -0,0 +1,196 @@
+// Opening Hours Service - Resolve the reservation calendar for a date
+const OpeningHoursModel = require('../models/OpeningHoursModel');
+const reservationConfig = require('../config/reservation');
+const { toMinutes, fromMinutes, overlaps } = require('../utils/reservationTime');
+
+const WEEKDAY_NAMES = ['Chủ nhật', 'Thứ hai', 'Thứ ba', 'Thứ tư', 'Thứ năm', 'Thứ sáu', 'Thứ bảy'];
+
+class OpeningHoursService {
+  /**
+   * Weekday of a date string (0 = Chủ nhật)
+   * @param {string} ngay - Date in YYYY-MM-DD format
+   * @returns {number} Weekday index
+   */
+  static getWeekday(ngay) {
+    const [year, month, day] = ngay.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+
+  /**
+   * Build the schedule of one date from weekly hours and special dates.
+   * - su_kien with hours replaces the regular services of the day
+   * - nghi_le / bao_tron without hours close the whole day
+   * - nghi_le / bao_tron with hours block that part of the day
+   * @param {string} ngay - Date in YYYY-MM-DD format
+   * @param {Array} weeklyHours - gio_mo_cua rows of that weekday
+   * @param {Array} specialDates - ngay_dac_biet rows of that date
+   * @returns {Object} Resolved schedule
+   */
+  static resolveDay(ngay, weeklyHours, specialDates) {
+    const thu = this.getWeekday(ngay);
+
+    let services = weeklyHours
+      .filter(row => row.thu === thu && row.trang_thai === 'active')
+      .map(row => ({
+        ten_ca: row.ten_ca,
+        start: toMinutes(row.gio_mo),
+        end: toMinutes(row.gio_dong),
+        lastSeating: row.gio_nhan_khach_cuoi ? toMinutes(row.gio_nhan_khach_cuoi) : null
+      }));
+
+    const events = specialDates.filter(row => row.loai === 'su_kien' && row.gio_bat_dau && row.gio_ket_thuc);
+    if (events.length > 0) {
+      services = events.map(row => ({
+        ten_ca: row.ten,
+        start: toMinutes(row.gio_bat_dau),
+        end: toMinutes(row.gio_ket_thuc),
+        lastSeating: null
+      }));
+    }
+
+    const closures = specialDates.filter(row => row.loai !== 'su_kien');
+    const fullDayClosure = closures.find(row => !row.gio_bat_dau || !row.gio_ket_thuc);
+    const blackouts = closures
+      .filter(row => row.gio_bat_dau && row.gio_ket_thuc)
+      .map(row => ({
+        loai: row.loai,
+        ten: row.ten,
+        start: toMinutes(row.gio_bat_dau),
+        end: toMinutes(row.gio_ket_thuc)
+      }));
+
+    services.sort((a, b) => a.start - b.start);
+
+    let reason = null;
+    if (fullDayClosure) {
+      reason = fullDayClosure.loai === 'bao_tron'
+        ? `Nhà hàng được bao trọn ngày ${ngay} (${fullDayClosure.ten})`
+        : `Nhà hàng nghỉ ngày ${ngay} (${fullDayClosure.ten})`;
+    } else if (services.length === 0) {
+      reason = `Nhà hàng không mở cửa vào ${WEEKDAY_NAMES[thu]}`;
+    }
+
+    return {
+      ngay,
+      thu,
+      ten_thu: WEEKDAY_NAMES[thu],
+      closed: !!reason,
+      reason,
+      services: fullDayClosure ? [] : services,
+      blackouts,
+      specialDates
+    };
+  }
+
+  /**
+   * Load and resolve the schedule of one date
+   * @param {string} ngay - Date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Resolved schedule
+   */
+  static async getDaySchedule(ngay) {
+    const weeklyHours = await OpeningHoursModel.getWeeklyHours(this.getWeekday(ngay));
+    const specialDates = await OpeningHoursModel.getSpecialDates({ from: ngay, to: ngay });
+
+    return this.resolveDay(ngay, weeklyHours, specialDates);
+  }
+
+  /**
+   * Check a seating window against a resolved schedule
+   * @param {Object} schedule - Resolved schedule
+   * @param {string} gio - Start time (HH:MM)
+   * @param {number} duration - Seating duration (minutes)
+   * @returns {string|null} Error message or null when the slot is open
+   */
+  static checkSlot(schedule, gio, duration) {
+    if (schedule.closed) return schedule.reason;
+
+    const start = toMinutes(gio);
+    const end = start + duration;
+
+    const service = schedule.services.find(item => {
+      const lastSeating = item.lastSeating !== null ? item.lastSeating : item.end - duration;
+      return start >= item.start && start <= lastSeating;
+    });
+
+    if (!service) {
+      const hours = schedule.services
+        .map(item => `${item.ten_ca} ${fromMinutes(item.start)} - ${fromMinutes(item.lastSeating !== null ? item.lastSeating : item.end - duration)}`)
+        .join(', ');
+      return `Giờ đặt bàn phải trong khung nhận khách: ${hours}`;
+    }
+
+    const blackout = schedule.blackouts.find(item => overlaps(start, end, item.start, item.end));
+    if (blackout) {
+      return `Khung giờ ${fromMinutes(blackout.start)} - ${fromMinutes(blackout.end)} không nhận đặt bàn (${blackout.ten})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * All bookable start times of a schedule for a seating duration
+   * @param {Object} schedule - Resolved schedule
+   * @param {number} duration - Seating duration (minutes)
+   * @returns {Array<string>} Start times in HH:MM format
+   */
+  static getSlotTimes(schedule, duration) {
+    const interval = reservationConfig.slotIntervalMinutes;
+    const now = new Date();
+    const isToday = schedule.ngay === this.formatLocalDate(now);
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const times = [];
+
+    schedule.services.forEach(service => {
+      for (let minute = service.start; minute <= service.end; minute += interval) {
+        const time = fromMinutes(minute);
+        if (isToday && minute <= nowMinutes) continue;
+        if (!times.includes(time) && !this.checkSlot(schedule, time, duration)) {
+          times.push(time);
+        }
+      }
+    });
+
+    return times;
+  }
+
+  /**
+   * Validate the date/time of a reservation against the calendar
+   * @param {Object} data - Reservation data (ngay, gio, so_luong_khach, thoi_luong)
+   * @param {number} duration - Seating duration (minutes)
+   * @param {number} horizonDays - How far ahead the date may be (recurring series book further out)
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  static async validateReservation(data, duration, horizonDays = reservationConfig.bookingHorizonDays) {
+    const errors = [];
+
+    const maxDate = new Date();
+    maxDate.setDate(maxDate.getDate() + horizonDays);
+    if (data.ngay > this.formatLocalDate(maxDate)) {
+      errors.push(`Chỉ có thể đặt bàn trong vòng ${horizonDays} ngày tới`);
+      return errors;
+    }
+
+    const schedule = await this.getDaySchedule(data.ngay);
+    const slotError = this.checkSlot(schedule, data.gio, duration);
+    if (slotError) {
+      errors.push(slotError);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Format a Date as local YYYY-MM-DD
+   * @param {Date} date - Date object
+   * @returns {string} Date string
+   */
+  static formatLocalDate(date) {
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+}
+
+module.exports = OpeningHoursService;
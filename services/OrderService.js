@@ -0,0 +1,343 @@
+// Order Service - Dine-in, takeaway and delivery orders, open until they are closed into an invoice
+const OrderModel = require('../models/OrderModel');
+const TableModel = require('../models/TableModel');
+const ReservationService = require('./ReservationService');
+const KitchenService = require('./KitchenService');
+const DeliveryService = require('./DeliveryService');
+const { AppError } = require('../middleware/errorHandler');
+const invoiceConfig = require('../config/invoice');
+
+// Delivery lifecycle by order type. A takeaway is handed over at the counter;
+// a failed delivery can be sent out again.
+const DELIVERY_TRANSITIONS = {
+  mang_di: {
+    dang_chuan_bi: ['da_giao']
+  },
+  giao_hang: {
+    dang_chuan_bi: ['dang_giao'],
+    dang_giao: ['da_giao', 'giao_that_bai'],
+    giao_that_bai: ['dang_giao']
+  }
+};
+
+const DELIVERY_STATUS_LABELS = {
+  dang_chuan_bi: 'đang chuẩn bị',
+  dang_giao: 'đang giao',
+  da_giao: 'đã giao',
+  giao_that_bai: 'giao thất bại'
+};
+
+// Statuses the order leaves the kitchen with
+const LEAVES_KITCHEN = ['dang_giao', 'da_giao'];
+
+class OrderService {
+  /**
+   * An order with all its lines and running subtotal of the active ones
+   * @param {number} id - Order ID
+   * @returns {Promise<Object>} Order with mon and tam_tinh
+   * @throws {AppError} 404 ORDER_NOT_FOUND
+   */
+  static async get(id) {
+    const order = await OrderModel.getById(id);
+    if (!order) {
+      throw new AppError('Không tìm thấy đơn hàng', 404, 'ORDER_NOT_FOUND');
+    }
+
+    const tamTinh = order.mon
+      .filter(line => line.trang_thai === 'hoat_dong')
+      .reduce((total, line) => total + Number(line.don_gia) * line.so_luong, 0);
+
+    return { ...order, tam_tinh: tamTinh };
+  }
+
+  /**
+   * Open an order. A dine-in order needs an active table without another open
+   * order; when it comes from a reservation the table and guest details are
+   * taken from the booking unless given. A delivery order needs a phone, an
+   * address inside a delivery zone and the zone's minimum order; its fee is
+   * fixed here. Takeaway and delivery orders get a promised time from the
+   * kitchen load and start as dang_chuan_bi.
+   * @param {Object} data - { loai, id_ban, id_datban, ten_khach, sdt, so_khach, ghi_chu, mon },
+   *   and for delivery { dia_chi_giao, quan_huyen, vi_do, kinh_do }
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Created order (see get)
+   * @throws {AppError} 400 TABLE_REQUIRED, PHONE_REQUIRED, ADDRESS_REQUIRED, ORDER_EMPTY,
+   *   OUTSIDE_DELIVERY_AREA or BELOW_MINIMUM_ORDER, 404 TABLE_NOT_FOUND or RESERVATION_NOT_FOUND,
+   *   409 TABLE_INACTIVE or TABLE_HAS_OPEN_ORDER
+   */
+  static async create(data, origin) {
+    const order = {
+      loai: data.loai || 'tai_ban',
+      id_ban: data.id_ban ? parseInt(data.id_ban) : null,
+      id_datban: data.id_datban ? parseInt(data.id_datban) : null,
+      ten_khach: data.ten_khach ? String(data.ten_khach).trim() : null,
+      sdt: data.sdt ? String(data.sdt).trim() : null,
+      so_khach: data.so_khach ? parseInt(data.so_khach) : null,
+      ghi_chu: data.ghi_chu ? String(data.ghi_chu).trim() : null,
+      nguoi_tao: origin.actor
+    };
+
+    if (order.id_datban) {
+      const reservation = await ReservationService.loadSnapshot(order.id_datban);
+      if (!reservation) {
+        throw new AppError('Không tìm thấy đặt bàn', 404, 'RESERVATION_NOT_FOUND');
+      }
+      order.ten_khach = order.ten_khach || reservation.ten_khach;
+      order.sdt = order.sdt || reservation.sdt;
+      order.so_khach = order.so_khach || reservation.so_luong_khach;
+      if (!order.id_ban && order.loai === 'tai_ban' && reservation.ban.length > 0) {
+        order.id_ban = reservation.ban[0].id_ban;
+      }
+    }
+
+    if (order.loai === 'tai_ban') {
+      if (!order.id_ban) {
+        throw new AppError('Đơn tại bàn phải chọn bàn', 400, 'TABLE_REQUIRED');
+      }
+
+      const table = await TableModel.getById(order.id_ban);
+      if (!table) {
+        throw new AppError('Không tìm thấy bàn', 404, 'TABLE_NOT_FOUND');
+      }
+      if (table.trang_thai !== 'active') {
+        throw new AppError(`Bàn ${table.so_ban} đang ngừng phục vụ`, 409, 'TABLE_INACTIVE');
+      }
+
+      const open = await OrderModel.getOpenByTable(order.id_ban);
+      if (open) {
+        const error = new AppError(`Bàn ${table.so_ban} đang có đơn #${open.id} chưa đóng`, 409, 'TABLE_HAS_OPEN_ORDER');
+        error.errors = [`id_don: ${open.id}`];
+        throw error;
+      }
+    } else {
+      order.id_ban = null;
+      Object.assign(order, await this.prepareDelivery(order, data));
+    }
+
+    const created = await OrderModel.create(order, Array.isArray(data.mon) ? data.mon : []);
+    await KitchenService.notifyLines('phieu_moi', created.mon.map(line => line.id));
+    return await this.get(created.id);
+  }
+
+  /**
+   * Add dishes to an open order at the current menu price; they go straight to the kitchen
+   * @param {number} id - Order ID
+   * @param {Array<Object>} items - { id_mon, so_luong, ghi_chu }
+   * @returns {Promise<Object>} Updated order (see get)
+   */
+  static async addItems(id, items) {
+    const lines = await OrderModel.addItems(id, items);
+    await KitchenService.notifyLines('phieu_moi', lines.map(line => line.id));
+    return await this.get(id);
+  }
+
+  /**
+   * Change quantity or note of a line. The price stays as it was when ordered.
+   * @param {number} id - Order ID
+   * @param {number} lineId - Line ID
+   * @param {Object} changes - { so_luong, ghi_chu }
+   * @returns {Promise<Object>} Updated order (see get)
+   */
+  static async updateItem(id, lineId, changes) {
+    if (changes.so_luong === undefined && changes.ghi_chu === undefined) {
+      throw new AppError('Không có dữ liệu để cập nhật', 400);
+    }
+
+    await OrderModel.updateItem(id, lineId, {
+      so_luong: changes.so_luong !== undefined ? parseInt(changes.so_luong) : undefined,
+      ghi_chu: changes.ghi_chu !== undefined ? (changes.ghi_chu ? String(changes.ghi_chu).trim() : null) : undefined
+    });
+    await KitchenService.notifyLines('cap_nhat', [lineId]);
+    return await this.get(id);
+  }
+
+  /**
+   * Void a line; it stays on the order with who voided it and why
+   * @param {number} id - Order ID
+   * @param {number} lineId - Line ID
+   * @param {Object} origin - { actor, source }
+   * @param {string} reason - Why it was voided
+   * @returns {Promise<Object>} Updated order (see get)
+   */
+  static async voidItem(id, lineId, origin, reason) {
+    await OrderModel.voidItem(id, lineId, { ly_do: reason, nguoi_huy: origin.actor });
+    await KitchenService.notifyLines('huy', [lineId]);
+    return await this.get(id);
+  }
+
+  /**
+   * Cancel an open order without an invoice
+   * @param {number} id - Order ID
+   * @param {Object} origin - { actor, source }
+   * @param {string} reason - Why it was cancelled
+   * @returns {Promise<Object>} Cancelled order (see get)
+   */
+  static async cancel(id, origin, reason) {
+    const before = await this.get(id);
+    await OrderModel.cancel(id, { ly_do: reason, nguoi_huy: origin.actor });
+    await KitchenService.notifyLines(
+      'huy',
+      before.mon.filter(line => line.trang_thai === 'hoat_dong').map(line => line.id)
+    );
+    return await this.get(id);
+  }
+
+  /**
+   * Merge other open orders, usually of tables put together, into this one
+   * @param {number} id - Target order ID
+   * @param {Array<number>} sourceIds - Orders to merge in
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Merged order (see get)
+   * @throws {AppError} 400 INVALID_MERGE, 404 ORDER_NOT_FOUND, 409 ORDER_CLOSED or DELIVERY_ORDER_NOT_MERGEABLE
+   */
+  static async merge(id, sourceIds, origin) {
+    const ids = [...new Set(sourceIds.map(Number))].filter(sourceId => sourceId !== id);
+    if (ids.length === 0) {
+      throw new AppError('Phải chọn ít nhất một đơn khác để gộp', 400, 'INVALID_MERGE');
+    }
+    if (ids.length > invoiceConfig.mergeMaxOrders) {
+      throw new AppError(`Chỉ được gộp tối đa ${invoiceConfig.mergeMaxOrders} đơn một lần`, 400, 'INVALID_MERGE');
+    }
+
+    await OrderModel.merge(id, ids, origin.actor);
+    await KitchenService.notifyOrder(id);
+    return await this.get(id);
+  }
+
+  /**
+   * Move an open order to another free table
+   * @param {number} id - Order ID
+   * @param {number} tableId - Destination table ID
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Moved order (see get)
+   * @throws {AppError} 404 TABLE_NOT_FOUND, 409 TABLE_INACTIVE, TABLE_HAS_OPEN_ORDER or DELIVERY_ORDER_NOT_MOVABLE
+   */
+  static async moveTable(id, tableId, origin) {
+    const table = await TableModel.getById(tableId);
+    if (!table) {
+      throw new AppError('Không tìm thấy bàn', 404, 'TABLE_NOT_FOUND');
+    }
+    if (table.trang_thai !== 'active') {
+      throw new AppError(`Bàn ${table.so_ban} đang ngừng phục vụ`, 409, 'TABLE_INACTIVE');
+    }
+
+    await OrderModel.moveTable(id, tableId, origin.actor);
+    await KitchenService.notifyOrder(id);
+    return await this.get(id);
+  }
+
+  /**
+   * Price and promised time of a takeaway or delivery order before placing it
+   * @param {Object} data - { loai, quan_huyen, vi_do, kinh_do, mon }
+   * @returns {Promise<Object>} Quote (see DeliveryService.quote)
+   */
+  static async quote(data) {
+    return await DeliveryService.quote(data);
+  }
+
+  /**
+   * Move a takeaway or delivery order along its delivery lifecycle. It can
+   * only leave once the kitchen has finished every dish; a failed delivery
+   * needs a reason.
+   * @param {number} id - Order ID
+   * @param {Object} data - { trang_thai_giao, nguoi_giao, ly_do }
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Updated order (see get)
+   * @throws {AppError} 400 REASON_REQUIRED, 409 NOT_DELIVERY_ORDER, ORDER_CLOSED,
+   *   INVALID_DELIVERY_TRANSITION, ORDER_NOT_READY or DELIVERY_STATUS_CHANGED
+   */
+  static async updateDeliveryStatus(id, data, origin) {
+    const order = await this.get(id);
+    const transitions = DELIVERY_TRANSITIONS[order.loai];
+    if (!transitions) {
+      throw new AppError('Đơn tại bàn không có trạng thái giao hàng', 409, 'NOT_DELIVERY_ORDER');
+    }
+    if (!['mo', 'da_dong'].includes(order.trang_thai)) {
+      throw new AppError(`Đơn hàng #${id} đã gộp hoặc đã hủy`, 409, 'ORDER_CLOSED');
+    }
+
+    const from = order.trang_thai_giao || 'dang_chuan_bi';
+    const to = data.trang_thai_giao;
+    if (!(transitions[from] || []).includes(to)) {
+      throw new AppError(
+        `Không thể chuyển đơn từ "${DELIVERY_STATUS_LABELS[from]}" sang "${DELIVERY_STATUS_LABELS[to] || to}"`,
+        409,
+        'INVALID_DELIVERY_TRANSITION'
+      );
+    }
+
+    const reason = data.ly_do ? String(data.ly_do).trim() : null;
+    if (to === 'giao_that_bai' && !reason) {
+      throw new AppError('Phải ghi lý do giao thất bại', 400, 'REASON_REQUIRED');
+    }
+
+    if (LEAVES_KITCHEN.includes(to) && from === 'dang_chuan_bi') {
+      const cooking = await KitchenService.getTickets({ id_don: id, trang_thai: ['cho_che_bien', 'dang_nau'] });
+      if (cooking.length > 0) {
+        const error = new AppError(`Bếp còn ${cooking.length} món chưa xong`, 409, 'ORDER_NOT_READY');
+        error.errors = cooking.map(ticket => `${ticket.ten_mon} x${ticket.so_luong}: ${ticket.trang_thai}`);
+        throw error;
+      }
+    }
+
+    const changed = await OrderModel.setDeliveryStatus(id, from, to, {
+      nguoi_giao: data.nguoi_giao ? String(data.nguoi_giao).trim() : null,
+      ly_do: reason,
+      nguoi_thuc_hien: origin.actor
+    });
+    if (!changed) {
+      throw new AppError('Đơn hàng vừa được người khác cập nhật, vui lòng tải lại', 409, 'DELIVERY_STATUS_CHANGED');
+    }
+
+    return await this.get(id);
+  }
+
+  /**
+   * Merge, move, split and delivery log of an order
+   * @param {number} id - Order ID
+   * @returns {Promise<Array>} Log entries, oldest first
+   */
+  static async getHistory(id) {
+    await this.get(id);
+    return await OrderModel.getHistory(id);
+  }
+
+  /**
+   * Delivery fields of a new takeaway or delivery order
+   * @private
+   */
+  static async prepareDelivery(order, data) {
+    const delivery = order.loai === 'giao_hang';
+    const address = {
+      dia_chi_giao: delivery && data.dia_chi_giao ? String(data.dia_chi_giao).trim() : null,
+      quan_huyen: delivery && data.quan_huyen ? String(data.quan_huyen).trim() : null,
+      vi_do: delivery && data.vi_do !== undefined && data.vi_do !== null ? Number(data.vi_do) : null,
+      kinh_do: delivery && data.kinh_do !== undefined && data.kinh_do !== null ? Number(data.kinh_do) : null
+    };
+
+    if (delivery) {
+      if (!order.sdt) {
+        throw new AppError('Đơn giao hàng phải có số điện thoại', 400, 'PHONE_REQUIRED');
+      }
+      if (!address.dia_chi_giao) {
+        throw new AppError('Đơn giao hàng phải có địa chỉ giao', 400, 'ADDRESS_REQUIRED');
+      }
+      if (!Array.isArray(data.mon) || data.mon.length === 0) {
+        throw new AppError('Đơn giao hàng phải có ít nhất một món', 400, 'ORDER_EMPTY');
+      }
+    }
+
+    const quote = await DeliveryService.quote({ ...address, loai: order.loai, mon: data.mon });
+    DeliveryService.assertDeliverable(quote);
+
+    return {
+      ...address,
+      id_khu_vuc: quote.khu_vuc ? quote.khu_vuc.id : null,
+      phi_giao_hang: quote.phi_giao_hang,
+      hen_giao_luc: quote.du_kien.hen_luc,
+      trang_thai_giao: 'dang_chuan_bi'
+    };
+  }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,261 @@
+// Payment Service - Online payment of invoices and deposits through the payment provider
+const PaymentTransactionModel = require('../models/PaymentTransactionModel');
+const InvoiceService = require('./InvoiceService');
+const DepositService = require('./DepositService');
+const { getPaymentProvider } = require('./payment/PaymentProvider');
+const { AppError } = require('../middleware/errorHandler');
+const paymentConfig = require('../config/payment');
+const { logger } = require('../utils/logger');
+
+// Invoice statuses that still take payments
+const PAYABLE_STATUSES = ['chua_thanh_toan', 'thanh_toan_mot_phan'];
+
+// Transaction statuses a result can still be applied to
+const UNSETTLED_STATUSES = ['cho_thanh_toan', 'het_han'];
+
+class PaymentService {
+  /**
+   * A transaction by its reference
+   * @param {string} reference - ma_giao_dich
+   * @returns {Promise<Object>} giao_dich_thanh_toan row
+   * @throws {AppError} 404 PAYMENT_NOT_FOUND
+   */
+  static async get(reference) {
+    const transaction = await PaymentTransactionModel.getByReference(reference);
+    if (!transaction) {
+      throw new AppError('Không tìm thấy giao dịch thanh toán', 404, 'PAYMENT_NOT_FOUND');
+    }
+    return transaction;
+  }
+
+  /**
+   * Open an online payment for what is left to pay on an invoice. Retrying
+   * with the same idempotency key returns the same transaction; without a
+   * key, an unexpired link for the same amount is reused.
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} options - { idempotencyKey, returnUrl }
+   * @returns {Promise<Object>} Transaction with payment_url
+   * @throws {AppError} 400 INVALID_RETURN_URL, 404 INVOICE_NOT_FOUND, 409 INVOICE_NOT_PAYABLE or IDEMPOTENCY_KEY_REUSED
+   */
+  static async createForInvoice(invoiceId, options = {}) {
+    // The customer is redirected there after paying, so only our own front-ends
+    if (options.returnUrl && !this.isAllowedReturnUrl(options.returnUrl)) {
+      throw new AppError('url_tra_ve không thuộc trang được phép', 400, 'INVALID_RETURN_URL');
+    }
+
+    if (options.idempotencyKey) {
+      const existing = await PaymentTransactionModel.getByIdempotencyKey(options.idempotencyKey);
+      if (existing) {
+        if (existing.loai !== 'hoa_don' || existing.id_doi_tuong !== invoiceId) {
+          throw new AppError('Khóa idempotency đã được dùng cho giao dịch khác', 409, 'IDEMPOTENCY_KEY_REUSED');
+        }
+        return existing;
+      }
+    }
+
+    const invoice = await InvoiceService.get(invoiceId);
+    if (!PAYABLE_STATUSES.includes(invoice.trang_thai) || invoice.con_lai <= 0) {
+      throw new AppError(`Hóa đơn ${invoice.so_hoa_don} không còn nhận thanh toán`, 409, 'INVOICE_NOT_PAYABLE');
+    }
+
+    const now = new Date();
+    if (!options.idempotencyKey) {
+      const open = await PaymentTransactionModel.getOpen('hoa_don', invoiceId, now);
+      if (open && Number(open.so_tien) === invoice.con_lai) return open;
+    }
+
+    const provider = getPaymentProvider();
+    const returnUrl = options.returnUrl || paymentConfig.returnUrl;
+    const transaction = await PaymentTransactionModel.create({
+      loai: 'hoa_don',
+      id_doi_tuong: invoiceId,
+      nha_cung_cap: provider.name,
+      so_tien: invoice.con_lai,
+      url_tra_ve: returnUrl,
+      khoa_idempotency: options.idempotencyKey,
+      han_thanh_toan: new Date(now.getTime() + paymentConfig.expiryMinutes * 60 * 1000)
+    });
+
+    const payment = await provider.createPayment({
+      reference: transaction.ma_giao_dich,
+      amount: invoice.con_lai,
+      description: `Thanh toan hoa don ${invoice.so_hoa_don}`,
+      expiresAt: transaction.han_thanh_toan,
+      returnUrl
+    });
+
+    return await PaymentTransactionModel.update(transaction.id, {
+      ma_nha_cung_cap: payment.providerRef,
+      payment_url: payment.paymentUrl
+    });
+  }
+
+  /**
+   * Handle a signed IPN from the provider for an invoice or a deposit. The
+   * gateway may deliver it several times; only the first one is applied.
+   * @param {Object} payload - IPN parameters
+   * @returns {Promise<Object>} { giao_dich, lap_lai } where lap_lai tells a repeated delivery
+   * @throws {AppError} 400 INVALID_PAYMENT_SIGNATURE or PAYMENT_AMOUNT_MISMATCH, 404 PAYMENT_NOT_FOUND
+   */
+  static async handleIpn(payload) {
+    const result = getPaymentProvider().verifyCallback(payload);
+    const transaction = await this.get(result.reference);
+    const repeated = !UNSETTLED_STATUSES.includes(transaction.trang_thai);
+
+    if (transaction.loai === 'dat_coc') {
+      await DepositService.handleCallback(payload);
+    } else {
+      await PaymentTransactionModel.recordCallback(transaction.id, payload);
+      await this.applyInvoiceResult(transaction, result);
+    }
+
+    return { giao_dich: await PaymentTransactionModel.getById(transaction.id), lap_lai: repeated };
+  }
+
+  /**
+   * A transaction, first asking the provider for the result when it is still
+   * unsettled and refresh is requested (e.g. the IPN never arrived)
+   * @param {string} reference - ma_giao_dich
+   * @param {Object} options - { refresh }
+   * @returns {Promise<Object>} giao_dich_thanh_toan row
+   */
+  static async getStatus(reference, options = {}) {
+    const transaction = await this.get(reference);
+    if (!options.refresh || !UNSETTLED_STATUSES.includes(transaction.trang_thai)) return transaction;
+
+    const status = await getPaymentProvider().queryStatus({
+      reference,
+      providerRef: transaction.ma_nha_cung_cap
+    });
+    if (status.status === 'pending') return transaction;
+
+    const result = {
+      reference,
+      providerRef: status.providerRef,
+      amount: Number(status.amount),
+      success: status.status === 'success'
+    };
+    if (transaction.loai === 'dat_coc') {
+      await DepositService.applyResult(result, transaction);
+    } else {
+      await this.applyInvoiceResult(transaction, result);
+    }
+
+    return await PaymentTransactionModel.getById(transaction.id);
+  }
+
+  /**
+   * Result shown when the customer comes back from the gateway. The signed
+   * parameters are checked but nothing is changed: the IPN does that.
+   * @param {Object} params - Query parameters of the return URL
+   * @returns {Promise<Object>} { giao_dich, thanh_cong }
+   */
+  static async verifyReturn(params) {
+    const result = getPaymentProvider().verifyCallback(params);
+    return { giao_dich: await this.get(result.reference), thanh_cong: result.success };
+  }
+
+  /**
+   * Pay page of the local simulator
+   * @param {Object} params - Query parameters of the pay URL
+   * @returns {Promise<Object>} { giao_dich, yeu_cau }
+   * @throws {AppError} 404 SIMULATOR_DISABLED, 400 INVALID_PAYMENT_SIGNATURE
+   */
+  static async openSimulator(params) {
+    const provider = this.getSimulator();
+    const request = provider.verifyRequest(params);
+    return { giao_dich: await this.get(request.reference), yeu_cau: request };
+  }
+
+  /**
+   * Whether a return URL points to one of the configured front-end origins
+   * @param {string} url - Return URL sent by the client
+   * @returns {boolean} True when its origin is in paymentConfig.returnOrigins
+   */
+  static isAllowedReturnUrl(url) {
+    try {
+      return paymentConfig.returnOrigins.includes(new URL(url).origin);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The customer pays or cancels on the simulator: the result is sent as an
+   * IPN and the customer is sent back to the return URL with it
+   * @param {string} reference - ma_giao_dich
+   * @param {boolean} success - Whether the customer paid
+   * @returns {Promise<Object>} { giao_dich, lap_lai, redirectUrl }
+   */
+  static async simulate(reference, success) {
+    const provider = this.getSimulator();
+    const transaction = await this.get(reference);
+
+    const payload = provider.signCallback({
+      reference,
+      providerRef: transaction.ma_nha_cung_cap,
+      amount: transaction.so_tien,
+      success
+    });
+    const outcome = await this.handleIpn(payload);
+
+    const query = new URLSearchParams(payload).toString();
+    const redirectUrl = transaction.url_tra_ve
+      ? `${transaction.url_tra_ve}${transaction.url_tra_ve.includes('?') ? '&' : '?'}${query}`
+      : null;
+
+    return { ...outcome, redirectUrl };
+  }
+
+  /**
+   * Settle an invoice transaction and record the payment on the invoice.
+   * Money received for an invoice that no longer takes it is kept on the
+   * transaction as an error so staff can refund it.
+   * @private
+   */
+  static async applyInvoiceResult(transaction, result) {
+    if (result.success && result.amount !== Number(transaction.so_tien)) {
+      await PaymentTransactionModel.settle(transaction.id, { trang_thai: 'that_bai', loi: 'Số tiền không khớp với giao dịch' });
+      throw new AppError('Số tiền thanh toán không khớp với giao dịch', 400, 'PAYMENT_AMOUNT_MISMATCH');
+    }
+
+    const settled = await PaymentTransactionModel.settle(transaction.id, {
+      trang_thai: result.success ? 'thanh_cong' : 'that_bai',
+      ma_nha_cung_cap: result.providerRef
+    });
+    if (!settled || !result.success) return;
+
+    try {
+      await InvoiceService.addPayment(
+        transaction.id_doi_tuong,
+        {
+          so_tien: result.amount,
+          phuong_thuc: 'vi_dien_tu',
+          ma_giao_dich: transaction.ma_giao_dich,
+          ghi_chu: `Thanh toán online qua ${transaction.nha_cung_cap}`
+        },
+        { actor: `thanh_toan:${transaction.nha_cung_cap}`, source: 'he_thong' }
+      );
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      logger.warn(`⚠️ Giao dịch ${transaction.ma_giao_dich} đã thanh toán nhưng không ghi được vào hóa đơn: ${error.message}`);
+      await PaymentTransactionModel.update(transaction.id, {
+        loi: `Cần hoàn tiền, không ghi được vào hóa đơn: ${error.message}`.substring(0, 255)
+      });
+    }
+  }
+
+  /**
+   * The configured provider when it is the local simulator
+   * @private
+   */
+  static getSimulator() {
+    const provider = getPaymentProvider();
+    if (typeof provider.verifyRequest !== 'function') {
+      throw new AppError('Cổng thanh toán giả lập không được bật', 404, 'SIMULATOR_DISABLED');
+    }
+    return provider;
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,106 @@
+// Phone Verification Service - One-time SMS codes proving that a customer owns their phone number
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const ReservationService = require('./ReservationService');
+const NotificationService = require('./NotificationService');
+const { AppError } = require('../middleware/errorHandler');
+const { normalizePhone } = require('../utils/phone');
+
+// Mã có hiệu lực 10 phút, tối đa 5 lần nhập sai, gửi lại sau 60 giây
+const CODE_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_SECONDS = 60;
+
+// Codes are stored hashed with the account id
+const hashCode = (customerId, code) => crypto.createHash('sha256').update(`${customerId}:${code}`).digest('hex');
+
+class PhoneVerificationService {
+  /**
+   * Send a verification code to the phone number of an account
+   * @param {Object} user - Authenticated customer (id, so_dien_thoai)
+   * @returns {Promise<Object>} { sdt, het_han }
+   * @throws {AppError} 400 INVALID_PHONE, 429 OTP_TOO_SOON, 503 SMS_UNAVAILABLE
+   */
+  static async requestCode(user) {
+    const phone = normalizePhone(user.so_dien_thoai || '');
+    if (!phone) {
+      throw new AppError('Tài khoản chưa có số điện thoại hợp lệ', 400, 'INVALID_PHONE');
+    }
+
+    const pending = await this.getPending(user.id);
+    if (pending && Date.now() - new Date(pending.gui_luc).getTime() < RESEND_SECONDS * 1000) {
+      throw new AppError(`Vui lòng chờ ${RESEND_SECONDS} giây trước khi gửi lại mã`, 429, 'OTP_TOO_SOON');
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + CODE_MINUTES * 60 * 1000);
+
+    const result = await executeQuery(
+      `REPLACE INTO xac_thuc_sdt (id_khachhang, sdt_chuan, ma_hash, het_han, so_lan_sai, gui_luc)
+       VALUES (?, ?, ?, ?, 0, CURRENT_TIMESTAMP)`,
+      [user.id, phone, hashCode(user.id, code), expiresAt]
+    );
+    if (!result.success) throw new Error(result.error);
+
+    await NotificationService.sendSms(
+      user.so_dien_thoai,
+      `Ma xac thuc so dien thoai cua ban la ${code}, hieu luc ${CODE_MINUTES} phut. Khong chia se ma nay cho ai.`
+    );
+
+    return { sdt: user.so_dien_thoai, het_han: expiresAt.toISOString() };
+  }
+
+  /**
+   * Check a verification code. On success the number is marked verified and
+   * earlier guest bookings made with it are attached to the account.
+   * @param {Object} user - Authenticated customer (id, so_dien_thoai)
+   * @param {string} code - Code from the SMS
+   * @returns {Promise<Object>} { sdt, dat_ban_da_lien_ket }
+   * @throws {AppError} 400 OTP_EXPIRED or OTP_INVALID, 429 OTP_LOCKED
+   */
+  static async verify(user, code) {
+    const pending = await this.getPending(user.id);
+    const phone = normalizePhone(user.so_dien_thoai || '');
+
+    // A code sent to another number (phone changed since) does not count
+    if (!pending || new Date(pending.het_han) <= new Date() || pending.sdt_chuan !== phone) {
+      throw new AppError('Mã xác thực đã hết hạn, vui lòng yêu cầu mã mới', 400, 'OTP_EXPIRED');
+    }
+    if (pending.so_lan_sai >= MAX_ATTEMPTS) {
+      throw new AppError('Nhập sai quá nhiều lần, vui lòng yêu cầu mã mới', 429, 'OTP_LOCKED');
+    }
+
+    const expected = Buffer.from(pending.ma_hash);
+    const provided = Buffer.from(hashCode(user.id, String(code)));
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      await executeQuery('UPDATE xac_thuc_sdt SET so_lan_sai = so_lan_sai + 1 WHERE id_khachhang = ?', [user.id]);
+      throw new AppError('Mã xác thực không đúng', 400, 'OTP_INVALID');
+    }
+
+    const cleared = await executeQuery('DELETE FROM xac_thuc_sdt WHERE id_khachhang = ?', [user.id]);
+    if (!cleared.success) throw new Error(cleared.error);
+
+    const verified = await executeQuery(
+      'UPDATE khach_hang SET sdt_xac_thuc_luc = CURRENT_TIMESTAMP WHERE id = ?',
+      [user.id]
+    );
+    if (!verified.success) throw new Error(verified.error);
+
+    return {
+      sdt: user.so_dien_thoai,
+      dat_ban_da_lien_ket: await ReservationService.claimByPhone(user.id, phone)
+    };
+  }
+
+  /**
+   * Pending code of an account
+   * @private
+   */
+  static async getPending(customerId) {
+    const result = await executeQuery('SELECT * FROM xac_thuc_sdt WHERE id_khachhang = ?', [customerId]);
+    if (!result.success) throw new Error(result.error);
+    return result.data[0] || null;
+  }
+}
+
+module.exports = PhoneVerificationService;
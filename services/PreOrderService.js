@@ -0,0 +1,193 @@
+// Pre-order Service - Dishes ordered together with a reservation
+const PreOrderModel = require('../models/PreOrderModel');
+const FoodModel = require('../models/FoodModel');
+const ReservationService = require('./ReservationService');
+const OpeningHoursService = require('./OpeningHoursService');
+const { AppError } = require('../middleware/errorHandler');
+const reservationConfig = require('../config/reservation');
+
+// Line total and estimated total of a list of pre-order lines
+const summarize = (lines) => {
+  const mon = lines.map(line => ({
+    id_mon: line.id_mon,
+    ten_mon: line.ten_mon,
+    don_gia: Number(line.don_gia),
+    so_luong: line.so_luong,
+    ghi_chu: line.ghi_chu || null,
+    thanh_tien: Number(line.don_gia) * line.so_luong
+  }));
+
+  return { mon, tam_tinh: mon.reduce((total, line) => total + line.thanh_tien, 0) };
+};
+
+class PreOrderService {
+  /**
+   * Check pre-order lines against the menu: every dish must exist, be in stock
+   * and have enough portions left. Prices are taken from the menu, not the request.
+   * @param {Array<Object>} lines - { id_mon, so_luong, ghi_chu }
+   * @returns {Promise<Object>} { mon, tam_tinh } with name, unit price and line total
+   * @throws {AppError} 400 PREORDER_INVALID (errors lists each problem)
+   */
+  static async prepare(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) return { mon: [], tam_tinh: 0 };
+
+    const errors = [];
+    if (lines.length > reservationConfig.preOrderMaxLines) {
+      errors.push(`Chỉ được đặt trước tối đa ${reservationConfig.preOrderMaxLines} món`);
+    }
+
+    const requested = lines.map(line => ({
+      id_mon: parseInt(line.id_mon),
+      so_luong: line.so_luong === undefined ? 1 : parseInt(line.so_luong),
+      ghi_chu: line.ghi_chu ? String(line.ghi_chu).trim().substring(0, 255) : null
+    }));
+    requested.forEach((line, index) => {
+      if (!(line.id_mon > 0)) errors.push(`Dòng ${index + 1}: id_mon không hợp lệ`);
+      if (!(line.so_luong >= 1 && line.so_luong <= reservationConfig.preOrderMaxQuantity)) {
+        errors.push(`Dòng ${index + 1}: số lượng phải từ 1 đến ${reservationConfig.preOrderMaxQuantity}`);
+      }
+    });
+
+    if (errors.length === 0) {
+      const foods = await FoodModel.getByIds([...new Set(requested.map(line => line.id_mon))]);
+      const byId = new Map(foods.map(food => [food.id_mon, food]));
+
+      // The same dish on several lines (different notes) counts once against the stock
+      const totals = new Map();
+      requested.forEach(line => totals.set(line.id_mon, (totals.get(line.id_mon) || 0) + line.so_luong));
+
+      totals.forEach((quantity, id) => {
+        const food = byId.get(id);
+        if (!food) {
+          errors.push(`Món #${id} không tồn tại`);
+        } else if (food.so_luong <= 0) {
+          errors.push(`Món "${food.ten_mon}" hiện đã hết`);
+        } else if (quantity > food.so_luong) {
+          errors.push(`Món "${food.ten_mon}" chỉ còn ${food.so_luong} phần`);
+        }
+      });
+
+      if (errors.length === 0) {
+        return summarize(requested.map(line => ({
+          ...line,
+          ten_mon: byId.get(line.id_mon).ten_mon,
+          don_gia: byId.get(line.id_mon).gia
+        })));
+      }
+    }
+
+    const error = new AppError('Món đặt trước không hợp lệ', 400, 'PREORDER_INVALID');
+    error.errors = errors;
+    throw error;
+  }
+
+  /**
+   * Pre-order of a reservation with its estimated total
+   * @param {number} id - Reservation ID
+   * @returns {Promise<Object>} { mon, tam_tinh }
+   */
+  static async get(id) {
+    return summarize(await PreOrderModel.getByReservation(id));
+  }
+
+  /**
+   * Store the pre-order of a new reservation (lines already checked by prepare)
+   * @param {number} id - Reservation ID
+   * @param {Object} preOrder - Result of prepare
+   * @returns {Promise<Object>} { mon, tam_tinh }
+   */
+  static async attach(id, preOrder) {
+    if (preOrder.mon.length === 0) return preOrder;
+    return summarize(await PreOrderModel.replace(id, preOrder.mon));
+  }
+
+  /**
+   * Replace the pre-order of a reservation that still holds its tables
+   * @param {number} id - Reservation ID
+   * @param {Array<Object>} lines - { id_mon, so_luong, ghi_chu }, empty to clear
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} { mon, tam_tinh }
+   * @throws {AppError} 404 RESERVATION_NOT_FOUND, 409 RESERVATION_LOCKED, 400 PREORDER_INVALID
+   */
+  static async update(id, lines, origin) {
+    const reservation = await ReservationService.loadSnapshot(id);
+    if (!reservation) {
+      throw new AppError('Không tìm thấy đặt bàn', 404, 'RESERVATION_NOT_FOUND');
+    }
+    if (!reservationConfig.activeStatuses.includes(reservation.trang_thai)) {
+      throw new AppError('Đặt bàn đã kết thúc hoặc đã hủy, không thể đặt trước món', 409, 'RESERVATION_LOCKED');
+    }
+
+    const preOrder = await this.prepare(lines);
+    const before = await PreOrderModel.getByReservation(id);
+    const after = await PreOrderModel.replace(id, preOrder.mon);
+
+    await ReservationService.recordHistory(
+      origin,
+      id,
+      'cap_nhat',
+      { ...reservation, mon_dat_truoc: before },
+      { ...reservation, mon_dat_truoc: after }
+    );
+
+    return summarize(after);
+  }
+
+  /**
+   * Kitchen prep list: pre-ordered dishes of one day (default tomorrow) added
+   * up per dish, with the notes of each booking and any shortfall in stock
+   * @param {string} [ngay] - Date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { ngay, so_dat_ban, mon }
+   */
+  static async getKitchenSummary(ngay) {
+    const date = ngay || OpeningHoursService.formatLocalDate(new Date(Date.now() + 24 * 60 * 60 * 1000));
+    const lines = await PreOrderModel.getByDate(date, reservationConfig.preOrderKitchenStatuses);
+
+    const dishes = new Map();
+    lines.forEach(line => {
+      if (!dishes.has(line.id_mon)) {
+        dishes.set(line.id_mon, {
+          id_mon: line.id_mon,
+          ten_mon: line.ten_mon,
+          tong_so_luong: 0,
+          so_luong_da_xac_nhan: 0,
+          dat_ban: new Set(),
+          ton_kho: line.ton_kho === null ? null : Number(line.ton_kho),
+          ghi_chu: []
+        });
+      }
+
+      const dish = dishes.get(line.id_mon);
+      dish.tong_so_luong += line.so_luong;
+      if (reservationConfig.assignedStatuses.includes(line.trang_thai)) {
+        dish.so_luong_da_xac_nhan += line.so_luong;
+      }
+      dish.dat_ban.add(line.id_datban);
+      if (line.ghi_chu) {
+        dish.ghi_chu.push({
+          id_datban: line.id_datban,
+          gio: String(line.gio).substring(0, 5),
+          ten_khach: line.ten_khach,
+          so_luong: line.so_luong,
+          ghi_chu: line.ghi_chu
+        });
+      }
+    });
+
+    const mon = [...dishes.values()]
+      .map(({ dat_ban, ...dish }) => ({
+        ...dish,
+        so_dat_ban: dat_ban.size,
+        thieu: dish.ton_kho === null ? null : Math.max(0, dish.tong_so_luong - dish.ton_kho)
+      }))
+      .sort((a, b) => b.tong_so_luong - a.tong_so_luong);
+
+    return {
+      ngay: date,
+      so_dat_ban: new Set(lines.map(line => line.id_datban)).size,
+      mon
+    };
+  }
+}
+
+module.exports = PreOrderService;
@@ -0,0 +1,525 @@
+// Promotion Service - Campaigns and vouchers, and which of them a cart gets
+const PromotionModel = require('../models/PromotionModel');
+const FoodModel = require('../models/FoodModel');
+const OrderModel = require('../models/OrderModel');
+const { AppError } = require('../middleware/errorHandler');
+const { normalizePhone } = require('../utils/phone');
+const { toMinutes } = require('../utils/reservationTime');
+const { allocate } = require('../utils/invoiceTotals');
+
+const WEEKDAY_NAMES = ['Chủ nhật', 'Thứ hai', 'Thứ ba', 'Thứ tư', 'Thứ năm', 'Thứ sáu', 'Thứ bảy'];
+
+// Dish or category list used by each scope
+const SCOPE_FIELDS = {
+  loai_mon: 'id_loai',
+  mon: 'id_mon'
+};
+
+// Rejections that only mean a better combination was chosen; the promotion itself was valid
+const STACKING_REASONS = ['NOT_STACKABLE', 'NO_DISCOUNT_LEFT'];
+
+// Error listing every problem of a promotion definition
+const promotionError = (errors) => {
+  const error = new AppError('Khuyến mãi không hợp lệ', 400, 'INVALID_PROMOTION');
+  error.errors = errors;
+  return error;
+};
+
+const formatMoney = (amount) => `${Number(amount).toLocaleString('vi-VN')}đ`;
+
+const normalizeCodes = (codes) => [
+  ...new Set((Array.isArray(codes) ? codes : []).map(code => String(code).trim().toUpperCase()).filter(Boolean))
+];
+
+const rejection = (promotion, ma, thongBao) => ({
+  id: promotion.id,
+  ma: promotion.ma,
+  ten: promotion.ten,
+  ly_do: { ma, thong_bao: thongBao }
+});
+
+class PromotionService {
+  /**
+   * Promotions in the order they are tried
+   * @param {Object} filters - { trang_thai, co_ma }
+   * @returns {Promise<Array>} Promotions
+   */
+  static async getAll(filters = {}) {
+    return await PromotionModel.getAll(filters);
+  }
+
+  /**
+   * A promotion with its usage totals
+   * @param {number} id - Promotion ID
+   * @returns {Promise<Object>} khuyen_mai row with thong_ke { so_lan, so_khach, tong_giam }
+   * @throws {AppError} 404 PROMOTION_NOT_FOUND
+   */
+  static async get(id) {
+    const promotion = await PromotionModel.getById(id);
+    if (!promotion) {
+      throw new AppError('Không tìm thấy khuyến mãi', 404, 'PROMOTION_NOT_FOUND');
+    }
+    return { ...promotion, thong_ke: await PromotionModel.getStats(id) };
+  }
+
+  /**
+   * Add a promotion. Without ma it applies by itself to every cart that
+   * qualifies; with ma the customer has to enter the code.
+   * @param {Object} data - khuyen_mai fields
+   * @returns {Promise<Object>} Created promotion
+   * @throws {AppError} 400 INVALID_PROMOTION (errors lists each problem), 409 PROMOTION_CODE_TAKEN
+   */
+  static async create(data) {
+    const promotion = this.buildPromotion(data, {});
+    await this.assertCodeFree(promotion.ma, null);
+    return await PromotionModel.create(promotion);
+  }
+
+  /**
+   * Change a promotion; the result is checked again as a whole. Usage
+   * already recorded is kept.
+   * @param {number} id - Promotion ID
+   * @param {Object} data - Fields to change (see create)
+   * @returns {Promise<Object>} Updated promotion
+   */
+  static async update(id, data) {
+    const current = await PromotionModel.getById(id);
+    if (!current) {
+      throw new AppError('Không tìm thấy khuyến mãi', 404, 'PROMOTION_NOT_FOUND');
+    }
+
+    const promotion = this.buildPromotion(data, current);
+    if (promotion.ma) await this.assertCodeFree(promotion.ma, id);
+    return await PromotionModel.update(id, promotion);
+  }
+
+  /**
+   * Explain which promotions a cart gets. The cart is an open order
+   * (id_don) or a list of dishes at menu price (mon). Nothing is recorded;
+   * usage is only taken when the order is closed into an invoice.
+   * @param {Object} data - { id_don, mon: [{ id_mon, so_luong }], ma_khuyen_mai, sdt, thoi_diem }
+   * @returns {Promise<Object>} { tam_tinh, giam_gia, tong_sau_giam, ap_dung, tu_choi } (see evaluateCart)
+   * @throws {AppError} 400 FOOD_NOT_FOUND, 404 ORDER_NOT_FOUND
+   */
+  static async evaluate(data) {
+    let lines;
+    let phone = data.sdt;
+
+    if (data.id_don !== undefined) {
+      const order = await OrderModel.getById(parseInt(data.id_don));
+      if (!order) {
+        throw new AppError('Không tìm thấy đơn hàng', 404, 'ORDER_NOT_FOUND');
+      }
+      lines = order.mon.filter(line => line.trang_thai === 'hoat_dong');
+      phone = phone || order.sdt;
+    } else {
+      const items = Array.isArray(data.mon) ? data.mon : [];
+      const foods = new Map(
+        (await FoodModel.getByIds([...new Set(items.map(item => parseInt(item.id_mon)))])).map(food => [food.id_mon, food])
+      );
+      const missing = items.filter(item => !foods.has(parseInt(item.id_mon)));
+      if (missing.length > 0) {
+        throw new AppError(`Món #${missing[0].id_mon} không tồn tại`, 400, 'FOOD_NOT_FOUND');
+      }
+      lines = items.map(item => {
+        const food = foods.get(parseInt(item.id_mon));
+        return {
+          id_mon: food.id_mon,
+          id_loai: food.id_loai,
+          ten_mon: food.ten_mon,
+          don_gia: food.gia,
+          so_luong: parseInt(item.so_luong) || 1
+        };
+      });
+    }
+
+    const evaluateCart = await this.prepare(data.ma_khuyen_mai, phone);
+    return evaluateCart(lines, data.thoi_diem ? new Date(data.thoi_diem) : new Date());
+  }
+
+  /**
+   * Load what evaluating a cart needs (candidate promotions, the dishes of
+   * scoped categories and the customer's past usage) and return a
+   * synchronous evaluator, so it can run on order lines locked inside the
+   * invoice transaction.
+   * @param {Array<string>} codes - Codes entered by the customer
+   * @param {string} phone - Customer phone, needed by per-customer limits
+   * @returns {Promise<Function>} (lines, now) => result of evaluateCart
+   */
+  static async prepare(codes, phone) {
+    const entered = normalizeCodes(codes);
+    const promotions = await PromotionModel.getCandidates(entered);
+    const customer = normalizePhone(phone);
+
+    const categoryIds = [...new Set(
+      promotions.filter(promotion => promotion.pham_vi === 'loai_mon').flatMap(promotion => promotion.id_loai || [])
+    )].map(Number);
+    const categoryOf = new Map(
+      (await PromotionModel.getCategoryDishes(categoryIds)).map(row => [row.id_mon, row.id_loai])
+    );
+    const customerUsage = new Map(
+      (await PromotionModel.countCustomerUsage(promotions.map(promotion => promotion.id), customer))
+        .map(row => [row.id_khuyen_mai, Number(row.so_lan)])
+    );
+
+    return (lines, now) => this.evaluateCart(promotions, lines, {
+      now,
+      codes: entered,
+      sdt_chuan: customer,
+      categoryOf,
+      customerUsage
+    });
+  }
+
+  /**
+   * Work out the discount of a cart:
+   * - every candidate is checked on its own (status, dates, weekdays, hours,
+   *   usage limits, minimum order, dishes in scope)
+   * - stackable promotions (cong_don) are applied one after another in
+   *   uu_tien order, each on what the previous ones left of a line
+   * - a non-stackable promotion is used alone; the best one wins over the
+   *   stackable group only when it gives the customer more
+   * Each line's discount never exceeds what is left of the line.
+   * @param {Array<Object>} promotions - Candidate khuyen_mai rows in uu_tien order
+   * @param {Array<Object>} lines - { id_mon, id_loai, ten_mon, don_gia, so_luong }
+   * @param {Object} context - { now, codes, sdt_chuan, categoryOf, customerUsage }
+   * @returns {Object} { tam_tinh, giam_gia, tong_sau_giam, giam_gia_theo_dong (one amount per line), sdt_chuan,
+   *   ap_dung: [{ id, ma, ten, so_tien_giam, chi_tiet: [{ id_mon, ten_mon, so_tien_giam }] }],
+   *   tu_choi: [{ id, ma, ten, ly_do: { ma, thong_bao } }] }
+   */
+  static evaluateCart(promotions, lines, context) {
+    const items = lines.map((line, index) => ({
+      index,
+      id_mon: line.id_mon,
+      id_loai: line.id_loai !== undefined ? line.id_loai : context.categoryOf.get(line.id_mon),
+      ten_mon: line.ten_mon,
+      so_luong: line.so_luong,
+      thanh_tien: Number(line.don_gia) * line.so_luong
+    }));
+    const tamTinh = items.reduce((total, item) => total + item.thanh_tien, 0);
+    const rejected = context.codes
+      .filter(code => !promotions.some(promotion => promotion.ma === code))
+      .map(code => rejection({ id: null, ma: code, ten: null }, 'PROMOTION_NOT_FOUND', `Mã "${code}" không tồn tại`));
+
+    const eligible = [];
+    promotions.forEach(promotion => {
+      const reason = this.checkEligibility(promotion, items, tamTinh, context);
+      if (reason) {
+        rejected.push(rejection(promotion, reason.ma, reason.thong_bao));
+        return;
+      }
+      const alone = this.computeDiscount(promotion, items, items.map(item => item.thanh_tien));
+      if (alone.so_tien_giam === 0) {
+        rejected.push(rejection(promotion, 'NO_DISCOUNT', 'Giỏ hàng không được giảm đồng nào với khuyến mãi này'));
+        return;
+      }
+      eligible.push({ promotion, alone });
+    });
+
+    // Stackable group, each on what is left after the ones before it
+    const remaining = items.map(item => item.thanh_tien);
+    const stacked = [];
+    eligible.filter(entry => entry.promotion.cong_don).forEach(entry => {
+      const result = this.computeDiscount(entry.promotion, items, remaining);
+      if (result.so_tien_giam === 0) {
+        rejected.push(rejection(entry.promotion, 'NO_DISCOUNT_LEFT', 'Các khuyến mãi áp dụng trước đã giảm hết phần món thuộc khuyến mãi này'));
+        return;
+      }
+      result.chi_tiet.forEach(share => {
+        remaining[share.index] -= share.so_tien_giam;
+      });
+      stacked.push({ promotion: entry.promotion, result });
+    });
+    const stackedTotal = stacked.reduce((total, entry) => total + entry.result.so_tien_giam, 0);
+
+    const exclusive = eligible
+      .filter(entry => !entry.promotion.cong_don)
+      .reduce((best, entry) => (!best || entry.alone.so_tien_giam > best.alone.so_tien_giam ? entry : best), null);
+
+    let applied;
+    if (exclusive && exclusive.alone.so_tien_giam > stackedTotal) {
+      applied = [{ promotion: exclusive.promotion, result: exclusive.alone }];
+      // Stackable ones that already found nothing left are rejected once only
+      eligible
+        .filter(entry => entry !== exclusive)
+        .filter(entry => !entry.promotion.cong_don || stacked.some(kept => kept.promotion === entry.promotion))
+        .forEach(entry => {
+          rejected.push(rejection(
+            entry.promotion,
+            'NOT_STACKABLE',
+            `Không dùng chung được với "${exclusive.promotion.ten}" (giảm ${formatMoney(exclusive.alone.so_tien_giam)}, có lợi hơn cho khách)`
+          ));
+        });
+    } else {
+      applied = stacked;
+      eligible.filter(entry => !entry.promotion.cong_don).forEach(entry => {
+        rejected.push(rejection(
+          entry.promotion,
+          'NOT_STACKABLE',
+          `Không dùng chung với khuyến mãi khác; các khuyến mãi cộng dồn giảm ${formatMoney(stackedTotal)}, có lợi hơn cho khách`
+        ));
+      });
+    }
+
+    const giamGia = applied.reduce((total, entry) => total + entry.result.so_tien_giam, 0);
+    const byLine = items.map(() => 0);
+    applied.forEach(entry => entry.result.chi_tiet.forEach(share => {
+      byLine[share.index] += share.so_tien_giam;
+    }));
+    return {
+      tam_tinh: tamTinh,
+      giam_gia: giamGia,
+      tong_sau_giam: tamTinh - giamGia,
+      giam_gia_theo_dong: byLine,
+      sdt_chuan: context.sdt_chuan,
+      ap_dung: applied.map(({ promotion, result }) => ({
+        id: promotion.id,
+        ma: promotion.ma,
+        ten: promotion.ten,
+        so_tien_giam: result.so_tien_giam,
+        chi_tiet: result.chi_tiet.map(share => ({
+          id_mon: items[share.index].id_mon,
+          ten_mon: items[share.index].ten_mon,
+          so_tien_giam: share.so_tien_giam
+        }))
+      })),
+      tu_choi: rejected
+    };
+  }
+
+  /**
+   * Throw for a code the customer entered that cannot be used. Codes that
+   * only lost to a better combination do not throw.
+   * @param {Object} result - Result of evaluateCart
+   * @throws {AppError} 400 with the code of the rejection (PROMOTION_NOT_FOUND, PROMOTION_EXPIRED, ...)
+   */
+  static assertCodesUsable(result) {
+    const unusable = result.tu_choi.find(entry => entry.ma && !STACKING_REASONS.includes(entry.ly_do.ma));
+    if (!unusable) return;
+
+    throw new AppError(`Mã "${unusable.ma}": ${unusable.ly_do.thong_bao}`, 400, unusable.ly_do.ma);
+  }
+
+  /**
+   * First reason a promotion cannot apply to a cart, null when it can
+   * @private
+   */
+  static checkEligibility(promotion, items, tamTinh, context) {
+    const now = context.now;
+
+    if (promotion.trang_thai !== 'active') {
+      return { ma: 'PROMOTION_INACTIVE', thong_bao: 'Khuyến mãi đã ngừng áp dụng' };
+    }
+    if (promotion.bat_dau && now < new Date(promotion.bat_dau)) {
+      return { ma: 'PROMOTION_NOT_STARTED', thong_bao: `Khuyến mãi bắt đầu từ ${new Date(promotion.bat_dau).toLocaleString('vi-VN')}` };
+    }
+    if (promotion.ket_thuc && now > new Date(promotion.ket_thuc)) {
+      return { ma: 'PROMOTION_EXPIRED', thong_bao: `Khuyến mãi đã kết thúc lúc ${new Date(promotion.ket_thuc).toLocaleString('vi-VN')}` };
+    }
+
+    const days = promotion.ngay_trong_tuan;
+    if (Array.isArray(days) && days.length > 0 && !days.map(Number).includes(now.getDay())) {
+      return {
+        ma: 'OUTSIDE_PROMOTION_DAYS',
+        thong_bao: `Khuyến mãi chỉ áp dụng vào ${days.map(day => WEEKDAY_NAMES[day]).join(', ')}`
+      };
+    }
+
+    if (promotion.gio_bat_dau && promotion.gio_ket_thuc) {
+      const start = toMinutes(promotion.gio_bat_dau);
+      const end = toMinutes(promotion.gio_ket_thuc);
+      const minute = now.getHours() * 60 + now.getMinutes();
+      // A window ending before it starts runs past midnight (22:00 - 02:00)
+      const inside = start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+      if (!inside) {
+        return {
+          ma: 'OUTSIDE_PROMOTION_HOURS',
+          thong_bao: `Khuyến mãi chỉ áp dụng từ ${promotion.gio_bat_dau.substring(0, 5)} đến ${promotion.gio_ket_thuc.substring(0, 5)}`
+        };
+      }
+    }
+
+    if (promotion.gioi_han_luot !== null && promotion.da_dung >= promotion.gioi_han_luot) {
+      return { ma: 'PROMOTION_LIMIT_REACHED', thong_bao: `Khuyến mãi đã hết lượt (${promotion.gioi_han_luot} lượt)` };
+    }
+    if (promotion.gioi_han_moi_khach !== null) {
+      if (!context.sdt_chuan) {
+        return { ma: 'PHONE_REQUIRED', thong_bao: 'Khuyến mãi giới hạn theo khách, cần số điện thoại của khách' };
+      }
+      if ((context.customerUsage.get(promotion.id) || 0) >= promotion.gioi_han_moi_khach) {
+        return {
+          ma: 'CUSTOMER_LIMIT_REACHED',
+          thong_bao: `Khách đã dùng hết ${promotion.gioi_han_moi_khach} lượt của khuyến mãi`
+        };
+      }
+    }
+
+    if (tamTinh < Number(promotion.don_toi_thieu)) {
+      return {
+        ma: 'BELOW_MINIMUM_ORDER',
+        thong_bao: `Đơn tối thiểu ${formatMoney(promotion.don_toi_thieu)}, còn thiếu ${formatMoney(Number(promotion.don_toi_thieu) - tamTinh)}`
+      };
+    }
+
+    const inScope = items.filter(item => this.inScope(promotion, item));
+    if (inScope.length === 0) {
+      return { ma: 'NO_ELIGIBLE_ITEMS', thong_bao: 'Giỏ hàng không có món thuộc khuyến mãi' };
+    }
+    if (promotion.kieu === 'mua_x_tang_y') {
+      const needed = promotion.so_luong_mua + promotion.so_luong_tang;
+      const count = inScope.reduce((total, item) => total + item.so_luong, 0);
+      if (count < needed) {
+        return {
+          ma: 'NOT_ENOUGH_ITEMS',
+          thong_bao: `Cần ít nhất ${needed} phần món thuộc khuyến mãi, giỏ hàng mới có ${count}`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a cart line falls in the scope of a promotion
+   * @private
+   */
+  static inScope(promotion, item) {
+    const field = SCOPE_FIELDS[promotion.pham_vi];
+    if (!field) return true;
+
+    return (promotion[field] || []).map(Number).includes(Number(item[field]));
+  }
+
+  /**
+   * Discount of a promotion on what is left of each line, shared out per line
+   * - phan_tram: gia_tri % of the lines in scope, capped by giam_toi_da
+   * - so_tien: gia_tri off the lines in scope
+   * - mua_x_tang_y: for every so_luong_mua + so_luong_tang portions, the
+   *   so_luong_tang cheapest get gia_tri % off (100 = free)
+   * @private
+   * @returns {Object} { so_tien_giam, chi_tiet: [{ index, so_tien_giam }] }
+   */
+  static computeDiscount(promotion, items, remaining) {
+    const scoped = items.filter(item => remaining[item.index] > 0 && this.inScope(promotion, item));
+    const base = scoped.reduce((total, item) => total + remaining[item.index], 0);
+    const rate = Number(promotion.gia_tri);
+
+    let weights = scoped.map(item => remaining[item.index]);
+    let amount;
+    if (promotion.kieu === 'phan_tram') {
+      amount = Math.round(base * rate / 100);
+    } else if (promotion.kieu === 'so_tien') {
+      amount = Math.min(Math.round(rate), base);
+    } else {
+      const units = scoped
+        .flatMap((item, position) => new Array(item.so_luong).fill({ position, gia: remaining[item.index] / item.so_luong }))
+        .sort((a, b) => a.gia - b.gia);
+      const groups = Math.floor(units.length / (promotion.so_luong_mua + promotion.so_luong_tang));
+      weights = scoped.map(() => 0);
+      units.slice(0, groups * promotion.so_luong_tang).forEach(unit => {
+        weights[unit.position] += unit.gia * rate / 100;
+      });
+      amount = Math.round(weights.reduce((total, weight) => total + weight, 0));
+    }
+
+    if (promotion.giam_toi_da !== null && promotion.giam_toi_da !== undefined) {
+      amount = Math.min(amount, Number(promotion.giam_toi_da));
+    }
+    if (amount <= 0) return { so_tien_giam: 0, chi_tiet: [] };
+
+    const shares = allocate(amount, weights);
+    return {
+      so_tien_giam: amount,
+      chi_tiet: scoped
+        .map((item, position) => ({ index: item.index, so_tien_giam: shares[position] }))
+        .filter(share => share.so_tien_giam > 0)
+    };
+  }
+
+  /**
+   * Code must not belong to another promotion
+   * @private
+   */
+  static async assertCodeFree(code, id) {
+    if (!code) return;
+
+    const existing = await PromotionModel.getByCode(code);
+    if (existing && existing.id !== id) {
+      throw new AppError(`Mã khuyến mãi "${code}" đã tồn tại`, 409, 'PROMOTION_CODE_TAKEN');
+    }
+  }
+
+  /**
+   * Promotion row from a request, checked as a whole once merged over the
+   * current promotion. Fields that do not belong to the kind or scope are cleared.
+   * @private
+   */
+  static buildPromotion(data, current) {
+    const promotion = {};
+    [
+      'ma', 'ten', 'mo_ta', 'kieu', 'gia_tri', 'giam_toi_da', 'pham_vi', 'id_loai', 'id_mon', 'so_luong_mua', 'so_luong_tang',
+      'don_toi_thieu', 'bat_dau', 'ket_thuc', 'ngay_trong_tuan', 'gio_bat_dau', 'gio_ket_thuc', 'gioi_han_luot',
+      'gioi_han_moi_khach', 'cong_don', 'uu_tien', 'trang_thai'
+    ]
+      .filter(field => data[field] !== undefined)
+      .forEach(field => {
+        promotion[field] = data[field];
+      });
+    if (promotion.ma !== undefined) promotion.ma = promotion.ma ? String(promotion.ma).trim().toUpperCase() : null;
+    if (promotion.ten !== undefined) promotion.ten = String(promotion.ten).trim();
+    if (promotion.id_loai) promotion.id_loai = [...new Set(promotion.id_loai.map(Number))];
+    if (promotion.id_mon) promotion.id_mon = [...new Set(promotion.id_mon.map(Number))];
+    if (promotion.ngay_trong_tuan) promotion.ngay_trong_tuan = [...new Set(promotion.ngay_trong_tuan.map(Number))].sort();
+    ['bat_dau', 'ket_thuc'].filter(field => promotion[field]).forEach(field => {
+      promotion[field] = new Date(promotion[field]);
+    });
+    if (promotion.cong_don !== undefined) promotion.cong_don = promotion.cong_don === true || promotion.cong_don === 'true';
+
+    const merged = { ...current, ...promotion };
+    const errors = [];
+    const rate = Number(merged.gia_tri);
+
+    if (merged.kieu === 'phan_tram' && !(rate > 0 && rate <= 100)) {
+      errors.push('Khuyến mãi theo % phải có gia_tri từ 0 đến 100');
+    }
+    if (merged.kieu === 'so_tien' && !(Number.isInteger(rate) && rate > 0)) {
+      errors.push('Khuyến mãi theo số tiền phải có gia_tri là số nguyên dương (VND)');
+    }
+    if (merged.kieu === 'mua_x_tang_y') {
+      if (!(parseInt(merged.so_luong_mua) >= 1 && parseInt(merged.so_luong_tang) >= 1)) {
+        errors.push('Khuyến mãi mua X tặng Y phải có so_luong_mua và so_luong_tang từ 1 trở lên');
+      }
+      if (!(rate > 0 && rate <= 100)) {
+        errors.push('Khuyến mãi mua X tặng Y phải có gia_tri (% giảm cho phần tặng) từ 0 đến 100');
+      }
+    }
+
+    const scopeField = SCOPE_FIELDS[merged.pham_vi];
+    if (scopeField && !(Array.isArray(merged[scopeField]) && merged[scopeField].length > 0)) {
+      errors.push(`Phạm vi ${merged.pham_vi} phải có ít nhất một ${scopeField}`);
+    }
+    if (merged.bat_dau && merged.ket_thuc && new Date(merged.bat_dau) >= new Date(merged.ket_thuc)) {
+      errors.push('bat_dau phải trước ket_thuc');
+    }
+    if (Boolean(merged.gio_bat_dau) !== Boolean(merged.gio_ket_thuc)) {
+      errors.push('Khung giờ phải có cả gio_bat_dau và gio_ket_thuc');
+    } else if (merged.gio_bat_dau && toMinutes(merged.gio_bat_dau) === toMinutes(merged.gio_ket_thuc)) {
+      errors.push('gio_bat_dau và gio_ket_thuc không được trùng nhau');
+    }
+    if (errors.length > 0) throw promotionError(errors);
+
+    // Clear what no longer applies when the kind or scope changes
+    if (promotion.kieu !== undefined && promotion.kieu !== 'mua_x_tang_y') {
+      promotion.so_luong_mua = null;
+      promotion.so_luong_tang = null;
+    }
+    if (promotion.pham_vi !== undefined) {
+      Object.entries(SCOPE_FIELDS).forEach(([scope, field]) => {
+        promotion[field] = scope === promotion.pham_vi ? merged[field] : null;
+      });
+    }
+    return promotion;
+  }
+}
+
+module.exports = PromotionService;
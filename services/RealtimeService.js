@@ -0,0 +1,212 @@
+// Realtime Service - Pushes reservation, kitchen ticket and table request changes to live boards over Server-Sent Events
+const OpeningHoursService = require('./OpeningHoursService');
+const realtimeConfig = require('../config/realtime');
+const { formatDate } = require('../utils/reservationTime');
+const { logger } = require('../utils/logger');
+
+// Connected boards and the latest events kept for reconnects. Held in memory:
+// with several server processes each one only sees its own changes.
+// Each client and event belongs to a channel: dat_ban (host stand boards,
+// followed by date), bep (kitchen displays, followed by station) or phuc_vu
+// (floor staff, every table request).
+const clients = new Set();
+const recentEvents = [];
+let lastEventId = 0;
+
+// Dates a client follows; no dates means "today", re-evaluated after midnight
+const followedDates = (client) => (client.dates.length > 0 ? client.dates : [OpeningHoursService.formatLocalDate(new Date())]);
+
+// Write one SSE frame and push it through the compression buffer
+const write = (res, frame) => {
+  res.write(frame);
+  if (typeof res.flush === 'function') res.flush();
+};
+
+// Whether a client receives an event
+const follows = (client, event) => {
+  if (client.channel !== event.channel) return false;
+  if (client.channel === 'bep') return event.stations.includes(client.station);
+  if (client.channel === 'phuc_vu') return true;
+  return event.dates.some(date => followedDates(client).includes(date));
+};
+
+const formatEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+class RealtimeService {
+  /**
+   * Open an event stream for a board
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Array<string>} dates - Dates to follow (YYYY-MM-DD), empty for today
+   * @returns {boolean} False when the connection limit is reached (nothing sent)
+   */
+  static subscribe(req, res, dates = []) {
+    const client = { res, channel: 'dat_ban', dates };
+    return this.open(req, res, client, () => ({ ngay: followedDates(client) }));
+  }
+
+  /**
+   * Open an event stream for the kitchen display of one station
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {number} stationId - Station ID
+   * @param {Array<Object>} tickets - Open tickets of the station, sent with the ready event
+   * @returns {boolean} False when the connection limit is reached (nothing sent)
+   */
+  static subscribeKitchen(req, res, stationId, tickets = []) {
+    const client = { res, channel: 'bep', station: stationId };
+    return this.open(req, res, client, () => ({ id_tram: stationId, phieu: tickets }));
+  }
+
+  /**
+   * Open an event stream for floor staff: guests calling staff or asking for the bill
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Array<Object>} requests - Pending table requests, sent with the ready event
+   * @returns {boolean} False when the connection limit is reached (nothing sent)
+   */
+  static subscribeFloor(req, res, requests = []) {
+    const client = { res, channel: 'phuc_vu' };
+    return this.open(req, res, client, () => ({ yeu_cau: requests }));
+  }
+
+  /**
+   * Send a reservation change to the boards following its date (both dates
+   * when it was moved to another day)
+   * @param {string} type - tao, cap_nhat, doi_trang_thai or xoa
+   * @param {Object|null} before - Snapshot before the change
+   * @param {Object|null} after - Snapshot after the change
+   */
+  static publish(type, before, after) {
+    const reservation = after || before;
+    if (!reservation) return;
+
+    const dates = [...new Set([before, after].filter(Boolean).map(snapshot => formatDate(snapshot.ngay)))];
+    this.broadcast({
+      channel: 'dat_ban',
+      type,
+      dates,
+      data: {
+        id_datban: reservation.id_datban,
+        ngay: dates,
+        trang_thai_cu: before ? before.trang_thai : null,
+        dat_ban: after
+      }
+    });
+  }
+
+  /**
+   * Send a kitchen ticket change to the displays of its station (both
+   * stations when it was moved to another one)
+   * @param {string} type - phieu_moi, cap_nhat, doi_trang_thai or huy
+   * @param {Object|null} before - Ticket before the change
+   * @param {Object} after - Ticket after the change
+   */
+  static publishKitchen(type, before, after) {
+    this.broadcast({
+      channel: 'bep',
+      type,
+      stations: [...new Set([before, after].filter(Boolean).map(ticket => ticket.id_tram))],
+      data: {
+        id_phieu: after.id,
+        id_tram: after.id_tram,
+        trang_thai_cu: before ? before.trang_thai : null,
+        phieu: after
+      }
+    });
+  }
+
+  /**
+   * Send a table request change to floor staff
+   * @param {string} type - yeu_cau_moi or da_xu_ly
+   * @param {Object} request - yeu_cau_ban row with so_ban
+   */
+  static publishFloor(type, request) {
+    this.broadcast({
+      channel: 'phuc_vu',
+      type,
+      data: {
+        id_yeu_cau: request.id,
+        id_ban: request.id_ban,
+        yeu_cau: request
+      }
+    });
+  }
+
+  /**
+   * Number of connected boards and kitchen displays
+   * @returns {number} Open streams
+   */
+  static getClientCount() {
+    return clients.size;
+  }
+
+  /**
+   * End every stream, so the server can shut down
+   */
+  static closeAll() {
+    clients.forEach(client => client.res.end());
+    clients.clear();
+  }
+
+  /**
+   * Start an event stream, replaying the events missed since Last-Event-ID
+   * @private
+   */
+  static open(req, res, client, readyData) {
+    if (clients.size >= realtimeConfig.maxClients) return false;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    clients.add(client);
+
+    write(res, `retry: ${realtimeConfig.retryMs}\n\n`);
+    write(res, formatEvent({ id: lastEventId, type: 'ready', data: readyData() }));
+
+    // Events missed while the board was reconnecting
+    const since = parseInt(req.get('Last-Event-ID'));
+    if (!isNaN(since)) {
+      recentEvents
+        .filter(event => event.id > since && follows(client, event))
+        .forEach(event => write(res, formatEvent(event)));
+    }
+
+    const heartbeat = setInterval(() => write(res, ': ping\n\n'), realtimeConfig.heartbeatSeconds * 1000);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+
+    return true;
+  }
+
+  /**
+   * Number and keep an event for replay, then push it to the clients following it
+   * @private
+   */
+  static broadcast(event) {
+    event.id = ++lastEventId;
+
+    recentEvents.push(event);
+    if (recentEvents.length > realtimeConfig.replayEvents) recentEvents.shift();
+
+    clients.forEach(client => {
+      if (!follows(client, event)) return;
+      try {
+        write(client.res, formatEvent(event));
+      } catch (error) {
+        logger.error('Error pushing realtime event:', error);
+      }
+    });
+  }
+}
+
+module.exports = RealtimeService;
@@ -0,0 +1,194 @@
+// Recurring Reservation Service - Weekly, biweekly and monthly series of bookings
+const ReservationSeriesModel = require('../models/ReservationSeriesModel');
+const ReservationService = require('./ReservationService');
+const OpeningHoursService = require('./OpeningHoursService');
+const CancellationService = require('./CancellationService');
+const { AppError } = require('../middleware/errorHandler');
+const reservationConfig = require('../config/reservation');
+const { formatDate } = require('../utils/reservationTime');
+
+// Days between occurrences of the fixed-interval frequencies
+const INTERVAL_DAYS = {
+  hang_tuan: 7,
+  hai_tuan: 14
+};
+
+class RecurringReservationService {
+  /**
+   * Dates of a series. Monthly series keep the day of the month of the first
+   * date, falling back to the last day in shorter months.
+   * @param {string} frequency - hang_tuan, hai_tuan or hang_thang
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - End date, inclusive (YYYY-MM-DD)
+   * @returns {Array<string>} Dates in YYYY-MM-DD format
+   */
+  static expandDates(frequency, from, to) {
+    const [year, month, day] = from.split('-').map(Number);
+    const dates = [];
+
+    for (let index = 0; ; index++) {
+      let date;
+      if (frequency === 'hang_thang') {
+        const lastDay = new Date(Date.UTC(year, month + index, 0)).getUTCDate();
+        date = new Date(Date.UTC(year, month - 1 + index, Math.min(day, lastDay)));
+      } else {
+        date = new Date(Date.UTC(year, month - 1, day + index * INTERVAL_DAYS[frequency]));
+      }
+
+      const ngay = date.toISOString().substring(0, 10);
+      if (ngay > to || dates.length > reservationConfig.seriesMaxOccurrences) break;
+      dates.push(ngay);
+    }
+
+    return dates;
+  }
+
+  /**
+   * Check every occurrence of a series with the same rules as a single booking
+   * @param {Object} data - Reservation data without ngay
+   * @param {Array<string>} dates - Occurrence dates
+   * @returns {Promise<Array<Object>>} { ngay, loi } for each occurrence that cannot be booked
+   */
+  static async checkOccurrences(data, dates) {
+    const failures = [];
+
+    for (const ngay of dates) {
+      const occurrence = { ...data, ngay };
+      const errors = await ReservationService.validate(occurrence, { horizonDays: reservationConfig.seriesHorizonDays });
+      if (errors.length > 0) {
+        failures.push({ ngay, loi: errors.join('; ') });
+        continue;
+      }
+
+      try {
+        await ReservationService.assertNoConflicts(occurrence);
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        failures.push({ ngay, loi: error.message, code: error.code });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Create a series and one booking per occurrence. By default the whole series
+   * is refused when any occurrence conflicts; with skipConflicts the free
+   * occurrences are booked and the others reported.
+   * @param {Object} data - Reservation data plus tan_suat, ngay_bat_dau, ngay_ket_thuc
+   * @param {Object} origin - { actor, source }
+   * @param {Object} options - { skipConflicts }
+   * @returns {Promise<Object>} { chuoi, dat_ban, bo_qua }
+   * @throws {AppError} 400 INVALID_SERIES, 409 SERIES_CONFLICT (errors lists each date)
+   */
+  static async create(data, origin, options = {}) {
+    if (!reservationConfig.seriesFrequencies.includes(data.tan_suat)) {
+      throw new AppError(`Tần suất phải là một trong: ${reservationConfig.seriesFrequencies.join(', ')}`, 400, 'INVALID_SERIES');
+    }
+    if (data.ngay_ket_thuc < data.ngay_bat_dau) {
+      throw new AppError('Ngày kết thúc phải sau ngày bắt đầu', 400, 'INVALID_SERIES');
+    }
+
+    const dates = this.expandDates(data.tan_suat, data.ngay_bat_dau, data.ngay_ket_thuc);
+    if (dates.length > reservationConfig.seriesMaxOccurrences) {
+      throw new AppError(`Một chuỗi đặt bàn tối đa ${reservationConfig.seriesMaxOccurrences} lần`, 400, 'INVALID_SERIES');
+    }
+
+    const { tan_suat, ngay_bat_dau, ngay_ket_thuc, ...reservation } = data;
+    const failures = await this.checkOccurrences(reservation, dates);
+
+    if (failures.length === dates.length || (failures.length > 0 && !options.skipConflicts)) {
+      const error = new AppError(
+        `${failures.length}/${dates.length} lần đặt bàn của chuỗi không thể đặt`,
+        409,
+        'SERIES_CONFLICT'
+      );
+      error.errors = failures.map(failure => `${failure.ngay}: ${failure.loi}`);
+      throw error;
+    }
+
+    const series = await ReservationSeriesModel.create({
+      ...reservation,
+      ten_khach: reservation.ten_khach.trim(),
+      sdt: reservation.sdt.trim(),
+      thoi_luong: parseInt(reservation.thoi_luong) || null,
+      so_luong_khach: parseInt(reservation.so_luong_khach),
+      tan_suat,
+      ngay_bat_dau,
+      ngay_ket_thuc
+    });
+
+    const created = [];
+    const skipped = [...failures];
+    const failedDates = new Set(failures.map(failure => failure.ngay));
+
+    for (const ngay of dates.filter(date => !failedDates.has(date))) {
+      try {
+        created.push(await ReservationService.create(
+          { ...reservation, ngay, id_chuoi: series.id },
+          origin,
+          { horizonDays: reservationConfig.seriesHorizonDays }
+        ));
+      } catch (error) {
+        // Taken by someone else between the check and the insert
+        if (!(error instanceof AppError)) throw error;
+        skipped.push({ ngay, loi: error.message, code: error.code });
+      }
+    }
+
+    return { chuoi: series, dat_ban: created, bo_qua: skipped };
+  }
+
+  /**
+   * A series with all its bookings
+   * @param {number} id - Series ID
+   * @returns {Promise<Object>} chuoi_dat_ban row with dat_ban
+   * @throws {AppError} 404 SERIES_NOT_FOUND
+   */
+  static async get(id) {
+    const series = await ReservationSeriesModel.getById(id);
+    if (!series) {
+      throw new AppError('Không tìm thấy chuỗi đặt bàn', 404, 'SERIES_NOT_FOUND');
+    }
+
+    return { ...series, dat_ban: await ReservationSeriesModel.getOccurrences(id) };
+  }
+
+  /**
+   * Cancel the remaining bookings of a series from a date on (default today).
+   * Cancelling from the first date cancels the series itself; otherwise the
+   * series now ends the day before.
+   * @param {number} id - Series ID
+   * @param {Object} origin - { actor, source }
+   * @param {Object} options - { fromDate, reason }
+   * @returns {Promise<Object>} { chuoi, da_huy } with the cancelled bookings
+   */
+  static async cancel(id, origin, options = {}) {
+    const series = await this.get(id);
+    const today = OpeningHoursService.formatLocalDate(new Date());
+    const fromDate = options.fromDate && options.fromDate > today ? options.fromDate : today;
+
+    const cancelled = [];
+    for (const occurrence of series.dat_ban) {
+      if (formatDate(occurrence.ngay) < fromDate) continue;
+      if (!reservationConfig.activeStatuses.includes(occurrence.trang_thai)) continue;
+
+      const snapshot = await ReservationService.loadSnapshot(occurrence.id_datban);
+      cancelled.push(await CancellationService.cancel(snapshot, origin, options.reason || 'Hủy chuỗi đặt bàn định kỳ'));
+    }
+
+    if (fromDate <= formatDate(series.ngay_bat_dau)) {
+      await ReservationSeriesModel.update(id, { trang_thai: 'da_huy' });
+    } else {
+      const [year, month, day] = fromDate.split('-').map(Number);
+      const lastDate = new Date(Date.UTC(year, month - 1, day - 1)).toISOString().substring(0, 10);
+      if (lastDate < formatDate(series.ngay_ket_thuc)) {
+        await ReservationSeriesModel.update(id, { ngay_ket_thuc: lastDate });
+      }
+    }
+
+    return { chuoi: await ReservationSeriesModel.getById(id), da_huy: cancelled };
+  }
+}
+
+module.exports = RecurringReservationService;
@@ -0,0 +1,332 @@
+// Report Service - Operational reservation reports for managers
+const ReportModel = require('../models/ReportModel');
+const OpeningHoursModel = require('../models/OpeningHoursModel');
+const OpeningHoursService = require('./OpeningHoursService');
+const TableAllocationService = require('./TableAllocationService');
+const GuestProfileService = require('./GuestProfileService');
+const { AppError } = require('../middleware/errorHandler');
+const reportConfig = require('../config/report');
+const reservationConfig = require('../config/reservation');
+const { toMinutes, fromMinutes, overlaps, formatDate } = require('../utils/reservationTime');
+
+const WEEKDAY_NAMES = ['Chủ nhật', 'Thứ hai', 'Thứ ba', 'Thứ tư', 'Thứ năm', 'Thứ sáu', 'Thứ bảy'];
+const OUTSIDE_SERVICE = 'Ngoài giờ';
+
+// Share of a total as a percentage with one decimal
+const toPercent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+// Shift a YYYY-MM-DD date by a number of days
+const addDays = (ngay, days) => {
+  const [year, month, day] = ngay.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+};
+
+// Every date of an inclusive range
+const listDates = (from, to) => {
+  const dates = [];
+  for (let ngay = from; ngay <= to; ngay = addDays(ngay, 1)) dates.push(ngay);
+  return dates;
+};
+
+// Count values into configured buckets ({ ten, max }, max null = open ended)
+const toBuckets = (buckets, rows, valueKey, countKey) => {
+  const counts = buckets.map(bucket => ({ nhom: bucket.ten, so_dat_ban: 0 }));
+  rows.forEach(row => {
+    const index = buckets.findIndex(bucket => bucket.max === null || row[valueKey] <= bucket.max);
+    if (index !== -1) counts[index].so_dat_ban += row[countKey];
+  });
+  return counts;
+};
+
+class ReportService {
+  /**
+   * Resolve and check the date range of a report
+   * @param {Object} query - { from, to } (YYYY-MM-DD, both optional)
+   * @returns {Object} { from, to }
+   * @throws {AppError} 400 INVALID_DATE_RANGE
+   */
+  static resolveRange(query = {}) {
+    const today = OpeningHoursService.formatLocalDate(new Date());
+    const to = query.to || (query.from ? addDays(query.from, reportConfig.defaultRangeDays - 1) : today);
+    const from = query.from || addDays(to, -(reportConfig.defaultRangeDays - 1));
+
+    if (from > to) {
+      throw new AppError('Ngày bắt đầu phải trước hoặc bằng ngày kết thúc', 400, 'INVALID_DATE_RANGE');
+    }
+    if (listDates(from, to).length > reportConfig.maxRangeDays) {
+      throw new AppError(`Khoảng ngày báo cáo không được quá ${reportConfig.maxRangeDays} ngày`, 400, 'INVALID_DATE_RANGE');
+    }
+
+    return { from, to };
+  }
+
+  /**
+   * Expected guests per date and service. The forecast discounts each booking
+   * that has not happened yet by the no-show rate of its weekday over the
+   * preceding history window.
+   * @param {Object} query - { from, to }
+   * @returns {Promise<Object>} { from, to, ngay: [...], tong_khach, tong_khach_du_kien }
+   */
+  static async getCoversForecast(query) {
+    const { from, to } = this.resolveRange(query);
+    const historyFrom = addDays(from, -reportConfig.forecastHistoryDays);
+
+    const [reservations, weeklyHours, specialDates, history] = await Promise.all([
+      ReportModel.getReservations(from, to, reportConfig.coverStatuses),
+      OpeningHoursModel.getWeeklyHours(),
+      OpeningHoursModel.getSpecialDates({ from, to }),
+      ReportModel.getOutcomesByWeekday(historyFrom, addDays(from, -1), reportConfig.closedStatuses)
+    ]);
+
+    const noShowRates = {};
+    history.forEach(row => {
+      const attended = row.tong - row.da_huy;
+      noShowRates[row.thu] = attended > 0 ? row.khong_den / attended : 0;
+    });
+
+    const days = listDates(from, to).map(ngay => {
+      const schedule = OpeningHoursService.resolveDay(
+        ngay,
+        weeklyHours,
+        specialDates.filter(row => formatDate(row.ngay) === ngay)
+      );
+      const services = new Map(schedule.services.map(service => [service.ten_ca, { ten_ca: service.ten_ca, so_dat_ban: 0, so_khach: 0, so_khach_du_kien: 0 }]));
+      const noShowRate = noShowRates[schedule.thu] || 0;
+
+      reservations
+        .filter(reservation => formatDate(reservation.ngay) === ngay)
+        .forEach(reservation => {
+          const start = toMinutes(reservation.gio);
+          const service = schedule.services.find(item => start >= item.start && start < item.end);
+          const name = service ? service.ten_ca : OUTSIDE_SERVICE;
+          if (!services.has(name)) {
+            services.set(name, { ten_ca: name, so_dat_ban: 0, so_khach: 0, so_khach_du_kien: 0 });
+          }
+
+          // Guests already seated or finished are no longer a forecast
+          const settled = ['da_den', 'hoan_thanh'].includes(reservation.trang_thai);
+          const entry = services.get(name);
+          entry.so_dat_ban += 1;
+          entry.so_khach += reservation.so_luong_khach;
+          entry.so_khach_du_kien += settled ? reservation.so_luong_khach : reservation.so_luong_khach * (1 - noShowRate);
+        });
+
+      const ca = [...services.values()].map(entry => ({ ...entry, so_khach_du_kien: Math.round(entry.so_khach_du_kien) }));
+
+      return {
+        ngay,
+        ten_thu: schedule.ten_thu,
+        dong_cua: schedule.closed,
+        ty_le_khong_den_lich_su: toPercent(noShowRate, 1),
+        ca,
+        tong_khach: ca.reduce((sum, entry) => sum + entry.so_khach, 0),
+        tong_khach_du_kien: ca.reduce((sum, entry) => sum + entry.so_khach_du_kien, 0)
+      };
+    });
+
+    return {
+      from,
+      to,
+      ngay: days,
+      tong_khach: days.reduce((sum, day) => sum + day.tong_khach, 0),
+      tong_khach_du_kien: days.reduce((sum, day) => sum + day.tong_khach_du_kien, 0)
+    };
+  }
+
+  /**
+   * Average seats booked per weekday and hour. A booking fills every hour its
+   * seating window overlaps.
+   * @param {Object} query - { from, to }
+   * @returns {Promise<Object>} { from, to, gio: [...], thu: [{ thu, ten_thu, so_ngay, ghe: [...] }], cao_diem }
+   */
+  static async getHourlyHeatmap(query) {
+    const { from, to } = this.resolveRange(query);
+    const reservations = await ReportModel.getReservations(from, to, reportConfig.coverStatuses);
+
+    const dayCounts = Array(7).fill(0);
+    listDates(from, to).forEach(ngay => { dayCounts[OpeningHoursService.getWeekday(ngay)] += 1; });
+
+    const seats = Array.from({ length: 7 }, () => Array(24).fill(0));
+    reservations.forEach(reservation => {
+      const thu = OpeningHoursService.getWeekday(formatDate(reservation.ngay));
+      const start = toMinutes(reservation.gio);
+      const end = start + (reservation.thoi_luong || TableAllocationService.getDuration(reservation.so_luong_khach));
+
+      for (let hour = Math.floor(start / 60); hour < 24 && hour * 60 < end; hour++) {
+        if (overlaps(start, end, hour * 60, (hour + 1) * 60)) seats[thu][hour] += reservation.so_luong_khach;
+      }
+    });
+
+    // Only the hours that had bookings on some weekday
+    const hours = [];
+    for (let hour = 0; hour < 24; hour++) {
+      if (seats.some(row => row[hour] > 0)) hours.push(hour);
+    }
+
+    let peak = null;
+    const rows = seats.map((row, thu) => {
+      const averages = hours.map(hour => (dayCounts[thu] > 0 ? Math.round((row[hour] / dayCounts[thu]) * 10) / 10 : 0));
+      averages.forEach((value, index) => {
+        if (value > 0 && (!peak || value > peak.ghe)) {
+          peak = { thu, ten_thu: WEEKDAY_NAMES[thu], gio: fromMinutes(hours[index] * 60), ghe: value };
+        }
+      });
+      return { thu, ten_thu: WEEKDAY_NAMES[thu], so_ngay: dayCounts[thu], ghe: averages };
+    });
+
+    return {
+      from,
+      to,
+      gio: hours.map(hour => fromMinutes(hour * 60)),
+      thu: rows,
+      cao_diem: peak
+    };
+  }
+
+  /**
+   * No-show and cancellation rates by weekday, over bookings that reached a final status
+   * @param {Object} query - { from, to }
+   * @returns {Promise<Object>} { from, to, thu: [...], tong }
+   */
+  static async getOutcomeRates(query) {
+    const { from, to } = this.resolveRange(query);
+    const rows = await ReportModel.getOutcomesByWeekday(from, to, reportConfig.closedStatuses);
+
+    const toRates = (row) => ({
+      tong: row.tong,
+      khong_den: row.khong_den,
+      da_huy: row.da_huy,
+      ty_le_khong_den: toPercent(row.khong_den, row.tong),
+      ty_le_huy: toPercent(row.da_huy, row.tong)
+    });
+
+    const byWeekday = WEEKDAY_NAMES.map((ten_thu, thu) => {
+      const row = rows.find(item => item.thu === thu) || { tong: 0, khong_den: 0, da_huy: 0 };
+      return { thu, ten_thu, ...toRates(row) };
+    });
+
+    const total = byWeekday.reduce((sum, row) => ({
+      tong: sum.tong + row.tong,
+      khong_den: sum.khong_den + row.khong_den,
+      da_huy: sum.da_huy + row.da_huy
+    }), { tong: 0, khong_den: 0, da_huy: 0 });
+
+    return { from, to, thu: byWeekday, tong: toRates(total) };
+  }
+
+  /**
+   * How far ahead guests book (arrival date minus booking date)
+   * @param {Object} query - { from, to } on the arrival date
+   * @returns {Promise<Object>} { from, to, nhom: [...], trung_binh_ngay, trung_vi_ngay }
+   */
+  static async getLeadTimeDistribution(query) {
+    const { from, to } = this.resolveRange(query);
+    const rows = await ReportModel.getLeadTimes(from, to);
+
+    const total = rows.reduce((sum, row) => sum + row.so_dat_ban, 0);
+    const buckets = toBuckets(reportConfig.leadTimeBuckets, rows, 'so_ngay', 'so_dat_ban')
+      .map(bucket => ({ ...bucket, ty_le: toPercent(bucket.so_dat_ban, total) }));
+
+    let median = null;
+    let seen = 0;
+    for (const row of rows) {
+      seen += row.so_dat_ban;
+      if (seen * 2 >= total) {
+        median = row.so_ngay;
+        break;
+      }
+    }
+
+    const sum = rows.reduce((acc, row) => acc + row.so_ngay * row.so_dat_ban, 0);
+
+    return {
+      from,
+      to,
+      tong_dat_ban: total,
+      nhom: buckets,
+      trung_binh_ngay: total > 0 ? Math.round((sum / total) * 10) / 10 : null,
+      trung_vi_ngay: median
+    };
+  }
+
+  /**
+   * Mix of party sizes among bookings that came or are expected
+   * @param {Object} query - { from, to }
+   * @returns {Promise<Object>} { from, to, nhom: [...], trung_binh_khach }
+   */
+  static async getPartySizeMix(query) {
+    const { from, to } = this.resolveRange(query);
+    const rows = await ReportModel.getPartySizes(from, to, reportConfig.coverStatuses);
+
+    const total = rows.reduce((sum, row) => sum + row.so_dat_ban, 0);
+    const guests = rows.reduce((sum, row) => sum + row.so_luong_khach * row.so_dat_ban, 0);
+
+    const buckets = toBuckets(reportConfig.partySizeBuckets, rows, 'so_luong_khach', 'so_dat_ban');
+    const guestBuckets = toBuckets(
+      reportConfig.partySizeBuckets,
+      rows.map(row => ({ ...row, so_khach: row.so_luong_khach * row.so_dat_ban })),
+      'so_luong_khach',
+      'so_khach'
+    );
+
+    return {
+      from,
+      to,
+      tong_dat_ban: total,
+      tong_khach: guests,
+      nhom: buckets.map((bucket, index) => ({
+        ...bucket,
+        so_khach: guestBuckets[index].so_dat_ban,
+        ty_le: toPercent(bucket.so_dat_ban, total)
+      })),
+      trung_binh_khach: total > 0 ? Math.round((guests / total) * 10) / 10 : null
+    };
+  }
+
+  /**
+   * Bookings of one date in seating order, with tables, deposit and what the
+   * host should know about each guest (VIP, allergies, earlier no-shows)
+   * @param {string} ngay - Date (YYYY-MM-DD), defaults to today
+   * @returns {Promise<Object>} { ngay, ten_thu, tong_dat_ban, tong_khach, dat_ban: [...] }
+   */
+  static async getHostSheet(ngay) {
+    const date = ngay || OpeningHoursService.formatLocalDate(new Date());
+    const rows = await ReportModel.getHostSheet(date, reservationConfig.activeStatuses);
+
+    const phones = [...new Set(rows.map(row => row.sdt_chuan).filter(Boolean))];
+    const profiles = new Map(await Promise.all(
+      phones.map(async (phone) => [phone, await GuestProfileService.getProfile(phone)])
+    ));
+
+    const reservations = rows.map(row => {
+      const profile = profiles.get(row.sdt_chuan);
+      return {
+        id_datban: row.id_datban,
+        gio: String(row.gio).substring(0, 5),
+        ten_khach: row.ten_khach,
+        sdt: row.sdt,
+        so_luong_khach: row.so_luong_khach,
+        ban: row.ban || null,
+        trang_thai: row.trang_thai,
+        dat_coc: row.trang_thai_coc || null,
+        vip: profile ? profile.vip : false,
+        di_ung: profile ? profile.di_ung : null,
+        so_lan_den: profile ? profile.so_lan_hoan_thanh : 0,
+        so_lan_khong_den: profile ? profile.so_lan_khong_den : 0,
+        ghi_chu_khach: profile ? profile.ghi_chu : null,
+        ghi_chu: row.ghi_chu,
+        can_duyet: !!row.can_duyet
+      };
+    });
+
+    return {
+      ngay: date,
+      ten_thu: WEEKDAY_NAMES[OpeningHoursService.getWeekday(date)],
+      tong_dat_ban: reservations.length,
+      tong_khach: reservations.reduce((sum, reservation) => sum + reservation.so_luong_khach, 0),
+      dat_ban: reservations
+    };
+  }
+}
+
+module.exports = ReportService;
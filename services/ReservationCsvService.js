@@ -0,0 +1,251 @@
+// Reservation CSV Service - Bulk import of bookings from spreadsheets and CSV export
+const ReservationService = require('./ReservationService');
+const TableAllocationService = require('./TableAllocationService');
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const reservationConfig = require('../config/reservation');
+const { STATUS } = require('../utils/reservationStateMachine');
+const { parseCsv, buildCsv, unescapeFormula } = require('../utils/csv');
+const { formatDate } = require('../utils/reservationTime');
+const { normalizePhone } = require('../utils/phone');
+
+// Accepted column titles (without accents, lower case, "_" for spaces) per field.
+// Exported files use the field names, so an export can be imported again.
+const COLUMN_ALIASES = {
+  ten_khach: ['ten_khach', 'ho_ten', 'ten', 'khach', 'name', 'guest_name'],
+  sdt: ['sdt', 'so_dien_thoai', 'dien_thoai', 'phone'],
+  email: ['email'],
+  ngay: ['ngay', 'ngay_dat', 'date'],
+  gio: ['gio', 'gio_den', 'time'],
+  so_luong_khach: ['so_luong_khach', 'so_khach', 'guests', 'party_size'],
+  thoi_luong: ['thoi_luong', 'duration'],
+  ghi_chu: ['ghi_chu', 'note', 'notes'],
+  trang_thai: ['trang_thai', 'status']
+};
+
+// Column title -> value of an exported reservation
+const EXPORT_COLUMNS = [
+  ['id_datban', row => row.id_datban],
+  ['ten_khach', row => row.ten_khach],
+  ['sdt', row => row.sdt],
+  ['email', row => row.email],
+  ['ngay', row => formatDate(row.ngay)],
+  ['gio', row => String(row.gio).substring(0, 5)],
+  ['thoi_luong', row => row.thoi_luong],
+  ['so_luong_khach', row => row.so_luong_khach],
+  ['ban', row => row.ban || ''],
+  ['trang_thai', row => row.trang_thai],
+  ['loai', row => row.loai],
+  ['ghi_chu', row => row.ghi_chu],
+  ['created_at', row => (row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at)]
+];
+
+// "Số điện thoại" -> "so_dien_thoai"
+const normalizeHeader = (title) => title
+  .trim()
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/g, 'd')
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+// Dates as typed in phone notes (d/m/yyyy, dd-mm-yyyy) or ISO
+const normalizeDate = (value) => {
+  const text = value.trim();
+  const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (!match) return text;
+  return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+};
+
+// "9:30" -> "09:30", "19:00:00" -> "19:00"
+const normalizeTime = (value) => {
+  const match = value.trim().match(/^(\d{1,2})[:hH](\d{2})(?::\d{2})?$/);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : value.trim();
+};
+
+class ReservationCsvService {
+  /**
+   * Read reservation rows from CSV content
+   * @param {string} content - CSV text
+   * @returns {Array<Object>} { dong, data } with the spreadsheet line number
+   * @throws {AppError} 400 INVALID_CSV when the file is empty, misses columns or is too long
+   */
+  static parseRows(content) {
+    const [header, ...lines] = parseCsv(content);
+    if (!header) {
+      throw new AppError('File CSV không có dữ liệu', 400, 'INVALID_CSV');
+    }
+
+    const titles = header.map(normalizeHeader);
+    const columns = {};
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      const index = titles.findIndex(title => aliases.includes(title));
+      if (index !== -1) columns[field] = index;
+    });
+
+    const missing = ['ten_khach', 'sdt', 'ngay', 'gio', 'so_luong_khach'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+      throw new AppError(`File CSV thiếu cột: ${missing.join(', ')}`, 400, 'INVALID_CSV');
+    }
+    if (lines.length > reservationConfig.importMaxRows) {
+      throw new AppError(`Mỗi lần nhập tối đa ${reservationConfig.importMaxRows} dòng`, 400, 'INVALID_CSV');
+    }
+
+    return lines.map((fields, index) => {
+      const data = {};
+      Object.entries(columns).forEach(([field, column]) => {
+        // Files exported here carry a ' in front of values such as +84... phone numbers
+        const value = unescapeFormula((fields[column] || '').trim());
+        if (value !== '') data[field] = value;
+      });
+      if (data.ngay) data.ngay = normalizeDate(data.ngay);
+      if (data.gio) data.gio = normalizeTime(data.gio);
+
+      return { dong: index + 2, data };
+    });
+  }
+
+  /**
+   * Check one row with the same rules as a booking made through the API
+   * @private
+   */
+  static async checkRow(data) {
+    const errors = await ReservationService.validate(data, { horizonDays: reservationConfig.importHorizonDays });
+
+    const status = data.trang_thai || STATUS.PENDING;
+    if (!reservationConfig.importStatuses.includes(status)) {
+      errors.push(`Trạng thái nhập phải là một trong: ${reservationConfig.importStatuses.join(', ')}`);
+    }
+    if (errors.length > 0) return errors;
+
+    try {
+      await ReservationService.assertNoConflicts(data);
+
+      // Confirmed bookings must get tables right away
+      if (status === STATUS.CONFIRMED) {
+        await TableAllocationService.resolveTables({
+          id_datban: null,
+          ngay: data.ngay,
+          gio: data.gio,
+          thoi_luong: ReservationService.resolveDuration(data),
+          so_luong_khach: parseInt(data.so_luong_khach)
+        });
+      }
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      errors.push(error.message);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Import a confirmed row: assign its tables and move it to da_xac_nhan
+   * @private
+   */
+  static async confirm(created, origin) {
+    await TableAllocationService.syncAssignment({ ...created, ngay: formatDate(created.ngay), trang_thai: STATUS.CONFIRMED });
+
+    const result = await executeQuery(
+      'UPDATE dat_ban SET trang_thai = ?, updated_at = CURRENT_TIMESTAMP WHERE id_datban = ?',
+      [STATUS.CONFIRMED, created.id_datban]
+    );
+    if (!result.success) throw new Error(result.error);
+
+    await ReservationService.recordStatusChange(created.id_datban, created.trang_thai, STATUS.CONFIRMED, origin.actor, 'Nhập từ file', { silent: true });
+    const updated = await ReservationService.loadSnapshot(created.id_datban);
+    await ReservationService.recordHistory(origin, created.id_datban, 'doi_trang_thai', created, updated);
+
+    return updated;
+  }
+
+  /**
+   * Validate and import reservations from CSV. Each row is checked like a
+   * booking made through the API (validateReservationData, opening hours,
+   * duplicates, capacity). Valid rows are imported one by one, so a later row
+   * also sees the bookings of earlier rows; invalid rows are reported and skipped.
+   * A dry run only checks the rows against the bookings already stored (and
+   * repeated rows within the file). A confirmed row whose tables cannot be
+   * assigned stays imported as cho_xac_nhan and is reported with its id.
+   * @param {string} content - CSV text
+   * @param {Object} origin - { actor, source }
+   * @param {Object} options - { dryRun, notify }
+   * @returns {Promise<Object>} { dry_run, tong_so_dong, hop_le, loi, da_nhap, chua_xac_nhan, dong }
+   */
+  static async importCsv(content, origin, options = {}) {
+    const rows = this.parseRows(content);
+    const seen = new Map();
+    const results = [];
+
+    for (const { dong, data } of rows) {
+      const errors = await this.checkRow(data);
+
+      // The same guest and time twice in one file
+      const key = `${normalizePhone(data.sdt || '')}|${data.ngay}|${data.gio}`;
+      if (seen.has(key)) {
+        errors.push(`Trùng với dòng ${seen.get(key)}`);
+      } else {
+        seen.set(key, dong);
+      }
+
+      if (errors.length > 0 || options.dryRun) {
+        results.push({ dong, trang_thai: errors.length > 0 ? 'loi' : 'hop_le', loi: errors });
+        continue;
+      }
+
+      let created;
+      try {
+        created = await ReservationService.create(
+          { ...data, trang_thai: undefined },
+          origin,
+          { horizonDays: reservationConfig.importHorizonDays, skipDeposit: true, silent: !options.notify }
+        );
+      } catch (error) {
+        // Taken by an earlier row of the file or by another booking meanwhile
+        if (!(error instanceof AppError)) throw error;
+        results.push({ dong, trang_thai: 'loi', loi: error.errors || [error.message] });
+        continue;
+      }
+
+      // The booking exists from here on: report it with its id even if it cannot be confirmed
+      try {
+        if (data.trang_thai === STATUS.CONFIRMED) {
+          await this.confirm(created, origin);
+        }
+        results.push({ dong, trang_thai: 'da_nhap', id_datban: created.id_datban, loi: [] });
+      } catch (error) {
+        results.push({
+          dong,
+          trang_thai: 'chua_xac_nhan',
+          id_datban: created.id_datban,
+          loi: error instanceof AppError ? (error.errors || [error.message]) : ['Không xác nhận được đặt bàn']
+        });
+      }
+    }
+
+    return {
+      dry_run: Boolean(options.dryRun),
+      tong_so_dong: rows.length,
+      hop_le: results.filter(row => row.trang_thai !== 'loi').length,
+      loi: results.filter(row => row.trang_thai === 'loi').length,
+      da_nhap: results.filter(row => row.trang_thai === 'da_nhap' || row.trang_thai === 'chua_xac_nhan').length,
+      chua_xac_nhan: results.filter(row => row.trang_thai === 'chua_xac_nhan').length,
+      dong: results
+    };
+  }
+
+  /**
+   * Reservations as CSV, same columns as accepted by the import
+   * @param {Array<Object>} rows - dat_ban rows, ban as a list of table numbers
+   * @returns {string} CSV content
+   */
+  static buildExport(rows) {
+    return buildCsv([
+      EXPORT_COLUMNS.map(([title]) => title),
+      ...rows.map(row => EXPORT_COLUMNS.map(([, value]) => value(row)))
+    ]);
+  }
+}
+
+module.exports = ReservationCsvService;
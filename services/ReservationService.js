@@ -0,0 +1,410 @@
+// Reservation Service - Shared reservation rules (validation, conflicts, audit trail)
+const { executeQuery } = require('../config/database');
+const TableModel = require('../models/TableModel');
+const ReservationHistoryModel = require('../models/ReservationHistoryModel');
+const TableAllocationService = require('./TableAllocationService');
+const OpeningHoursService = require('./OpeningHoursService');
+const NotificationService = require('./NotificationService');
+const GuestProfileService = require('./GuestProfileService');
+const RealtimeService = require('./RealtimeService');
+const { AppError } = require('../middleware/errorHandler');
+const reservationConfig = require('../config/reservation');
+const { STATUS } = require('../utils/reservationStateMachine');
+const { toMinutes, fromMinutes, overlaps } = require('../utils/reservationTime');
+const { getDepositRequirement } = require('../utils/depositPolicy');
+const { normalizePhone } = require('../utils/phone');
+
+class ReservationService {
+  /**
+   * Validate the fields of a reservation payload
+   * @param {Object} data - Reservation data
+   * @returns {Array<string>} Validation errors
+   */
+  static validateReservationData(data) {
+    const errors = [];
+
+    // Validate ten_khach
+    if (!data.ten_khach || data.ten_khach.trim().length < 2) {
+      errors.push('Họ tên phải có ít nhất 2 ký tự');
+    }
+    if (data.ten_khach && data.ten_khach.length > 100) {
+      errors.push('Họ tên không được quá 100 ký tự');
+    }
+    if (data.ten_khach && !/^[a-zA-ZÀ-ỹ\s]+$/u.test(data.ten_khach)) {
+      errors.push('Họ tên chỉ được chứa chữ cái và khoảng trắng');
+    }
+
+    // Validate sdt
+    if (!data.sdt) {
+      errors.push('Số điện thoại là bắt buộc');
+    }
+    const phone = data.sdt ? data.sdt.replace(/\s/g, '') : '';
+    if (phone && !/^[0-9]{10,11}$/.test(phone)) {
+      errors.push('Số điện thoại phải có 10-11 chữ số');
+    }
+
+    // Validate email if provided
+    if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+      errors.push('Email không đúng định dạng');
+    }
+    if (data.email && data.email.length > 100) {
+      errors.push('Email không được quá 100 ký tự');
+    }
+
+    // Validate ngay
+    if (!data.ngay) {
+      errors.push('Ngày đặt bàn là bắt buộc');
+    }
+    if (data.ngay && !/^\d{4}-\d{2}-\d{2}$/.test(data.ngay)) {
+      errors.push('Ngày đặt bàn phải có định dạng YYYY-MM-DD');
+    }
+    if (data.ngay) {
+      const reservationDate = new Date(data.ngay);
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+    
+      if (reservationDate < today) {
+        errors.push('Không thể đặt bàn cho ngày trong quá khứ');
+      }
+    }
+
+    // Validate gio (khung giờ mở cửa được kiểm tra theo lịch trong validateReservationSchedule)
+    if (!data.gio) {
+      errors.push('Giờ đặt bàn là bắt buộc');
+    }
+    if (data.gio && !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(data.gio)) {
+      errors.push('Giờ đặt bàn phải có định dạng HH:MM');
+    }
+    if (data.gio) {
+    
+      // Check if time has passed for today
+      if (data.ngay) {
+        const reservationDate = new Date(data.ngay);
+        const today = new Date();
+      
+        if (reservationDate.toDateString() === today.toDateString()) {
+          const reservationTime = new Date(`${data.ngay} ${data.gio}`);
+          if (reservationTime <= new Date()) {
+            errors.push('Không thể đặt bàn cho giờ đã qua');
+          }
+        }
+      }
+    }
+
+    // Validate so_luong_khach
+    if (!data.so_luong_khach) {
+      errors.push('Số lượng khách là bắt buộc');
+    }
+    // Group bookings (events, company dinners) may seat more guests across several tables
+    const guests = parseInt(data.so_luong_khach);
+    const maxGuests = data.loai === 'nhom' ? reservationConfig.groupMaxGuests : reservationConfig.maxGuests;
+    if (isNaN(guests) || guests < 1 || guests > maxGuests) {
+      errors.push(`Số lượng khách phải từ 1 đến ${maxGuests} người`);
+    }
+
+    // Validate thoi_luong (optional override by staff)
+    if (data.thoi_luong !== undefined && data.thoi_luong !== null && data.thoi_luong !== '') {
+      const duration = parseInt(data.thoi_luong);
+      if (isNaN(duration) || duration < reservationConfig.minDurationMinutes || duration > reservationConfig.maxDurationMinutes) {
+        errors.push(`Thời gian ngồi phải từ ${reservationConfig.minDurationMinutes} đến ${reservationConfig.maxDurationMinutes} phút`);
+      }
+    }
+
+    // Validate ghi_chu
+    if (data.ghi_chu && data.ghi_chu.length > 500) {
+      errors.push('Ghi chú không được quá 500 ký tự');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the date/time against the opening-hours calendar and booking horizon
+   * @param {Object} data - Reservation data
+   * @param {Object} options - { horizonDays } to allow booking further ahead (recurring series)
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  static async validateSchedule(data, options = {}) {
+    return await OpeningHoursService.validateReservation(data, this.resolveDuration(data), options.horizonDays);
+  }
+
+  /**
+   * Run field validation, then the calendar check once the fields are valid
+   * @param {Object} data - Reservation data
+   * @param {Object} options - Passed to validateSchedule
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  static async validate(data, options = {}) {
+    const errors = this.validateReservationData(data);
+    if (errors.length > 0) return errors;
+
+    return await this.validateSchedule(data, options);
+  }
+
+  /**
+   * Resolve the seating duration of a reservation payload
+   * @param {Object} data - Reservation data (thoi_luong, so_luong_khach)
+   * @returns {number} Duration in minutes
+   */
+  static resolveDuration(data) {
+    const duration = parseInt(data.thoi_luong);
+    return duration || TableAllocationService.getDuration(parseInt(data.so_luong_khach));
+  }
+
+  /**
+   * Find a reservation of the same phone number whose time window overlaps
+   * @param {string} sdt - Phone number
+   * @param {string} ngay - Date (YYYY-MM-DD)
+   * @param {string} gio - Start time
+   * @param {number} duration - Seating duration (minutes)
+   * @param {number|null} excludeId - Reservation to ignore
+   * @returns {Promise<Object|null>} Overlapping reservation
+   */
+  static async checkDuplicateReservation(sdt, ngay, gio, duration, excludeId = null) {
+    try {
+      // executeQuery uses prepared statements, which do not expand arrays
+      const statuses = reservationConfig.activeStatuses;
+      let query = `
+        SELECT id_datban, gio, thoi_luong, so_luong_khach FROM dat_ban 
+        WHERE sdt = ? AND ngay = ? AND trang_thai IN (${statuses.map(() => '?').join(', ')})
+      `;
+      let params = [sdt, ngay, ...statuses];
+
+      if (excludeId) {
+        query += ' AND id_datban != ?';
+        params.push(excludeId);
+      }
+
+      const result = await executeQuery(query, params);
+      if (!result.success) return null;
+
+      const start = toMinutes(gio);
+      return result.data.find(row => {
+        const rowStart = toMinutes(row.gio);
+        return overlaps(start, start + duration, rowStart, rowStart + TableAllocationService.getReservationDuration(row));
+      }) || null;
+    } catch (error) {
+      console.error('Error checking duplicate reservation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Reject a reservation that overlaps another booking of the same guest
+   * or that no longer fits the tables free during its whole seating window
+   * @param {Object} data - Reservation data
+   * @param {number|null} excludeId - Reservation being changed
+   * @throws {AppError} 409 RESERVATION_OVERLAP or SLOT_FULL
+   */
+  static async assertNoConflicts(data, excludeId = null) {
+    if (data.trang_thai && !reservationConfig.activeStatuses.includes(data.trang_thai)) return;
+
+    const duration = this.resolveDuration(data);
+    const start = toMinutes(data.gio);
+    const windowText = `${fromMinutes(start)} - ${fromMinutes(start + duration)}`;
+
+    const duplicate = await this.checkDuplicateReservation(data.sdt, data.ngay, data.gio, duration, excludeId);
+    if (duplicate) {
+      const dupStart = toMinutes(duplicate.gio);
+      const dupEnd = dupStart + TableAllocationService.getReservationDuration(duplicate);
+      throw new AppError(
+        `Số điện thoại này đã có đặt bàn #${duplicate.id_datban} lúc ${fromMinutes(dupStart)} - ${fromMinutes(dupEnd)}, trùng với khung giờ ${windowText}`,
+        409,
+        'RESERVATION_OVERLAP'
+      );
+    }
+
+    const availability = await TableAllocationService.checkAvailability({
+      ngay: data.ngay,
+      gio: data.gio,
+      guests: parseInt(data.so_luong_khach),
+      duration,
+      excludeId,
+      group: data.loai === 'nhom'
+    });
+
+    if (!availability.isAvailable) {
+      throw new AppError(
+        `Không còn bàn trống cho ${parseInt(data.so_luong_khach)} khách trong khung giờ ${windowText}`,
+        409,
+        'SLOT_FULL'
+      );
+    }
+  }
+
+  /**
+   * Record a status transition with who made it and when, and notify the guest
+   * @param {number} id - Reservation ID
+   * @param {string|null} from - Previous status (null on create)
+   * @param {string} to - New status
+   * @param {string} actor - Who made the change
+   * @param {string|null} reason - Optional reason
+   * @param {Object} options - { silent } to record without notifying the guest
+   */
+  static async recordStatusChange(id, from, to, actor, reason = null, options = {}) {
+    const result = await executeQuery(
+      `INSERT INTO dat_ban_trang_thai (id_datban, tu_trang_thai, den_trang_thai, nguoi_thuc_hien, ly_do)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, from, to, actor, reason ? String(reason).trim().substring(0, 255) : null]
+    );
+    if (!result.success) throw new Error(result.error);
+
+    if (!options.silent) NotificationService.notifyStatusChange(id, from, to);
+  }
+
+  /**
+   * Snapshot of a reservation with its assigned tables, as compared in the history
+   * @param {number} id - Reservation ID
+   * @returns {Promise<Object|null>} dat_ban row with ban, null when missing
+   */
+  static async loadSnapshot(id) {
+    const result = await executeQuery('SELECT * FROM dat_ban WHERE id_datban = ?', [id]);
+    if (!result.success || result.data.length === 0) return null;
+    return { ...result.data[0], ban: await TableModel.getByReservation(id) };
+  }
+
+  /**
+   * Append an immutable history entry holding the field-level diff and push
+   * the change to the live boards (RealtimeService)
+   * @param {Object} origin - { actor, source, declaredActor (name sent by the client, unverified) }
+   * @param {number} id - Reservation ID
+   * @param {string} action - tao, cap_nhat, doi_trang_thai or xoa
+   * @param {Object|null} before - Snapshot before the change
+   * @param {Object|null} after - Snapshot after the change
+   */
+  static async recordHistory(origin, id, action, before, after) {
+    const entry = await ReservationHistoryModel.create({
+      id_datban: id,
+      hanh_dong: action,
+      thay_doi: ReservationHistoryModel.diff(before, after),
+      nguoi_thuc_hien: origin.actor,
+      nguon: origin.source,
+      nguoi_khai_bao: origin.declaredActor
+    });
+
+    if (entry) RealtimeService.publish(action, before, after);
+  }
+
+  /**
+   * Validate, conflict-check and insert a new pending reservation. Bookings
+   * matching a deposit rule wait for payment first (cho_thanh_toan); the
+   * guest's record (see GuestProfileService) may add a deposit or flag the
+   * booking for manual approval.
+   * @param {Object} data - Reservation data (loai, ten_su_kien, id_thuc_don, so_suat for
+   *   group bookings; id_chuoi for an occurrence of a recurring series)
+   * @param {Object} origin - { actor, source }
+   * @param {Object} options - Passed to validate, plus skipDeposit (deposit already
+   *   settled elsewhere, e.g. imported bookings) and silent (no confirmation sent)
+   * @returns {Promise<Object>} Created reservation snapshot
+   * @throws {AppError} 400 VALIDATION_ERROR (with errors) or a 409 conflict
+   */
+  static async create(data, origin, options = {}) {
+    const validationErrors = await this.validate(data, options);
+    if (validationErrors.length > 0) {
+      const error = new AppError('Dữ liệu không hợp lệ', 400, 'VALIDATION_ERROR');
+      error.errors = validationErrors;
+      throw error;
+    }
+
+    await this.assertNoConflicts(data);
+
+    const guest = await GuestProfileService.evaluate(data.sdt);
+    const status = !options.skipDeposit && getDepositRequirement(data, guest.depositRules) ? STATUS.PENDING_PAYMENT : STATUS.PENDING;
+    const approvalReason = guest.approvalRules.map(rule => rule.mo_ta || rule.ten).join('; ');
+
+    const insertQuery = `
+      INSERT INTO dat_ban (ten_khach, sdt, sdt_chuan, email, ngay, gio, thoi_luong, so_luong_khach, ghi_chu, trang_thai, can_duyet, ly_do_duyet, id_khachhang,
+        loai, ten_su_kien, id_thuc_don, so_suat, id_chuoi) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      data.ten_khach.trim(),
+      data.sdt.trim(),
+      normalizePhone(data.sdt),
+      data.email ? data.email.trim() : null,
+      data.ngay,
+      data.gio,
+      this.resolveDuration(data),
+      parseInt(data.so_luong_khach),
+      data.ghi_chu ? data.ghi_chu.trim() : null,
+      status,
+      approvalReason ? 1 : 0,
+      approvalReason ? approvalReason.substring(0, 255) : null,
+      data.id_khachhang || null,
+      data.loai === 'nhom' ? 'nhom' : 'le',
+      data.ten_su_kien ? data.ten_su_kien.trim() : null,
+      data.id_thuc_don || null,
+      data.so_suat || null,
+      data.id_chuoi || null
+    ];
+
+    const result = await executeQuery(insertQuery, params);
+    if (!result.success) throw new Error(result.error);
+
+    const id = result.data.insertId;
+    await this.recordStatusChange(id, null, status, origin.actor, null, { silent: options.silent });
+
+    const created = await this.loadSnapshot(id);
+    await this.recordHistory(origin, id, 'tao', null, created);
+
+    return created;
+  }
+
+  /**
+   * Bookings of a customer account, split into upcoming (still active, not yet
+   * started) and past ones
+   * @param {number} customerId - khach_hang ID
+   * @param {number} pastLimit - Max past bookings returned
+   * @returns {Promise<Object>} { sap_toi, da_qua }
+   */
+  static async getByCustomer(customerId, pastLimit = 50) {
+    const statuses = reservationConfig.activeStatuses;
+    const upcomingCondition = `TIMESTAMP(ngay, gio) >= NOW() AND trang_thai IN (${statuses.map(() => '?').join(', ')})`;
+
+    const [upcoming, past] = await Promise.all([
+      executeQuery(
+        `SELECT * FROM dat_ban WHERE id_khachhang = ? AND ${upcomingCondition} ORDER BY ngay ASC, gio ASC`,
+        [customerId, ...statuses]
+      ),
+      executeQuery(
+        `SELECT * FROM dat_ban WHERE id_khachhang = ? AND NOT (${upcomingCondition})
+         ORDER BY ngay DESC, gio DESC LIMIT ${parseInt(pastLimit)}`,
+        [customerId, ...statuses]
+      )
+    ]);
+    if (!upcoming.success) throw new Error(upcoming.error);
+    if (!past.success) throw new Error(past.error);
+
+    return {
+      sap_toi: await Promise.all(upcoming.data.map(async (reservation) => ({
+        ...reservation,
+        ban: await TableModel.getByReservation(reservation.id_datban)
+      }))),
+      da_qua: past.data
+    };
+  }
+
+  /**
+   * Attach earlier guest bookings made with this phone number to a customer
+   * account. Only call it once the account owns the number (see
+   * PhoneVerificationService). Bookings already linked to another account are left alone.
+   * @param {number} customerId - khach_hang ID
+   * @param {string} sdt - Phone number in any format
+   * @returns {Promise<number>} Number of bookings claimed
+   */
+  static async claimByPhone(customerId, sdt) {
+    const phone = normalizePhone(sdt);
+    if (!phone) return 0;
+
+    const result = await executeQuery(
+      'UPDATE dat_ban SET id_khachhang = ? WHERE sdt_chuan = ? AND id_khachhang IS NULL',
+      [customerId, phone]
+    );
+    if (!result.success) throw new Error(result.error);
+
+    return result.data.affectedRows;
+  }
+}
+
+module.exports = ReservationService;
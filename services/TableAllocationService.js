@@ -0,0 +1,347 @@
+// Table Allocation Service - Seat-aware table assignment for reservations
+const TableModel = require('../models/TableModel');
+const WaitlistModel = require('../models/WaitlistModel');
+const reservationConfig = require('../config/reservation');
+const { toMinutes, overlaps } = require('../utils/reservationTime');
+const { AppError } = require('../middleware/errorHandler');
+
+class TableAllocationService {
+  /**
+   * Seating duration for a party (minutes)
+   * @param {number} guests - Party size
+   * @returns {number} Duration in minutes
+   */
+  static getDuration(guests) {
+    const rule = reservationConfig.durationRules.find(item => guests <= item.maxGuests);
+    return rule ? rule.minutes : reservationConfig.defaultDurationMinutes;
+  }
+
+  /**
+   * Seating duration of a stored reservation, falling back to the party rule
+   * @param {Object} reservation - dat_ban row
+   * @returns {number} Duration in minutes
+   */
+  static getReservationDuration(reservation) {
+    return parseInt(reservation.thoi_luong) || this.getDuration(parseInt(reservation.so_luong_khach));
+  }
+
+  /**
+   * Pick the best table or table combination for a party from free tables.
+   * A single table with the smallest sufficient capacity wins; otherwise the
+   * combination of combinable tables in one zone using the fewest tables and
+   * wasting the fewest seats is chosen.
+   * @param {Array} freeTables - Tables that are free for the whole window
+   * @param {number} guests - Party size
+   * @returns {Array|null} Chosen tables or null if nothing fits
+   */
+  static findTables(freeTables, guests) {
+    const singles = freeTables
+      .filter(table => table.suc_chua >= guests)
+      .sort((a, b) => a.suc_chua - b.suc_chua || a.so_ban.localeCompare(b.so_ban));
+
+    if (singles.length > 0) {
+      return [singles[0]];
+    }
+
+    const zones = {};
+    freeTables
+      .filter(table => table.co_the_ghep)
+      .forEach(table => {
+        zones[table.khu_vuc] = zones[table.khu_vuc] || [];
+        zones[table.khu_vuc].push(table);
+      });
+
+    let best = null;
+    const isBetter = (combo, seats) => {
+      if (!best) return true;
+      if (combo.length !== best.tables.length) return combo.length < best.tables.length;
+      return seats < best.seats;
+    };
+
+    const search = (candidates, start, combo, seats) => {
+      if (combo.length >= 2 && seats >= guests) {
+        if (isBetter(combo, seats)) {
+          best = { tables: [...combo], seats };
+        }
+        return;
+      }
+
+      if (combo.length >= reservationConfig.maxCombinedTables) return;
+
+      for (let i = start; i < candidates.length; i++) {
+        combo.push(candidates[i]);
+        search(candidates, i + 1, combo, seats + candidates[i].suc_chua);
+        combo.pop();
+      }
+    };
+
+    Object.values(zones).forEach(zoneTables => {
+      const candidates = [...zoneTables].sort((a, b) => b.suc_chua - a.suc_chua);
+      search(candidates, 0, [], 0);
+    });
+
+    return best ? best.tables : null;
+  }
+
+  /**
+   * Pick tables for a group booking (event, company dinner). Groups sit at
+   * separate tables, so tables need not be combinable and there is no limit
+   * on their number; the largest tables of one zone are preferred, then the
+   * largest tables of the whole restaurant.
+   * @param {Array} freeTables - Tables that are free for the whole window
+   * @param {number} guests - Party size
+   * @returns {Array|null} Chosen tables or null if nothing fits
+   */
+  static findGroupTables(freeTables, guests) {
+    const fill = (candidates) => {
+      const chosen = [];
+      let seats = 0;
+      for (const table of [...candidates].sort((a, b) => b.suc_chua - a.suc_chua)) {
+        if (seats >= guests) break;
+        chosen.push(table);
+        seats += table.suc_chua;
+      }
+      return seats >= guests ? chosen : null;
+    };
+
+    const zones = {};
+    freeTables.forEach(table => {
+      zones[table.khu_vuc] = zones[table.khu_vuc] || [];
+      zones[table.khu_vuc].push(table);
+    });
+
+    const inOneZone = Object.values(zones)
+      .map(fill)
+      .filter(Boolean)
+      .sort((a, b) => a.length - b.length);
+
+    return inOneZone[0] || fill(freeTables);
+  }
+
+  /**
+   * Work out which tables every booking of a day holds. Bookings that already
+   * have tables keep them; the others are placed greedily in time order so that
+   * pending requests still consume capacity.
+   * @param {Array} tables - Active tables
+   * @param {Array} bookings - Bookings from TableModel.getOccupancyByDate
+   * @returns {Array} Bookings with start, end and ban_ids resolved
+   */
+  static planDay(tables, bookings) {
+    const planned = bookings.map(booking => {
+      const start = toMinutes(booking.gio);
+      return {
+        ...booking,
+        start,
+        end: start + this.getReservationDuration(booking)
+      };
+    });
+
+    planned
+      .filter(booking => booking.ban_ids.length === 0)
+      .sort((a, b) => a.start - b.start)
+      .forEach(booking => {
+        const freeTables = this.getFreeTables(tables, planned, booking.start, booking.end);
+        const chosen = this.findTables(freeTables, booking.so_luong_khach);
+        booking.ban_ids = chosen ? chosen.map(table => table.id_ban) : [];
+        booking.unallocated = !chosen;
+      });
+
+    return planned;
+  }
+
+  /**
+   * Tables not held by any planned booking overlapping the window
+   * @param {Array} tables - Active tables
+   * @param {Array} planned - Planned bookings
+   * @param {number} start - Window start (minutes)
+   * @param {number} end - Window end (minutes)
+   * @returns {Array} Free tables
+   */
+  static getFreeTables(tables, planned, start, end) {
+    const occupied = new Set();
+
+    planned
+      .filter(booking => overlaps(start, end, booking.start, booking.end))
+      .forEach(booking => booking.ban_ids.forEach(id => occupied.add(id)));
+
+    return tables.filter(table => !occupied.has(table.id_ban));
+  }
+
+  /**
+   * Load the tables and planned bookings of a day. Waitlist offers still
+   * within their hold count as unassigned bookings.
+   * @param {string} ngay - Reservation date (YYYY-MM-DD)
+   * @param {number|null} excludeId - Reservation ID to ignore
+   * @returns {Promise<Object>} { tables, planned }
+   */
+  static async loadDay(ngay, excludeId = null) {
+    const tables = await TableModel.getAll({ trang_thai: 'active' });
+    const bookings = await TableModel.getOccupancyByDate(ngay, excludeId);
+    const holds = await WaitlistModel.getActiveHolds(ngay);
+
+    holds.forEach(hold => bookings.push({
+      id_datban: null,
+      id_cho: hold.id,
+      gio: hold.gio_de_xuat,
+      thoi_luong: hold.thoi_luong,
+      so_luong_khach: hold.so_luong_khach,
+      trang_thai: hold.trang_thai,
+      ban_ids: []
+    }));
+
+    return { tables, planned: this.planDay(tables, bookings) };
+  }
+
+  /**
+   * Evaluate one seating window against a loaded day
+   * @param {Object} day - Result of loadDay
+   * @param {string} gio - Start time (HH:MM)
+   * @param {number|null} guests - Party size
+   * @param {number|null} duration - Seating duration (minutes)
+   * @param {boolean} group - Allocate as a group booking (see findGroupTables)
+   * @returns {Object} Availability summary with proposed tables
+   */
+  static evaluate(day, gio, guests, duration = null, group = false) {
+    const { tables, planned } = day;
+    const start = toMinutes(gio);
+    duration = duration || this.getDuration(guests || 1);
+    const end = start + duration;
+    const freeTables = this.getFreeTables(tables, planned, start, end);
+    const find = group ? this.findGroupTables : this.findTables;
+    const chosen = guests ? find.call(this, freeTables, guests) : (freeTables.length > 0 ? [freeTables[0]] : null);
+
+    return {
+      durationMinutes: duration,
+      totalTables: tables.length,
+      totalSeats: tables.reduce((sum, table) => sum + table.suc_chua, 0),
+      bookedTables: tables.length - freeTables.length,
+      availableTables: freeTables.length,
+      availableSeats: freeTables.reduce((sum, table) => sum + table.suc_chua, 0),
+      overbookedReservations: planned
+        .filter(booking => booking.unallocated && booking.id_datban && overlaps(start, end, booking.start, booking.end))
+        .map(booking => booking.id_datban),
+      allocation: chosen,
+      isAvailable: !!chosen
+    };
+  }
+
+  /**
+   * Check availability and propose tables for a party
+   * @param {Object} params - { ngay, gio, guests, duration, excludeId, group }
+   * @returns {Promise<Object>} Availability summary with proposed tables
+   */
+  static async checkAvailability({ ngay, gio, guests, duration = null, excludeId = null, group = false }) {
+    const day = await this.loadDay(ngay, excludeId);
+    return this.evaluate(day, gio, guests, duration, group);
+  }
+
+  /**
+   * Choose the tables a reservation would get without assigning them. Uses the
+   * requested tables when given, otherwise allocates the best fit automatically.
+   * Group bookings may use any number of tables, combinable or not.
+   * @param {Object} reservation - dat_ban row (id_datban may be null for a new booking)
+   * @param {Array<number>|null} requestedIds - Table IDs chosen by staff
+   * @returns {Promise<Array>} Chosen tables
+   * @throws {AppError} 400/409 when the requested tables do not fit or nothing is free
+   */
+  static async resolveTables(reservation, requestedIds = null) {
+    const guests = parseInt(reservation.so_luong_khach);
+    const group = reservation.loai === 'nhom';
+    const tables = await TableModel.getAll({ trang_thai: 'active' });
+    const bookings = await TableModel.getOccupancyByDate(reservation.ngay, reservation.id_datban);
+    const planned = this.planDay(tables, bookings.filter(booking => booking.ban_ids.length > 0));
+
+    const start = toMinutes(reservation.gio);
+    const end = start + this.getReservationDuration(reservation);
+    const freeTables = this.getFreeTables(tables, planned, start, end);
+
+    let chosen;
+
+    if (requestedIds && requestedIds.length > 0) {
+      chosen = requestedIds.map(id => tables.find(table => table.id_ban === parseInt(id)));
+
+      if (chosen.some(table => !table)) {
+        throw new AppError('Bàn được chọn không tồn tại hoặc đã ngừng sử dụng', 400, 'TABLE_NOT_FOUND');
+      }
+
+      if (chosen.some(table => !freeTables.includes(table))) {
+        throw new AppError('Bàn được chọn đã có khách trong khung giờ này', 409, 'TABLE_OCCUPIED');
+      }
+
+      if (!group && chosen.length > 1 && chosen.some(table => !table.co_the_ghep)) {
+        throw new AppError('Có bàn không thể ghép', 400, 'TABLE_NOT_COMBINABLE');
+      }
+
+      if (chosen.reduce((sum, table) => sum + table.suc_chua, 0) < guests) {
+        throw new AppError('Sức chứa của bàn được chọn không đủ cho số khách', 400, 'TABLE_CAPACITY');
+      }
+    } else {
+      chosen = group ? this.findGroupTables(freeTables, guests) : this.findTables(freeTables, guests);
+
+      if (!chosen) {
+        throw new AppError('Không còn bàn phù hợp cho số khách trong khung giờ này', 409, 'NO_TABLE_AVAILABLE');
+      }
+    }
+
+    return chosen;
+  }
+
+  /**
+   * Assign tables to a reservation (see resolveTables)
+   * @param {Object} reservation - dat_ban row
+   * @param {Array<number>|null} requestedIds - Table IDs chosen by staff
+   * @returns {Promise<Array>} Assigned tables
+   */
+  static async assignTables(reservation, requestedIds = null) {
+    const chosen = await this.resolveTables(reservation, requestedIds);
+
+    return await TableModel.assignToReservation(
+      reservation.id_datban,
+      chosen.map(table => table.id_ban)
+    );
+  }
+
+  /**
+   * Tables a confirmed or seated reservation should have after a change, without
+   * writing anything. Requested tables win, then the current tables if they
+   * still fit, then a fresh automatic allocation.
+   * @param {Object} reservation - dat_ban row with the new values applied
+   * @param {Array<number>|null} requestedIds - Table IDs chosen by staff
+   * @returns {Promise<Array|null>} Chosen tables, null when not confirmed
+   * @throws {AppError} 400/409 when the requested tables do not fit or nothing is free
+   */
+  static async resolveAssignment(reservation, requestedIds = null) {
+    if (!reservationConfig.assignedStatuses.includes(reservation.trang_thai)) return null;
+
+    if (requestedIds && requestedIds.length > 0) {
+      return await this.resolveTables(reservation, requestedIds);
+    }
+
+    const current = await TableModel.getByReservation(reservation.id_datban);
+    if (current.length > 0) {
+      try {
+        return await this.resolveTables(reservation, current.map(table => table.id_ban));
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+      }
+    }
+
+    return await this.resolveTables(reservation);
+  }
+
+  /**
+   * Keep the table assignment of a confirmed or seated reservation in sync after a change
+   * (see resolveAssignment)
+   * @param {Object} reservation - dat_ban row with the new values applied
+   * @param {Array<number>|null} requestedIds - Table IDs chosen by staff
+   * @returns {Promise<Array|null>} Assigned tables, null when not confirmed
+   */
+  static async syncAssignment(reservation, requestedIds = null) {
+    const tables = await this.resolveAssignment(reservation, requestedIds);
+    if (!tables) return null;
+
+    return await TableModel.assignToReservation(reservation.id_datban, tables.map(table => table.id_ban));
+  }
+}
+
+module.exports = TableAllocationService;
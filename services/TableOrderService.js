@@ -0,0 +1,224 @@
+// Table Order Service - Guests order from their phone by scanning the QR code on the table
+const TableModel = require('../models/TableModel');
+const TableRequestModel = require('../models/TableRequestModel');
+const OrderModel = require('../models/OrderModel');
+const FoodModel = require('../models/FoodModel');
+const OrderService = require('./OrderService');
+const RealtimeService = require('./RealtimeService');
+const { AppError } = require('../middleware/errorHandler');
+const tableOrderConfig = require('../config/tableOrder');
+const { signTableToken, verifyTableToken } = require('../utils/tableToken');
+const { tableGuestOrigin } = require('../utils/requestActor');
+
+class TableOrderService {
+  /**
+   * QR code content of a table
+   * @param {number} tableId - Table ID
+   * @returns {Promise<Object>} { id_ban, so_ban, qr_phien, token, url }
+   * @throws {AppError} 404 TABLE_NOT_FOUND
+   */
+  static async getQrCode(tableId) {
+    const table = await TableModel.getById(tableId);
+    if (!table) {
+      throw new AppError('Không tìm thấy bàn', 404, 'TABLE_NOT_FOUND');
+    }
+
+    const token = signTableToken(table);
+    return {
+      id_ban: table.id_ban,
+      so_ban: table.so_ban,
+      qr_phien: table.qr_phien,
+      token,
+      url: `${tableOrderConfig.publicUrl}/${token}`
+    };
+  }
+
+  /**
+   * Issue a new QR code for a table; the codes printed before stop working
+   * @param {number} tableId - Table ID
+   * @returns {Promise<Object>} New QR code content (see getQrCode)
+   */
+  static async rotateQr(tableId) {
+    await this.getQrCode(tableId);
+    await TableModel.rotateQr(tableId);
+    return await this.getQrCode(tableId);
+  }
+
+  /**
+   * Table a QR token points to
+   * @param {string} token - Token from the QR code
+   * @returns {Promise<Object>} ban row
+   * @throws {AppError} 401 INVALID_TABLE_TOKEN (also for a revoked code), 409 TABLE_INACTIVE
+   */
+  static async resolveTable(token) {
+    const decoded = verifyTableToken(token);
+    const table = await TableModel.getById(decoded.id);
+
+    if (!table || table.qr_phien !== decoded.v) {
+      throw new AppError('Mã QR của bàn không hợp lệ hoặc đã được thay', 401, 'INVALID_TABLE_TOKEN');
+    }
+    if (table.trang_thai !== 'active') {
+      throw new AppError(`Bàn ${table.so_ban} đang ngừng phục vụ`, 409, 'TABLE_INACTIVE');
+    }
+
+    return table;
+  }
+
+  /**
+   * Menu for the table: the food listing, limited to dishes in stock
+   * @param {Object} filters - { search, category }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { data, total }
+   */
+  static async getMenu(filters, pagination) {
+    return await FoodModel.getAll({ ...filters, available: 'true' }, pagination);
+  }
+
+  /**
+   * What the table has ordered so far
+   * @param {Object} table - ban row
+   * @returns {Promise<Object|null>} Guest view of the open order, or null
+   */
+  static async getOrder(table) {
+    const open = await OrderModel.getOpenByTable(table.id_ban);
+    return open ? this.toGuestOrder(await OrderService.get(open.id)) : null;
+  }
+
+  /**
+   * Send the cart to the kitchen: it opens the table's order, or is added to
+   * the order already open (by staff or another phone at the table)
+   * @param {Object} table - ban row
+   * @param {Object} cart - { mon: [{ id_mon, so_luong, ghi_chu }], so_khach }
+   * @returns {Promise<Object>} Guest view of the order
+   * @throws {AppError} 400 FOOD_NOT_FOUND or OUT_OF_STOCK
+   */
+  static async submitCart(table, cart) {
+    const items = cart.mon.map(item => ({
+      id_mon: parseInt(item.id_mon),
+      so_luong: parseInt(item.so_luong) || 1,
+      ghi_chu: item.ghi_chu
+    }));
+
+    let open = await OrderModel.getOpenByTable(table.id_ban);
+    if (!open) {
+      try {
+        const created = await OrderService.create(
+          { loai: 'tai_ban', id_ban: table.id_ban, so_khach: cart.so_khach, mon: items },
+          tableGuestOrigin(table.so_ban)
+        );
+        return this.toGuestOrder(created);
+      } catch (error) {
+        // Another phone at the table opened the order first
+        if (!(error instanceof AppError) || error.code !== 'TABLE_HAS_OPEN_ORDER') throw error;
+        open = await OrderModel.getOpenByTable(table.id_ban);
+      }
+    }
+
+    return this.toGuestOrder(await OrderService.addItems(open.id, items));
+  }
+
+  /**
+   * Guest asks for a member of staff to come to the table
+   * @param {Object} table - ban row
+   * @param {string|null} note - What they need
+   * @returns {Promise<Object>} Pending request
+   */
+  static async callStaff(table, note) {
+    const open = await OrderModel.getOpenByTable(table.id_ban);
+    return await this.createRequest(table, 'goi_nhan_vien', note, open);
+  }
+
+  /**
+   * Guest asks for the bill of the table's order
+   * @param {Object} table - ban row
+   * @param {string|null} note - e.g. how they want to pay
+   * @returns {Promise<Object>} Pending request with the running total of the order
+   * @throws {AppError} 409 NO_OPEN_ORDER
+   */
+  static async requestBill(table, note) {
+    const open = await OrderModel.getOpenByTable(table.id_ban);
+    if (!open) {
+      throw new AppError(`Bàn ${table.so_ban} chưa gọi món nào`, 409, 'NO_OPEN_ORDER');
+    }
+
+    const request = await this.createRequest(table, 'yeu_cau_thanh_toan', note, open);
+    const order = await OrderService.get(open.id);
+    return { ...request, tam_tinh: order.tam_tinh };
+  }
+
+  /**
+   * Table requests for floor staff, oldest first
+   * @param {Object} filters - { trang_thai, id_ban }
+   * @returns {Promise<Array>} Requests
+   */
+  static async getRequests(filters = {}) {
+    return await TableRequestModel.getAll(filters);
+  }
+
+  /**
+   * Staff mark a request as handled. Handling it twice is harmless.
+   * @param {number} id - Request ID
+   * @param {Object} origin - { actor, source }
+   * @returns {Promise<Object>} Request
+   * @throws {AppError} 404 TABLE_REQUEST_NOT_FOUND
+   */
+  static async resolveRequest(id, origin) {
+    const request = await TableRequestModel.getById(id);
+    if (!request) {
+      throw new AppError('Không tìm thấy yêu cầu của bàn', 404, 'TABLE_REQUEST_NOT_FOUND');
+    }
+
+    if (await TableRequestModel.resolve(id, origin.actor)) {
+      const resolved = await TableRequestModel.getById(id);
+      RealtimeService.publishFloor('da_xu_ly', resolved);
+      return resolved;
+    }
+    return request;
+  }
+
+  /**
+   * Record a request and alert floor staff. While one of the same kind is
+   * still pending for the table, pressing the button again returns it.
+   * @private
+   */
+  static async createRequest(table, type, note, order) {
+    const pending = await TableRequestModel.getPending(table.id_ban, type);
+    if (pending) return pending;
+
+    const request = await TableRequestModel.create({
+      id_ban: table.id_ban,
+      id_don: order ? order.id : null,
+      loai: type,
+      ghi_chu: note ? String(note).trim() : null
+    });
+
+    RealtimeService.publishFloor('yeu_cau_moi', request);
+    return request;
+  }
+
+  /**
+   * What a guest sees of an order: the dishes still on it and the running total
+   * @private
+   */
+  static toGuestOrder(order) {
+    return {
+      id: order.id,
+      so_ban: order.so_ban,
+      trang_thai: order.trang_thai,
+      so_khach: order.so_khach,
+      mon: order.mon
+        .filter(line => line.trang_thai === 'hoat_dong')
+        .map(line => ({
+          id: line.id,
+          id_mon: line.id_mon,
+          ten_mon: line.ten_mon,
+          don_gia: Number(line.don_gia),
+          so_luong: line.so_luong,
+          ghi_chu: line.ghi_chu
+        })),
+      tam_tinh: order.tam_tinh
+    };
+  }
+}
+
+module.exports = TableOrderService;
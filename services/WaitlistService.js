@@ -0,0 +1,253 @@
+// Waitlist Service - Offer freed capacity to guests waiting for a full slot
+const WaitlistModel = require('../models/WaitlistModel');
+const TableAllocationService = require('./TableAllocationService');
+const OpeningHoursService = require('./OpeningHoursService');
+const ReservationService = require('./ReservationService');
+const { AppError } = require('../middleware/errorHandler');
+const reservationConfig = require('../config/reservation');
+const { toMinutes, formatDate } = require('../utils/reservationTime');
+const { guestOrigin } = require('../utils/requestActor');
+
+class WaitlistService {
+  /**
+   * Add a guest to the waitlist, then offer a slot right away if one is free
+   * @param {Object} data - Entry data (ten_khach, sdt, email, ngay, gio_tu, gio_den, so_luong_khach, ghi_chu)
+   * @returns {Promise<Object>} Entry with its position
+   */
+  static async join(data) {
+    if (data.ngay < OpeningHoursService.formatLocalDate(new Date())) {
+      throw new AppError('Không thể đăng ký chờ cho ngày trong quá khứ', 400, 'INVALID_DATE');
+    }
+
+    const schedule = await OpeningHoursService.getDaySchedule(data.ngay);
+    if (schedule.closed) {
+      throw new AppError(schedule.reason, 400, 'RESTAURANT_CLOSED');
+    }
+
+    const entry = await WaitlistModel.create({
+      ...data,
+      so_luong_khach: parseInt(data.so_luong_khach)
+    });
+
+    await this.offerFreedCapacity(entry.ngay);
+
+    return await this.getStatus(entry.ma_tra_cuu);
+  }
+
+  /**
+   * Current status of an entry, with its position while waiting
+   * @param {string} code - ma_tra_cuu
+   * @returns {Promise<Object>} Entry with vi_tri
+   */
+  static async getStatus(code) {
+    let entry = await this.findByCode(code);
+
+    // Let expired holds move on before reporting
+    if (['dang_cho', 'da_moi'].includes(entry.trang_thai)) {
+      await this.expireHolds(entry.ngay);
+      entry = await WaitlistModel.getByCode(code);
+    }
+
+    return await this.withPosition(entry);
+  }
+
+  /**
+   * Accept an offered slot: the hold becomes a pending reservation
+   * @param {string} code - ma_tra_cuu
+   * @returns {Promise<Object>} { entry, reservation }
+   */
+  static async accept(code) {
+    const entry = await this.findByCode(code);
+
+    if (entry.trang_thai === 'da_moi' && new Date(entry.han_giu) <= new Date()) {
+      await this.expireHolds(entry.ngay);
+      throw new AppError('Thời gian giữ chỗ đã hết', 409, 'HOLD_EXPIRED');
+    }
+
+    if (entry.trang_thai !== 'da_moi') {
+      throw new AppError('Chưa có chỗ được giữ cho đăng ký này', 409, 'NO_OFFER');
+    }
+
+    // Release the hold first so the reservation does not conflict with it
+    await WaitlistModel.update(entry.id, { trang_thai: 'da_nhan' });
+
+    let reservation;
+    try {
+      reservation = await ReservationService.create({
+        ten_khach: entry.ten_khach,
+        sdt: entry.sdt,
+        email: entry.email,
+        ngay: entry.ngay,
+        gio: entry.gio_de_xuat,
+        thoi_luong: entry.thoi_luong,
+        so_luong_khach: entry.so_luong_khach,
+        ghi_chu: entry.ghi_chu
+      }, guestOrigin(entry.sdt));
+    } catch (error) {
+      await WaitlistModel.update(entry.id, { trang_thai: 'da_moi' });
+      throw error;
+    }
+
+    const updated = await WaitlistModel.update(entry.id, { id_datban: reservation.id_datban });
+
+    return { entry: updated, reservation };
+  }
+
+  /**
+   * Leave the waitlist or decline an offer; a declined hold goes to the next guest
+   * @param {string} code - ma_tra_cuu
+   * @returns {Promise<Object>} Cancelled entry
+   */
+  static async cancel(code) {
+    const entry = await this.findByCode(code);
+
+    if (!['dang_cho', 'da_moi'].includes(entry.trang_thai)) {
+      throw new AppError('Đăng ký chờ đã kết thúc', 409, 'WAITLIST_CLOSED');
+    }
+
+    const cancelled = await WaitlistModel.update(entry.id, { trang_thai: 'da_huy' });
+
+    if (entry.trang_thai === 'da_moi') {
+      await this.offerFreedCapacity(entry.ngay, { gio: entry.gio_de_xuat, so_luong_khach: entry.so_luong_khach });
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Called when a reservation stops holding tables (cancelled, no-show, deleted).
+   * Failures are logged so they never block the change that freed the tables.
+   * @param {Object} reservation - dat_ban row
+   */
+  static async handleReservationReleased(reservation) {
+    try {
+      await this.offerFreedCapacity(formatDate(reservation.ngay), reservation);
+    } catch (error) {
+      console.error('Error offering freed capacity to waitlist:', error);
+    }
+  }
+
+  /**
+   * Expire stale holds of a date, then offer the free capacity of that date
+   * to the best-matching waiting entries, one hold at a time
+   * @param {string} ngay - Date (YYYY-MM-DD)
+   * @param {Object|null} freed - Reservation that freed the tables (gio, so_luong_khach)
+   * @returns {Promise<Array>} Entries that received an offer
+   */
+  static async offerFreedCapacity(ngay, freed = null) {
+    await this.expireHolds(ngay, false);
+
+    let waiting = await WaitlistModel.getWaitingByDate(ngay);
+    if (waiting.length === 0) return [];
+
+    const schedule = await OpeningHoursService.getDaySchedule(ngay);
+    if (schedule.closed) return [];
+
+    const offered = [];
+
+    while (waiting.length > 0) {
+      const day = await TableAllocationService.loadDay(ngay);
+      const match = this.findBestMatch(waiting, day, schedule, freed);
+      if (!match) break;
+
+      const holdUntil = new Date(Date.now() + reservationConfig.waitlistHoldMinutes * 60 * 1000);
+      offered.push(await WaitlistModel.update(match.entry.id, {
+        trang_thai: 'da_moi',
+        gio_de_xuat: match.gio,
+        thoi_luong: match.duration,
+        han_giu: holdUntil
+      }));
+
+      waiting = waiting.filter(entry => entry.id !== match.entry.id);
+    }
+
+    return offered;
+  }
+
+  /**
+   * Pick the waiting entry that best fits the free capacity: closest to the
+   * freed time, then closest party size to the freed booking, then first come
+   * @param {Array} waiting - Waiting entries in joining order
+   * @param {Object} day - Result of TableAllocationService.loadDay
+   * @param {Object} schedule - Resolved opening-hours schedule
+   * @param {Object|null} freed - Reservation that freed the tables
+   * @returns {Object|null} { entry, gio, duration }
+   */
+  static findBestMatch(waiting, day, schedule, freed) {
+    const freedStart = freed ? toMinutes(freed.gio) : null;
+    const candidates = [];
+
+    waiting.forEach((entry, order) => {
+      const duration = TableAllocationService.getDuration(entry.so_luong_khach);
+      const from = toMinutes(entry.gio_tu);
+      const to = toMinutes(entry.gio_den);
+
+      const times = OpeningHoursService.getSlotTimes(schedule, duration)
+        .filter(time => toMinutes(time) >= from && toMinutes(time) <= to)
+        .filter(time => TableAllocationService.evaluate(day, time, entry.so_luong_khach, duration).isAvailable);
+
+      if (times.length === 0) return;
+
+      const distance = (time) => (freedStart === null ? 0 : Math.abs(toMinutes(time) - freedStart));
+      const gio = times.reduce((best, time) => (distance(time) < distance(best) ? time : best));
+
+      candidates.push({
+        entry,
+        gio,
+        duration,
+        order,
+        distance: distance(gio),
+        sizeGap: freed ? Math.abs(parseInt(freed.so_luong_khach) - entry.so_luong_khach) : 0
+      });
+    });
+
+    candidates.sort((a, b) => a.distance - b.distance || a.sizeGap - b.sizeGap || a.order - b.order);
+
+    return candidates[0] || null;
+  }
+
+  /**
+   * Mark offers whose hold ran out as expired and pass their slot on
+   * @param {string|null} ngay - Restrict to one date
+   * @param {boolean} reoffer - Offer the released capacity again
+   */
+  static async expireHolds(ngay = null, reoffer = true) {
+    const expired = await WaitlistModel.getExpiredHolds(new Date(), ngay);
+
+    for (const entry of expired) {
+      await WaitlistModel.update(entry.id, { trang_thai: 'het_han' });
+    }
+
+    if (reoffer) {
+      const dates = [...new Set(expired.map(entry => entry.ngay))];
+      for (const date of dates) {
+        await this.offerFreedCapacity(date);
+      }
+    }
+  }
+
+  /**
+   * Get an entry by lookup code or throw 404
+   * @param {string} code - ma_tra_cuu
+   * @returns {Promise<Object>} Entry
+   */
+  static async findByCode(code) {
+    const entry = await WaitlistModel.getByCode(code);
+    if (!entry) {
+      throw new AppError('Không tìm thấy đăng ký chờ', 404, 'WAITLIST_NOT_FOUND');
+    }
+    return entry;
+  }
+
+  /**
+   * Add the 1-based position of a waiting entry
+   * @param {Object} entry - Waitlist entry
+   * @returns {Promise<Object>} Entry with vi_tri (null when not waiting)
+   */
+  static async withPosition(entry) {
+    const vi_tri = entry.trang_thai === 'dang_cho' ? (await WaitlistModel.countAhead(entry)) + 1 : null;
+    return { ...entry, vi_tri };
+  }
+}
+
+module.exports = WaitlistService;
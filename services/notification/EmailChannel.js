@@ -0,0 +1,59 @@
+// Email Channel - Sends notifications through SMTP (a local catch-all in development)
+const nodemailer = require('nodemailer');
+
+class EmailChannel {
+  /**
+   * @param {Object} options - SMTP settings (host, port, secure, user, pass, from)
+   */
+  constructor(options) {
+    this.name = 'email';
+    this.options = options;
+    this.transporter = null;
+  }
+
+  /**
+   * Whether the recipient can be reached on this channel
+   * @param {Object} recipient - { email, phone }
+   * @returns {boolean} True when an email address is known
+   */
+  canSend(recipient) {
+    return !!recipient.email;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} recipient - { email, phone }
+   * @param {Object} message - { subject, text }
+   * @returns {Promise<Object>} { to, id }
+   */
+  async send(recipient, message) {
+    const info = await this.getTransporter().sendMail({
+      from: this.options.from,
+      to: recipient.email,
+      subject: message.subject,
+      text: message.text
+    });
+
+    return { to: recipient.email, id: info.messageId };
+  }
+
+  /**
+   * Lazily create the SMTP transporter
+   * @private
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, secure, user, pass } = this.options;
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: 10000
+      });
+    }
+    return this.transporter;
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,85 @@
+// SMS Channel - Sends notifications through a pluggable SMS provider
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+
+/**
+ * SMS provider interface. A real provider (eSMS, SpeedSMS, Twilio...) only
+ * needs the same method: async send(phone, text) => { id }
+ */
+class ConsoleSmsProvider {
+  async send(phone, text) {
+    logger.info(`📱 SMS → ${phone}: ${text}`);
+    return { id: `console-${Date.now()}` };
+  }
+}
+
+// Appends each SMS as one JSON line, handy for local testing
+class FileSmsProvider {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  async send(phone, text) {
+    const id = `file-${Date.now()}`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      JSON.stringify({ id, to: phone, text, sentAt: new Date().toISOString() }) + '\n'
+    );
+    return { id };
+  }
+}
+
+/**
+ * Build the SMS provider named in the configuration
+ * @param {Object} options - { provider, filePath }
+ * @returns {Object} SMS provider
+ */
+const createSmsProvider = (options) => {
+  switch (options.provider) {
+    case 'file':
+      return new FileSmsProvider(options.filePath);
+    case 'console':
+      return new ConsoleSmsProvider();
+    default:
+      throw new Error(`SMS provider không được hỗ trợ: ${options.provider}`);
+  }
+};
+
+class SmsChannel {
+  /**
+   * @param {Object} provider - Object with async send(phone, text)
+   */
+  constructor(provider) {
+    this.name = 'sms';
+    this.provider = provider;
+  }
+
+  /**
+   * Whether the recipient can be reached on this channel
+   * @param {Object} recipient - { email, phone }
+   * @returns {boolean} True when a phone number is known
+   */
+  canSend(recipient) {
+    return !!recipient.phone;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} recipient - { email, phone }
+   * @param {Object} message - { sms, text }
+   * @returns {Promise<Object>} { to, id }
+   */
+  async send(recipient, message) {
+    const result = await this.provider.send(recipient.phone, message.sms || message.text);
+    return { to: recipient.phone, id: result.id };
+  }
+}
+
+module.exports = {
+  SmsChannel,
+  ConsoleSmsProvider,
+  FileSmsProvider,
+  createSmsProvider
+};
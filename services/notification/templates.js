@@ -0,0 +1,125 @@
+// Notification Templates - Vietnamese messages for reservation events
+const { formatDate } = require('../../utils/reservationTime');
+
+// 2025-02-10 -> 10/02/2025
+const formatDisplayDate = (ngay) => formatDate(ngay).split('-').reverse().join('/');
+
+// 19:00:00 -> 19:00
+const formatDisplayTime = (gio) => String(gio).substring(0, 5);
+
+// 500000 -> 500.000đ
+const formatMoney = (amount) => `${Number(amount).toLocaleString('vi-VN')}đ`;
+
+// Payment deadline in restaurant time, e.g. 18:30
+const formatDeadline = (value) =>
+  new Date(value).toLocaleTimeString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh', hour: '2-digit', minute: '2-digit', hour12: false });
+
+const describeBooking = (reservation) =>
+  `#${reservation.id_datban} cho ${reservation.so_luong_khach} khách lúc ${formatDisplayTime(reservation.gio)} ngày ${formatDisplayDate(reservation.ngay)}`;
+
+const describeTables = (reservation) => {
+  const tables = (reservation.ban || []).map(table => table.so_ban);
+  return tables.length > 0 ? ` Bàn: ${tables.join(', ')}.` : '';
+};
+
+const manageLine = (context) => (context.manageLink ? `\nXem, đổi lịch hoặc hủy đặt bàn: ${context.manageLink}` : '');
+
+// Each template returns { subject, text, sms }
+const TEMPLATES = {
+  xac_nhan_dat_ban: (reservation, context) => ({
+    subject: `${context.restaurantName} - Đã nhận yêu cầu đặt bàn #${reservation.id_datban}`,
+    text: `Xin chào ${reservation.ten_khach},\n\n` +
+      `${context.restaurantName} đã nhận yêu cầu đặt bàn ${describeBooking(reservation)}.\n` +
+      `Chúng tôi sẽ liên hệ xác nhận trong vòng 15 phút.` +
+      manageLine(context) +
+      `\n\nTrân trọng,\n${context.restaurantName}`,
+    sms: `${context.restaurantName}: Đã nhận yêu cầu đặt bàn ${describeBooking(reservation)}. Chúng tôi sẽ liên hệ xác nhận trong 15 phút.`
+  }),
+
+  yeu_cau_dat_coc: (reservation, context) => ({
+    subject: `${context.restaurantName} - Vui lòng đặt cọc cho đặt bàn #${reservation.id_datban}`,
+    text: `Xin chào ${reservation.ten_khach},\n\n` +
+      `Đặt bàn ${describeBooking(reservation)} cần đặt cọc ${formatMoney(reservation.dat_coc.so_tien)}.\n` +
+      `Vui lòng thanh toán trước ${formatDeadline(reservation.dat_coc.han_thanh_toan)}, ` +
+      `quá hạn đặt bàn sẽ tự động hủy.\n` +
+      `Thanh toán: ${reservation.dat_coc.payment_url}` +
+      `\n\nTrân trọng,\n${context.restaurantName}`,
+    sms: `${context.restaurantName}: Đặt bàn ${describeBooking(reservation)} cần đặt cọc ${formatMoney(reservation.dat_coc.so_tien)}. Thanh toán: ${reservation.dat_coc.payment_url}`
+  }),
+
+  da_nhan_coc: (reservation, context) => ({
+    subject: `${context.restaurantName} - Đã nhận tiền cọc đặt bàn #${reservation.id_datban}`,
+    text: `Xin chào ${reservation.ten_khach},\n\n` +
+      `${context.restaurantName} đã nhận tiền cọc cho đặt bàn ${describeBooking(reservation)}.\n` +
+      `Chúng tôi sẽ liên hệ xác nhận trong vòng 15 phút.` +
+      manageLine(context) +
+      `\n\nTrân trọng,\n${context.restaurantName}`,
+    sms: `${context.restaurantName}: Đã nhận tiền cọc cho đặt bàn ${describeBooking(reservation)}.`
+  }),
+
+  da_xac_nhan: (reservation, context) => ({
+    subject: `${context.restaurantName} - Đặt bàn #${reservation.id_datban} đã được xác nhận`,
+    text: `Xin chào ${reservation.ten_khach},\n\n` +
+      `Đặt bàn ${describeBooking(reservation)} đã được xác nhận.${describeTables(reservation)}\n` +
+      `Rất mong được đón tiếp quý khách.` +
+      manageLine(context) +
+      `\n\nTrân trọng,\n${context.restaurantName}`,
+    sms: `${context.restaurantName}: Đặt bàn ${describeBooking(reservation)} đã được xác nhận.${describeTables(reservation)}`
+  }),
+
+  da_huy: (reservation, context) => ({
+    subject: `${context.restaurantName} - Đặt bàn #${reservation.id_datban} đã bị hủy`,
+    text: `Xin chào ${reservation.ten_khach},\n\n` +
+      `Đặt bàn ${describeBooking(reservation)} đã được hủy.\n` +
+      `Nếu đây là nhầm lẫn, vui lòng liên hệ nhà hàng để được hỗ trợ.` +
+      `\n\nTrân trọng,\n${context.restaurantName}`,
+    sms: `${context.restaurantName}: Đặt bàn ${describeBooking(reservation)} đã bị hủy.`
+  }),
+
+  khong_den: (reservation, context) => ({
+    subject: `${context.restaurantName} - Chúng tôi đã không gặp quý khách`,
+    text: `Xin chào ${reservation.ten_khach},\n\n` +
+      `Nhà hàng đã giữ bàn cho đặt bàn ${describeBooking(reservation)} nhưng chưa gặp quý khách.\n` +
+      `Đặt bàn đã được đánh dấu là không đến. Hẹn gặp quý khách vào dịp khác.` +
+      `\n\nTrân trọng,\n${context.restaurantName}`,
+    sms: `${context.restaurantName}: Đặt bàn ${describeBooking(reservation)} đã được đánh dấu không đến.`
+  }),
+
+  hoan_thanh: (reservation, context) => ({
+    subject: `${context.restaurantName} - Cảm ơn quý khách`,
+    text: `Xin chào ${reservation.ten_khach},\n\n` +
+      `Cảm ơn quý khách đã dùng bữa tại ${context.restaurantName}. Hẹn gặp lại quý khách!` +
+      `\n\nTrân trọng,\n${context.restaurantName}`,
+    sms: `${context.restaurantName}: Cảm ơn quý khách đã dùng bữa. Hẹn gặp lại!`
+  }),
+
+  nhac_lich: (reservation, context) => ({
+    subject: `${context.restaurantName} - Nhắc lịch đặt bàn #${reservation.id_datban}`,
+    text: `Xin chào ${reservation.ten_khach},\n\n` +
+      `Nhắc quý khách lịch đặt bàn ${describeBooking(reservation)}.${describeTables(reservation)}\n` +
+      `Nếu không thể đến, vui lòng đổi lịch hoặc hủy để nhường bàn cho khách khác.` +
+      manageLine(context) +
+      `\n\nTrân trọng,\n${context.restaurantName}`,
+    sms: `${context.restaurantName}: Nhắc lịch đặt bàn ${describeBooking(reservation)}.${describeTables(reservation)}`
+  })
+};
+
+/**
+ * Render a notification
+ * @param {string} type - Template name
+ * @param {Object} reservation - dat_ban row with ban
+ * @param {Object} context - { restaurantName, manageLink }
+ * @returns {Object|null} { subject, text, sms } or null when no template exists
+ */
+const render = (type, reservation, context) => {
+  const template = TEMPLATES[type];
+  return template ? template(reservation, context) : null;
+};
+
+module.exports = {
+  TEMPLATES,
+  render,
+  formatDisplayDate,
+  formatDisplayTime,
+  formatMoney
+};
@@ -0,0 +1,165 @@
+// Payment Provider - Pluggable payment gateway used for invoices and reservation deposits
+const crypto = require('crypto');
+const SimulatorPaymentProvider = require('./SimulatorPaymentProvider');
+const { AppError } = require('../../middleware/errorHandler');
+const { logger } = require('../../utils/logger');
+const paymentConfig = require('../../config/payment');
+
+/**
+ * Payment provider interface. A real gateway (VNPay, MoMo, ZaloPay...) only
+ * needs the same methods:
+ *   name
+ *   async createPayment({ reference, amount, description, expiresAt, returnUrl }) => { providerRef, paymentUrl }
+ *   verifyCallback(payload) => { reference, providerRef, amount, success }  (throws on a bad signature)
+ *   async queryStatus({ reference, providerRef }) => { status: pending|success|failed, providerRef, amount }
+ *   async refund({ reference, providerRef, amount }) => { refundRef }
+ */
+
+// Local gateway for development: the pay page is served by /api/deposits/mock
+// and results come back as HMAC-signed callbacks, like a real gateway
+class MockPaymentProvider {
+  constructor(options) {
+    this.name = 'mock';
+    this.secret = options.secret;
+    this.payUrl = options.payUrl;
+    this.results = new Map();
+  }
+
+  async createPayment({ reference, amount }) {
+    logger.info(`💳 Mock payment ${reference}: ${amount} VND`);
+    return {
+      providerRef: `mock-${reference}`,
+      paymentUrl: `${this.payUrl}/${reference}`
+    };
+  }
+
+  /**
+   * Build the signed callback the gateway would send after the guest pays
+   * @param {Object} data - { reference, providerRef, amount, success }
+   * @returns {Object} Callback payload
+   */
+  signCallback({ reference, providerRef, amount, success }) {
+    this.results.set(reference, { status: success ? 'success' : 'failed', providerRef, amount: Number(amount) });
+
+    const payload = {
+      reference,
+      providerRef,
+      amount: Number(amount),
+      status: success ? 'success' : 'failed'
+    };
+    return { ...payload, signature: this.sign(payload) };
+  }
+
+  verifyCallback(payload) {
+    const expected = Buffer.from(this.sign(payload));
+    const provided = Buffer.from(String(payload.signature || ''));
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new AppError('Chữ ký thanh toán không hợp lệ', 400, 'INVALID_PAYMENT_SIGNATURE');
+    }
+
+    return {
+      reference: payload.reference,
+      providerRef: payload.providerRef,
+      amount: Number(payload.amount),
+      success: payload.status === 'success'
+    };
+  }
+
+  async queryStatus({ reference }) {
+    return this.results.get(reference) || { status: 'pending' };
+  }
+
+  async refund({ reference, amount }) {
+    logger.info(`💸 Mock refund ${reference}: ${amount} VND`);
+    return { refundRef: `mock-refund-${reference}-${Date.now()}` };
+  }
+
+  /**
+   * @private
+   */
+  sign({ reference, providerRef, amount, status }) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${reference}|${providerRef}|${Number(amount)}|${status}`)
+      .digest('hex');
+  }
+}
+
+// No gateway configured: every payment operation is refused
+class DisabledPaymentProvider {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async createPayment() {
+    throw this.error();
+  }
+
+  verifyCallback() {
+    throw this.error();
+  }
+
+  async queryStatus() {
+    throw this.error();
+  }
+
+  async refund() {
+    throw this.error();
+  }
+
+  /**
+   * @private
+   */
+  error() {
+    return new AppError('Chưa cấu hình cổng thanh toán trực tuyến', 503, 'PAYMENT_DISABLED');
+  }
+}
+
+/**
+ * Build the payment provider named in the configuration
+ * @param {Object} options - { provider, mock, simulator }
+ * @returns {Object} Payment provider
+ */
+const createPaymentProvider = (options) => {
+  switch (options.provider) {
+    case 'none':
+      return new DisabledPaymentProvider();
+    case 'mock':
+      return new MockPaymentProvider(options.mock);
+    case 'simulator':
+      return new SimulatorPaymentProvider(options.simulator);
+    default:
+      throw new Error(`Nhà cung cấp thanh toán không được hỗ trợ: ${options.provider}`);
+  }
+};
+
+// Provider shared by deposits and invoices, created on first use
+let currentProvider = null;
+
+/**
+ * Payment provider from the configuration
+ * @returns {Object} Payment provider
+ */
+const getPaymentProvider = () => {
+  if (!currentProvider) {
+    currentProvider = createPaymentProvider(paymentConfig);
+  }
+  return currentProvider;
+};
+
+/**
+ * Plug in another payment provider
+ * @param {Object} provider - Object implementing the interface above
+ */
+const setPaymentProvider = (provider) => {
+  currentProvider = provider;
+};
+
+module.exports = {
+  DisabledPaymentProvider,
+  MockPaymentProvider,
+  SimulatorPaymentProvider,
+  createPaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider
+};
@@ -0,0 +1,170 @@
+// Simulator Payment Provider - Local gateway with the VNPay/MoMo redirect + IPN flow
+const crypto = require('crypto');
+const { AppError } = require('../../middleware/errorHandler');
+const { logger } = require('../../utils/logger');
+
+// Gateway response codes, as in VNPay: 00 paid, 24 cancelled by the customer
+const RESPONSE_SUCCESS = '00';
+const RESPONSE_CANCELLED = '24';
+
+// Local time as yyyyMMddHHmmss, the date format of the gateways
+const formatGatewayDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+/**
+ * Offline stand-in for a redirect gateway. Like VNPay, every request and
+ * result is a flat set of parameters signed with HMAC-SHA512 over the sorted,
+ * URL-encoded query string:
+ *   1. createPayment builds the signed pay URL the customer is redirected to
+ *   2. the pay page (/api/payments/simulator/pay) checks the signature and
+ *      lets the customer pay or cancel
+ *   3. the result goes to the merchant as a signed IPN (signCallback) and the
+ *      customer is redirected to the return URL with the same parameters
+ *   4. queryStatus answers from the results the gateway has recorded
+ */
+class SimulatorPaymentProvider {
+  constructor(options) {
+    this.name = 'simulator';
+    this.merchantCode = options.merchantCode;
+    this.secret = options.secret;
+    this.payUrl = options.payUrl;
+    this.results = new Map();
+  }
+
+  async createPayment({ reference, amount, description, expiresAt, returnUrl }) {
+    const params = {
+      merchant: this.merchantCode,
+      txnRef: reference,
+      amount: Number(amount),
+      orderInfo: description || `Thanh toan ${reference}`,
+      createDate: formatGatewayDate(new Date()),
+      expireDate: expiresAt ? formatGatewayDate(new Date(expiresAt)) : undefined,
+      returnUrl
+    };
+
+    logger.info(`💳 Simulator payment ${reference}: ${amount} VND`);
+    return {
+      providerRef: `sim-${reference}`,
+      paymentUrl: `${this.payUrl}?${this.toQuery(params)}`
+    };
+  }
+
+  /**
+   * Check a pay URL the way the gateway does before showing its pay page
+   * @param {Object} params - Query parameters of the pay URL
+   * @returns {Object} { reference, amount, description, returnUrl, expired }
+   * @throws {AppError} 400 INVALID_PAYMENT_SIGNATURE
+   */
+  verifyRequest(params) {
+    this.assertSignature(params);
+
+    return {
+      reference: params.txnRef,
+      amount: Number(params.amount),
+      description: params.orderInfo,
+      returnUrl: params.returnUrl || null,
+      expired: !!params.expireDate && params.expireDate < formatGatewayDate(new Date())
+    };
+  }
+
+  /**
+   * Record the customer's choice on the pay page and build the signed result
+   * sent to the IPN URL and appended to the return URL. Asking again for the
+   * same transaction gives the same result.
+   * @param {Object} data - { reference, providerRef, amount, success }
+   * @returns {Object} Signed result parameters
+   */
+  signCallback({ reference, amount, success }) {
+    let result = this.results.get(reference);
+    if (!result) {
+      result = {
+        transactionNo: `${Date.now()}${crypto.randomInt(1000, 10000)}`,
+        responseCode: success ? RESPONSE_SUCCESS : RESPONSE_CANCELLED,
+        amount: Number(amount),
+        payDate: formatGatewayDate(new Date())
+      };
+      this.results.set(reference, result);
+    }
+
+    const params = {
+      merchant: this.merchantCode,
+      txnRef: reference,
+      amount: result.amount,
+      transactionNo: result.transactionNo,
+      responseCode: result.responseCode,
+      payDate: result.payDate
+    };
+    return { ...params, signature: this.sign(params) };
+  }
+
+  verifyCallback(payload) {
+    this.assertSignature(payload);
+
+    return {
+      reference: payload.txnRef,
+      providerRef: payload.transactionNo,
+      amount: Number(payload.amount),
+      success: payload.responseCode === RESPONSE_SUCCESS
+    };
+  }
+
+  async queryStatus({ reference }) {
+    const result = this.results.get(reference);
+    if (!result) return { status: 'pending' };
+
+    return {
+      status: result.responseCode === RESPONSE_SUCCESS ? 'success' : 'failed',
+      providerRef: result.transactionNo,
+      amount: result.amount
+    };
+  }
+
+  async refund({ reference, amount }) {
+    logger.info(`💸 Simulator refund ${reference}: ${amount} VND`);
+    return { refundRef: `sim-refund-${reference}-${Date.now()}` };
+  }
+
+  /**
+   * @private
+   */
+  assertSignature(params) {
+    const expected = Buffer.from(this.sign(params));
+    const provided = Buffer.from(String(params.signature || ''));
+
+    if (params.merchant !== this.merchantCode || expected.length !== provided.length ||
+        !crypto.timingSafeEqual(expected, provided)) {
+      throw new AppError('Chữ ký thanh toán không hợp lệ', 400, 'INVALID_PAYMENT_SIGNATURE');
+    }
+  }
+
+  /**
+   * HMAC-SHA512 of the sorted parameters, the signature field left out
+   * @private
+   */
+  sign(params) {
+    const data = Object.keys(params)
+      .filter(key => key !== 'signature' && params[key] !== undefined && params[key] !== null && params[key] !== '')
+      .sort()
+      .map(key => `${key}=${encodeURIComponent(params[key])}`)
+      .join('&');
+
+    return crypto.createHmac('sha512', this.secret).update(data).digest('hex');
+  }
+
+  /**
+   * Signed query string of a set of parameters
+   * @private
+   */
+  toQuery(params) {
+    const signed = { ...params, signature: this.sign(params) };
+    return Object.keys(signed)
+      .filter(key => signed[key] !== undefined && signed[key] !== null && signed[key] !== '')
+      .map(key => `${key}=${encodeURIComponent(signed[key])}`)
+      .join('&');
+  }
+}
+
+module.exports = SimulatorPaymentProvider;
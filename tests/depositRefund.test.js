@@ -0,0 +1,126 @@
+// Deposit refunds - cutoff tiers of computeRefund and DepositService.refund / settle
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const depositConfig = require('../config/deposit');
+const DepositModel = require('../models/DepositModel');
+const DepositService = require('../services/DepositService');
+const { computeRefund } = require('../utils/depositPolicy');
+
+const HOUR = 60 * 60 * 1000;
+
+// Reservation at 19:00 on 01/11/2026, Vietnam time
+const RESERVATION = { id_datban: 7, ngay: '2026-11-01', gio: '19:00:00' };
+const START = new Date('2026-11-01T19:00:00+07:00');
+
+// Reservation starting a number of hours from now, as stored (local date and HH:MM)
+const reservationIn = (hours) => {
+  const local = new Date(Date.now() + hours * HOUR + 7 * HOUR).toISOString();
+  return { id_datban: 7, ngay: local.substring(0, 10), gio: local.substring(11, 16), trang_thai: 'da_xac_nhan' };
+};
+
+const paidDeposit = (fields = {}) => ({
+  id: 3,
+  id_datban: 7,
+  ma_giao_dich: 'DC-TEST',
+  ma_nha_cung_cap: 'NCC-1',
+  so_tien: 500000,
+  trang_thai: 'da_thanh_toan',
+  ...fields
+});
+
+beforeEach(() => {
+  depositConfig.refundPolicy = [
+    { hoursBefore: 48, percent: 100 },
+    { hoursBefore: 24, percent: 50 }
+  ];
+});
+
+test('computeRefund uses the first tier the cancellation is early enough for', () => {
+  const at = (hoursBefore) => new Date(START.getTime() - hoursBefore * HOUR);
+
+  assert.deepEqual(computeRefund({ so_tien: 500000 }, RESERVATION, at(72)), { ty_le_hoan: 100, so_tien_hoan: 500000, gio_truoc: 72 });
+  assert.deepEqual(computeRefund({ so_tien: 500000 }, RESERVATION, at(48)), { ty_le_hoan: 100, so_tien_hoan: 500000, gio_truoc: 48 });
+  assert.deepEqual(computeRefund({ so_tien: 500000 }, RESERVATION, at(47.5)), { ty_le_hoan: 50, so_tien_hoan: 250000, gio_truoc: 47 });
+  assert.deepEqual(computeRefund({ so_tien: 500000 }, RESERVATION, at(24)), { ty_le_hoan: 50, so_tien_hoan: 250000, gio_truoc: 24 });
+  assert.deepEqual(computeRefund({ so_tien: 500000 }, RESERVATION, at(23)), { ty_le_hoan: 0, so_tien_hoan: 0, gio_truoc: 23 });
+});
+
+test('computeRefund refunds nothing once the reservation has started', () => {
+  const late = new Date(START.getTime() + 2 * HOUR);
+  assert.deepEqual(computeRefund({ so_tien: 500000 }, RESERVATION, late), { ty_le_hoan: 0, so_tien_hoan: 0, gio_truoc: 0 });
+});
+
+test('computeRefund rounds the refund to whole dong', () => {
+  depositConfig.refundPolicy = [{ hoursBefore: 0, percent: 33 }];
+  assert.equal(computeRefund({ so_tien: 150000 }, RESERVATION, START).so_tien_hoan, 49500);
+  assert.equal(computeRefund({ so_tien: 100001 }, RESERVATION, START).so_tien_hoan, 33000);
+});
+
+test('refund sends the percentage to the provider and records it', async (t) => {
+  const refund = t.mock.fn(async () => ({ refundRef: 'HT-1' }));
+  t.mock.method(DepositService, 'getProvider', () => ({ name: 'test', refund }));
+  const update = t.mock.method(DepositModel, 'update', async (id, data) => ({ id, ...data }));
+
+  const result = await DepositService.refund(paidDeposit(), 50, 'Khách hủy');
+
+  assert.deepEqual(refund.mock.calls[0].arguments, [{ reference: 'DC-TEST', providerRef: 'NCC-1', amount: 250000, reason: 'Khách hủy' }]);
+  assert.equal(update.mock.callCount(), 1);
+  assert.equal(result.trang_thai, 'da_hoan');
+  assert.equal(result.ty_le_hoan, 50);
+  assert.equal(result.so_tien_hoan, 250000);
+  assert.equal(result.ma_hoan_tien, 'HT-1');
+});
+
+test('refund of nothing marks the deposit kept without calling the provider', async (t) => {
+  const refund = t.mock.fn(async () => ({ refundRef: 'HT-1' }));
+  t.mock.method(DepositService, 'getProvider', () => ({ name: 'test', refund }));
+  t.mock.method(DepositModel, 'update', async (id, data) => ({ id, ...data }));
+
+  const result = await DepositService.refund(paidDeposit(), 0);
+
+  assert.equal(refund.mock.callCount(), 0);
+  assert.deepEqual(result, { id: 3, trang_thai: 'khong_hoan', ty_le_hoan: 0, so_tien_hoan: 0, loi: null });
+});
+
+test('refund keeps the deposit paid with the error when the provider fails', async (t) => {
+  t.mock.method(DepositService, 'getProvider', () => ({
+    name: 'test',
+    refund: async () => { throw new Error('Cổng thanh toán không phản hồi'); }
+  }));
+  t.mock.method(DepositModel, 'update', async (id, data) => ({ id, ...data }));
+
+  const result = await DepositService.refund(paidDeposit(), 100);
+
+  assert.deepEqual(result, { id: 3, loi: 'Hoàn tiền thất bại: Cổng thanh toán không phản hồi' });
+});
+
+test('refund refuses a deposit that was never paid', async () => {
+  await assert.rejects(
+    DepositService.refund(paidDeposit({ trang_thai: 'cho_thanh_toan' }), 100),
+    { statusCode: 409, code: 'DEPOSIT_NOT_REFUNDABLE' }
+  );
+});
+
+test('settle refunds a cancelled booking by the cutoff policy', async (t) => {
+  t.mock.method(DepositModel, 'getByReservation', async () => paidDeposit());
+  const refund = t.mock.method(DepositService, 'refund', async (deposit, percent) => ({ ...deposit, ty_le_hoan: percent }));
+
+  const before = reservationIn(30);
+  const result = await DepositService.settle(before, { ...before, trang_thai: 'da_huy' });
+
+  assert.equal(refund.mock.callCount(), 1);
+  assert.equal(result.ty_le_hoan, 50);
+});
+
+test('settle keeps the deposit of a no-show', async (t) => {
+  t.mock.method(DepositModel, 'getByReservation', async () => paidDeposit());
+  const update = t.mock.method(DepositModel, 'update', async (id, data) => ({ id, ...data }));
+  const refund = t.mock.method(DepositService, 'refund');
+
+  const before = reservationIn(-1);
+  const result = await DepositService.settle(before, { ...before, trang_thai: 'khong_den' });
+
+  assert.equal(refund.mock.callCount(), 0);
+  assert.deepEqual(update.mock.calls[0].arguments, [3, { trang_thai: 'khong_hoan', ty_le_hoan: 0, so_tien_hoan: 0 }]);
+  assert.equal(result.trang_thai, 'khong_hoan');
+});
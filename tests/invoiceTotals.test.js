@@ -0,0 +1,39 @@
+// Invoice Totals - allocate shares a whole VND amount between parts
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { allocate } = require('../utils/invoiceTotals');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+test('allocate shares an amount in proportion to the weights', () => {
+  assert.deepEqual(allocate(1000, [300000, 100000]), [750, 250]);
+  assert.deepEqual(allocate(90, [1, 2]), [30, 60]);
+});
+
+test('allocate gives the dong left over to the largest remainders', () => {
+  // Exact shares 1.43, 2.86, 5.71: floors add up to 8, the two largest fractions get one more
+  assert.deepEqual(allocate(10, [1, 2, 4]), [1, 3, 6]);
+});
+
+test('allocate breaks equal remainders by order', () => {
+  assert.deepEqual(allocate(100, [1, 1, 1]), [34, 33, 33]);
+  assert.deepEqual(allocate(2, [5, 5, 5]), [1, 1, 0]);
+});
+
+test('allocate splits equally when every weight is zero', () => {
+  assert.deepEqual(allocate(10, [0, 0]), [5, 5]);
+  assert.deepEqual(allocate(1, [0, 0, 0]), [1, 0, 0]);
+});
+
+test('allocate shares always add up to the amount', () => {
+  const weights = [123457, 98765, 5, 333333, 1];
+  [0, 1, 7, 99999, 1234567].forEach(amount => {
+    const shares = allocate(amount, weights);
+    assert.equal(sum(shares), amount);
+    shares.forEach(share => assert.ok(Number.isInteger(share) && share >= 0));
+  });
+});
+
+test('allocate keeps a zero weight at zero when others have weight', () => {
+  assert.deepEqual(allocate(50, [0, 10, 0, 10]), [0, 25, 0, 25]);
+});
@@ -0,0 +1,156 @@
+// Promotion Service - evaluateCart picks the promotions a cart gets
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PromotionService = require('../services/PromotionService');
+
+// Wednesday 21/10/2026 12:00, local time
+const NOW = new Date(2026, 9, 21, 12, 0);
+
+const promotion = (fields) => ({
+  ma: null,
+  trang_thai: 'active',
+  bat_dau: null,
+  ket_thuc: null,
+  ngay_trong_tuan: null,
+  gio_bat_dau: null,
+  gio_ket_thuc: null,
+  gioi_han_luot: null,
+  da_dung: 0,
+  gioi_han_moi_khach: null,
+  don_toi_thieu: 0,
+  pham_vi: 'don_hang',
+  giam_toi_da: null,
+  cong_don: false,
+  ...fields
+});
+
+const LINES = [
+  { id_mon: 1, id_loai: 10, ten_mon: 'Lẩu thái', don_gia: 300000, so_luong: 1 },
+  { id_mon: 2, id_loai: 20, ten_mon: 'Trà đào', don_gia: 50000, so_luong: 2 }
+];
+
+const evaluate = (promotions, options = {}) => PromotionService.evaluateCart(promotions, options.lines || LINES, {
+  now: options.now || NOW,
+  codes: options.codes || [],
+  sdt_chuan: options.sdt_chuan || null,
+  categoryOf: new Map(),
+  customerUsage: options.customerUsage || new Map()
+});
+
+const reasons = (result) => result.tu_choi.map(entry => [entry.id, entry.ly_do.ma]);
+
+test('evaluateCart applies a percentage off the whole order, capped by giam_toi_da', () => {
+  const result = evaluate([promotion({ id: 1, ten: 'Giảm 10%', kieu: 'phan_tram', gia_tri: 10, giam_toi_da: 30000 })]);
+
+  assert.equal(result.tam_tinh, 400000);
+  assert.equal(result.giam_gia, 30000);
+  assert.equal(result.tong_sau_giam, 370000);
+  // Shared by line amount: 300000 and 100000
+  assert.deepEqual(result.giam_gia_theo_dong, [22500, 7500]);
+});
+
+test('evaluateCart limits a scoped promotion to the dishes in scope', () => {
+  const result = evaluate([promotion({ id: 1, ten: 'Đồ uống giảm 20k', kieu: 'so_tien', gia_tri: 20000, pham_vi: 'loai_mon', id_loai: [20] })]);
+
+  assert.equal(result.giam_gia, 20000);
+  assert.deepEqual(result.giam_gia_theo_dong, [0, 20000]);
+  assert.deepEqual(result.ap_dung[0].chi_tiet, [{ id_mon: 2, ten_mon: 'Trà đào', so_tien_giam: 20000 }]);
+});
+
+test('evaluateCart gives the cheapest portions free on buy X get Y', () => {
+  const lines = [
+    { id_mon: 3, id_loai: 30, ten_mon: 'Bia', don_gia: 30000, so_luong: 3 },
+    { id_mon: 4, id_loai: 30, ten_mon: 'Bia đen', don_gia: 40000, so_luong: 1 }
+  ];
+  const result = evaluate([promotion({
+    id: 1, ten: 'Mua 1 tặng 1', kieu: 'mua_x_tang_y', gia_tri: 100, so_luong_mua: 1, so_luong_tang: 1
+  })], { lines });
+
+  // Four portions make two groups, the two cheapest (30000 each) are free
+  assert.equal(result.giam_gia, 60000);
+  assert.deepEqual(result.giam_gia_theo_dong, [60000, 0]);
+});
+
+test('evaluateCart stacks cong_don promotions on what the previous ones left', () => {
+  const result = evaluate([
+    promotion({ id: 1, ten: 'Giảm 50k', kieu: 'so_tien', gia_tri: 50000, cong_don: true }),
+    promotion({ id: 2, ten: 'Giảm 10%', kieu: 'phan_tram', gia_tri: 10, cong_don: true })
+  ]);
+
+  // 50000, then 10% of the 350000 left
+  assert.deepEqual(result.ap_dung.map(entry => [entry.id, entry.so_tien_giam]), [[1, 50000], [2, 35000]]);
+  assert.equal(result.giam_gia, 85000);
+  assert.deepEqual(result.tu_choi, []);
+});
+
+test('evaluateCart keeps a non-stackable promotion only when it beats the stacked ones', () => {
+  const stackable = [
+    promotion({ id: 1, ten: 'Giảm 50k', kieu: 'so_tien', gia_tri: 50000, cong_don: true }),
+    promotion({ id: 2, ten: 'Giảm 10%', kieu: 'phan_tram', gia_tri: 10, cong_don: true })
+  ];
+
+  const better = evaluate([...stackable, promotion({ id: 3, ten: 'Giảm 100k', kieu: 'so_tien', gia_tri: 100000 })]);
+  assert.deepEqual(better.ap_dung.map(entry => entry.id), [3]);
+  assert.equal(better.giam_gia, 100000);
+  assert.deepEqual(reasons(better), [[1, 'NOT_STACKABLE'], [2, 'NOT_STACKABLE']]);
+
+  const worse = evaluate([...stackable, promotion({ id: 3, ten: 'Giảm 60k', kieu: 'so_tien', gia_tri: 60000 })]);
+  assert.deepEqual(worse.ap_dung.map(entry => entry.id), [1, 2]);
+  assert.equal(worse.giam_gia, 85000);
+  assert.deepEqual(reasons(worse), [[3, 'NOT_STACKABLE']]);
+});
+
+test('evaluateCart never discounts a line below zero', () => {
+  const result = evaluate([
+    promotion({ id: 1, ten: 'Đồ uống giảm 80k', kieu: 'so_tien', gia_tri: 80000, pham_vi: 'mon', id_mon: [2], cong_don: true }),
+    promotion({ id: 2, ten: 'Đồ uống giảm 50k', kieu: 'so_tien', gia_tri: 50000, pham_vi: 'mon', id_mon: [2], cong_don: true })
+  ]);
+
+  assert.deepEqual(result.giam_gia_theo_dong, [0, 100000]);
+  assert.deepEqual(result.ap_dung.map(entry => [entry.id, entry.so_tien_giam]), [[1, 80000], [2, 20000]]);
+});
+
+test('evaluateCart rejects promotions that do not apply, with the reason', () => {
+  const result = evaluate([
+    promotion({ id: 1, ten: 'Ngừng', kieu: 'so_tien', gia_tri: 10000, trang_thai: 'inactive' }),
+    promotion({ id: 2, ten: 'Hết hạn', kieu: 'so_tien', gia_tri: 10000, ket_thuc: new Date(2026, 9, 20) }),
+    promotion({ id: 3, ten: 'Cuối tuần', kieu: 'so_tien', gia_tri: 10000, ngay_trong_tuan: [0, 6] }),
+    promotion({ id: 4, ten: 'Tối', kieu: 'so_tien', gia_tri: 10000, gio_bat_dau: '18:00:00', gio_ket_thuc: '22:00:00' }),
+    promotion({ id: 5, ten: 'Hết lượt', kieu: 'so_tien', gia_tri: 10000, gioi_han_luot: 5, da_dung: 5 }),
+    promotion({ id: 6, ten: 'Mỗi khách 1 lần', kieu: 'so_tien', gia_tri: 10000, gioi_han_moi_khach: 1 }),
+    promotion({ id: 7, ten: 'Đơn từ 500k', kieu: 'so_tien', gia_tri: 10000, don_toi_thieu: 500000 }),
+    promotion({ id: 8, ten: 'Món khác', kieu: 'so_tien', gia_tri: 10000, pham_vi: 'mon', id_mon: [99] })
+  ], { codes: ['KHONGCO'] });
+
+  assert.equal(result.giam_gia, 0);
+  assert.deepEqual(reasons(result), [
+    [null, 'PROMOTION_NOT_FOUND'],
+    [1, 'PROMOTION_INACTIVE'],
+    [2, 'PROMOTION_EXPIRED'],
+    [3, 'OUTSIDE_PROMOTION_DAYS'],
+    [4, 'OUTSIDE_PROMOTION_HOURS'],
+    [5, 'PROMOTION_LIMIT_REACHED'],
+    [6, 'PHONE_REQUIRED'],
+    [7, 'BELOW_MINIMUM_ORDER'],
+    [8, 'NO_ELIGIBLE_ITEMS']
+  ]);
+});
+
+test('evaluateCart counts per-customer usage by phone', () => {
+  const limited = promotion({ id: 6, ten: 'Mỗi khách 1 lần', kieu: 'so_tien', gia_tri: 10000, gioi_han_moi_khach: 1 });
+
+  const first = evaluate([limited], { sdt_chuan: '0901234567' });
+  assert.equal(first.giam_gia, 10000);
+
+  const again = evaluate([limited], { sdt_chuan: '0901234567', customerUsage: new Map([[6, 1]]) });
+  assert.equal(again.giam_gia, 0);
+  assert.deepEqual(reasons(again), [[6, 'CUSTOMER_LIMIT_REACHED']]);
+});
+
+test('evaluateCart runs an hour window past midnight', () => {
+  const lateNight = promotion({ id: 1, ten: 'Khuya', kieu: 'so_tien', gia_tri: 10000, gio_bat_dau: '22:00:00', gio_ket_thuc: '02:00:00' });
+
+  assert.equal(evaluate([lateNight], { now: new Date(2026, 9, 21, 1, 30) }).giam_gia, 10000);
+  assert.equal(evaluate([lateNight], { now: new Date(2026, 9, 21, 23, 0) }).giam_gia, 10000);
+  assert.deepEqual(reasons(evaluate([lateNight])), [[1, 'OUTSIDE_PROMOTION_HOURS']]);
+});
@@ -0,0 +1,63 @@
+// Reservation State Machine - allowed trang_thai transitions
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STATUS,
+  TRANSITIONS,
+  isValidStatus,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition
+} = require('../utils/reservationStateMachine');
+
+test('every status and every target of a transition is known', () => {
+  Object.values(STATUS).forEach(status => assert.ok(isValidStatus(status), status));
+  Object.values(TRANSITIONS).flat().forEach(status => assert.ok(isValidStatus(status), status));
+  assert.equal(isValidStatus('khong_ton_tai'), false);
+  assert.equal(isValidStatus('hasOwnProperty'), false);
+});
+
+test('a booking runs from deposit payment to completion', () => {
+  const path = [STATUS.PENDING_PAYMENT, STATUS.PENDING, STATUS.CONFIRMED, STATUS.SEATED, STATUS.COMPLETED];
+  path.slice(1).forEach((to, index) => {
+    assert.ok(canTransition(path[index], to), `${path[index]} -> ${to}`);
+    assert.doesNotThrow(() => assertTransition(path[index], to));
+  });
+});
+
+test('a booking can be cancelled until the guest arrives', () => {
+  [STATUS.PENDING_PAYMENT, STATUS.PENDING, STATUS.CONFIRMED].forEach(from => {
+    assert.ok(canTransition(from, STATUS.CANCELLED), from);
+  });
+  [STATUS.SEATED, STATUS.COMPLETED, STATUS.NO_SHOW, STATUS.CANCELLED].forEach(from => {
+    assert.equal(canTransition(from, STATUS.CANCELLED), false, from);
+  });
+});
+
+test('a late guest marked as no-show can still be seated, and a cancelled booking reopened', () => {
+  assert.deepEqual(getAllowedTransitions(STATUS.NO_SHOW), [STATUS.SEATED]);
+  assert.deepEqual(getAllowedTransitions(STATUS.CANCELLED), [STATUS.PENDING]);
+});
+
+test('a completed booking is final', () => {
+  assert.deepEqual(getAllowedTransitions(STATUS.COMPLETED), []);
+  assert.throws(() => assertTransition(STATUS.COMPLETED, STATUS.CANCELLED), {
+    statusCode: 409,
+    code: 'INVALID_STATUS_TRANSITION',
+    message: /Đặt bàn đã kết thúc/
+  });
+});
+
+test('skipping a step is refused with the statuses that may come next', () => {
+  assert.equal(canTransition(STATUS.PENDING, STATUS.SEATED), false);
+  assert.throws(() => assertTransition(STATUS.PENDING, STATUS.SEATED), {
+    statusCode: 409,
+    code: 'INVALID_STATUS_TRANSITION',
+    message: 'Không thể chuyển từ "Chờ xác nhận" sang "Khách đã đến". Trạng thái hợp lệ tiếp theo: Đã xác nhận, Đã hủy'
+  });
+});
+
+test('an unknown target status is a bad request', () => {
+  assert.throws(() => assertTransition(STATUS.PENDING, 'dang_an'), { statusCode: 400, code: 'INVALID_STATUS' });
+  assert.deepEqual(getAllowedTransitions('dang_an'), []);
+});
@@ -0,0 +1,26 @@
+// Access Token Utility - Shared keys for staff feeds (calendar, live board)
+const crypto = require('crypto');
+
+/**
+ * Whether a request carries the expected key. Calendar apps and EventSource
+ * cannot send custom headers, so the key may come from ?token= as well as
+ * from a Bearer header.
+ * @param {Object} req - Express request object
+ * @param {string|null} expected - Configured key; no key means access is off
+ * @returns {boolean} True when the key matches (compared in constant time)
+ */
+const hasValidAccessToken = (req, expected) => {
+  if (!expected) return false;
+
+  const header = req.headers['authorization'];
+  const provided = req.query.token || (header && header.startsWith('Bearer ') ? header.slice(7) : null);
+  if (!provided) return false;
+
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = {
+  hasValidAccessToken
+};
@@ -0,0 +1,92 @@
+// CSV Utility - RFC 4180 reading and writing for spreadsheet import/export
+
+// Leading characters that make a spreadsheet app run a text cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break (RFC 4180).
+ * Text that a spreadsheet would run as a formula (CSV injection) gets a ' in
+ * front and is quoted; numbers are written as they are.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  const formula = typeof value !== 'number' && FORMULA_START.test(text);
+  const field = formula ? `'${text}` : text;
+  return formula || /[",;\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Remove the ' that escapeCsv put in front of a formula-like field
+ * @param {string} text - Field read back from a CSV file
+ * @returns {string} Original text
+ */
+const unescapeFormula = (text) => (/^'/.test(text) && FORMULA_START.test(text.substring(1)) ? text.substring(1) : text);
+
+/**
+ * CSV document with a BOM so spreadsheet apps read it as UTF-8
+ * @param {Array<Array>} rows - Rows of fields, header first
+ * @returns {string} CSV content
+ */
+const buildCsv = (rows) => `\uFEFF${rows.map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields with separators,
+ * doubled quotes and line breaks, a leading BOM, and files saved by Excel with
+ * ";" as separator (detected from the header line).
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows, blank lines left out
+ */
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  escapeCsv,
+  unescapeFormula,
+  buildCsv,
+  parseCsv
+};
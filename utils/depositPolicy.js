@@ -0,0 +1,78 @@
+// Deposit Policy - Which reservations need a deposit and how much of it is refunded
+const depositConfig = require('../config/deposit');
+const { toMinutes, formatDate } = require('./reservationTime');
+const { getReservationStart } = require('./reservationToken');
+
+/**
+ * Day of week of a date string, independent of the server timezone
+ * @param {string|Date} ngay - Date (YYYY-MM-DD or DATE value)
+ * @returns {number} 0 = Sunday ... 6 = Saturday
+ */
+const getDayOfWeek = (ngay) => new Date(`${formatDate(ngay)}T00:00:00Z`).getUTCDay();
+
+/**
+ * Check whether a rule applies to a reservation
+ * @param {Object} rule - Deposit rule
+ * @param {Object} data - { ngay, gio, so_luong_khach }
+ * @returns {boolean} True when every declared condition matches
+ */
+const matchesRule = (rule, data) => {
+  const guests = parseInt(data.so_luong_khach);
+  const time = toMinutes(data.gio);
+
+  if (rule.minGuests && guests < rule.minGuests) return false;
+  if (Array.isArray(rule.days) && !rule.days.includes(getDayOfWeek(data.ngay))) return false;
+  if (rule.fromTime && time < toMinutes(rule.fromTime)) return false;
+  if (rule.toTime && time > toMinutes(rule.toTime)) return false;
+
+  return true;
+};
+
+/**
+ * Deposit required for a reservation
+ * @param {Object} data - { ngay (YYYY-MM-DD), gio, so_luong_khach }
+ * @param {Array<Object>} extraRules - Rules already matched elsewhere (e.g. the guest's no-show record)
+ * @returns {Object|null} { so_tien, quy_tac, mo_ta } or null when no deposit is needed
+ */
+const getDepositRequirement = (data, extraRules = []) => {
+  if (!depositConfig.enabled) return null;
+
+  const guests = parseInt(data.so_luong_khach);
+  const matched = [...depositConfig.rules.filter(rule => matchesRule(rule, data)), ...extraRules]
+    .map(rule => ({ rule, amount: rule.amount || (rule.amountPerGuest || 0) * guests }))
+    .filter(item => item.amount > 0);
+
+  if (matched.length === 0) return null;
+
+  return {
+    so_tien: Math.max(...matched.map(item => item.amount)),
+    quy_tac: matched.map(item => item.rule.ten),
+    mo_ta: matched.map(item => item.rule.mo_ta || item.rule.ten)
+  };
+};
+
+/**
+ * Refund due when a paid reservation is cancelled
+ * @param {Object} deposit - dat_coc row (so_tien)
+ * @param {Object} reservation - dat_ban row (ngay, gio)
+ * @param {Date} at - Cancellation time
+ * @returns {Object} { ty_le_hoan, so_tien_hoan, gio_truoc }
+ */
+const computeRefund = (deposit, reservation, at = new Date()) => {
+  const hoursLeft = (getReservationStart(reservation).getTime() - at.getTime()) / (60 * 60 * 1000);
+  const tier = depositConfig.refundPolicy.find(item => hoursLeft >= item.hoursBefore);
+  const percent = tier ? tier.percent : 0;
+
+  return {
+    ty_le_hoan: percent,
+    so_tien_hoan: Math.round(Number(deposit.so_tien) * percent / 100),
+    gio_truoc: Math.max(Math.floor(hoursLeft), 0)
+  };
+};
+
+module.exports = {
+  getDayOfWeek,
+  matchesRule,
+  getDepositRequirement,
+  computeRefund
+};
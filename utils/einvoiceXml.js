@@ -0,0 +1,227 @@
+// E-invoice XML Utility - Hóa đơn điện tử data following the layout of Nghị định 123/2020 and Thông tư 78/2021
+const einvoiceConfig = require('../config/einvoice');
+const invoiceConfig = require('../config/invoice');
+const { roundVnd, taxSummary } = require('./invoiceTotals');
+const { vndToWords } = require('./vndWords');
+const { formatDate } = require('./reservationTime');
+
+// TChat - tính chất của dòng hàng hóa, dịch vụ
+const LINE_KIND = {
+  hang_hoa: 1,
+  chiet_khau: 3
+};
+
+// TCHDon - tính chất hóa đơn liên quan
+const RELATION_KIND = {
+  thay_the: 1,
+  dieu_chinh: 2
+};
+
+/**
+ * Escape a text value for an XML element
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// <Tag>value</Tag>, or a nested element from a list of children
+const element = (tag, content, depth) => {
+  const indent = '  '.repeat(depth);
+  if (Array.isArray(content)) {
+    return `${indent}<${tag}>\n${content.join('\n')}\n${indent}</${tag}>`;
+  }
+  return `${indent}<${tag}>${escapeXml(content)}</${tag}>`;
+};
+
+// Leaf elements of an object, leaving out empty values
+const fields = (values, depth) => Object.entries(values)
+  .filter(([, value]) => value !== null && value !== undefined && value !== '')
+  .map(([tag, value]) => element(tag, value, depth));
+
+const rateLabel = (rate) => `${Number(rate)}%`;
+
+/**
+ * Lines of goods and services: the dishes (or one line per rate for an invoice
+ * split by amount), then per rate the trade discount and service charge, then
+ * the delivery fee, which already includes VAT at deliveryVatRate.
+ * @private
+ */
+const buildLines = (invoice, groups, delivery) => {
+  const lines = [];
+  const push = (values) => lines.push({ TChat: values.TChat, STT: lines.length + 1, ...values });
+
+  if (invoice.chi_tiet && invoice.chi_tiet.length > 0) {
+    invoice.chi_tiet.forEach(line => push({
+      TChat: LINE_KIND.hang_hoa,
+      MHHDVu: line.id_mon,
+      THHDVu: line.ten_mon,
+      DVTinh: einvoiceConfig.unit,
+      SLuong: line.so_luong,
+      DGia: Number(line.don_gia),
+      ThTien: Number(line.thanh_tien),
+      TSuat: rateLabel(line.thue_suat !== null && line.thue_suat !== undefined ? line.thue_suat : invoice.ty_le_vat)
+    }));
+  } else {
+    groups.filter(group => Number(group.tien_hang) !== 0).forEach(group => push({
+      TChat: LINE_KIND.hang_hoa,
+      THHDVu: 'Dịch vụ ăn uống',
+      ThTien: Number(group.tien_hang),
+      TSuat: rateLabel(group.thue_suat)
+    }));
+  }
+
+  groups.forEach(group => {
+    if (Number(group.giam_gia) !== 0) {
+      push({
+        TChat: LINE_KIND.chiet_khau,
+        THHDVu: `Chiết khấu thương mại (thuế suất ${rateLabel(group.thue_suat)})`,
+        ThTien: Number(group.giam_gia),
+        TSuat: rateLabel(group.thue_suat)
+      });
+    }
+    if (Number(group.phi_dich_vu) !== 0) {
+      push({
+        TChat: LINE_KIND.hang_hoa,
+        THHDVu: `Phí phục vụ ${Number(invoice.ty_le_phi_dich_vu)}%`,
+        ThTien: Number(group.phi_dich_vu),
+        TSuat: rateLabel(group.thue_suat)
+      });
+    }
+  });
+
+  if (delivery.amount !== 0) {
+    push({
+      TChat: LINE_KIND.hang_hoa,
+      THHDVu: 'Phí giao hàng',
+      ThTien: delivery.amount,
+      TSuat: rateLabel(delivery.rate)
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * E-invoice XML of an issued invoice (data part, before the digital signature)
+ * @param {Object} invoice - Invoice with chi_tiet, ky_hieu, so_hddt and phat_hanh_luc; a replacement or
+ *   adjustment invoice also carries hoa_don_lien_quan { ky_hieu, so_hddt, phat_hanh_luc }
+ * @returns {string} XML document
+ */
+const buildEinvoiceXml = (invoice) => {
+  const seller = einvoiceConfig.seller;
+  const groups = taxSummary(invoice);
+
+  // Delivery fee includes VAT: split it into the amount before tax and the tax
+  const fee = Number(invoice.phi_giao_hang) || 0;
+  const deliveryRate = invoiceConfig.deliveryVatRate;
+  const deliveryAmount = roundVnd(fee * 100 / (100 + deliveryRate));
+  const delivery = { rate: deliveryRate, amount: deliveryAmount, tax: fee - deliveryAmount };
+
+  // Totals per rate, the delivery fee added to its own rate
+  const byRate = new Map();
+  groups.forEach(group => {
+    byRate.set(Number(group.thue_suat), { amount: Number(group.thanh_tien), tax: Number(group.tien_thue) });
+  });
+  if (fee !== 0) {
+    const current = byRate.get(deliveryRate) || { amount: 0, tax: 0 };
+    byRate.set(deliveryRate, { amount: current.amount + delivery.amount, tax: current.tax + delivery.tax });
+  }
+  const rates = [...byRate.keys()].sort((a, b) => a - b);
+
+  const totalBeforeTax = rates.reduce((total, rate) => total + byRate.get(rate).amount, 0);
+  const totalTax = rates.reduce((total, rate) => total + byRate.get(rate).tax, 0);
+  const totalDiscount = groups.reduce((total, group) => total + Number(group.giam_gia), 0);
+  const total = Number(invoice.tong_cong);
+
+  const general = fields({
+    PBan: einvoiceConfig.version,
+    THDon: 'Hóa đơn giá trị gia tăng',
+    KHMSHDon: einvoiceConfig.templateCode,
+    KHHDon: invoice.ky_hieu,
+    SHDon: invoice.so_hddt,
+    NLap: formatDate(invoice.phat_hanh_luc),
+    DVTTe: 'VND',
+    TGia: 1,
+    HTTToan: einvoiceConfig.paymentMethod
+  }, 3);
+
+  const related = invoice.hoa_don_lien_quan;
+  if (related && RELATION_KIND[invoice.loai_hoa_don]) {
+    general.push(element('TTHDLQuan', fields({
+      TCHDon: RELATION_KIND[invoice.loai_hoa_don],
+      LHDCLQuan: 1,
+      KHMSHDCLQuan: einvoiceConfig.templateCode,
+      KHHDCLQuan: related.ky_hieu,
+      SHDCLQuan: related.so_hddt,
+      NLHDCLQuan: formatDate(related.phat_hanh_luc),
+      GChu: invoice.ly_do_lien_quan
+    }, 4), 3));
+  }
+
+  const sellerPart = fields({
+    Ten: seller.ten,
+    MST: seller.ma_so_thue,
+    DChi: seller.dia_chi,
+    SDThoai: seller.dien_thoai,
+    DCTDTu: seller.email,
+    STKNHang: seller.so_tai_khoan,
+    TNHang: seller.ngan_hang
+  }, 4);
+
+  const buyerPart = fields({
+    Ten: invoice.ten_don_vi_mua || invoice.ten_nguoi_mua || 'Khách lẻ',
+    MST: invoice.mst_nguoi_mua,
+    DChi: invoice.dia_chi_nguoi_mua,
+    HVTNMHang: invoice.ten_nguoi_mua,
+    DCTDTu: invoice.email_nguoi_mua
+  }, 4);
+
+  const lines = buildLines(invoice, groups, delivery).map(line => element('HHDVu', fields(line, 5), 4));
+
+  const totals = [
+    element('THTTLTSuat', rates.map(rate => element('LTSuat', fields({
+      TSuat: rateLabel(rate),
+      ThTien: byRate.get(rate).amount,
+      TThue: byRate.get(rate).tax
+    }, 6), 5)), 4),
+    ...fields({
+      TgTCThue: totalBeforeTax,
+      TgTThue: totalTax,
+      TTCKTMai: totalDiscount,
+      TgTTTBSo: total,
+      TgTTTBChu: vndToWords(total)
+    }, 4)
+  ];
+
+  const data = element('DLHDon', [
+    element('TTChung', general, 2),
+    element('NDHDon', [
+      element('NBan', sellerPart, 3),
+      element('NMua', buyerPart, 3),
+      element('DSHHDVu', lines, 3),
+      element('TToan', totals, 3)
+    ], 2)
+  ], 1).replace('<DLHDon>', '<DLHDon Id="data">');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<HDon>',
+    data,
+    '  <DSCKS>',
+    '    <NBan/>',
+    '    <NMua/>',
+    '  </DSCKS>',
+    '</HDon>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  escapeXml,
+  buildEinvoiceXml
+};
@@ -0,0 +1,60 @@
+// Geo Utility - Distances and areas for delivery zones
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} a - { vi_do, kinh_do }
+ * @param {Object} b - { vi_do, kinh_do }
+ * @returns {number} Distance in km
+ */
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.vi_do - a.vi_do);
+  const dLng = toRadians(b.kinh_do - a.kinh_do);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.vi_do)) * Math.cos(toRadians(b.vi_do)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Whether a point lies inside a polygon (ray casting). Fine at city scale,
+ * where the curvature of the earth does not matter.
+ * @param {Object} point - { vi_do, kinh_do }
+ * @param {Array<Array<number>>} polygon - Vertices as [vi_do, kinh_do]
+ * @returns {boolean} True when inside
+ */
+const isInsidePolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (latI > point.vi_do) !== (latJ > point.vi_do) &&
+      point.kinh_do < (lngJ - lngI) * (point.vi_do - latI) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * District name for comparison: no accents, case or "Quận"/"Huyện" prefix,
+ * so "Quận 1", "quan 1" and "Q.1" match
+ * @param {string} name - District as typed
+ * @returns {string} Normalized name
+ */
+const normalizeDistrict = (name) => String(name || '')
+  .trim()
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/g, 'd')
+  .replace(/^(quan|huyen|thi xa|thanh pho|tp|q|h)(\.|\s)+/, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+module.exports = {
+  distanceKm,
+  isInsidePolygon,
+  normalizeDistrict
+};
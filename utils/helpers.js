@@ -24,6 +24,13 @@ const formatPrice = (price) => {
   return new Intl.NumberFormat('vi-VN').format(price) + 'đ';
 };
 
+/**
+ * Parse the VAT rate of a dish or category from a request
+ * @param {*} value - Rate in percent; missing, empty or null means no rate of its own
+ * @returns {number|null} Rate, or null to fall back to the category / default rate
+ */
+const parseVatRate = (value) => (value === undefined || value === '' || value === null ? null : parseFloat(value));
+
 /**
  * Format stock display
  * @param {number} stock - Stock quantity
@@ -258,6 +265,7 @@ class AppError extends Error {
 module.exports = {
   buildImageUrl,
   formatPrice,
+  parseVatRate,
   formatStock,
   formatFoodItem,
   buildPagination,
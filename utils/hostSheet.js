@@ -0,0 +1,102 @@
+// Host Sheet Utility - Printable list of the day's bookings (CSV and HTML)
+const { STATUS_LABELS } = require('./reservationStateMachine');
+const { escapeCsv } = require('./csv');
+
+const DEPOSIT_LABELS = {
+  cho_thanh_toan: 'Chờ thanh toán',
+  da_thanh_toan: 'Đã cọc',
+  that_bai: 'Lỗi thanh toán',
+  het_han: 'Quá hạn',
+  da_huy: 'Đã hủy',
+  da_hoan: 'Đã hoàn',
+  khong_hoan: 'Không hoàn'
+};
+
+// Column title -> value of a host sheet row
+const COLUMNS = [
+  ['Giờ', row => row.gio],
+  ['Khách', row => row.ten_khach],
+  ['SĐT', row => row.sdt],
+  ['Số khách', row => row.so_luong_khach],
+  ['Bàn', row => row.ban || ''],
+  ['Trạng thái', row => STATUS_LABELS[row.trang_thai] || row.trang_thai],
+  ['Đặt cọc', row => (row.dat_coc ? DEPOSIT_LABELS[row.dat_coc] || row.dat_coc : '')],
+  ['VIP', row => (row.vip ? 'VIP' : '')],
+  ['Dị ứng', row => row.di_ung || ''],
+  ['Lần đến', row => row.so_lan_den],
+  ['Không đến', row => row.so_lan_khong_den || ''],
+  ['Ghi chú', row => [row.ghi_chu, row.ghi_chu_khach, row.can_duyet ? 'Cần duyệt' : null].filter(Boolean).join(' | ')]
+];
+
+/**
+ * Escape text placed in HTML
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Host sheet as CSV, with a BOM so spreadsheet apps read it as UTF-8
+ * @param {Object} sheet - Result of ReportService.getHostSheet
+ * @returns {string} CSV content
+ */
+const buildCsv = (sheet) => {
+  const lines = [
+    COLUMNS.map(([title]) => escapeCsv(title)).join(','),
+    ...sheet.dat_ban.map(row => COLUMNS.map(([, value]) => escapeCsv(value(row))).join(','))
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Host sheet as a standalone printable HTML page
+ * @param {Object} sheet - Result of ReportService.getHostSheet
+ * @returns {string} HTML document
+ */
+const buildHtml = (sheet) => {
+  const header = COLUMNS.map(([title]) => `<th>${escapeHtml(title)}</th>`).join('');
+  const body = sheet.dat_ban.length > 0
+    ? sheet.dat_ban.map(row => {
+      const cells = COLUMNS.map(([, value]) => `<td>${escapeHtml(value(row))}</td>`).join('');
+      return `<tr${row.vip || row.di_ung ? ' class="luu-y"' : ''}>${cells}</tr>`;
+    }).join('\n      ')
+    : `<tr><td colspan="${COLUMNS.length}">Không có đặt bàn</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="vi">
+<head>
+  <meta charset="utf-8">
+  <title>Danh sách đón khách ${escapeHtml(sheet.ngay)}</title>
+  <style>
+    body { font-family: sans-serif; font-size: 12px; margin: 16px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    tr.luu-y td { font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Danh sách đón khách - ${escapeHtml(sheet.ten_thu)} ${escapeHtml(sheet.ngay)}</h1>
+  <p>${sheet.tong_dat_ban} đặt bàn, ${sheet.tong_khach} khách</p>
+  <table>
+    <thead><tr>${header}</tr></thead>
+    <tbody>
+      ${body}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeCsv,
+  buildCsv,
+  buildHtml
+};
@@ -0,0 +1,119 @@
+// iCalendar Utility - Build RFC 5545 calendars for reservations
+const { getReservationStart } = require('./reservationToken');
+
+const PRODUCT_ID = '-//QuanLyNhaHang//Dat Ban//VI';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'nhahang.local';
+
+// Reservation status -> VEVENT STATUS
+const EVENT_STATUS = {
+  cho_thanh_toan: 'TENTATIVE',
+  cho_xac_nhan: 'TENTATIVE',
+  da_huy: 'CANCELLED',
+  khong_den: 'CANCELLED'
+};
+
+/**
+ * Escape a text value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a Date as UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date object
+ * @returns {string} iCalendar date-time
+ */
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build the VEVENT lines of one reservation
+ * @param {Object} reservation - dat_ban row with thoi_luong and ban (array of { so_ban })
+ * @returns {Array<string>} Content lines
+ */
+const buildEvent = (reservation) => {
+  const start = getReservationStart(reservation);
+  const end = new Date(start.getTime() + reservation.thoi_luong * 60 * 1000);
+  const tables = (reservation.ban || []).map(table => table.so_ban).join(', ');
+
+  const description = [
+    `Khách: ${reservation.ten_khach}`,
+    `Số điện thoại: ${reservation.sdt}`,
+    `Số khách: ${reservation.so_luong_khach}`,
+    `Bàn: ${tables || 'Chưa xếp bàn'}`,
+    reservation.ghi_chu ? `Ghi chú: ${reservation.ghi_chu}` : null
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:datban-${reservation.id_datban}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(new Date(reservation.updated_at || Date.now()))}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(`${reservation.ten_khach} (${reservation.so_luong_khach} khách)${tables ? ` - Bàn ${tables}` : ''}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    tables ? `LOCATION:${escapeText(`Bàn ${tables}`)}` : null,
+    `STATUS:${EVENT_STATUS[reservation.trang_thai] || 'CONFIRMED'}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+/**
+ * Build a calendar document
+ * @param {string} name - Calendar name shown by clients
+ * @param {Array<Object>} reservations - Reservations to include
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+const buildCalendar = (name, reservations) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Asia/Ho_Chi_Minh',
+    ...reservations.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,118 @@
+// Invoice Totals Utility - Subtotal, discount, service charge and VAT by rate in whole VND
+
+/**
+ * Round to whole dong, halves away from zero, so an adjustment that takes
+ * back an amount rounds to exactly the negative of it
+ * @param {number} value - Amount in VND
+ * @returns {number} Whole VND
+ */
+const roundVnd = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+/**
+ * Amounts of an invoice. Line discounts (promotions on given dishes) stay on
+ * their lines and the order discount is shared by what is left of each line.
+ * The service charge is taken on the discounted amount and shared across
+ * VAT rates; VAT is worked out once per rate on the discounted amount plus
+ * service charge, as the e-invoice summarises it. The delivery fee is a flat
+ * amount, VAT included, added at the end.
+ * @param {Array<Object>} lines - Active lines { don_gia, so_luong, thue_suat } (thue_suat null = vatRate)
+ * @param {Object} options - { discount, lineDiscounts, serviceRate, vatRate, deliveryFee } (rates in %)
+ * @returns {Object} { tam_tinh, giam_gia, phi_dich_vu, thue_vat, phi_giao_hang, tong_cong,
+ *   tong_hop_thue: [{ thue_suat, tien_hang, giam_gia, phi_dich_vu, thanh_tien, tien_thue }] }
+ */
+const computeTotals = (lines, options = {}) => {
+  const amounts = lines.map(line => Number(line.don_gia) * line.so_luong);
+  const tamTinh = amounts.reduce((total, amount) => total + amount, 0);
+  const lineDiscounts = amounts.map((amount, index) => (
+    Math.min(Math.max(roundVnd((options.lineDiscounts || [])[index] || 0), 0), amount)
+  ));
+  const fixed = lineDiscounts.reduce((total, discount) => total + discount, 0);
+  const giamGia = Math.min(Math.max(roundVnd((options.discount || 0) + fixed), 0), tamTinh);
+  const shared = allocate(giamGia - fixed, amounts.map((amount, index) => amount - lineDiscounts[index]));
+  const sauGiam = tamTinh - giamGia;
+  const phiDichVu = roundVnd(sauGiam * (options.serviceRate || 0) / 100);
+  const phiGiaoHang = Math.max(roundVnd(options.deliveryFee || 0), 0);
+
+  const groups = new Map();
+  lines.forEach((line, index) => {
+    const rate = line.thue_suat !== undefined && line.thue_suat !== null ? Number(line.thue_suat) : (options.vatRate || 0);
+    const group = groups.get(rate) || { thue_suat: rate, tien_hang: 0, giam_gia: 0 };
+    group.tien_hang += amounts[index];
+    group.giam_gia += lineDiscounts[index] + shared[index];
+    groups.set(rate, group);
+  });
+
+  const summary = [...groups.values()].sort((a, b) => a.thue_suat - b.thue_suat);
+  const serviceShares = allocate(phiDichVu, summary.map(group => group.tien_hang - group.giam_gia));
+  summary.forEach((group, index) => {
+    group.phi_dich_vu = serviceShares[index];
+    group.thanh_tien = group.tien_hang - group.giam_gia + group.phi_dich_vu;
+    group.tien_thue = roundVnd(group.thanh_tien * group.thue_suat / 100);
+  });
+  const thueVat = summary.reduce((total, group) => total + group.tien_thue, 0);
+
+  return {
+    tam_tinh: tamTinh,
+    giam_gia: giamGia,
+    phi_dich_vu: phiDichVu,
+    thue_vat: thueVat,
+    phi_giao_hang: phiGiaoHang,
+    tong_cong: sauGiam + phiDichVu + thueVat + phiGiaoHang,
+    tong_hop_thue: summary
+  };
+};
+
+/**
+ * Share a whole amount between parts in proportion to their weights. Each
+ * share is rounded down and the dong left over go to the parts with the
+ * largest remainders, so the shares always add up to the amount.
+ * @param {number} amount - Whole VND amount
+ * @param {Array<number>} weights - One weight per part (all zero means equal parts)
+ * @returns {Array<number>} Shares in the order of the weights
+ */
+const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  const exact = weights.map(weight => (totalWeight > 0 ? amount * weight / totalWeight : amount / weights.length));
+  const shares = exact.map(Math.floor);
+
+  let left = amount - shares.reduce((total, share) => total + share, 0);
+  const order = exact
+    .map((value, index) => ({ index, fraction: value - shares[index] }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+  for (let i = 0; left > 0; i = (i + 1) % order.length, left--) {
+    shares[order[i].index]++;
+  }
+
+  return shares;
+};
+
+/**
+ * Tax summary of an invoice, one group per VAT rate. Invoices made before
+ * the summary was kept are read as a single group at ty_le_vat.
+ * @param {Object} invoice - hoa_don row
+ * @returns {Array<Object>} [{ thue_suat, tien_hang, giam_gia, phi_dich_vu, thanh_tien, tien_thue }]
+ */
+const taxSummary = (invoice) => {
+  if (Array.isArray(invoice.tong_hop_thue) && invoice.tong_hop_thue.length > 0) {
+    return invoice.tong_hop_thue;
+  }
+
+  const goods = Number(invoice.tam_tinh);
+  const discount = Number(invoice.giam_gia);
+  const serviceCharge = Number(invoice.phi_dich_vu);
+  return [{
+    thue_suat: Number(invoice.ty_le_vat),
+    tien_hang: goods,
+    giam_gia: discount,
+    phi_dich_vu: serviceCharge,
+    thanh_tien: goods - discount + serviceCharge,
+    tien_thue: Number(invoice.thue_vat)
+  }];
+};
+
+module.exports = {
+  roundVnd,
+  computeTotals,
+  taxSummary,
+  allocate
+};
@@ -0,0 +1,23 @@
+// Phone Utility - Normalize Vietnamese phone numbers so one guest maps to one key
+
+/**
+ * Normalize a phone number: keep digits only and turn the +84/84 country
+ * prefix into the domestic leading 0
+ * Example: "+84 901 234 567" -> "0901234567"
+ * @param {string} value - Raw phone number
+ * @returns {string|null} Normalized phone number, null when empty
+ */
+const normalizePhone = (value) => {
+  if (!value) return null;
+
+  let digits = String(value).replace(/\D/g, '');
+  if (digits.startsWith('84') && digits.length >= 11) {
+    digits = `0${digits.slice(2)}`;
+  }
+
+  return digits || null;
+};
+
+module.exports = {
+  normalizePhone
+};
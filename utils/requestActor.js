@@ -0,0 +1,84 @@
+// Request Actor Utility - Who performed an action on the API and through which channel
+
+const SOURCES = ['nhan_vien', 'khach_hang', 'chatbot', 'he_thong'];
+
+/**
+ * Resolve the actor of a request from the authenticated staff member or user.
+ * Names sent by the client are not trusted here, see getDeclaredActor.
+ * @param {Object} req - Express request object
+ * @returns {string} Actor identifier, an_danh for an unauthenticated request
+ */
+const getActor = (req) => {
+  if (req.staff) return `nhan_vien:${req.staff.ten}`.substring(0, 100);
+  if (!req.user) return 'an_danh';
+  return String(req.user.email || `khach_hang#${req.user.id}`).substring(0, 100);
+};
+
+/**
+ * Name the client declares for itself (nguoi_thuc_hien body field or X-Actor
+ * header). It is not verified, so it is only kept next to the actor.
+ * @param {Object} req - Express request object
+ * @returns {string|null} Declared name
+ */
+const getDeclaredActor = (req) => {
+  const declared = (req.body && req.body.nguoi_thuc_hien) || req.get('X-Actor');
+  const value = declared ? String(declared).trim().substring(0, 100) : '';
+  return value || null;
+};
+
+/**
+ * Resolve the source channel of a request (nhan_vien, khach_hang, chatbot):
+ * explicit body field or X-Source header, authenticated staff member or customer, or fallback
+ * @param {Object} req - Express request object
+ * @param {string} fallback - Source used when the request does not tell
+ * @returns {string} Source channel
+ */
+const getSource = (req, fallback = 'nhan_vien') => {
+  const source = (req.body && req.body.nguon) || req.get('X-Source');
+  if (SOURCES.includes(source)) return source;
+  if (req.staff) return 'nhan_vien';
+  if (req.user) return 'khach_hang';
+  return fallback;
+};
+
+/**
+ * Actor and source of a request, as stored with reservation history
+ * @param {Object} req - Express request object
+ * @param {string} fallbackSource - Source used when the request does not tell
+ * @returns {Object} { actor, source, declaredActor }
+ */
+const requestOrigin = (req, fallbackSource = 'nhan_vien') => ({
+  actor: getActor(req),
+  source: getSource(req, fallbackSource),
+  declaredActor: getDeclaredActor(req)
+});
+
+/**
+ * Origin of a change made by a guest through a signed link
+ * @param {string} sdt - Guest phone number
+ * @returns {Object} { actor, source }
+ */
+const guestOrigin = (sdt) => ({
+  actor: `khach:${sdt}`,
+  source: 'khach_hang'
+});
+
+/**
+ * Origin of a change made by a guest through the QR code of a table
+ * @param {string} soBan - Table number
+ * @returns {Object} { actor, source }
+ */
+const tableGuestOrigin = (soBan) => ({
+  actor: `qr:ban_${soBan}`,
+  source: 'khach_hang'
+});
+
+module.exports = {
+  SOURCES,
+  getActor,
+  getDeclaredActor,
+  getSource,
+  requestOrigin,
+  guestOrigin,
+  tableGuestOrigin
+};
@@ -0,0 +1,90 @@
+// Reservation State Machine - Allowed trang_thai transitions for dat_ban
+const { AppError } = require('../middleware/errorHandler');
+
+const STATUS = {
+  PENDING_PAYMENT: 'cho_thanh_toan',
+  PENDING: 'cho_xac_nhan',
+  CONFIRMED: 'da_xac_nhan',
+  SEATED: 'da_den',
+  COMPLETED: 'hoan_thanh',
+  NO_SHOW: 'khong_den',
+  CANCELLED: 'da_huy'
+};
+
+const STATUS_LABELS = {
+  cho_thanh_toan: 'Chờ thanh toán cọc',
+  cho_xac_nhan: 'Chờ xác nhận',
+  da_xac_nhan: 'Đã xác nhận',
+  da_den: 'Khách đã đến',
+  hoan_thanh: 'Hoàn thành',
+  khong_den: 'Khách không đến',
+  da_huy: 'Đã hủy'
+};
+
+// Trạng thái đích hợp lệ từ mỗi trạng thái
+const TRANSITIONS = {
+  // Nhà cung cấp thanh toán xác nhận tiền cọc, hoặc hết hạn thanh toán
+  cho_thanh_toan: ['cho_xac_nhan', 'da_huy'],
+  cho_xac_nhan: ['da_xac_nhan', 'da_huy'],
+  da_xac_nhan: ['da_den', 'khong_den', 'da_huy'],
+  da_den: ['hoan_thanh'],
+  hoan_thanh: [],
+  // Khách đến trễ sau khi đã đánh dấu không đến
+  khong_den: ['da_den'],
+  // Mở lại đặt bàn đã hủy
+  da_huy: ['cho_xac_nhan']
+};
+
+/**
+ * Check whether a status value exists
+ * @param {string} status - Status value
+ * @returns {boolean} True when known
+ */
+const isValidStatus = (status) => Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+
+/**
+ * Statuses reachable from a status
+ * @param {string} from - Current status
+ * @returns {Array<string>} Allowed target statuses
+ */
+const getAllowedTransitions = (from) => TRANSITIONS[from] || [];
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True when allowed
+ */
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Throw when a transition is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @throws {AppError} 400 for unknown status, 409 for a forbidden transition
+ */
+const assertTransition = (from, to) => {
+  if (!isValidStatus(to)) {
+    throw new AppError('Trạng thái không hợp lệ', 400, 'INVALID_STATUS');
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = getAllowedTransitions(from).map(status => STATUS_LABELS[status]);
+    throw new AppError(
+      `Không thể chuyển từ "${STATUS_LABELS[from] || from}" sang "${STATUS_LABELS[to]}"` +
+        (allowed.length > 0 ? `. Trạng thái hợp lệ tiếp theo: ${allowed.join(', ')}` : '. Đặt bàn đã kết thúc'),
+      409,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+};
+
+module.exports = {
+  STATUS,
+  STATUS_LABELS,
+  TRANSITIONS,
+  isValidStatus,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition
+};
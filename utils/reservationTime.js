@@ -0,0 +1,59 @@
+// Reservation Time Utilities
+
+/**
+ * Convert a TIME string to minutes since midnight
+ * @param {string} time - Time in HH:MM or HH:MM:SS format
+ * @returns {number} Minutes since midnight, NaN if invalid
+ */
+const toMinutes = (time) => {
+  if (!time || typeof time !== 'string') return NaN;
+
+  const [hours, minutes] = time.split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) return NaN;
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to HH:MM
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} Time in HH:MM format
+ */
+const fromMinutes = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Check whether two half-open time windows [start, end) overlap
+ * @param {number} startA - Start of first window (minutes)
+ * @param {number} endA - End of first window (minutes)
+ * @param {number} startB - Start of second window (minutes)
+ * @param {number} endB - End of second window (minutes)
+ * @returns {boolean} True when the windows overlap
+ */
+const overlaps = (startA, endA, startB, endB) => {
+  return startA < endB && startB < endA;
+};
+
+/**
+ * Normalize a DATE value (string or Date from mysql2) to YYYY-MM-DD
+ * Database timezone is +07:00 so Date objects are shifted before formatting
+ * @param {string|Date} value - Date value
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+const formatDate = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value.substring(0, 10);
+
+  return new Date(value.getTime() + 7 * 60 * 60 * 1000).toISOString().substring(0, 10);
+};
+
+module.exports = {
+  toMinutes,
+  fromMinutes,
+  overlaps,
+  formatDate
+};
@@ -0,0 +1,70 @@
+// Reservation Token Utility - Signed guest links to manage a reservation
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../middleware/errorHandler');
+const { formatDate } = require('./reservationTime');
+
+// Own secret, never the login JWT_SECRET: a manage link must not pass as a customer login
+const TOKEN_SECRET = process.env.RESERVATION_TOKEN_SECRET || 'reservation-token-secret-change-in-production';
+
+const TOKEN_TYPE = 'reservation_manage';
+
+/**
+ * Start of a reservation as a Date (restaurant time, +07:00)
+ * @param {Object} reservation - dat_ban row (ngay, gio)
+ * @returns {Date} Start date time
+ */
+const getReservationStart = (reservation) => {
+  return new Date(`${formatDate(reservation.ngay)}T${String(reservation.gio).substring(0, 5)}:00+07:00`);
+};
+
+/**
+ * Sign a manage token for a reservation. The token is bound to the booking
+ * phone number and expires when the reservation starts.
+ * @param {Object} reservation - dat_ban row (id_datban, sdt, ngay, gio)
+ * @returns {Object} { token, expiresAt }
+ */
+const signManageToken = (reservation) => {
+  const expiresAt = getReservationStart(reservation);
+  const token = jwt.sign(
+    {
+      id: reservation.id_datban,
+      sdt: reservation.sdt,
+      tokenType: TOKEN_TYPE,
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    },
+    TOKEN_SECRET
+  );
+
+  return { token, expiresAt: expiresAt.toISOString() };
+};
+
+/**
+ * Verify a manage token
+ * @param {string} token - Token from the guest link
+ * @returns {Object} Decoded payload ({ id, sdt })
+ * @throws {AppError} 401 when the token is invalid or expired
+ */
+const verifyManageToken = (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, TOKEN_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('Liên kết quản lý đặt bàn đã hết hạn', 401, 'MANAGE_TOKEN_EXPIRED');
+    }
+    throw new AppError('Liên kết quản lý đặt bàn không hợp lệ', 401, 'INVALID_MANAGE_TOKEN');
+  }
+
+  if (decoded.tokenType !== TOKEN_TYPE) {
+    throw new AppError('Liên kết quản lý đặt bàn không hợp lệ', 401, 'INVALID_MANAGE_TOKEN');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  getReservationStart,
+  signManageToken,
+  verifyManageToken
+};
@@ -0,0 +1,51 @@
+// Table Token Utility - Signed QR codes that let guests order from their table
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../middleware/errorHandler');
+
+// Own secret, never the login JWT_SECRET: a printed QR code must not pass as a customer login
+const TOKEN_SECRET = process.env.TABLE_TOKEN_SECRET || 'table-token-secret-change-in-production';
+
+const TOKEN_TYPE = 'table_order';
+
+/**
+ * Sign the QR token of a table. It does not expire, as it is printed on the
+ * table; it carries the table's QR version so that issuing a new code
+ * revokes the old ones.
+ * @param {Object} table - ban row (id_ban, qr_phien)
+ * @returns {string} Token
+ */
+const signTableToken = (table) => jwt.sign(
+  {
+    id: table.id_ban,
+    v: table.qr_phien,
+    tokenType: TOKEN_TYPE
+  },
+  TOKEN_SECRET
+);
+
+/**
+ * Verify a table QR token
+ * @param {string} token - Token from the QR code
+ * @returns {Object} Decoded payload ({ id, v })
+ * @throws {AppError} 401 INVALID_TABLE_TOKEN
+ */
+const verifyTableToken = (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, TOKEN_SECRET);
+  } catch (error) {
+    throw new AppError('Mã QR của bàn không hợp lệ', 401, 'INVALID_TABLE_TOKEN');
+  }
+
+  if (decoded.tokenType !== TOKEN_TYPE) {
+    throw new AppError('Mã QR của bàn không hợp lệ', 401, 'INVALID_TABLE_TOKEN');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  signTableToken,
+  verifyTableToken
+};
@@ -0,0 +1,69 @@
+// VND Words Utility - Read an amount of money in Vietnamese words for invoices
+
+const DIGITS = ['không', 'một', 'hai', 'ba', 'bốn', 'năm', 'sáu', 'bảy', 'tám', 'chín'];
+const SCALES = ['', 'nghìn', 'triệu', 'tỷ', 'nghìn tỷ', 'triệu tỷ'];
+
+/**
+ * Words of a group of three digits
+ * @param {number} group - 0..999
+ * @param {boolean} full - Read "không trăm" and "linh" (every group but the leading one)
+ * @returns {Array<string>} Words
+ */
+const readGroup = (group, full) => {
+  const hundreds = Math.floor(group / 100);
+  const tens = Math.floor(group / 10) % 10;
+  const units = group % 10;
+  const words = [];
+
+  if (hundreds > 0 || full) words.push(DIGITS[hundreds], 'trăm');
+
+  if (tens === 0) {
+    if (units > 0 && words.length > 0) words.push('linh');
+  } else if (tens === 1) {
+    words.push('mười');
+  } else {
+    words.push(DIGITS[tens], 'mươi');
+  }
+
+  if (units === 0) return words;
+  if (units === 5 && tens > 0) {
+    words.push('lăm');
+  } else if (units === 1 && tens > 1) {
+    words.push('mốt');
+  } else if (units === 4 && tens > 1) {
+    words.push('tư');
+  } else {
+    words.push(DIGITS[units]);
+  }
+  return words;
+};
+
+/**
+ * Amount in Vietnamese words, as printed on an invoice: 1250000 -> "Một triệu hai trăm năm mươi nghìn đồng"
+ * @param {number} amount - Whole VND, may be negative (adjustment invoices)
+ * @returns {string} Amount in words
+ */
+const vndToWords = (amount) => {
+  let value = Math.round(Math.abs(Number(amount) || 0));
+  const groups = [];
+  while (value > 0) {
+    groups.push(value % 1000);
+    value = Math.floor(value / 1000);
+  }
+
+  const words = [];
+  for (let index = groups.length - 1; index >= 0; index--) {
+    if (groups[index] === 0) continue;
+    words.push(...readGroup(groups[index], index < groups.length - 1));
+    if (SCALES[index]) words.push(SCALES[index]);
+  }
+  if (words.length === 0) words.push('không');
+  if (amount < 0) words.unshift('âm');
+
+  const text = `${words.join(' ')} đồng`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+module.exports = {
+  vndToWords
+};